@@ -0,0 +1,50 @@
+// build-embed.js
+// Builds build/tts-player.js from src/embed/index.js, the <tts-player>
+// element without the app. react-scripts builds a single entry, so this
+// runs its webpack and Babel preset once `react-scripts build` is done.
+
+process.env.NODE_ENV = "production";
+process.env.BABEL_ENV = "production";
+
+const path = require("path");
+const webpack = require("webpack");
+
+const root = path.resolve(__dirname, "..");
+
+const compiler = webpack({
+  mode: "production",
+  entry: path.join(root, "src/embed/index.js"),
+  output: {
+    path: path.join(root, "build"),
+    filename: "tts-player.js",
+  },
+  // The "production" browserslist of package.json
+  target: "browserslist",
+  devtool: "source-map",
+  module: {
+    rules: [
+      {
+        test: /\.js$/,
+        include: path.join(root, "src"),
+        loader: require.resolve("babel-loader"),
+        options: {
+          babelrc: false,
+          configFile: false,
+          presets: [require.resolve("babel-preset-react-app")],
+        },
+      },
+    ],
+  },
+  performance: { hints: false },
+});
+
+compiler.run((error, stats) => {
+  compiler.close(() => {});
+  if (error || stats.hasErrors()) {
+    console.error(error || stats.toString({ all: false, errors: true }));
+    process.exit(1);
+  }
+  console.log(
+    stats.toString({ all: false, assets: true, warnings: true, colors: false })
+  );
+});
@@ -1,76 +1,371 @@
 // App.js
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import "./App.css";
+import { extensionForType } from "./utils/audioExport";
+import {
+  DEFAULT_PROCESSING,
+  hasProcessing,
+  processAudio,
+} from "./utils/audioProcessing";
+import { downloadBlob } from "./utils/download";
+import { buildPlaybackPlan } from "./utils/playbackPlan";
+import {
+  assignSpeakerVoices,
+  deserializeScript,
+  parseScript,
+  serializeScript,
+} from "./utils/script";
+import { createSpeechQueue } from "./utils/speechQueue";
+import {
+  createTimingRecorder,
+  estimateWordAt,
+  mapTimings,
+  timingsFromSynthesis,
+  wordLengthAt,
+} from "./utils/wordTiming";
+import { SUBTITLE_FORMATS } from "./utils/subtitles";
+import {
+  createClip,
+  deleteClip,
+  deleteClips,
+  formatBytes,
+  isClipLibrarySupported,
+  isQuotaError,
+  loadLibrary,
+  measureDuration,
+  planCleanup,
+  putClip,
+} from "./utils/clipLibrary";
+import {
+  createPreset,
+  exportPresets,
+  importPresets,
+  loadActivePresetId,
+  loadPresets,
+  mergePresets,
+  presetVoiceNotice,
+  resolvePresetVoice,
+  saveActivePresetId,
+  savePresets,
+} from "./utils/presets";
+import ReadAlong from "./components/ReadAlong";
+import SpeakerPanel from "./components/SpeakerPanel";
+import ExportDialog from "./components/ExportDialog";
+import ProcessingSettings from "./components/ProcessingSettings";
+import {
+  DOCUMENT_EXTENSIONS,
+  composeChapters,
+  importDocument,
+} from "./utils/documentImport";
+import {
+  compileLexicon,
+  exportLexiconJson,
+  exportLexiconPls,
+  importLexicon,
+  loadLexicon,
+  mergeLexicon,
+  saveLexicon,
+} from "./utils/lexicon";
+import PresetBar from "./components/PresetBar";
+import ClipLibrary from "./components/ClipLibrary";
+import ChapterPanel from "./components/ChapterPanel";
+import LexiconEditor from "./components/LexiconEditor";
+import BatchPanel from "./components/BatchPanel";
+import LanguageVoices from "./components/LanguageVoices";
+import EngineSettings from "./components/EngineSettings";
+import CaptureSettings from "./components/CaptureSettings";
+import WaveformEditor from "./components/WaveformEditor";
+import VoiceAudition from "./components/VoiceAudition";
+import VoiceFilters from "./components/VoiceFilters";
+import PwaStatus from "./components/PwaStatus";
+import BookmarkPanel from "./components/BookmarkPanel";
+import ShareLinkBar from "./components/ShareLinkBar";
+import { applyUpdate, register } from "./serviceWorkerRegistration";
+import { readSharedText, withoutShareParams } from "./utils/shareTarget";
+import {
+  MAX_LINK_LENGTH,
+  buildShareLink,
+  decodeShareState,
+  readShareHash,
+  withoutShareHash,
+} from "./utils/shareLink";
+import {
+  EMPTY_FILTERS,
+  FACETS,
+  describeVoice,
+  facetCounts,
+  filterCatalog,
+  languageOptions,
+  loadFavorites,
+  parseLanguageTag,
+  pinFavorites,
+  providerOf,
+  saveFavorites,
+} from "./utils/voiceCatalog";
+import {
+  loadVoiceRatings,
+  rateVoice,
+  ratingOf,
+  sampleSentence,
+  saveVoiceRatings,
+  sortVoices,
+  voiceKey,
+} from "./utils/voiceRatings";
+import {
+  CAPTURE_SOURCES,
+  createLevelMeter,
+  isCaptureSupported,
+  isStreamLive,
+  loadCaptureSource,
+  openCaptureStream,
+  pickRecordingType,
+  saveCaptureSource,
+} from "./utils/capture";
+import {
+  createEngines,
+  engineOf,
+  listVoices,
+  loadEngineSettings,
+  renderPlanAudio,
+  saveEngineSettings,
+} from "./engines";
+import {
+  addBookmark,
+  documentOf,
+  excerptAt,
+  hashText,
+  loadReadingPositions,
+  loadReadingSession,
+  recordPosition,
+  removeBookmark,
+  segmentAt,
+  renameBookmark,
+  saveReadingPositions,
+  saveReadingSession,
+} from "./utils/readingPosition";
+import {
+  UI_LANGUAGES,
+  UI_LANGUAGE_MODES,
+  createTranslator,
+  loadUiLanguage,
+  resolveUiLanguage,
+  saveUiLanguage,
+} from "./utils/i18n";
+import {
+  languageName,
+  loadLanguageSettings,
+  regionOf,
+  saveLanguageSettings,
+} from "./utils/languageDetection";
+
+// Labels, prompts and placeholders are "input.<id>", "input.<id>Prompt"
+// and "input.<id>Placeholder" in the message catalogs
+const INPUT_MODES = ["text", "ssml", "script"];
+
+// Prefer a Hindi, then an English voice of the browser
+const pickDefaultVoice = (voices) => {
+  const browser = voices.filter((voice) => voice.engine === "webspeech");
+  const pool = browser.length ? browser : voices;
+  const inLanguage = (language) =>
+    pool.find((voice) => parseLanguageTag(voice.lang).language === language);
+  return inLanguage("hi") || inLanguage("en") || pool[0] || null;
+};
 
 const App = () => {
-  const [text, setText] = useState("");
+  // Settings start from the last used preset, if any
+  const [presets, setPresets] = useState(loadPresets);
+  const [activePresetId, setActivePresetId] = useState(loadActivePresetId);
+  const [presetNotice, setPresetNotice] = useState(null);
+  const activePreset =
+    presets.find((preset) => preset.id === activePresetId) || null;
+  // Text shared from another app arrives in the query string
+  const [sharedText] = useState(() => readSharedText(window.location.search));
+  const [hasShared, setHasShared] = useState(sharedText !== null);
+  // Links made with "Copy share link" carry the text and settings in the hash
+  const [linkPayload, setLinkPayload] = useState(() =>
+    readShareHash(window.location.hash)
+  );
+  const [linkVoice, setLinkVoice] = useState(null);
+  const [linkError, setLinkError] = useState("");
+  const [shareLink, setShareLink] = useState(null);
+  const [shareAutoplay, setShareAutoplay] = useState(false);
+  const [text, setText] = useState(sharedText || "");
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [selectedVoice, setSelectedVoice] = useState(null);
+  const [uiLanguageMode, setUiLanguageMode] = useState(loadUiLanguage);
+  const uiLanguage = resolveUiLanguage(
+    uiLanguageMode,
+    navigator.languages || [navigator.language],
+    selectedVoice?.lang
+  );
+  const t = useMemo(() => createTranslator(uiLanguage), [uiLanguage]);
+  // Text of a { key, params } message from the utils, which give languages
+  // as codes
+  const messageText = ({ key, params }) =>
+    t(
+      key,
+      params.language
+        ? { ...params, language: languageName(params.language, uiLanguage) }
+        : params
+    );
   const [voices, setVoices] = useState([]);
-  const [rate, setRate] = useState(1);
-  const [pitch, setPitch] = useState(1);
-  const [volume, setVolume] = useState(1);
+  const [rate, setRate] = useState(() =>
+    activePreset ? activePreset.rate : 1
+  );
+  const [pitch, setPitch] = useState(() =>
+    activePreset ? activePreset.pitch : 1
+  );
+  const [volume, setVolume] = useState(() =>
+    activePreset ? activePreset.volume : 1
+  );
   const [isPaused, setIsPaused] = useState(false);
-  const [languageFilter, setLanguageFilter] = useState("hi");
+  const [languageFilter, setLanguageFilter] = useState(() =>
+    activePreset ? activePreset.languageFilter : "hi"
+  );
   const [audioUrl, setAudioUrl] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [recordingError, setRecordingError] = useState("");
+  const [captureSource, setCaptureSource] = useState(loadCaptureSource);
+  const [captureLevel, setCaptureLevel] = useState({ level: 0, silent: false });
+  const [recordingType, setRecordingType] = useState("");
+  const [segments, setSegments] = useState([]);
+  const [currentSegment, setCurrentSegment] = useState(-1);
+  const [currentWord, setCurrentWord] = useState(null);
+  const [inputMode, setInputMode] = useState("text");
+  const [isOffline, setIsOffline] = useState(() => !navigator.onLine);
+  const [installPrompt, setInstallPrompt] = useState(null);
+  const [updateRegistration, setUpdateRegistration] = useState(null);
+  const [speakerMapping, setSpeakerMapping] = useState({});
+  const [audioInfo, setAudioInfo] = useState({});
+  const [exportSource, setExportSource] = useState(null);
+  const [processing, setProcessing] = useState(() =>
+    activePreset ? activePreset.processing : DEFAULT_PROCESSING
+  );
+  const [isPostProcessing, setIsPostProcessing] = useState(false);
+  const [processingError, setProcessingError] = useState("");
+  const [timings, setTimings] = useState(null);
+  const [audioTimeMap, setAudioTimeMap] = useState(null);
+  const [clips, setClips] = useState([]);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [currentClipId, setCurrentClipId] = useState(null);
+  const [libraryError, setLibraryError] = useState("");
+  const [importedDocument, setImportedDocument] = useState(null);
+  const [selectedChapters, setSelectedChapters] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [lexicon, setLexicon] = useState(loadLexicon);
+  const [normalizeEnabled, setNormalizeEnabled] = useState(true);
+  const [showSpokenText, setShowSpokenText] = useState(false);
+  const [languageSettings, setLanguageSettings] =
+    useState(loadLanguageSettings);
+  const [engineSettings, setEngineSettings] = useState(loadEngineSettings);
+  const [engineErrors, setEngineErrors] = useState({});
+  const [voiceRatings, setVoiceRatings] = useState(loadVoiceRatings);
+  const [voiceSort, setVoiceSort] = useState("default");
+  const [voiceFilters, setVoiceFilters] = useState(EMPTY_FILTERS);
+  const [favoriteVoices, setFavoriteVoices] = useState(loadFavorites);
+  const [auditionKeys, setAuditionKeys] = useState([]);
+  const [auditionPlaying, setAuditionPlaying] = useState(null);
+  const [readingPositions, setReadingPositions] =
+    useState(loadReadingPositions);
+  const [readingSession, setReadingSession] = useState(loadReadingSession);
+  const [caretOffset, setCaretOffset] = useState(0);
   const synthRef = useRef(window.speechSynthesis);
   const audioRef = useRef(null);
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const streamRef = useRef(null);
-  const utteranceRef = useRef(null);
-
-  // Available languages for filtering
-  const availableLanguages = [
-    { code: "hi", name: "Hindi" },
-    { code: "all", name: "All Languages" },
-    { code: "en", name: "English" },
-    { code: "es", name: "Spanish" },
-    { code: "fr", name: "French" },
-    { code: "de", name: "German" },
-    { code: "it", name: "Italian" },
-    { code: "ja", name: "Japanese" },
-    { code: "ko", name: "Korean" },
-    { code: "zh", name: "Chinese" },
-    { code: "ar", name: "Arabic" },
-    { code: "ru", name: "Russian" },
-    { code: "pt", name: "Portuguese" },
-  ];
-
-  // Load available voices
+  const meterRef = useRef(null);
+  const scriptInputRef = useRef(null);
+  const documentInputRef = useRef(null);
+  const textInputRef = useRef(null);
+  const rawAudioRef = useRef(null);
+  const timingRecorderRef = useRef(null);
+  // What the current generation spoke, saved with its clip in the library
+  const generationRef = useRef(null);
+  const playOnLoadRef = useRef(false);
+  // Voices load asynchronously; the loader picks the active preset's voice
+  const activePresetRef = useRef(activePreset);
+  activePresetRef.current = activePreset;
+  // The recorder's onstop handler outlives the render that created it
+  const processingRef = useRef(processing);
+  processingRef.current = processing;
+  const enginesRef = useRef(null);
+  const queueRef = useRef(null);
+  // The active preset's voice is only applied to the first full voice list
+  const voiceChosenRef = useRef(false);
+  const boundarySupportRef = useRef(false);
+  const segmentClockRef = useRef({ startedAt: 0, pausedAt: 0 });
+  // The text being read ({ hash, offset }), down to the word when the voice
+  // reports boundaries
+  const readingRef = useRef(null);
+
+  if (!enginesRef.current) {
+    enginesRef.current = createEngines(synthRef.current, engineSettings);
+    queueRef.current = createSpeechQueue(
+      (item) => enginesRef.current[engineOf(item.voice)]
+    );
+  }
+
+  // Load the voices of all enabled engines, again whenever the engine
+  // settings change
   useEffect(() => {
-    const loadVoices = () => {
-      const availableVoices = synthRef.current.getVoices();
-      const sortedVoices = availableVoices.sort((a, b) => {
-        if (a.lang === b.lang) {
-          return a.name.localeCompare(b.name);
+    let cancelled = false;
+    const engines = enginesRef.current;
+    engines.http.configure(engineSettings.http);
+
+    const loadVoices = async () => {
+      const { voices: listed, errors } = await listVoices(
+        engines,
+        engineSettings
+      );
+      if (cancelled) return;
+      setVoices(listed);
+      setEngineErrors(errors);
+      if (!listed.length) return;
+
+      if (!voiceChosenRef.current) {
+        // Browser voices often arrive after the others; choose again then
+        voiceChosenRef.current = listed.some(
+          (voice) => voice.engine === "webspeech"
+        );
+        const preset = activePresetRef.current;
+        if (preset) {
+          const resolved = resolvePresetVoice(preset, listed);
+          setPresetNotice(presetVoiceNotice(preset, resolved));
+          if (resolved.voice) {
+            setSelectedVoice(resolved.voice);
+            return;
+          }
         }
-        return a.lang.localeCompare(b.lang);
-      });
-
-      setVoices(sortedVoices);
-
-      // Set default voice
-      const defaultVoice =
-        sortedVoices.find((voice) => voice.lang.includes("hi")) ||
-        sortedVoices.find((voice) => voice.lang.includes("en")) ||
-        sortedVoices[0];
-
-      if (defaultVoice) {
-        setSelectedVoice(defaultVoice);
+        setSelectedVoice(pickDefaultVoice(listed));
+        return;
       }
-    };
 
-    if (synthRef.current.onvoiceschanged !== undefined) {
-      synthRef.current.onvoiceschanged = loadVoices;
-    }
+      // Keep the selection on the new voice records, or pick a default if
+      // its engine was turned off
+      setSelectedVoice(
+        (current) =>
+          (current &&
+            listed.find(
+              (voice) =>
+                voice.name === current.name && voice.engine === current.engine
+            )) ||
+          pickDefaultVoice(listed)
+      );
+    };
 
+    engines.webspeech.onVoicesChanged(loadVoices);
     loadVoices();
 
     return () => {
+      cancelled = true;
+    };
+  }, [engineSettings]);
+
+  useEffect(() => {
+    return () => {
+      queueRef.current.stop();
       if (synthRef.current.speaking) {
         synthRef.current.cancel();
       }
@@ -80,11 +375,73 @@ const App = () => {
       if (streamRef.current) {
         streamRef.current.getTracks().forEach((track) => track.stop());
       }
+      if (meterRef.current) meterRef.current.stop();
     };
   }, []);
 
-  // Improved audio recording setup
-  const setupAudioRecording = async () => {
+  // A capture kept open for the previous source is closed when it changes
+  useEffect(() => {
+    saveCaptureSource(captureSource);
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    }
+  }, [captureSource]);
+
+  const captureSupport = useMemo(
+    () =>
+      Object.fromEntries(
+        CAPTURE_SOURCES.map((source) => [
+          source.id,
+          isCaptureSupported(source.id, navigator.mediaDevices),
+        ])
+      ),
+    []
+  );
+
+  // Load the clip library
+  useEffect(() => {
+    loadLibrary()
+      .then(({ clips, estimate }) => {
+        setClips(clips);
+        setStorageEstimate(estimate);
+      })
+      .catch((error) =>
+        console.error("Could not open the clip library:", error)
+      );
+  }, []);
+
+  // Estimate the current word from elapsed time for voices that don't emit
+  // boundary events
+  useEffect(() => {
+    if (!isSpeaking || isPaused || currentSegment < 0) return undefined;
+
+    // Only chunks that map 1:1 onto the input can be highlighted by word
+    const chunk = segments[currentSegment];
+    if (!chunk || chunk.offset === null) return undefined;
+
+    const timer = setInterval(() => {
+      if (boundarySupportRef.current) return;
+
+      const elapsed = Date.now() - segmentClockRef.current.startedAt;
+      const word = estimateWordAt(chunk.text, elapsed, chunk.rate ?? rate);
+      if (word) {
+        setCurrentWord({
+          start: chunk.offset + word.start,
+          end: chunk.offset + word.end,
+        });
+      }
+    }, 150);
+
+    return () => clearInterval(timer);
+  }, [isSpeaking, isPaused, currentSegment, segments, rate]);
+
+  // Record browser voices from the chosen capture source while they play.
+  // A tab or system capture stays open between generations so the browser
+  // asks only once; the microphone is released after each recording. A
+  // capture that stayed silent is replaced by the offline synthesizer's
+  // rendering of `parts`.
+  const setupAudioRecording = async (parts) => {
     try {
       setRecordingError("");
 
@@ -96,155 +453,88 @@ const App = () => {
 
       audioChunksRef.current = [];
 
-      // Check browser support
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        throw new Error("Browser doesn't support audio recording");
+      if (!isCaptureSupported(captureSource, navigator.mediaDevices)) {
+        throw new Error(t("recording.unsupported"));
       }
-
-      // Get microphone access with system audio (loopback) - this is tricky in browsers
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,
-          noiseSuppression: false,
-          autoGainControl: false,
-          sampleRate: 44100,
-          channelCount: 1,
-        },
-      });
-
-      streamRef.current = stream;
-
-      // Create MediaRecorder
-      const options = { mimeType: "audio/webm" };
-      mediaRecorderRef.current = new MediaRecorder(stream, options);
-
-      mediaRecorderRef.current.ondataavailable = (event) => {
+      if (!isStreamLive(streamRef.current)) {
+        streamRef.current = await openCaptureStream(
+          captureSource,
+          navigator.mediaDevices
+        );
+      }
+      const stream = streamRef.current;
+
+      const mimeType = pickRecordingType(MediaRecorder.isTypeSupported);
+      const recorder = new MediaRecorder(
+        stream,
+        mimeType ? { mimeType } : undefined
+      );
+      mediaRecorderRef.current = recorder;
+      setRecordingType(recorder.mimeType || mimeType);
+
+      if (meterRef.current) meterRef.current.stop();
+      const meter = createLevelMeter(stream, (level, silent) =>
+        setCaptureLevel({ level, silent })
+      );
+      meterRef.current = meter;
+
+      recorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           audioChunksRef.current.push(event.data);
         }
       };
 
-      mediaRecorderRef.current.onstop = () => {
-        const audioBlob = new Blob(audioChunksRef.current, {
-          type: "audio/webm",
-        });
-        const url = URL.createObjectURL(audioBlob);
-        setAudioUrl(url);
+      recorder.onstop = () => {
+        meter.stop();
         setIsRecording(false);
+        setCaptureLevel({ level: 0, silent: false });
 
-        // Clean up stream
-        if (streamRef.current) {
+        if (captureSource === "microphone" && streamRef.current) {
           streamRef.current.getTracks().forEach((track) => track.stop());
+          streamRef.current = null;
+        }
+
+        if (!meter.heardSound) {
+          setRecordingError(t("recording.silent"));
+          renderAudio(parts);
+          return;
         }
+        const audioBlob = new Blob(audioChunksRef.current, {
+          type: recorder.mimeType || mimeType || "audio/webm",
+        });
+        publishAudio(audioBlob);
       };
 
       return true;
     } catch (error) {
       console.error("Recording setup failed:", error);
-      setRecordingError("Audio recording not available. Using fallback audio.");
+      setRecordingError(t("recording.failed", { message: t.error(error) }));
       return false;
     }
   };
 
-  // Generate high-quality simulated audio
-  const generateHighQualityAudio = (text) => {
-    return new Promise((resolve) => {
-      try {
-        const sampleRate = 22050;
-        const duration = Math.max(2, Math.min(text.length * 0.15, 30)); // Based on text length
-        const numSamples = Math.floor(sampleRate * duration);
-
-        const buffer = new ArrayBuffer(44 + numSamples * 2);
-        const view = new DataView(buffer);
-
-        // WAV header
-        const writeString = (offset, string) => {
-          for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-          }
-        };
-
-        writeString(0, "RIFF");
-        view.setUint32(4, 36 + numSamples * 2, true);
-        writeString(8, "WAVE");
-        writeString(12, "fmt ");
-        view.setUint32(16, 16, true);
-        view.setUint16(20, 1, true);
-        view.setUint16(22, 1, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * 2, true);
-        view.setUint16(32, 2, true);
-        view.setUint16(34, 16, true);
-        writeString(36, "data");
-        view.setUint32(40, numSamples * 2, true);
-
-        // Generate speech-like audio with variations
-        let offset = 44;
-        const words = text.split(" ");
-        const wordDuration = duration / words.length;
-
-        for (let i = 0; i < numSamples; i++) {
-          const time = i / sampleRate;
-          const wordIndex = Math.floor(time / wordDuration);
-          const wordTime = time % wordDuration;
-
-          // Create speech-like waveform with variations
-          let sample = 0;
-
-          // Base frequency varies like speech
-          const baseFreq = 120 + (wordIndex % 5) * 40;
-
-          // Formants for vowel-like sounds
-          const formant1 = Math.sin(2 * Math.PI * baseFreq * time);
-          const formant2 =
-            Math.sin(2 * Math.PI * (baseFreq * 2.5) * time) * 0.3;
-          const formant3 =
-            Math.sin(2 * Math.PI * (baseFreq * 3.5) * time) * 0.1;
-
-          // Amplitude envelope for word rhythm
-          const wordProgress = wordTime / wordDuration;
-          const amplitude =
-            Math.sin(wordProgress * Math.PI) *
-            (1 - time / duration) * // Fade out
-            0.4;
-
-          sample = (formant1 + formant2 + formant3) * amplitude * 32767;
-
-          // Add some noise for realism
-          sample += (Math.random() - 0.5) * 1000;
-
-          view.setInt16(
-            offset,
-            Math.max(-32768, Math.min(32767, sample)),
-            true
-          );
-          offset += 2;
-        }
-
-        const blob = new Blob([buffer], { type: "audio/wav" });
-        resolve(blob);
-      } catch (error) {
-        console.error("Error generating audio:", error);
-        // Fallback to simple audio
-        const fallbackBlob = new Blob([new ArrayBuffer(0)], {
-          type: "audio/wav",
-        });
-        resolve(fallbackBlob);
-      }
-    });
-  };
-
-  // Main speak function - COMPLETELY FIXED
-  const speak = async () => {
-    if (text.trim() === "") {
-      alert("Please enter some text to speak.");
+  // Main speak function - plays the text as a queue of sentences. A clip
+  // being regenerated or a text being resumed passes its own text and
+  // settings as `request`; `request.startOffset` starts at the sentence
+  // holding that character.
+  const speak = async (startIndex = 0, request = null) => {
+    const input = request || {
+      text,
+      inputMode,
+      voice: selectedVoice,
+      rate,
+      pitch,
+      volume,
+      speakers: speakerMapping,
+    };
+    if (input.text.trim() === "") {
+      alert(t("speak.emptyText"));
       return;
     }
 
     // Stop any ongoing speech
-    if (synthRef.current.speaking) {
-      synthRef.current.cancel();
-    }
+    queueRef.current.stop();
+    setAuditionPlaying(null);
 
     // Clean up previous audio
     if (audioUrl) {
@@ -252,133 +542,556 @@ const App = () => {
       setAudioUrl(null);
     }
 
+    const plan = buildPlaybackPlan(
+      input.text,
+      input.inputMode,
+      {
+        ...input,
+        autoLanguage: languageSettings.auto,
+        languageVoices: languageSettings.pins,
+        lexicon: compiledLexicon,
+        normalize: normalizeEnabled,
+      },
+      voices
+    );
+    if (plan.errors.length) {
+      alert(t("speak.ssmlErrors"));
+      return;
+    }
+
     setIsProcessing(true);
     setRecordingError("");
 
-    try {
-      // Create utterance first
-      const utterance = new SpeechSynthesisUtterance(text);
-      utteranceRef.current = utterance;
-
-      if (selectedVoice) {
-        utterance.voice = selectedVoice;
-      }
+    // Metadata for exports: the first sentence and the voices used
+    const voiceNames = [
+      ...new Set(plan.items.filter((i) => i.voice).map((i) => i.voice.name)),
+    ];
+    const firstVoice = plan.items.find((i) => i.voice)?.voice;
+    const info = {
+      title: plan.chunks.length ? plan.chunks[0].text.slice(0, 80) : "",
+      voice: voiceNames.join(", "),
+      language: firstVoice ? firstVoice.lang : "",
+    };
+    setAudioInfo(info);
+    generationRef.current = {
+      text: input.text,
+      inputMode: input.inputMode,
+      voiceName: input.voice ? input.voice.name : "",
+      voiceLang: input.voice ? input.voice.lang : "",
+      rate: input.rate,
+      pitch: input.pitch,
+      volume: input.volume,
+      speakers: input.speakers,
+      processing: processingRef.current,
+      info,
+      timings: null,
+    };
 
-      utterance.rate = rate;
-      utterance.pitch = pitch;
-      utterance.volume = volume;
+    const chunks = plan.chunks;
+    const firstIndex =
+      input.startOffset !== undefined
+        ? segmentAt(chunks, input.startOffset)
+        : startIndex;
+    setSegments(chunks);
+    setCurrentSegment(firstIndex);
+    setCurrentWord(null);
+    setTimings(null);
+    boundarySupportRef.current = false;
+
+    const hash = hashText(input.text);
+    readingRef.current = { hash, offset: chunks[firstIndex]?.start || 0 };
+    const session = { text: input.text, inputMode: input.inputMode };
+    saveReadingSession(session);
+    setReadingSession(session);
 
+    try {
+      // Engines that render audio files produce the download themselves;
+      // browser voices can only be recorded while they play
+      const rendersAudio = plan.items.every(
+        (item) =>
+          item.silence !== undefined ||
+          enginesRef.current[engineOf(item.voice)].canSynthesize
+      );
       // Try to setup recording (but don't rely on it)
-      const recordingReady = await setupAudioRecording();
+      const recordingReady =
+        !rendersAudio &&
+        captureSource !== "synthetic" &&
+        (await setupAudioRecording(plan.parts));
 
       let recordingStarted = false;
+      const timingRecorder = createTimingRecorder();
+      timingRecorderRef.current = timingRecorder;
+
+      queueRef.current.play(plan.items, {
+        startIndex: firstIndex,
+        onSegmentStart: (index, item) => {
+          setCurrentSegment(index);
+          setCurrentWord(null);
+          setIsSpeaking(true);
+          segmentClockRef.current = { startedAt: Date.now(), pausedAt: 0 };
+          readingRef.current = { hash, offset: chunks[index].start };
+          setReadingPositions((positions) =>
+            recordPosition(positions, hash, chunks[index].start)
+          );
 
-      utterance.onstart = () => {
-        setIsSpeaking(true);
-        setIsPaused(false);
-
-        // Try to start recording if available
-        if (
-          recordingReady &&
-          mediaRecorderRef.current &&
-          mediaRecorderRef.current.state === "inactive"
-        ) {
-          try {
-            setIsRecording(true);
-            mediaRecorderRef.current.start();
-            recordingStarted = true;
-          } catch (error) {
-            console.error("Failed to start recording:", error);
-            recordingStarted = false;
+          // Try to start recording if available
+          if (
+            recordingReady &&
+            mediaRecorderRef.current &&
+            mediaRecorderRef.current.state === "inactive"
+          ) {
+            try {
+              setIsRecording(true);
+              mediaRecorderRef.current.start();
+              timingRecorder.start();
+              recordingStarted = true;
+            } catch (error) {
+              console.error("Failed to start recording:", error);
+              recordingStarted = false;
+            }
           }
-        }
-      };
 
-      utterance.onend = async () => {
-        setIsSpeaking(false);
-        setIsPaused(false);
-        setIsProcessing(false);
-
-        // Stop recording if it was started
-        if (
-          recordingStarted &&
-          mediaRecorderRef.current &&
-          mediaRecorderRef.current.state === "recording"
-        ) {
-          try {
-            mediaRecorderRef.current.stop();
-          } catch (error) {
-            console.error("Error stopping recording:", error);
-            // Generate fallback audio
-            await generateFallbackAudio();
+          if (item.text) timingRecorder.segmentStart(item.text);
+        },
+        onSegmentEnd: () => {
+          timingRecorder.segmentEnd();
+        },
+        onBoundary: (index, item, event) => {
+          if (event.name && event.name !== "word") return;
+
+          const length =
+            event.charLength || wordLengthAt(item.text, event.charIndex);
+          timingRecorder.boundary(event.charIndex, length);
+          if (item.offset === null) return;
+
+          // Once the voice reports word boundaries, stop estimating
+          boundarySupportRef.current = true;
+          const start = item.offset + event.charIndex;
+          setCurrentWord({ start, end: start + length });
+          readingRef.current = { hash, offset: start };
+        },
+        onError: (event, index) => {
+          // Skip the failing sentence instead of abandoning the whole text
+          console.error(`Speech error in sentence ${index + 1}:`, event);
+        },
+        onEnd: async () => {
+          setIsSpeaking(false);
+          setIsPaused(false);
+          setIsProcessing(false);
+          setCurrentSegment(-1);
+          setCurrentWord(null);
+
+          // Read to the end: nothing to resume
+          readingRef.current = null;
+          setReadingPositions((positions) =>
+            recordPosition(positions, hash, 0)
+          );
+
+          // Stop recording if it was started
+          if (
+            recordingStarted &&
+            mediaRecorderRef.current &&
+            mediaRecorderRef.current.state === "recording"
+          ) {
+            try {
+              const recorded = timingRecorder.finish();
+              setTimings(recorded);
+              generationRef.current.timings = recorded;
+              mediaRecorderRef.current.stop();
+            } catch (error) {
+              console.error("Error stopping recording:", error);
+              // Render the audio instead
+              await renderAudio(plan.parts);
+            }
+          } else {
+            // Always render audio (fallback if recording didn't work)
+            await renderAudio(plan.parts);
           }
-        } else {
-          // Always generate audio (fallback if recording didn't work)
-          await generateFallbackAudio();
-        }
-      };
+        },
+      });
+    } catch (error) {
+      console.error("Speak function error:", error);
+      setIsProcessing(false);
 
-      utterance.onerror = async (event) => {
-        console.error("Speech error:", event);
-        setIsSpeaking(false);
-        setIsPaused(false);
-        setIsProcessing(false);
+      // Render the audio instead
+      await renderAudio(plan.parts);
+    }
+  };
 
-        // Generate fallback audio on error
-        await generateFallbackAudio();
-      };
+  // Render the audio file with the engines of the plan's voices. Browser
+  // voices can't be rendered, so their parts go to the offline synthesizer,
+  // which also stands in when a server fails.
+  const renderAudio = async (parts) => {
+    const engines = enginesRef.current;
+    let rendered;
+    try {
+      rendered = await renderPlanAudio(engines, parts);
+    } catch (error) {
+      console.error("Rendering audio failed:", error);
+      setRecordingError(t("recording.fallback", { message: t.error(error) }));
+      try {
+        rendered = {
+          ...(await engines.offline.synthesize(parts)),
+          fallback: true,
+        };
+      } catch (fallbackError) {
+        console.error("Fallback audio failed:", fallbackError);
+        // Ultimate fallback - empty audio
+        const emptyBlob = new Blob([], { type: "audio/wav" });
+        setAudioUrl(URL.createObjectURL(emptyBlob));
+        return;
+      }
+    }
+
+    const synthesized = timingsFromSynthesis(parts, rendered.words);
+    setTimings(synthesized);
+    const generation = generationRef.current;
+    if (generation) generation.timings = synthesized;
+    if (rendered.fallback) {
+      // The browser voices were not recorded, so don't tag them
+      const offlineLabel = t("engines.offlineSynthesizer");
+      setAudioInfo((info) => ({ ...info, voice: offlineLabel }));
+      if (generation) {
+        generation.info = { ...generation.info, voice: offlineLabel };
+      }
+    }
+    await publishAudio(rendered.blob);
+  };
+
+  // Voice one batch row with the current lexicon, normalization, language
+  // and processing settings. Errors are thrown so that the batch retries.
+  const generateBatchRow = async (row, voice) => {
+    const settings = {
+      voice,
+      rate: row.rate ?? rate,
+      pitch: row.pitch ?? pitch,
+      volume,
+    };
+    const plan = buildPlaybackPlan(
+      row.text,
+      "text",
+      {
+        ...settings,
+        autoLanguage: languageSettings.auto,
+        languageVoices: languageSettings.pins,
+        lexicon: compiledLexicon,
+        normalize: normalizeEnabled,
+      },
+      voices
+    );
+
+    let { blob, fallback } = await renderPlanAudio(
+      enginesRef.current,
+      plan.parts
+    );
+    if (hasProcessing(processingRef.current)) {
+      ({ blob } = await processAudio(blob, processingRef.current));
+    }
+    return {
+      blob,
+      // Browser voices are rendered by the offline synthesizer, as in
+      // renderAudio, so the manifest names it instead
+      voice: fallback
+        ? t("engines.offlineSynthesizer")
+        : voice
+          ? voice.name
+          : "",
+      lang: voice ? voice.lang : "",
+      rate: settings.rate,
+      pitch: settings.pitch,
+    };
+  };
 
-      // Start speech synthesis
-      synthRef.current.speak(utterance);
+  // Run the enabled processing stages on audio before it is played or
+  // downloaded. Falls back to the unprocessed audio if processing fails.
+  // Resolves with the processed blob and the time map that moves caption
+  // timings onto it.
+  const applyProcessing = async (blob) => {
+    const settings = processingRef.current;
+    if (!hasProcessing(settings)) return { blob, timeMap: null };
+
+    setIsPostProcessing(true);
+    setProcessingError("");
+    try {
+      return await processAudio(blob, settings);
     } catch (error) {
-      console.error("Speak function error:", error);
-      setIsProcessing(false);
+      console.error("Audio processing failed:", error);
+      setProcessingError(t("processing.failed", { message: t.error(error) }));
+      return { blob, timeMap: null };
+    } finally {
+      setIsPostProcessing(false);
+    }
+  };
+
+  // Keep the unprocessed audio so it can be processed again with new settings
+  const publishAudio = async (blob) => {
+    rawAudioRef.current = blob;
+    const processed = await applyProcessing(blob);
+    setAudioTimeMap(processed.timeMap);
+    setAudioUrl(URL.createObjectURL(processed.blob));
+    await saveToLibrary(processed);
+  };
+
+  const reprocessAudio = async () => {
+    if (!rawAudioRef.current) return;
+
+    const processed = await applyProcessing(rawAudioRef.current);
+    setAudioTimeMap(processed.timeMap);
+    setAudioUrl((previous) => {
+      if (previous) URL.revokeObjectURL(previous);
+      return URL.createObjectURL(processed.blob);
+    });
 
-      // Generate fallback audio
-      await generateFallbackAudio();
+    await updateCurrentClip(processed.blob, (clip) => ({
+      timeMap: processed.timeMap,
+      settings: { ...clip.settings, processing: processingRef.current },
+    }));
+  };
+
+  // Play audio from the waveform editor. Its captions were moved along with
+  // the edits, so they already match the new audio.
+  const applyEditedAudio = async (blob, editedTimings) => {
+    rawAudioRef.current = null;
+    setAudioTimeMap(null);
+    setTimings(editedTimings);
+    setAudioUrl((previous) => {
+      if (previous) URL.revokeObjectURL(previous);
+      return URL.createObjectURL(blob);
+    });
+
+    await updateCurrentClip(blob, () => ({
+      timeMap: null,
+      timings: editedTimings,
+    }));
+  };
+
+  // Keep the library copy in step with the player. `changes(clip)` gives
+  // the other fields to update.
+  const updateCurrentClip = async (blob, changes) => {
+    const clip = clips.find((c) => c.id === currentClipId);
+    if (!clip) return;
+    try {
+      await storeClip({
+        ...clip,
+        blob,
+        size: blob.size,
+        type: blob.type,
+        duration: await measureDuration(blob),
+        ...changes(clip),
+      });
+    } catch (error) {
+      console.error("Could not update the clip:", error);
+      setLibraryError(t("library.updateFailed", { message: t.error(error) }));
+    }
+  };
+
+  // Reload the clip list and storage estimate after a change
+  const refreshLibrary = async () => {
+    const library = await loadLibrary();
+    setClips(library.clips);
+    setStorageEstimate(library.estimate);
+    return library;
+  };
+
+  // Write a clip, offering to delete the oldest clips when storage is full
+  const storeClip = async (clip) => {
+    try {
+      await putClip(clip);
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+
+      const library = await refreshLibrary();
+      const oldest = planCleanup(
+        library.clips.filter((c) => c.id !== clip.id),
+        library.estimate,
+        clip.size
+      );
+      if (
+        !oldest.length ||
+        !window.confirm(t("library.storageFull", { count: oldest.length }))
+      ) {
+        throw new Error(t("library.noSpace"));
+      }
+      await deleteClips(oldest.map((c) => c.id));
+      await putClip(clip);
+    }
+    setLibraryError("");
+    await refreshLibrary();
+  };
+
+  // Save newly generated audio to the clip library, once per generation
+  const saveToLibrary = async ({ blob, timeMap }) => {
+    const generation = generationRef.current;
+    generationRef.current = null;
+    if (!generation || !blob.size || !isClipLibrarySupported()) return;
+
+    const clip = createClip(blob, generation, {
+      timeMap,
+      duration: await measureDuration(blob),
+    });
+    try {
+      await storeClip(clip);
+      setCurrentClipId(clip.id);
+    } catch (error) {
+      console.error("Could not save the clip:", error);
+      setLibraryError(t("library.saveFailed", { message: t.error(error) }));
+    }
+  };
+
+  // Load a saved clip into the player. Only the processed audio is stored,
+  // so it can't be processed again.
+  const playClip = (clip) => {
+    rawAudioRef.current = null;
+    playOnLoadRef.current = true;
+    setAudioUrl((previous) => {
+      if (previous) URL.revokeObjectURL(previous);
+      return URL.createObjectURL(clip.blob);
+    });
+    setAudioInfo(clip.info);
+    setTimings(clip.timings);
+    setAudioTimeMap(clip.timeMap);
+    setProcessingError("");
+    setCurrentClipId(clip.id);
+  };
+
+  const renameClip = async (clip, name) => {
+    try {
+      await storeClip({ ...clip, name });
+    } catch (error) {
+      console.error("Could not rename the clip:", error);
+      setLibraryError(t("library.renameFailed", { message: t.error(error) }));
+    }
+  };
+
+  const downloadClip = (clip) => {
+    downloadBlob(
+      clip.blob,
+      `speech-${clip.createdAt}.${extensionForType(clip.type)}`
+    );
+  };
+
+  // Restore a clip's text and settings and speak it again
+  const regenerateClip = (clip) => {
+    const { settings } = clip;
+    // Clips name their voice like presets do, so resolve it the same way
+    const voice = resolvePresetVoice(clip, voices).voice || selectedVoice;
+
+    setText(clip.text);
+    setInputMode(clip.inputMode);
+    setSpeakerMapping(settings.speakers);
+    setRate(settings.rate);
+    setPitch(settings.pitch);
+    setVolume(settings.volume);
+    setProcessing(settings.processing);
+    processingRef.current = settings.processing;
+    if (voice) setSelectedVoice(voice);
+
+    speak(0, {
+      text: clip.text,
+      inputMode: clip.inputMode,
+      voice,
+      rate: settings.rate,
+      pitch: settings.pitch,
+      volume: settings.volume,
+      speakers: settings.speakers,
+    });
+  };
+
+  const removeClip = async (clip) => {
+    const name = clip.name || t("library.untitledClip");
+    if (!window.confirm(t("library.confirmDelete", { name }))) {
+      return;
+    }
+
+    try {
+      await deleteClip(clip.id);
+      if (clip.id === currentClipId) setCurrentClipId(null);
+      await refreshLibrary();
+    } catch (error) {
+      console.error("Could not delete the clip:", error);
+      setLibraryError(t("library.deleteFailed", { message: t.error(error) }));
     }
   };
 
-  // Generate fallback audio (always works)
-  const generateFallbackAudio = async () => {
+  // Delete the oldest clips until storage is back under the warning level
+  const cleanUpLibrary = async () => {
+    const oldest = planCleanup(clips, storageEstimate);
+    if (!oldest.length) return;
+
+    const bytes = oldest.reduce((sum, clip) => sum + clip.size, 0);
+    const message = t("library.confirmCleanup", {
+      count: oldest.length,
+      size: formatBytes(bytes),
+    });
+    if (!window.confirm(message)) {
+      return;
+    }
+
     try {
-      const audioBlob = await generateHighQualityAudio(text);
-      const url = URL.createObjectURL(audioBlob);
-      setAudioUrl(url);
+      await deleteClips(oldest.map((clip) => clip.id));
+      if (oldest.some((clip) => clip.id === currentClipId)) {
+        setCurrentClipId(null);
+      }
+      await refreshLibrary();
     } catch (error) {
-      console.error("Fallback audio failed:", error);
-      // Ultimate fallback - empty audio
-      const emptyBlob = new Blob([], { type: "audio/wav" });
-      setAudioUrl(URL.createObjectURL(emptyBlob));
+      console.error("Clip cleanup failed:", error);
+      setLibraryError(t("library.cleanupFailed", { message: t.error(error) }));
     }
   };
 
   const pause = () => {
-    if (synthRef.current.speaking && !isPaused) {
-      synthRef.current.pause();
+    if (isSpeaking && !isPaused) {
+      queueRef.current.pause();
       setIsPaused(true);
+      segmentClockRef.current.pausedAt = Date.now();
     }
   };
 
   const resume = () => {
-    if (synthRef.current.speaking && isPaused) {
-      synthRef.current.resume();
+    if (isSpeaking && isPaused) {
+      queueRef.current.resume();
       setIsPaused(false);
+
+      // Don't count the paused time when estimating word positions
+      const clock = segmentClockRef.current;
+      if (clock.pausedAt) {
+        clock.startedAt += Date.now() - clock.pausedAt;
+        clock.pausedAt = 0;
+      }
     }
   };
 
+  // Keep the word reading stopped at, to resume from
+  const keepReadingPosition = () => {
+    const reading = readingRef.current;
+    if (!reading) return;
+    readingRef.current = null;
+    setReadingPositions((positions) =>
+      recordPosition(positions, reading.hash, reading.offset)
+    );
+  };
+
   const stop = () => {
-    if (synthRef.current.speaking) {
-      synthRef.current.cancel();
+    if (queueRef.current.isActive() || synthRef.current.speaking) {
+      keepReadingPosition();
+      queueRef.current.stop();
+      setAuditionPlaying(null);
       setIsSpeaking(false);
       setIsPaused(false);
       setIsProcessing(false);
+      setCurrentSegment(-1);
+      setCurrentWord(null);
 
       // Stop recording if active
       if (
         mediaRecorderRef.current &&
         mediaRecorderRef.current.state === "recording"
       ) {
+        if (timingRecorderRef.current) {
+          const recorded = timingRecorderRef.current.finish();
+          setTimings(recorded);
+          if (generationRef.current) generationRef.current.timings = recorded;
+        }
         mediaRecorderRef.current.stop();
       } else {
         setIsRecording(false);
@@ -386,15 +1099,434 @@ const App = () => {
     }
   };
 
-  const handleVoiceChange = (voiceName) => {
-    const selected = voices.find((v) => v.name === voiceName);
-    setSelectedVoice(selected);
+  const skipSegment = (delta) => {
+    queueRef.current.skip(delta);
+    setIsPaused(false);
+  };
+
+  // Clicking a sentence jumps there, or starts playback from it
+  const playFromSegment = (index) => {
+    if (queueRef.current.isActive()) {
+      queueRef.current.jumpTo(index);
+      setIsPaused(false);
+    } else {
+      speak(index);
+    }
+  };
+
+  // Keep presets and the active preset across reloads
+  useEffect(() => {
+    savePresets(presets);
+  }, [presets]);
+
+  useEffect(() => {
+    saveActivePresetId(activePresetId);
+  }, [activePresetId]);
+
+  useEffect(() => {
+    saveLexicon(lexicon);
+  }, [lexicon]);
+
+  useEffect(() => {
+    saveLanguageSettings(languageSettings);
+  }, [languageSettings]);
+
+  useEffect(() => {
+    saveEngineSettings(engineSettings);
+  }, [engineSettings]);
+
+  useEffect(() => {
+    saveVoiceRatings(voiceRatings);
+  }, [voiceRatings]);
+
+  useEffect(() => {
+    saveFavorites(favoriteVoices);
+  }, [favoriteVoices]);
+
+  useEffect(() => {
+    saveUiLanguage(uiLanguageMode);
+  }, [uiLanguageMode]);
+
+  useEffect(() => {
+    saveReadingPositions(readingPositions);
+  }, [readingPositions]);
+
+  // Closing or reloading the tab mid-sentence keeps the exact word; state
+  // updates would not be saved in time, so write storage directly
+  useEffect(() => {
+    const handlePageHide = () => {
+      const reading = readingRef.current;
+      if (!reading) return;
+      saveReadingPositions(
+        recordPosition(loadReadingPositions(), reading.hash, reading.offset)
+      );
+    };
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = uiLanguage;
+  }, [uiLanguage]);
+
+  // Drop the shared text from the address so a reload doesn't bring it back
+  useEffect(() => {
+    if (sharedText !== null) {
+      window.history.replaceState(
+        null,
+        "",
+        withoutShareParams(window.location.href)
+      );
+    }
+  }, [sharedText]);
+
+  // Open a share link: restore its text and settings, and its voice once
+  // the voices have loaded
+  useEffect(() => {
+    if (linkPayload === null) return;
+    let cancelled = false;
+    window.history.replaceState(
+      null,
+      "",
+      withoutShareHash(window.location.href)
+    );
+
+    decodeShareState(linkPayload)
+      .then((shared) => {
+        if (cancelled) return;
+        if (shared.text !== null) {
+          setText(shared.text);
+          setInputMode(shared.inputMode);
+          setHasShared(shared.autoplay && shared.text.trim() !== "");
+        }
+        setRate(shared.rate);
+        setPitch(shared.pitch);
+        setVolume(shared.volume);
+        setLanguageFilter(shared.languageFilter);
+        // The link's settings replace the preset's
+        setActivePresetId("");
+        setLinkVoice({
+          voiceName: shared.voiceName,
+          voiceLang: shared.voiceLang,
+        });
+        setLinkError("");
+      })
+      .catch((error) => {
+        console.error("Share link error:", error);
+        // Only the reasons decodeShareState names are shown
+        if (!cancelled) {
+          setLinkError(error.key ? error.key : "share.error.corrupt");
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [linkPayload]);
+
+  // A share link pasted into the address bar of an open app
+  useEffect(() => {
+    const handleHashChange = () => {
+      const payload = readShareHash(window.location.hash);
+      if (payload !== null) setLinkPayload(payload);
+    };
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  // Browser voices often arrive after the others, so the link's voice is
+  // chosen again until they have
+  useEffect(() => {
+    if (!linkVoice || !voices.length) return;
+    const resolved = resolvePresetVoice(linkVoice, voices);
+    setPresetNotice(presetVoiceNotice(linkVoice, resolved));
+    if (resolved.voice) setSelectedVoice(resolved.voice);
+    if (voices.some((voice) => voice.engine === "webspeech")) {
+      setLinkVoice(null);
+    }
+  }, [linkVoice, voices]);
+
+  // A copied link goes stale as soon as the settings change
+  useEffect(() => {
+    setShareLink(null);
+  }, [
+    text,
+    inputMode,
+    selectedVoice,
+    rate,
+    pitch,
+    volume,
+    languageFilter,
+    shareAutoplay,
+  ]);
+
+  // Offline state, the install offer and updates of the installed app
+  useEffect(() => {
+    const updateOnline = () => setIsOffline(!navigator.onLine);
+    const offerInstall = (e) => {
+      e.preventDefault();
+      setInstallPrompt(e);
+    };
+    const installed = () => setInstallPrompt(null);
+
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+    window.addEventListener("beforeinstallprompt", offerInstall);
+    window.addEventListener("appinstalled", installed);
+    register({ onUpdate: setUpdateRegistration });
+
+    return () => {
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+      window.removeEventListener("beforeinstallprompt", offerInstall);
+      window.removeEventListener("appinstalled", installed);
+    };
+  }, []);
+
+  const installApp = async () => {
+    const prompt = installPrompt;
+    setInstallPrompt(null);
+    prompt.prompt();
+    await prompt.userChoice;
+  };
+
+  const speakShared = () => {
+    setHasShared(false);
+    speak();
+  };
+
+  const copyShareLink = async () => {
+    let link;
+    try {
+      link = await buildShareLink(window.location.href, {
+        text,
+        inputMode,
+        voiceName: selectedVoice ? selectedVoice.name : "",
+        voiceLang: selectedVoice ? selectedVoice.lang : "",
+        rate,
+        pitch,
+        volume,
+        languageFilter,
+        autoplay: shareAutoplay,
+      });
+    } catch (error) {
+      console.error("Could not create the share link:", error);
+      alert(t("share.createFailed", { message: t.error(error) }));
+      return;
+    }
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(link.url);
+      copied = true;
+    } catch (error) {
+      console.error("Could not copy the share link:", error);
+    }
+    setShareLink({ ...link, copied });
+  };
+
+  const pinLanguageVoice = (language, voiceName) => {
+    setLanguageSettings((settings) => {
+      const pins = { ...settings.pins };
+      if (voiceName) pins[language] = voiceName;
+      else delete pins[language];
+      return { ...settings, pins };
+    });
+  };
+
+  const importLexiconFile = async (file) => {
+    try {
+      const imported = importLexicon(await file.text());
+      setLexicon((entries) => mergeLexicon(entries, imported));
+      alert(t("lexicon.imported", { count: imported.length }));
+    } catch (error) {
+      console.error("Lexicon import error:", error);
+      alert(t("lexicon.importFailed", { message: t.error(error) }));
+    }
+  };
+
+  const exportLexiconJsonFile = () => {
+    downloadBlob(
+      new Blob([exportLexiconJson(lexicon)], { type: "application/json" }),
+      "pronunciation-lexicon.json"
+    );
+  };
+
+  // One PLS file per language; regex entries can't be expressed in PLS
+  const exportLexiconPlsFiles = () => {
+    const skipped = lexicon.filter((entry) => entry.type === "regex").length;
+    if (
+      skipped &&
+      !window.confirm(t("lexicon.plsSkipped", { count: skipped }))
+    ) {
+      return;
+    }
+    exportLexiconPls(lexicon).forEach(({ language, contents }) => {
+      downloadBlob(
+        new Blob([contents], { type: "application/pls+xml" }),
+        `pronunciation-lexicon-${language}.pls`
+      );
+    });
+  };
+
+  const applyPreset = (preset) => {
+    setRate(preset.rate);
+    setPitch(preset.pitch);
+    setVolume(preset.volume);
+    setLanguageFilter(preset.languageFilter);
+    setProcessing(preset.processing);
+
+    const resolved = resolvePresetVoice(preset, voices);
+    setPresetNotice(voices.length ? presetVoiceNotice(preset, resolved) : null);
+    if (resolved.voice) setSelectedVoice(resolved.voice);
+  };
+
+  const selectPreset = (id) => {
+    setActivePresetId(id);
+    setPresetNotice(null);
+    const preset = presets.find((p) => p.id === id);
+    if (preset) applyPreset(preset);
+  };
+
+  const currentSettings = () => ({
+    voice: selectedVoice,
+    rate,
+    pitch,
+    volume,
+    languageFilter,
+    processing,
+  });
+
+  const savePresetAs = (name) => {
+    const existing = presets.find(
+      (p) => p.name.toLowerCase() === name.toLowerCase()
+    );
+    if (
+      existing &&
+      !window.confirm(t("presets.confirmReplace", { name: existing.name }))
+    ) {
+      return;
+    }
+
+    const preset = createPreset(name, currentSettings());
+    if (existing) preset.id = existing.id;
+    setPresets((list) => [...list.filter((p) => p !== existing), preset]);
+    setActivePresetId(preset.id);
+    setPresetNotice(null);
+  };
+
+  const updatePreset = () => {
+    if (!activePreset) return;
+
+    const updated = {
+      ...createPreset(activePreset.name, currentSettings()),
+      id: activePreset.id,
+    };
+    setPresets((list) =>
+      list.map((p) => (p.id === activePreset.id ? updated : p))
+    );
+    setPresetNotice(null);
+  };
+
+  const deletePreset = () => {
+    if (!activePreset) return;
+    if (
+      !window.confirm(t("presets.confirmDelete", { name: activePreset.name }))
+    ) {
+      return;
+    }
+
+    setPresets((list) => list.filter((p) => p.id !== activePreset.id));
+    setActivePresetId("");
+    setPresetNotice(null);
+  };
+
+  const exportPresetsFile = () => {
+    downloadBlob(
+      new Blob([exportPresets(presets)], { type: "application/json" }),
+      "voice-presets.json"
+    );
+  };
+
+  const importPresetsFile = async (file) => {
+    try {
+      const imported = importPresets(await file.text());
+      setPresets((list) => mergePresets(list, imported));
+      alert(t("presets.imported", { count: imported.length }));
+    } catch (error) {
+      console.error("Preset import error:", error);
+      alert(t("presets.importFailed", { message: t.error(error) }));
+    }
+  };
+
+  const handleVoiceChange = (voice) => {
+    setSelectedVoice(voice);
+  };
+
+  const toggleAudition = (voice) => {
+    const key = voiceKey(voice);
+    setAuditionKeys((keys) =>
+      keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]
+    );
+  };
+
+  const rateAuditionVoice = (voice, changes) =>
+    setVoiceRatings((ratings) => rateVoice(ratings, voice, changes));
+
+  // Play `sample` (or a sentence in each voice's language) with each voice
+  // in turn, using the current speed, pitch, volume, lexicon and
+  // normalization. Nothing is recorded.
+  const playAudition = (list, sample) => {
+    const items = [];
+    const owners = [];
+    list.forEach((voice, index) => {
+      if (index > 0) {
+        items.push({ silence: 600 });
+        owners.push(null);
+      }
+      const plan = buildPlaybackPlan(
+        sample || sampleSentence(voice),
+        "text",
+        {
+          voice,
+          rate,
+          pitch,
+          volume,
+          lexicon: compiledLexicon,
+          normalize: normalizeEnabled,
+        },
+        voices
+      );
+      plan.items.forEach((item) => {
+        items.push(item);
+        owners.push(voiceKey(voice));
+      });
+    });
+
+    setAuditionPlaying(owners[0]);
+    queueRef.current.play(items, {
+      onSegmentStart: (index) => {
+        if (owners[index]) setAuditionPlaying(owners[index]);
+      },
+      onError: (event, index) => {
+        console.error(`Audition error with ${owners[index]}:`, event);
+      },
+      onEnd: () => setAuditionPlaying(null),
+    });
+  };
+
+  const stopAudition = () => {
+    queueRef.current.stop();
+    setAuditionPlaying(null);
   };
 
   const handleClear = () => {
     setText("");
     stop();
     setRecordingError("");
+    setProcessingError("");
+    setSegments([]);
+    setTimings(null);
+    setCurrentClipId(null);
+    rawAudioRef.current = null;
 
     if (audioUrl) {
       URL.revokeObjectURL(audioUrl);
@@ -402,26 +1534,237 @@ const App = () => {
     }
   };
 
-  const handleLanguageFilterChange = (e) => {
-    setLanguageFilter(e.target.value);
+  const updateSpeaker = (speaker, changes) => {
+    setSpeakerMapping((mapping) => ({
+      ...mapping,
+      [speaker]: { ...mapping[speaker], ...changes },
+    }));
+  };
+
+  const autoAssignSpeakers = () => {
+    // Prefer voices of the filtered language, like the voice grid
+    const pool = filteredVoices.length ? filteredVoices : voices;
+    setSpeakerMapping((mapping) =>
+      assignSpeakerVoices(scriptSpeakers, mapping, pool)
+    );
+  };
+
+  // Save the script together with its speaker-to-voice mapping
+  const saveScript = () => {
+    const blob = new Blob([serializeScript(text, speakerMapping)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, `script-${new Date().getTime()}.json`);
+  };
+
+  const openScript = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const script = deserializeScript(await file.text());
+      stop();
+      setText(script.text);
+      setSpeakerMapping(script.speakers);
+    } catch (error) {
+      console.error("Script open error:", error);
+      alert(t("script.openFailed", { message: t.error(error) }));
+    }
+  };
+
+  // Import a dropped or picked document as plain text with all chapters
+  const importFile = async (file) => {
+    try {
+      const imported = await importDocument(file);
+      if (
+        text.trim() !== "" &&
+        !window.confirm(t("document.confirmReplace", { name: file.name }))
+      ) {
+        return;
+      }
+
+      const all = imported.chapters.map((_, index) => index);
+      stop();
+      setInputMode("text");
+      setImportedDocument(imported);
+      setSelectedChapters(all);
+      setText(composeChapters(imported, all).text);
+    } catch (error) {
+      console.error("Document import error:", error);
+      alert(
+        t("document.importFailed", { name: file.name, message: t.error(error) })
+      );
+    }
+  };
+
+  const openDocument = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) importFile(file);
+  };
+
+  const handleDragOver = (e) => {
+    if (!Array.from(e.dataTransfer.types).includes("Files")) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const file = e.dataTransfer.files[0];
+    if (file && !isProcessing) importFile(file);
+  };
+
+  // Rebuild the text from the chosen chapters, dropping any manual edits
+  const selectChapters = (selection) => {
+    if (!chaptersInSync && !window.confirm(t("chapters.confirmReplace"))) {
+      return;
+    }
+    const sorted = [...selection].sort((a, b) => a - b);
+    setSelectedChapters(sorted);
+    setText(composeChapters(importedDocument, sorted).text);
+  };
+
+  const toggleChapter = (index) => {
+    selectChapters(
+      selectedChapters.includes(index)
+        ? selectedChapters.filter((i) => i !== index)
+        : [...selectedChapters, index]
+    );
+  };
+
+  const jumpToChapter = (index) => {
+    const chapter = composedChapters.chapters.find((c) => c.index === index);
+    const segment = previewPlan.chunks.findIndex(
+      (chunk) => chunk.start >= chapter.start
+    );
+    if (segment >= 0) playFromSegment(segment);
+  };
+
+  const closeDocument = () => {
+    setImportedDocument(null);
+    setSelectedChapters([]);
+  };
+
+  // The language filter is part of presets; the other filters are not
+  const changeVoiceFilters = ({ language, ...others }) => {
+    setLanguageFilter(language);
+    setVoiceFilters(others);
+  };
+
+  const toggleFavorite = (voice) => {
+    const key = voiceKey(voice);
+    setFavoriteVoices((keys) =>
+      keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]
+    );
+  };
+
+  // Start reading a text at a character offset
+  const readFrom = (offset, source = { text, inputMode }) => {
+    speak(0, {
+      ...source,
+      voice: selectedVoice,
+      rate,
+      pitch,
+      volume,
+      speakers: speakerMapping,
+      startOffset: offset,
+    });
+  };
+
+  const resumeReading = (resume) => {
+    if (resume.fromLastSession) {
+      setText(readingSession.text);
+      setInputMode(readingSession.inputMode);
+      readFrom(resume.offset, readingSession);
+    } else {
+      readFrom(resume.offset);
+    }
+  };
+
+  const discardResume = (resume) => {
+    if (resume.fromLastSession) {
+      saveReadingSession(null);
+      setReadingSession(null);
+    } else {
+      setReadingPositions((positions) =>
+        recordPosition(positions, textHash, 0)
+      );
+    }
+  };
+
+  const addTextBookmark = (name, offset) => {
+    setReadingPositions((positions) =>
+      addBookmark(positions, textHash, name || excerptAt(text, offset), offset)
+    );
   };
 
-  const downloadAudio = () => {
+  // While reading, jump there; otherwise put the cursor there
+  const goToOffset = (offset) => {
+    if (queueRef.current.isActive()) {
+      playFromSegment(segmentAt(segments, offset));
+      return;
+    }
+    const input = textInputRef.current;
+    if (!input) return;
+    input.setSelectionRange(offset, offset);
+    // Focusing again scrolls the cursor into view
+    input.blur();
+    input.focus();
+    setCaretOffset(offset);
+  };
+
+  const playBookmark = (bookmark) => {
+    if (queueRef.current.isActive()) goToOffset(bookmark.offset);
+    else readFrom(bookmark.offset);
+  };
+
+  const getAudioBlob = async () => {
+    const response = await fetch(audioUrl);
+    return response.blob();
+  };
+
+  // Download the audio as generated, named after its actual type
+  const downloadAudio = async () => {
     if (!audioUrl) {
-      alert("No audio available to download. Please generate speech first.");
+      alert(t("player.noAudio"));
       return;
     }
 
     try {
-      const link = document.createElement("a");
-      link.href = audioUrl;
-      link.download = `speech-${new Date().getTime()}.wav`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const blob = await getAudioBlob();
+      downloadBlob(
+        blob,
+        `speech-${new Date().getTime()}.${extensionForType(blob.type)}`
+      );
     } catch (error) {
       console.error("Download error:", error);
-      alert("Error downloading audio.");
+      alert(t("player.downloadFailed"));
+    }
+  };
+
+  // Captions for the audio as played, after any trimming or time-stretch
+  const downloadSubtitles = (format) => {
+    if (!timings || !timings.cues.length) return;
+
+    const target = SUBTITLE_FORMATS.find((f) => f.id === format);
+    const mapped = mapTimings(timings, audioTimeMap || undefined);
+    downloadBlob(
+      new Blob([target.format(mapped)], { type: target.type }),
+      `speech-${new Date().getTime()}.${target.id}`
+    );
+  };
+
+  const openExport = async () => {
+    if (!audioUrl) return;
+
+    try {
+      setExportSource(await getAudioBlob());
+    } catch (error) {
+      console.error("Export error:", error);
+      alert(t("player.readFailed"));
     }
   };
 
@@ -429,7 +1772,7 @@ const App = () => {
     if (audioRef.current && audioUrl) {
       audioRef.current.play().catch((error) => {
         console.error("Play error:", error);
-        alert("Error playing audio.");
+        alert(t("player.playFailed"));
       });
     }
   };
@@ -440,211 +1783,749 @@ const App = () => {
     }
   };
 
-  // Filter voices based on selected language
-  const filteredVoices =
-    languageFilter === "all"
-      ? voices
-      : voices.filter((voice) => voice.lang.startsWith(languageFilter));
-
-  // Get voice type color
-  const getVoiceTypeColor = (type) => {
-    const colors = {
-      Google: "#4285f4",
-      Microsoft: "#00a4ef",
-      Apple: "#a2aaad",
-      Female: "#e91e63",
-      Male: "#2196f3",
-      Natural: "#4caf50",
-      Standard: "#ff9800",
-      Hindi: "#FF6B6B",
-      English: "#4ECDC4",
-    };
-    return colors[type] || "#757575";
-  };
+  const compiledLexicon = useMemo(() => compileLexicon(lexicon), [lexicon]);
+  // While playing, list the chunks being spoken; otherwise preview the text
+  const previewPlan = useMemo(
+    () =>
+      buildPlaybackPlan(
+        text,
+        inputMode,
+        {
+          voice: selectedVoice,
+          rate,
+          pitch,
+          volume,
+          speakers: speakerMapping,
+          autoLanguage: languageSettings.auto,
+          languageVoices: languageSettings.pins,
+          lexicon: compiledLexicon,
+          normalize: normalizeEnabled,
+        },
+        voices
+      ),
+    [
+      text,
+      inputMode,
+      selectedVoice,
+      rate,
+      pitch,
+      volume,
+      speakerMapping,
+      languageSettings,
+      compiledLexicon,
+      normalizeEnabled,
+      voices,
+    ]
+  );
+  const listedSegments = isProcessing ? segments : previewPlan.chunks;
+  const voiceCatalog = useMemo(
+    () => voices.map((voice) => describeVoice(voice, uiLanguage)),
+    [voices, uiLanguage]
+  );
+  const lexiconLanguages = [
+    { code: "", name: t("lexicon.allLanguages") },
+    ...languageOptions(
+      voiceCatalog,
+      ["en", "hi", ...lexicon.map((entry) => entry.language)],
+      uiLanguage
+    ),
+  ];
+  const composedChapters = useMemo(
+    () =>
+      importedDocument
+        ? composeChapters(importedDocument, selectedChapters)
+        : { text: "", chapters: [] },
+    [importedDocument, selectedChapters]
+  );
+  // Chapter offsets only hold while the text is the composed selection
+  const chaptersInSync = !!importedDocument && text === composedChapters.text;
+  const scriptSpeakers = useMemo(
+    () => (inputMode === "script" ? parseScript(text).speakers : []),
+    [text, inputMode]
+  );
 
-  // Determine voice type
-  const getVoiceType = (voice) => {
-    const name = voice.name.toLowerCase();
-    const lang = voice.lang.toLowerCase();
+  // Filter voices by language, search and facets; favorites stay on top.
+  // Search also finds the facet options by their translated labels.
+  const catalogFilters = { ...voiceFilters, language: languageFilter };
+  const optionLabel = (facetId, optionId) => t(`facet.${facetId}.${optionId}`);
+  const filteredVoices = filterCatalog(
+    voiceCatalog,
+    catalogFilters,
+    favoriteVoices,
+    optionLabel
+  ).map((entry) => entry.voice);
+  const sortedVoices = pinFavorites(
+    sortVoices(filteredVoices, voiceRatings, voiceSort),
+    favoriteVoices
+  );
+  const facetOptionCounts = Object.fromEntries(
+    FACETS.map((facet) => [
+      facet.id,
+      facetCounts(
+        voiceCatalog,
+        catalogFilters,
+        favoriteVoices,
+        facet.id,
+        optionLabel
+      ),
+    ])
+  );
+  const catalogEntries = new Map(
+    voiceCatalog.map((entry) => [entry.voice, entry])
+  );
+  const catalogEntry = (voice) =>
+    catalogEntries.get(voice) || describeVoice(voice, uiLanguage);
+  // Bookmarks belong to the exact text; the resume offer is for the text in
+  // the editor, or for the last text read when the editor is empty
+  const textHash = useMemo(() => hashText(text), [text]);
+  const sessionHash = useMemo(
+    () => readingSession && hashText(readingSession.text),
+    [readingSession]
+  );
+  const textDocument = documentOf(readingPositions, textHash);
+  const sessionOffset =
+    sessionHash && text.trim() === ""
+      ? documentOf(readingPositions, sessionHash).offset
+      : 0;
+  let resumeOffer = null;
+  if (!isSpeaking && !isProcessing) {
+    if (text.trim() !== "" && textDocument.offset > 0) {
+      resumeOffer = {
+        offset: textDocument.offset,
+        length: text.length,
+        excerpt: excerptAt(text, textDocument.offset),
+        fromLastSession: false,
+      };
+    } else if (sessionOffset > 0) {
+      resumeOffer = {
+        offset: sessionOffset,
+        length: readingSession.text.length,
+        excerpt: excerptAt(readingSession.text, sessionOffset),
+        fromLastSession: true,
+      };
+    }
+  }
+  const bookmarkPosition = isSpeaking
+    ? (currentWord?.start ?? segments[currentSegment]?.start ?? 0)
+    : Math.min(caretOffset, text.length);
 
-    if (lang.includes("hi")) return "Hindi";
-    if (lang.includes("en")) return "English";
-    if (name.includes("google")) return "Google";
-    if (name.includes("microsoft")) return "Microsoft";
-    if (name.includes("apple")) return "Apple";
-    if (name.includes("female")) return "Female";
-    if (name.includes("male")) return "Male";
-    if (name.includes("natural")) return "Natural";
-    return "Standard";
-  };
+  const auditionVoices = auditionKeys
+    .map((key) => voices.find((voice) => voiceKey(voice) === key))
+    .filter(Boolean);
 
   return (
     <div className="app">
       <div className="container">
         <header className="header">
-          <h1>🎤 Text to Speech Converter</h1>
-          <p>Convert your text to speech with multiple voice options</p>
+          <h1>{t("header.title")}</h1>
+          <p>{t("header.subtitle")}</p>
+          <select
+            className="ui-language"
+            value={uiLanguageMode}
+            onChange={(e) => setUiLanguageMode(e.target.value)}
+            aria-label={t("header.uiLanguage")}
+            title={t("header.uiLanguage")}
+          >
+            {UI_LANGUAGE_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {UI_LANGUAGES.find((language) => language.id === mode)?.label ||
+                  t(`uiLanguage.${mode}`)}
+              </option>
+            ))}
+          </select>
         </header>
 
         {/* Important Info */}
         <div className="info-box">
           <div className="info-icon">💡</div>
           <div className="info-content">
-            <strong>Note:</strong> Generated audio will always work with our
-            advanced fallback system. Even if recording fails, you'll get
-            high-quality simulated audio.
+            <strong>{t("info.note")}</strong> {t("info.fallback")}
           </div>
         </div>
 
+        <PwaStatus
+          hasShared={hasShared && !isSpeaking}
+          onSpeakShared={speakShared}
+          onDismissShared={() => setHasShared(false)}
+          isOffline={isOffline}
+          updateReady={updateRegistration !== null}
+          onUpdate={() => applyUpdate(updateRegistration)}
+          canInstall={installPrompt !== null}
+          onInstall={installApp}
+          onDismissInstall={() => setInstallPrompt(null)}
+          disabled={isProcessing || !selectedVoice}
+          t={t}
+        />
+
+        {linkError && (
+          <div className="warning-message">
+            ⚠️ {t("share.unreadable", { message: t(linkError) })}
+          </div>
+        )}
+
         {recordingError && (
           <div className="warning-message">⚠️ {recordingError}</div>
         )}
 
-        <div className="text-area-container">
-          <label htmlFor="text-input" className="label">
-            Enter your text:
-          </label>
-          <textarea
-            id="text-input"
-            className="text-input"
-            value={text}
-            onChange={(e) => setText(e.target.value)}
-            placeholder="Type or paste your text here... Try: 'Hello, how are you?' or 'नमस्ते, आप कैसे हैं?'"
-            rows="6"
+        <div
+          className={`text-area-container ${isDragging ? "drag-over" : ""}`}
+          onDragOver={handleDragOver}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+        >
+          <div className="input-header">
+            <label htmlFor="text-input" className="label">
+              {t(`input.${inputMode}Prompt`)}
+            </label>
+            <div
+              className="input-mode"
+              role="group"
+              aria-label={t("input.mode")}
+            >
+              {INPUT_MODES.map((mode) => (
+                <button
+                  key={mode}
+                  className={`mode-button ${inputMode === mode ? "active" : ""}`}
+                  onClick={() => setInputMode(mode)}
+                  disabled={isProcessing}
+                >
+                  {t(`input.${mode}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className={inputMode === "script" ? "script-layout" : ""}>
+            <div className="script-editor">
+              {isSpeaking ? (
+                <ReadAlong
+                  text={text}
+                  sentence={segments[currentSegment]}
+                  word={currentWord}
+                />
+              ) : (
+                <textarea
+                  ref={textInputRef}
+                  id="text-input"
+                  className="text-input"
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  onSelect={(e) => setCaretOffset(e.target.selectionStart)}
+                  placeholder={t(`input.${inputMode}Placeholder`)}
+                  rows="6"
+                  spellCheck={inputMode !== "ssml"}
+                />
+              )}
+              <div className="input-footer">
+                <div className="import-actions">
+                  <button
+                    className="btn-link"
+                    onClick={() => documentInputRef.current.click()}
+                    disabled={isProcessing}
+                  >
+                    {t("input.importDocument")}
+                  </button>
+                  <span className="import-hint">{t("input.importHint")}</span>
+                  <input
+                    ref={documentInputRef}
+                    type="file"
+                    accept={DOCUMENT_EXTENSIONS.join(",")}
+                    onChange={openDocument}
+                    hidden
+                  />
+                </div>
+                <div className="text-counter">
+                  {t("input.characters", { count: text.length })}
+                </div>
+              </div>
+              {inputMode === "script" && (
+                <div className="script-actions">
+                  <button
+                    className="btn-link"
+                    onClick={saveScript}
+                    disabled={text.trim() === ""}
+                  >
+                    {t("input.saveScript")}
+                  </button>
+                  <button
+                    className="btn-link"
+                    onClick={() => scriptInputRef.current.click()}
+                    disabled={isProcessing}
+                  >
+                    {t("input.openScript")}
+                  </button>
+                  <input
+                    ref={scriptInputRef}
+                    type="file"
+                    accept=".json,.txt,application/json,text/plain"
+                    onChange={openScript}
+                    hidden
+                  />
+                </div>
+              )}
+            </div>
+            {inputMode === "script" && (
+              <SpeakerPanel
+                speakers={scriptSpeakers}
+                mapping={speakerMapping}
+                voices={voices}
+                defaults={{ rate, pitch, volume }}
+                onChange={updateSpeaker}
+                onAutoAssign={autoAssignSpeakers}
+                disabled={isProcessing}
+                t={t}
+              />
+            )}
+          </div>
+          {importedDocument && (
+            <ChapterPanel
+              title={importedDocument.title}
+              chapters={importedDocument.chapters}
+              selected={selectedChapters}
+              canJump={chaptersInSync && inputMode === "text"}
+              onToggle={toggleChapter}
+              onSelectAll={(all) =>
+                selectChapters(
+                  all ? importedDocument.chapters.map((_, index) => index) : []
+                )
+              }
+              onJump={jumpToChapter}
+              onClose={closeDocument}
+              t={t}
+            />
+          )}
+          <BookmarkPanel
+            resume={resumeOffer}
+            onResume={() => resumeReading(resumeOffer)}
+            onDiscardResume={() => discardResume(resumeOffer)}
+            bookmarks={textDocument.bookmarks}
+            position={bookmarkPosition}
+            textLength={text.length}
+            onAdd={(name) => addTextBookmark(name, bookmarkPosition)}
+            onGo={(bookmark) => goToOffset(bookmark.offset)}
+            onPlay={playBookmark}
+            onRename={(bookmark, name) =>
+              setReadingPositions((positions) =>
+                renameBookmark(positions, textHash, bookmark.id, name)
+              )
+            }
+            onRemove={(bookmark) =>
+              setReadingPositions((positions) =>
+                removeBookmark(positions, textHash, bookmark.id)
+              )
+            }
+            showBookmarks={text.trim() !== ""}
+            disabled={isProcessing || !selectedVoice}
+            t={t}
           />
-          <div className="text-counter">{text.length} characters</div>
+          {inputMode === "ssml" && text.trim() !== "" && (
+            <div className="ssml-status">
+              {previewPlan.errors.length > 0 ? (
+                <ul className="ssml-errors">
+                  {previewPlan.errors.map((error) => (
+                    <li key={`${error.line}:${error.column}:${error.key}`}>
+                      {t("ssml.error", {
+                        ...error,
+                        message: t(error.key, error.params),
+                      })}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="ssml-ok">{t("ssml.valid")}</div>
+              )}
+            </div>
+          )}
+          <div className="normalization-options">
+            <label>
+              <input
+                type="checkbox"
+                checked={languageSettings.auto}
+                onChange={(e) =>
+                  setLanguageSettings((settings) => ({
+                    ...settings,
+                    auto: e.target.checked,
+                  }))
+                }
+              />
+              {t("options.autoLanguage")}
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={normalizeEnabled}
+                onChange={(e) => setNormalizeEnabled(e.target.checked)}
+              />
+              {t("options.normalize")}
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={showSpokenText}
+                onChange={(e) => setShowSpokenText(e.target.checked)}
+              />
+              {t("options.preview")}
+            </label>
+          </div>
+          {languageSettings.auto && previewPlan.languages.length > 0 && (
+            <LanguageVoices
+              languages={previewPlan.languages}
+              pins={languageSettings.pins}
+              voices={voices}
+              region={regionOf(selectedVoice?.lang)}
+              onPin={pinLanguageVoice}
+              disabled={isProcessing}
+              t={t}
+            />
+          )}
+          {showSpokenText && text.trim() !== "" && (
+            <div
+              className="spoken-preview"
+              aria-label={t("options.spokenText")}
+            >
+              {/* Items and chunks pair up; pauses have no text */}
+              {previewPlan.items.map(
+                (item, index) =>
+                  item.text && (
+                    <p
+                      key={index}
+                      className={
+                        item.text !== previewPlan.chunks[index].text
+                          ? "changed"
+                          : ""
+                      }
+                    >
+                      {item.speaker && (
+                        <span className="sentence-speaker">{item.speaker}</span>
+                      )}
+                      {item.text}
+                    </p>
+                  )
+              )}
+            </div>
+          )}
+          {previewPlan.warnings.map((warning) => (
+            <div
+              key={`${warning.key}:${JSON.stringify(warning.params)}`}
+              className="ssml-warning"
+            >
+              ⚠️ {messageText(warning)}
+            </div>
+          ))}
         </div>
 
         <div className="action-buttons">
           <button
             className="btn btn-primary btn-large"
-            onClick={speak}
+            onClick={() => speak()}
             disabled={isProcessing}
           >
-            {isProcessing ? "🔄 Processing..." : "🎤 Generate Speech & Audio"}
+            {isProcessing ? t("actions.processing") : t("actions.generate")}
           </button>
 
           {isSpeaking && (
             <div className="playback-controls">
+              <button
+                className="btn btn-secondary"
+                onClick={() => skipSegment(-1)}
+                disabled={currentSegment <= 0}
+                title={t("playback.previous")}
+              >
+                ⏮️
+              </button>
               {isPaused ? (
                 <button className="btn btn-secondary" onClick={resume}>
-                  ▶️ Resume
+                  {t("playback.resume")}
                 </button>
               ) : (
                 <button className="btn btn-secondary" onClick={pause}>
-                  ⏸️ Pause
+                  {t("playback.pause")}
                 </button>
               )}
+              <button
+                className="btn btn-secondary"
+                onClick={() => skipSegment(1)}
+                disabled={currentSegment >= segments.length - 1}
+                title={t("playback.next")}
+              >
+                ⏭️
+              </button>
               <button className="btn btn-danger" onClick={stop}>
-                ⏹️ Stop
+                {t("playback.stop")}
               </button>
             </div>
           )}
 
           <button className="btn btn-clear" onClick={handleClear}>
-            🗑️ Clear All
+            {t("actions.clear")}
           </button>
         </div>
 
+        {isSpeaking && segments.length > 0 && (
+          <div className="playback-progress">
+            <div className="progress-bar">
+              <div
+                className="progress-fill"
+                style={{
+                  width: `${((currentSegment + 1) / segments.length) * 100}%`,
+                }}
+              />
+            </div>
+            <div className="progress-label">
+              {t("playback.progress", {
+                current: currentSegment + 1,
+                total: segments.length,
+              })}
+            </div>
+          </div>
+        )}
+
+        {listedSegments.length > 1 && (
+          <div className="sentence-list">
+            <h3>{t("playback.sentences")}</h3>
+            <ol>
+              {listedSegments.map((segment, index) => (
+                <li
+                  key={segment.start}
+                  className={`sentence-item ${
+                    index === currentSegment ? "current" : ""
+                  }`}
+                  onClick={() => playFromSegment(index)}
+                >
+                  {segment.speaker && (
+                    <span className="sentence-speaker">{segment.speaker}</span>
+                  )}
+                  {segment.language && (
+                    <span className="sentence-language">
+                      {segment.language}
+                    </span>
+                  )}
+                  {segment.text}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         {/* Status Indicators */}
         <div className="status-indicators">
           <div className="status-item">
             <span className="status-dot ready"></span>
-            Ready to generate audio
+            {t("status.ready")}
           </div>
           {isProcessing && (
             <div className="status-item">
               <span className="status-dot processing"></span>
-              Generating high-quality audio...
+              {t("status.generating")}
+            </div>
+          )}
+          {isPostProcessing && (
+            <div className="status-item">
+              <span className="status-dot processing"></span>
+              {t("status.processing")}
             </div>
           )}
           {audioUrl && (
             <div className="status-item">
               <span className="status-dot success"></span>
-              Audio generated successfully!
+              {t("status.done")}
             </div>
           )}
         </div>
 
+        <PresetBar
+          presets={presets}
+          activeId={activePreset ? activePreset.id : ""}
+          notice={presetNotice}
+          onSelect={selectPreset}
+          onSave={savePresetAs}
+          onUpdate={updatePreset}
+          onDelete={deletePreset}
+          onExport={exportPresetsFile}
+          onImport={importPresetsFile}
+          t={t}
+        />
+
+        <ShareLinkBar
+          link={shareLink}
+          maxLength={MAX_LINK_LENGTH}
+          autoplay={shareAutoplay}
+          onAutoplayChange={setShareAutoplay}
+          onCreate={copyShareLink}
+          disabled={!text.trim() && !selectedVoice}
+          t={t}
+        />
+
         <div className="controls-section">
           <div className="voice-selection">
-            <h3>🎵 Voice Selection</h3>
-
-            <div className="filter-controls">
-              <div className="control-group">
-                <label htmlFor="language-filter" className="label">
-                  Filter by Language:
-                </label>
-                <select
-                  id="language-filter"
-                  className="select"
-                  value={languageFilter}
-                  onChange={handleLanguageFilterChange}
-                >
-                  {availableLanguages.map((lang) => (
-                    <option key={lang.code} value={lang.code}>
-                      {lang.name}
-                    </option>
-                  ))}
-                </select>
-              </div>
-
-              <div className="voice-stats">
-                <span className="stat">Total Voices: {voices.length}</span>
-                <span className="stat">Filtered: {filteredVoices.length}</span>
-                {selectedVoice && (
-                  <span className="stat">
-                    Selected: {getVoiceType(selectedVoice)}
-                  </span>
-                )}
-              </div>
+            <h3>{t("voices.title")}</h3>
+
+            <VoiceFilters
+              filters={catalogFilters}
+              onChange={changeVoiceFilters}
+              languages={languageOptions(
+                voiceCatalog,
+                [languageFilter],
+                uiLanguage
+              )}
+              counts={facetOptionCounts}
+              sort={voiceSort}
+              onSortChange={setVoiceSort}
+              favoriteCount={favoriteVoices.length}
+              t={t}
+            />
+
+            <div className="voice-stats">
+              <span className="stat">
+                {t("voices.total", { count: voices.length })}
+              </span>
+              <span className="stat">
+                {t("voices.filtered", { count: filteredVoices.length })}
+              </span>
+              {selectedVoice && (
+                <span className="stat">
+                  {t("voices.selected", {
+                    provider: t(
+                      `facet.provider.${catalogEntry(selectedVoice).provider}`
+                    ),
+                    language:
+                      catalogEntry(selectedVoice).languageName ||
+                      t("voices.unknownLanguage"),
+                  })}
+                </span>
+              )}
             </div>
 
             <div className="voices-grid">
-              {filteredVoices.length > 0 ? (
-                filteredVoices.map((voice) => (
+              {sortedVoices.length > 0 ? (
+                sortedVoices.map((voice) => (
                   <div
-                    key={voice.name}
+                    key={`${voice.engine}:${voice.name}`}
                     className={`voice-card ${
-                      selectedVoice?.name === voice.name ? "selected" : ""
+                      selectedVoice?.name === voice.name &&
+                      selectedVoice?.engine === voice.engine
+                        ? "selected"
+                        : ""
                     }`}
-                    onClick={() => handleVoiceChange(voice.name)}
+                    onClick={() => handleVoiceChange(voice)}
                   >
                     <div className="voice-header">
                       <span className="voice-name">{voice.name}</span>
                       <span
                         className="voice-type"
                         style={{
-                          backgroundColor: getVoiceTypeColor(
-                            getVoiceType(voice)
-                          ),
+                          backgroundColor: providerOf(
+                            catalogEntry(voice).provider
+                          ).color,
                         }}
                       >
-                        {getVoiceType(voice)}
+                        {t(`facet.provider.${catalogEntry(voice).provider}`)}
                       </span>
+                      <button
+                        className={`favorite-toggle ${
+                          favoriteVoices.includes(voiceKey(voice))
+                            ? "active"
+                            : ""
+                        }`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          toggleFavorite(voice);
+                        }}
+                        aria-pressed={favoriteVoices.includes(voiceKey(voice))}
+                        title={t("voices.pin")}
+                      >
+                        📌
+                      </button>
                     </div>
                     <div className="voice-details">
-                      <span className="voice-lang">{voice.lang}</span>
+                      <span
+                        className="voice-lang"
+                        title={[
+                          catalogEntry(voice).languageName ||
+                            t("voices.unknownLanguage"),
+                          catalogEntry(voice).regionName,
+                        ]
+                          .filter(Boolean)
+                          .join(", ")}
+                      >
+                        {voice.lang}
+                      </span>
+                      {catalogEntry(voice).gender !== "unknown" && (
+                        <span className="facet-badge">
+                          {t(`facet.gender.${catalogEntry(voice).gender}`)}
+                        </span>
+                      )}
+                      <span className="facet-badge">
+                        {t(`facet.quality.${catalogEntry(voice).quality}`)}
+                      </span>
+                      <span className={`voice-source ${voice.engine}`}>
+                        {t(`engine.${engineOf(voice)}`)}
+                      </span>
                       {voice.localService && (
-                        <span className="local-badge">Local</span>
+                        <span className="local-badge">{t("voices.local")}</span>
                       )}
+                      {isOffline && !voice.localService && (
+                        <span className="network-badge">
+                          {t("voices.needsNetwork")}
+                        </span>
+                      )}
+                      {ratingOf(voiceRatings, voice).stars > 0 && (
+                        <span
+                          className="rating-badge"
+                          title={ratingOf(voiceRatings, voice).notes}
+                        >
+                          ★ {ratingOf(voiceRatings, voice).stars}
+                        </span>
+                      )}
+                      <label
+                        className="audition-toggle"
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={auditionKeys.includes(voiceKey(voice))}
+                          onChange={() => toggleAudition(voice)}
+                        />
+                        {t("voices.audition")}
+                      </label>
                     </div>
                   </div>
                 ))
               ) : (
-                <div className="no-voices">
-                  No voices available for the selected language.
-                </div>
+                <div className="no-voices">{t("voices.none")}</div>
               )}
             </div>
+
+            <VoiceAudition
+              voices={auditionVoices}
+              ratings={voiceRatings}
+              onRate={rateAuditionVoice}
+              playingKey={auditionPlaying}
+              onPlay={playAudition}
+              onStop={stopAudition}
+              onUse={handleVoiceChange}
+              onRemove={toggleAudition}
+              onClear={() => setAuditionKeys([])}
+              userText={inputMode === "text" ? text : ""}
+              disabled={isSpeaking || isProcessing}
+              t={t}
+            />
+
+            <EngineSettings
+              settings={engineSettings}
+              voices={voices}
+              errors={engineErrors}
+              onChange={setEngineSettings}
+              disabled={isProcessing}
+              t={t}
+            />
           </div>
 
           <div className="speech-controls">
-            <h3>⚙️ Speech Settings</h3>
+            <h3>{t("settings.title")}</h3>
 
             <div className="control-group">
               <label htmlFor="rate-slider" className="label">
-                Speed: {rate}x
+                {t("settings.speed", { rate })}
               </label>
               <input
                 id="rate-slider"
@@ -657,15 +2538,15 @@ const App = () => {
                 className="slider"
               />
               <div className="slider-labels">
-                <span>Slow</span>
-                <span>Normal</span>
-                <span>Fast</span>
+                <span>{t("settings.slow")}</span>
+                <span>{t("settings.normal")}</span>
+                <span>{t("settings.fast")}</span>
               </div>
             </div>
 
             <div className="control-group">
               <label htmlFor="pitch-slider" className="label">
-                Pitch: {pitch}
+                {t("settings.pitch", { pitch })}
               </label>
               <input
                 id="pitch-slider"
@@ -678,15 +2559,17 @@ const App = () => {
                 className="slider"
               />
               <div className="slider-labels">
-                <span>Low</span>
-                <span>Normal</span>
-                <span>High</span>
+                <span>{t("settings.low")}</span>
+                <span>{t("settings.normal")}</span>
+                <span>{t("settings.high")}</span>
               </div>
             </div>
 
             <div className="control-group">
               <label htmlFor="volume-slider" className="label">
-                Volume: {Math.round(volume * 100)}%
+                {t("settings.volume", {
+                  volume: t.number(volume, { style: "percent" }),
+                })}
               </label>
               <input
                 id="volume-slider"
@@ -699,24 +2582,59 @@ const App = () => {
                 className="slider"
               />
               <div className="slider-labels">
-                <span>Mute</span>
-                <span>Normal</span>
-                <span>Max</span>
+                <span>{t("settings.mute")}</span>
+                <span>{t("settings.normal")}</span>
+                <span>{t("settings.max")}</span>
               </div>
             </div>
+
+            <CaptureSettings
+              source={captureSource}
+              supported={captureSupport}
+              onChange={setCaptureSource}
+              isRecording={isRecording}
+              level={captureLevel.level}
+              silent={captureLevel.silent}
+              mimeType={recordingType}
+              disabled={isSpeaking}
+              t={t}
+            />
+
+            <ProcessingSettings
+              settings={processing}
+              onChange={setProcessing}
+              t={t}
+            />
           </div>
         </div>
 
+        <LexiconEditor
+          entries={lexicon}
+          languages={lexiconLanguages}
+          onChange={setLexicon}
+          onImport={importLexiconFile}
+          onExportJson={exportLexiconJsonFile}
+          onExportPls={exportLexiconPlsFiles}
+          t={t}
+        />
+
+        <BatchPanel
+          voices={voices}
+          defaultVoice={selectedVoice}
+          onGenerate={generateBatchRow}
+          t={t}
+        />
+
         {/* Audio Player Section */}
         {audioUrl && (
           <div className="audio-player-section">
-            <h3>🎵 Generated Audio</h3>
+            <h3>{t("player.title")}</h3>
             <div className="audio-info">
-              <p>
-                ✅ Audio successfully generated! You can play or download it
-                below.
-              </p>
+              <p>{t("player.success")}</p>
             </div>
+            {processingError && (
+              <div className="warning-message">⚠️ {processingError}</div>
+            )}
             <div className="audio-player">
               <audio
                 ref={audioRef}
@@ -724,21 +2642,91 @@ const App = () => {
                 controls
                 className="audio-element"
                 onError={(e) => console.error("Audio error:", e)}
+                onCanPlay={() => {
+                  if (!playOnLoadRef.current) return;
+                  playOnLoadRef.current = false;
+                  playAudio();
+                }}
               />
               <div className="audio-controls">
                 <button className="btn btn-success" onClick={playAudio}>
-                  ▶️ Play
+                  {t("player.play")}
                 </button>
                 <button className="btn btn-secondary" onClick={pauseAudio}>
-                  ⏸️ Pause
+                  {t("player.pause")}
                 </button>
                 <button className="btn btn-download" onClick={downloadAudio}>
-                  💾 Download Audio
+                  {t("player.download")}
+                </button>
+                <button className="btn btn-secondary" onClick={openExport}>
+                  {t("player.export")}
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={reprocessAudio}
+                  disabled={isPostProcessing || !rawAudioRef.current}
+                  title={
+                    rawAudioRef.current
+                      ? t("player.reprocessHint")
+                      : t("player.reprocessUnavailable")
+                  }
+                >
+                  {t("player.reprocess")}
                 </button>
               </div>
+              <WaveformEditor
+                audioUrl={audioUrl}
+                audioRef={audioRef}
+                timings={
+                  timings && mapTimings(timings, audioTimeMap || undefined)
+                }
+                onEdit={applyEditedAudio}
+                disabled={isProcessing || isPostProcessing}
+                t={t}
+              />
+              {timings && timings.cues.length > 0 && (
+                <div className="subtitle-downloads">
+                  <span>{t("player.captions")}</span>
+                  {SUBTITLE_FORMATS.map((format) => (
+                    <button
+                      key={format.id}
+                      className="btn-link"
+                      onClick={() => downloadSubtitles(format.id)}
+                    >
+                      {format.label}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         )}
+
+        {isClipLibrarySupported() && (
+          <ClipLibrary
+            clips={clips}
+            estimate={storageEstimate}
+            currentId={currentClipId}
+            error={libraryError}
+            onPlay={playClip}
+            onRename={renameClip}
+            onDownload={downloadClip}
+            onRegenerate={regenerateClip}
+            onDelete={removeClip}
+            onCleanup={cleanUpLibrary}
+            disabled={isProcessing}
+            t={t}
+          />
+        )}
+
+        {exportSource && (
+          <ExportDialog
+            source={exportSource}
+            info={audioInfo}
+            onClose={() => setExportSource(null)}
+            t={t}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,288 @@
+// BatchPanel.js
+import React, { useRef, useState } from "react";
+import {
+  BATCH_EXTENSIONS,
+  createBatchZip,
+  parseBatch,
+  resolveRowVoice,
+  runBatch,
+} from "../utils/batch";
+import { downloadBlob } from "../utils/download";
+import { formatBytes } from "../utils/clipLibrary";
+
+// Voices a CSV or JSON list of prompts and downloads the results as a ZIP.
+// Rows run one at a time through onGenerate(row, voice); failed rows are
+// retried automatically and can be retried again by hand.
+const BatchPanel = ({ voices, defaultVoice, onGenerate, t }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [source, setSource] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [results, setResults] = useState({});
+  const [isRunning, setIsRunning] = useState(false);
+  const [isZipping, setIsZipping] = useState(false);
+  const controllerRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const counts = rows.reduce(
+    (total, row) => {
+      const status = (results[row.id] || {}).status || "pending";
+      return { ...total, [status]: total[status] + 1 };
+    },
+    { pending: 0, running: 0, done: 0, failed: 0 }
+  );
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const parsed = parseBatch(await file.text(), file.name);
+      setSource(file.name);
+      setRows(parsed.rows);
+      setErrors(parsed.errors);
+      setResults({});
+    } catch (error) {
+      console.error("Batch import error:", error);
+      alert(
+        t("batch.importFailed", { name: file.name, message: t.error(error) })
+      );
+    }
+  };
+
+  const run = async (selected) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsRunning(true);
+    setResults((current) => {
+      const next = { ...current };
+      selected.forEach((row) => delete next[row.id]);
+      return next;
+    });
+
+    await runBatch(
+      selected,
+      (row) =>
+        onGenerate(row, resolveRowVoice(row, voices, defaultVoice).voice),
+      {
+        signal: controller.signal,
+        onUpdate: (id, state) =>
+          setResults((current) => ({ ...current, [id]: state })),
+      }
+    );
+
+    controllerRef.current = null;
+    setIsRunning(false);
+  };
+
+  const downloadZip = async () => {
+    setIsZipping(true);
+    try {
+      const zip = await createBatchZip(rows, results);
+      const name = (source || "batch").replace(/\.[^.]+$/, "");
+      downloadBlob(zip, `${name}-audio.zip`);
+    } catch (error) {
+      console.error("Batch ZIP error:", error);
+      alert(t("batch.zipFailed", { message: t.error(error) }));
+    } finally {
+      setIsZipping(false);
+    }
+  };
+
+  const failedRows = rows.filter(
+    (row) => (results[row.id] || {}).status === "failed"
+  );
+  const pendingRows = rows.filter((row) => !results[row.id]);
+  const finished = counts.done + counts.failed;
+
+  return (
+    <div className="batch-panel">
+      <div className="batch-header">
+        <h3>{t("batch.title")}</h3>
+        <button className="btn-link" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen
+            ? t("panel.hide")
+            : rows.length
+              ? t("panel.showCount", { count: rows.length })
+              : t("panel.show")}
+        </button>
+      </div>
+
+      {isOpen && (
+        <>
+          <p className="batch-help">{t("batch.help")}</p>
+
+          <div className="batch-actions">
+            <button
+              className="btn-link"
+              onClick={() => fileInputRef.current.click()}
+              disabled={isRunning}
+            >
+              {t("batch.import")}
+            </button>
+            {isRunning ? (
+              <button
+                className="btn-link"
+                onClick={() => controllerRef.current.abort()}
+              >
+                {t("batch.stop")}
+              </button>
+            ) : (
+              <button
+                className="btn-link"
+                onClick={() => run(pendingRows.length ? pendingRows : rows)}
+                disabled={!rows.length}
+              >
+                {t(
+                  pendingRows.length < rows.length
+                    ? "batch.continue"
+                    : "batch.generate",
+                  { count: pendingRows.length || rows.length }
+                )}
+              </button>
+            )}
+            <button
+              className="btn-link"
+              onClick={() => run(failedRows)}
+              disabled={isRunning || !failedRows.length}
+            >
+              {t("batch.retryFailed", { count: failedRows.length })}
+            </button>
+            <button
+              className="btn-link"
+              onClick={downloadZip}
+              disabled={isRunning || isZipping || !counts.done}
+            >
+              {isZipping ? t("batch.zipping") : t("batch.download")}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={`${BATCH_EXTENSIONS.join(",")},text/csv,application/json`}
+              onChange={handleImport}
+              hidden
+            />
+          </div>
+
+          {errors.length > 0 && (
+            <div className="warning-message">
+              ⚠️ {t("batch.leftOut", { count: errors.length })}
+              <ul className="batch-errors">
+                {errors.map((error) => (
+                  <li key={`${error.row}:${error.key}`}>
+                    {t("batch.rowError", {
+                      row: error.row,
+                      message: t(error.key, error.params),
+                    })}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <>
+              <div className="progress-bar">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${(finished / rows.length) * 100}%` }}
+                />
+              </div>
+              <div className="progress-label">
+                {counts.failed > 0
+                  ? t("batch.progressFailed", {
+                      done: counts.done,
+                      total: rows.length,
+                      failed: counts.failed,
+                    })
+                  : t("batch.progress", {
+                      done: counts.done,
+                      total: rows.length,
+                    })}
+              </div>
+
+              <table className="batch-table">
+                <thead>
+                  <tr>
+                    <th>{t("batch.id")}</th>
+                    <th>{t("batch.text")}</th>
+                    <th>{t("batch.voice")}</th>
+                    <th>{t("batch.status")}</th>
+                    <th aria-label={t("batch.actions")} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => {
+                    const result = results[row.id] || { status: "pending" };
+                    const { voice, missing } = resolveRowVoice(
+                      row,
+                      voices,
+                      defaultVoice
+                    );
+                    return (
+                      <tr key={row.id} className={`batch-${result.status}`}>
+                        <td className="batch-id">{row.id}</td>
+                        <td className="batch-text" title={row.text}>
+                          {row.text}
+                        </td>
+                        <td>
+                          {voice ? voice.name : "—"}
+                          {missing && (
+                            <span
+                              className="batch-missing"
+                              title={t("batch.voiceMissing", {
+                                voice: row.voice,
+                              })}
+                            >
+                              {" "}
+                              ⚠️
+                            </span>
+                          )}
+                        </td>
+                        <td>
+                          <span className={`batch-status ${result.status}`}>
+                            {t(`batch.status.${result.status}`)}
+                          </span>
+                          {result.attempts > 1 && (
+                            <span className="batch-attempts">
+                              {" "}
+                              {t("batch.attempt", { count: result.attempts })}
+                            </span>
+                          )}
+                          {result.status === "done" && (
+                            <span className="batch-attempts">
+                              {" "}
+                              {formatBytes(result.blob.size)}
+                            </span>
+                          )}
+                          {result.error && (
+                            <div className="batch-error">{result.error}</div>
+                          )}
+                        </td>
+                        <td>
+                          {result.status === "failed" && (
+                            <button
+                              className="btn-link"
+                              onClick={() => run([row])}
+                              disabled={isRunning}
+                              title={t("batch.retryRow")}
+                            >
+                              🔁
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
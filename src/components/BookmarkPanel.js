@@ -0,0 +1,147 @@
+// BookmarkPanel.js
+import React, { useState } from "react";
+
+// The offer to resume where reading stopped, and named bookmarks in the
+// text. "Previous" and "Next" go to the bookmarks around the current
+// position: the word being read, or the cursor in the editor.
+const BookmarkPanel = ({
+  resume,
+  onResume,
+  onDiscardResume,
+  bookmarks,
+  position,
+  textLength,
+  onAdd,
+  onGo,
+  onPlay,
+  onRename,
+  onRemove,
+  showBookmarks,
+  disabled,
+  t,
+}) => {
+  const [name, setName] = useState("");
+
+  const percent = (offset, length = textLength) =>
+    t.number(offset / Math.max(1, length), {
+      style: "percent",
+      maximumFractionDigits: 0,
+    });
+  const previous = [...bookmarks]
+    .reverse()
+    .find((bookmark) => bookmark.offset < position);
+  const next = bookmarks.find((bookmark) => bookmark.offset > position);
+
+  const add = (e) => {
+    e.preventDefault();
+    onAdd(name.trim());
+    setName("");
+  };
+
+  return (
+    <>
+      {resume && (
+        <div className="resume-offer">
+          <span>
+            {t("bookmarks.resumeOffer", {
+              percent: percent(resume.offset, resume.length),
+            })}{" "}
+            <em>“{resume.excerpt}”</em>
+          </span>
+          <div className="resume-actions">
+            <button
+              className="btn btn-primary"
+              onClick={onResume}
+              disabled={disabled}
+            >
+              {t("bookmarks.resume")}
+            </button>
+            <button className="btn-link" onClick={onDiscardResume}>
+              {resume.fromLastSession
+                ? t("bookmarks.dismiss")
+                : t("bookmarks.startOver")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showBookmarks && (
+        <div className="bookmark-panel">
+          <form className="bookmark-add" onSubmit={add}>
+            <span className="bookmark-title">{t("bookmarks.title")}</span>
+            <input
+              className="text-field"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t("bookmarks.namePlaceholder")}
+              aria-label={t("bookmarks.name")}
+            />
+            <button type="submit" className="btn-link">
+              {t("bookmarks.add", { percent: percent(position) })}
+            </button>
+            <button
+              type="button"
+              className="btn-link"
+              onClick={() => onGo(previous)}
+              disabled={!previous}
+              title={t("bookmarks.previousHint")}
+            >
+              {t("bookmarks.previous")}
+            </button>
+            <button
+              type="button"
+              className="btn-link"
+              onClick={() => onGo(next)}
+              disabled={!next}
+              title={t("bookmarks.nextHint")}
+            >
+              {t("bookmarks.next")}
+            </button>
+          </form>
+
+          {bookmarks.length > 0 && (
+            <ul className="bookmark-list">
+              {bookmarks.map((bookmark) => (
+                <li key={bookmark.id} className="bookmark-item">
+                  <span className="bookmark-position">
+                    {percent(bookmark.offset)}
+                  </span>
+                  <input
+                    className="text-field"
+                    value={bookmark.name}
+                    onChange={(e) => onRename(bookmark, e.target.value)}
+                    aria-label={t("bookmarks.name")}
+                  />
+                  <button
+                    className="btn-link"
+                    onClick={() => onGo(bookmark)}
+                    title={t("bookmarks.goHint")}
+                  >
+                    {t("bookmarks.go")}
+                  </button>
+                  <button
+                    className="btn-link"
+                    onClick={() => onPlay(bookmark)}
+                    disabled={disabled}
+                    title={t("bookmarks.play")}
+                  >
+                    ▶️
+                  </button>
+                  <button
+                    className="btn-link"
+                    onClick={() => onRemove(bookmark)}
+                    title={t("bookmarks.remove")}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BookmarkPanel;
@@ -0,0 +1,78 @@
+// CaptureSettings.js
+import React from "react";
+import { CAPTURE_SOURCES } from "../utils/capture";
+
+// Where recordings of browser voices come from, with a live input level
+// while recording. `supported` maps each source to whether this browser
+// can use it.
+const CaptureSettings = ({
+  source,
+  supported,
+  onChange,
+  isRecording,
+  level,
+  silent,
+  mimeType,
+  disabled,
+  t,
+}) => {
+  // Speech peaks around 0.1-0.3 RMS; scale so that fills most of the bar
+  const width = Math.min(100, Math.round(Math.sqrt(level) * 160));
+
+  return (
+    <div className="capture-settings">
+      <div className="label" id="capture-source-label">
+        {t("capture.title")}
+      </div>
+      <div
+        className="capture-sources"
+        role="radiogroup"
+        aria-labelledby="capture-source-label"
+      >
+        {CAPTURE_SOURCES.map((option) => (
+          <label key={option.id} className="capture-source">
+            <input
+              type="radio"
+              name="capture-source"
+              value={option.id}
+              checked={source === option.id}
+              onChange={() => onChange(option.id)}
+              disabled={disabled || !supported[option.id]}
+            />
+            {t(`capture.${option.id}`)}
+            {!supported[option.id] && ` ${t("capture.unsupported")}`}
+          </label>
+        ))}
+      </div>
+      <p className="capture-help">{t(`capture.${source}.help`)}</p>
+
+      {isRecording && (
+        <div className="capture-meter">
+          <div
+            className="level-bar"
+            role="meter"
+            aria-label={t("capture.level")}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={width}
+          >
+            <div
+              className={`level-fill ${silent ? "silent" : ""}`}
+              style={{ width: `${width}%` }}
+            />
+          </div>
+          <span className="capture-format">
+            {mimeType
+              ? t("capture.format", { type: mimeType })
+              : t("capture.defaultFormat")}
+          </span>
+        </div>
+      )}
+      {isRecording && silent && (
+        <div className="warning-message">⚠️ {t("capture.silent")}</div>
+      )}
+    </div>
+  );
+};
+
+export default CaptureSettings;
@@ -0,0 +1,66 @@
+// ChapterPanel.js
+import React from "react";
+
+// Chapters of an imported document. Checked chapters make up the text to
+// speak; the play button jumps to a chapter, which is only possible while
+// the text still matches the selection.
+const ChapterPanel = ({
+  title,
+  chapters,
+  selected,
+  canJump,
+  onToggle,
+  onSelectAll,
+  onJump,
+  onClose,
+  t,
+}) => (
+  <div className="chapter-panel">
+    <div className="chapter-header">
+      <h4>📖 {title || t("chapters.untitled")}</h4>
+      <div className="chapter-actions">
+        <button
+          className="btn-link"
+          onClick={() => onSelectAll(selected.length < chapters.length)}
+        >
+          {selected.length < chapters.length
+            ? t("chapters.selectAll")
+            : t("chapters.selectNone")}
+        </button>
+        <button className="btn-link" onClick={onClose}>
+          {t("chapters.close")}
+        </button>
+      </div>
+    </div>
+    <ol className="chapter-list">
+      {chapters.map((chapter, index) => (
+        <li
+          key={`${index}:${chapter.start}`}
+          className="chapter-item"
+          style={{ paddingLeft: `${(chapter.level - 1) * 16}px` }}
+        >
+          <label>
+            <input
+              type="checkbox"
+              checked={selected.includes(index)}
+              onChange={() => onToggle(index)}
+            />
+            <span>
+              {chapter.title || t("chapters.section", { number: index + 1 })}
+            </span>
+          </label>
+          <button
+            className="btn-link"
+            onClick={() => onJump(index)}
+            disabled={!canJump || !selected.includes(index)}
+            title={t("chapters.playFrom")}
+          >
+            ▶️
+          </button>
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+export default ChapterPanel;
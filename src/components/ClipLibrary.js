@@ -0,0 +1,144 @@
+// ClipLibrary.js
+import React from "react";
+import {
+  formatBytes,
+  formatDuration,
+  isStorageLow,
+} from "../utils/clipLibrary";
+
+// History of generated clips with replay, rename, download, regenerate and
+// delete actions, and the origin's storage usage. Playing and regenerating
+// are disabled while speech is being generated.
+const ClipLibrary = ({
+  clips,
+  estimate,
+  currentId,
+  error,
+  onPlay,
+  onRename,
+  onDownload,
+  onRegenerate,
+  onDelete,
+  onCleanup,
+  disabled,
+  t,
+}) => {
+  const clipBytes = clips.reduce((sum, clip) => sum + (clip.size || 0), 0);
+  const usedShare = estimate ? estimate.usage / estimate.quota : 0;
+
+  const handleRename = (clip) => {
+    const name = window.prompt(t("library.renamePrompt"), clip.name);
+    if (name && name.trim() && name.trim() !== clip.name) {
+      onRename(clip, name.trim());
+    }
+  };
+
+  return (
+    <div className="clip-library">
+      <div className="clip-library-header">
+        <h3>{t("library.title")}</h3>
+        <span className="stat">
+          {t("library.count", {
+            count: clips.length,
+            size: formatBytes(clipBytes),
+          })}
+        </span>
+      </div>
+
+      {estimate && (
+        <div className="storage-usage">
+          <div className="progress-bar">
+            <div
+              className={`progress-fill ${
+                isStorageLow(estimate) ? "storage-low" : ""
+              }`}
+              style={{ width: `${Math.min(100, usedShare * 100)}%` }}
+            />
+          </div>
+          <div className="progress-label">
+            {t("library.storage", {
+              used: formatBytes(estimate.usage),
+              quota: formatBytes(estimate.quota),
+            })}
+          </div>
+        </div>
+      )}
+      {error && <div className="warning-message">⚠️ {error}</div>}
+      {isStorageLow(estimate) && (
+        <div className="warning-message">
+          ⚠️ {t("library.storageLow")}{" "}
+          <button className="btn-link" onClick={onCleanup}>
+            {t("library.deleteOld")}
+          </button>
+        </div>
+      )}
+
+      {clips.length > 0 ? (
+        <ul className="clip-list">
+          {clips.map((clip) => (
+            <li
+              key={clip.id}
+              className={`clip-item ${clip.id === currentId ? "current" : ""}`}
+            >
+              <div className="clip-details">
+                <span className="clip-name">
+                  {clip.name || t("library.untitledClip")}
+                </span>
+                <span className="clip-meta">
+                  {new Date(clip.createdAt).toLocaleString(t.language)} ·{" "}
+                  {clip.info.voice ||
+                    clip.voiceName ||
+                    t("library.unknownVoice")}{" "}
+                  · {formatDuration(clip.duration)} · {formatBytes(clip.size)}
+                </span>
+              </div>
+              <div className="clip-actions">
+                <button
+                  className="btn-link"
+                  onClick={() => onPlay(clip)}
+                  disabled={disabled}
+                  title={t("library.play")}
+                >
+                  ▶️
+                </button>
+                <button
+                  className="btn-link"
+                  onClick={() => handleRename(clip)}
+                  title={t("library.rename")}
+                >
+                  ✏️
+                </button>
+                <button
+                  className="btn-link"
+                  onClick={() => onDownload(clip)}
+                  title={t("library.download")}
+                >
+                  💾
+                </button>
+                <button
+                  className="btn-link"
+                  onClick={() => onRegenerate(clip)}
+                  disabled={disabled}
+                  title={t("library.regenerate")}
+                >
+                  🔁
+                </button>
+                <button
+                  className="btn-link"
+                  onClick={() => onDelete(clip)}
+                  title={t("library.delete")}
+                >
+                  🗑️
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="no-voices">{t("library.empty")}</div>
+      )}
+    </div>
+  );
+};
+
+export default ClipLibrary;
@@ -0,0 +1,191 @@
+// EngineSettings.js
+import React, { useEffect, useState } from "react";
+import { HTTP_TEMPLATES } from "../engines/http";
+
+const SOURCES = ["webspeech", "offline", "http"];
+
+const PLACEHOLDERS =
+  "{{text}} {{voice}} {{lang}} {{locale}} {{rate}} {{pitch}} {{volume}}";
+
+// Which engines contribute voices, and where the TTS server is. Server
+// settings are edited as a draft and applied together, which reloads the
+// voices.
+const EngineSettings = ({
+  settings,
+  voices,
+  errors,
+  onChange,
+  disabled,
+  t,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(settings.http);
+
+  useEffect(() => {
+    setDraft(settings.http);
+  }, [settings.http]);
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+  // Swap in the other format's template unless it was edited
+  const changeFormat = (format) =>
+    updateDraft({
+      format,
+      template:
+        draft.template === HTTP_TEMPLATES[draft.format]
+          ? HTTP_TEMPLATES[format]
+          : draft.template,
+    });
+
+  const counts = SOURCES.map((id) => ({
+    id,
+    count: voices.filter((voice) => voice.engine === id).length,
+  }));
+
+  return (
+    <div className="engine-settings">
+      <div className="engine-header">
+        <h4>{t("engines.title")}</h4>
+        <div className="engine-counts">
+          {counts.map((source) => (
+            <span key={source.id} className="stat">
+              {t("engines.count", {
+                engine: t(`engine.${source.id}`),
+                count: source.count,
+              })}
+            </span>
+          ))}
+        </div>
+        <button className="btn-link" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen ? t("panel.hide") : t("engines.configure")}
+        </button>
+      </div>
+
+      {Object.entries(errors).map(([engine, message]) => (
+        <div key={engine} className="warning-message">
+          ⚠️{" "}
+          {t("engines.voicesFailed", {
+            engine: t(`engine.${engine}`),
+            message,
+          })}
+        </div>
+      ))}
+
+      {isOpen && (
+        <div className="engine-form">
+          <label className="engine-toggle">
+            <input
+              type="checkbox"
+              checked={settings.offline}
+              onChange={(e) =>
+                onChange({ ...settings, offline: e.target.checked })
+              }
+              disabled={disabled}
+            />
+            {t("engines.offline")}
+          </label>
+          <label className="engine-toggle">
+            <input
+              type="checkbox"
+              checked={draft.enabled}
+              onChange={(e) => updateDraft({ enabled: e.target.checked })}
+              disabled={disabled}
+            />
+            {t("engines.server")}
+          </label>
+
+          {draft.enabled && (
+            <>
+              <label className="label" htmlFor="engine-url">
+                {t("engines.url")}
+              </label>
+              <input
+                id="engine-url"
+                className="text-field"
+                type="url"
+                value={draft.url}
+                placeholder="http://localhost:5000/api/tts"
+                onChange={(e) => updateDraft({ url: e.target.value })}
+              />
+              <label className="label" htmlFor="engine-voices-url">
+                {t("engines.voicesUrl")}
+              </label>
+              <input
+                id="engine-voices-url"
+                className="text-field"
+                type="url"
+                value={draft.voicesUrl}
+                placeholder="http://localhost:5000/voices"
+                onChange={(e) => updateDraft({ voicesUrl: e.target.value })}
+              />
+              <div className="engine-row">
+                <div>
+                  <label className="label" htmlFor="engine-format">
+                    {t("engines.format")}
+                  </label>
+                  <select
+                    id="engine-format"
+                    className="select"
+                    value={draft.format}
+                    onChange={(e) => changeFormat(e.target.value)}
+                  >
+                    <option value="json">JSON</option>
+                    <option value="form">{t("engines.form")}</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="label" htmlFor="engine-lang">
+                    {t("engines.lang")}
+                  </label>
+                  <input
+                    id="engine-lang"
+                    className="text-field"
+                    value={draft.lang}
+                    onChange={(e) => updateDraft({ lang: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label className="label" htmlFor="engine-key">
+                    {t("engines.apiKey")}
+                  </label>
+                  <input
+                    id="engine-key"
+                    className="text-field"
+                    type="password"
+                    value={draft.apiKey}
+                    autoComplete="off"
+                    onChange={(e) => updateDraft({ apiKey: e.target.value })}
+                  />
+                </div>
+              </div>
+              <label className="label" htmlFor="engine-template">
+                {t("engines.template")}
+              </label>
+              <textarea
+                id="engine-template"
+                className="engine-template"
+                rows={3}
+                value={draft.template}
+                spellCheck={false}
+                onChange={(e) => updateDraft({ template: e.target.value })}
+              />
+              <p className="engine-help">
+                {t("engines.placeholders", { placeholders: PLACEHOLDERS })}
+              </p>
+            </>
+          )}
+
+          <button
+            className="btn btn-secondary"
+            onClick={() => onChange({ ...settings, http: draft })}
+            disabled={disabled || (draft.enabled && !draft.url.trim())}
+          >
+            {t("engines.apply")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EngineSettings;
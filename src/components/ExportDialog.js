@@ -0,0 +1,202 @@
+// ExportDialog.js
+import React, { useEffect, useState } from "react";
+import {
+  BITRATES,
+  EXPORT_FORMATS,
+  SAMPLE_RATES,
+  exportAudio,
+  isOpusExportSupported,
+} from "../utils/audioExport";
+import { downloadBlob } from "../utils/download";
+
+// Export dialog: re-encodes the generated audio to the chosen format, sample
+// rate and channel layout, with title/voice/language tags.
+const ExportDialog = ({ source, info, onClose, t }) => {
+  const [format, setFormat] = useState("wav16");
+  const [sampleRate, setSampleRate] = useState(44100);
+  const [channels, setChannels] = useState(1);
+  const [bitrate, setBitrate] = useState(128);
+  const [title, setTitle] = useState(info.title || "");
+  const [voice, setVoice] = useState(info.voice || "");
+  const [language, setLanguage] = useState(info.language || "");
+  const [opusSupported, setOpusSupported] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let active = true;
+    isOpusExportSupported(channels).then((supported) => {
+      if (!active) return;
+      setOpusSupported(supported);
+      if (!supported) {
+        setFormat((current) => (current === "opus" ? "wav16" : current));
+      }
+    });
+    return () => {
+      active = false;
+    };
+  }, [channels]);
+
+  const isWav = format === "wav16" || format === "wav32f";
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError("");
+    try {
+      const { blob, extension } = await exportAudio(source, {
+        format,
+        sampleRate,
+        channels,
+        bitrate,
+        tags: { title, voice, language },
+      });
+      downloadBlob(blob, `speech-${new Date().getTime()}.${extension}`);
+      onClose();
+    } catch (exportError) {
+      console.error("Export error:", exportError);
+      setError(exportError.message || t("export.failed"));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="export-title">{t("export.title")}</h3>
+
+        <div className="dialog-grid">
+          <label className="label" htmlFor="export-format">
+            {t("export.format")}
+          </label>
+          <select
+            id="export-format"
+            className="select"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+          >
+            {EXPORT_FORMATS.map((f) => (
+              <option
+                key={f.id}
+                value={f.id}
+                disabled={f.id === "opus" && !opusSupported}
+              >
+                {f.label}
+                {f.id === "opus" && !opusSupported
+                  ? ` ${t("export.unsupported")}`
+                  : ""}
+              </option>
+            ))}
+          </select>
+
+          <label className="label" htmlFor="export-rate">
+            {t("export.sampleRate")}
+          </label>
+          <select
+            id="export-rate"
+            className="select"
+            value={format === "opus" ? 48000 : sampleRate}
+            onChange={(e) => setSampleRate(parseInt(e.target.value, 10))}
+            disabled={format === "opus"}
+          >
+            {SAMPLE_RATES.map((rate) => (
+              <option key={rate} value={rate}>
+                {(rate / 1000).toFixed(rate % 1000 ? 2 : 0)} kHz
+              </option>
+            ))}
+          </select>
+
+          <label className="label" htmlFor="export-channels">
+            {t("export.channels")}
+          </label>
+          <select
+            id="export-channels"
+            className="select"
+            value={channels}
+            onChange={(e) => setChannels(parseInt(e.target.value, 10))}
+          >
+            <option value={1}>{t("export.mono")}</option>
+            <option value={2}>{t("export.stereo")}</option>
+          </select>
+
+          {!isWav && (
+            <>
+              <label className="label" htmlFor="export-bitrate">
+                {t("export.bitrate")}
+              </label>
+              <select
+                id="export-bitrate"
+                className="select"
+                value={bitrate}
+                onChange={(e) => setBitrate(parseInt(e.target.value, 10))}
+              >
+                {BITRATES.map((kbps) => (
+                  <option key={kbps} value={kbps}>
+                    {kbps} kbps
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+
+          <label className="label" htmlFor="export-tag-title">
+            {t("export.tagTitle")}
+          </label>
+          <input
+            id="export-tag-title"
+            className="text-field"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+
+          <label className="label" htmlFor="export-tag-voice">
+            {t("export.tagVoice")}
+          </label>
+          <input
+            id="export-tag-voice"
+            className="text-field"
+            value={voice}
+            onChange={(e) => setVoice(e.target.value)}
+          />
+
+          <label className="label" htmlFor="export-tag-language">
+            {t("export.tagLanguage")}
+          </label>
+          <input
+            id="export-tag-language"
+            className="text-field"
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            placeholder={t("export.languagePlaceholder")}
+          />
+        </div>
+
+        {format === "opus" && (
+          <p className="dialog-note">{t("export.opusRate")}</p>
+        )}
+        {error && <div className="warning-message">⚠️ {error}</div>}
+
+        <div className="dialog-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            {t("export.cancel")}
+          </button>
+          <button
+            className="btn btn-download"
+            onClick={handleExport}
+            disabled={isExporting}
+          >
+            {isExporting ? t("export.encoding") : t("export.export")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -0,0 +1,64 @@
+// LanguageVoices.js
+import React from "react";
+import {
+  baseLanguage,
+  bestVoice,
+  languageName,
+} from "../utils/languageDetection";
+
+// Voices for the languages that automatic detection switched to. "Automatic"
+// names the voice that would be picked for the selected voice's region; any
+// other choice is pinned for that language and remembered.
+const LanguageVoices = ({
+  languages,
+  pins,
+  voices,
+  region,
+  onPin,
+  disabled,
+  t,
+}) => (
+  <div className="language-voices">
+    <h4>{t("languages.title")}</h4>
+    {languages.map((language) => {
+      const options = voices.filter(
+        (voice) => baseLanguage(voice.lang) === language
+      );
+      const automatic = bestVoice(voices, language, region);
+      const pinned = pins[language] || "";
+      const missing = pinned && !options.some((v) => v.name === pinned);
+      const name = languageName(language, t.language);
+
+      return (
+        <div key={language} className="language-voice-row">
+          <span className="language-voice-name">{name}</span>
+          <select
+            className="select"
+            value={pinned}
+            onChange={(e) => onPin(language, e.target.value)}
+            disabled={disabled}
+            aria-label={t("languages.voiceFor", { language: name })}
+          >
+            <option value="">
+              {automatic
+                ? t("languages.automatic", { voice: automatic.name })
+                : t("languages.noVoice")}
+            </option>
+            {missing && (
+              <option value={pinned}>
+                {t("languages.unavailable", { voice: pinned })}
+              </option>
+            )}
+            {options.map((voice) => (
+              <option key={voice.name} value={voice.name}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default LanguageVoices;
@@ -0,0 +1,189 @@
+// LexiconEditor.js
+import React, { useRef, useState } from "react";
+import {
+  LEXICON_TYPES,
+  createEntry,
+  spellOut,
+  validateEntry,
+} from "../utils/lexicon";
+
+// Table of pronunciation entries: what to match, for which language and how
+// it should be spoken
+const LexiconEditor = ({
+  entries,
+  languages,
+  onChange,
+  onImport,
+  onExportJson,
+  onExportPls,
+  t,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const update = (id, changes) =>
+    onChange(
+      entries.map((entry) =>
+        entry.id === id ? { ...entry, ...changes } : entry
+      )
+    );
+
+  const remove = (id) => onChange(entries.filter((entry) => entry.id !== id));
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="lexicon-editor">
+      <div className="lexicon-header">
+        <h3>{t("lexicon.title")}</h3>
+        <button className="btn-link" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen
+            ? t("panel.hide")
+            : t("panel.showCount", { count: entries.length })}
+        </button>
+      </div>
+
+      {isOpen && (
+        <>
+          <p className="lexicon-help">{t("lexicon.help")}</p>
+          {entries.length > 0 && (
+            <table className="lexicon-table">
+              <thead>
+                <tr>
+                  <th>{t("lexicon.type")}</th>
+                  <th>{t("lexicon.match")}</th>
+                  <th>{t("lexicon.language")}</th>
+                  <th>{t("lexicon.spokenAs")}</th>
+                  <th aria-label={t("lexicon.actions")} />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => {
+                  const error = validateEntry(entry);
+                  return (
+                    <tr key={entry.id} className={error ? "invalid" : ""}>
+                      <td>
+                        <select
+                          className="select"
+                          value={entry.type}
+                          onChange={(e) =>
+                            update(entry.id, { type: e.target.value })
+                          }
+                          aria-label={t("lexicon.entryType")}
+                        >
+                          {LEXICON_TYPES.map((type) => (
+                            <option key={type.id} value={type.id}>
+                              {t(`lexicon.type.${type.id}`)}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          className="text-field"
+                          value={entry.pattern}
+                          placeholder={t(`lexicon.placeholder.${entry.type}`)}
+                          onChange={(e) =>
+                            update(entry.id, { pattern: e.target.value })
+                          }
+                          spellCheck={false}
+                          aria-label={t("lexicon.match")}
+                        />
+                        {error && entry.pattern && (
+                          <div className="lexicon-error">
+                            {t(error.key, error.params)}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        <select
+                          className="select"
+                          value={entry.language}
+                          onChange={(e) =>
+                            update(entry.id, { language: e.target.value })
+                          }
+                          aria-label={t("lexicon.language")}
+                        >
+                          {languages.map((lang) => (
+                            <option key={lang.code} value={lang.code}>
+                              {lang.name}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          className="text-field"
+                          value={entry.replacement}
+                          placeholder={
+                            entry.type === "acronym" && entry.pattern.trim()
+                              ? spellOut(entry.pattern.trim())
+                              : t("lexicon.spokenForm")
+                          }
+                          onChange={(e) =>
+                            update(entry.id, { replacement: e.target.value })
+                          }
+                          aria-label={t("lexicon.spokenAs")}
+                        />
+                      </td>
+                      <td>
+                        <button
+                          className="btn-link"
+                          onClick={() => remove(entry.id)}
+                          title={t("lexicon.deleteEntry")}
+                        >
+                          🗑️
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <div className="lexicon-actions">
+            <button
+              className="btn-link"
+              onClick={() => onChange([...entries, createEntry()])}
+            >
+              {t("lexicon.add")}
+            </button>
+            <button
+              className="btn-link"
+              onClick={() => fileInputRef.current.click()}
+            >
+              {t("lexicon.import")}
+            </button>
+            <button
+              className="btn-link"
+              onClick={onExportJson}
+              disabled={!entries.length}
+            >
+              {t("lexicon.exportJson")}
+            </button>
+            <button
+              className="btn-link"
+              onClick={onExportPls}
+              disabled={!entries.some((entry) => entry.type !== "regex")}
+            >
+              {t("lexicon.exportPls")}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.pls,.xml,application/json,application/pls+xml"
+              onChange={handleImport}
+              hidden
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LexiconEditor;
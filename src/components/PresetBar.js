@@ -0,0 +1,87 @@
+// PresetBar.js
+import React, { useRef } from "react";
+
+// Dropdown of saved voice presets with save, update, delete, import and
+// export actions
+const PresetBar = ({
+  presets,
+  activeId,
+  notice,
+  onSelect,
+  onSave,
+  onUpdate,
+  onDelete,
+  onExport,
+  onImport,
+  t,
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleSave = () => {
+    const name = window.prompt(t("presets.namePrompt"), "");
+    if (name && name.trim()) onSave(name.trim());
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="preset-bar">
+      <label htmlFor="preset-select" className="label">
+        {t("presets.label")}
+      </label>
+      <select
+        id="preset-select"
+        className="select"
+        value={activeId}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        <option value="">{t("presets.none")}</option>
+        {presets.map((preset) => (
+          <option key={preset.id} value={preset.id}>
+            {preset.name}
+          </option>
+        ))}
+      </select>
+      <div className="preset-actions">
+        <button className="btn-link" onClick={handleSave}>
+          {t("presets.saveAsNew")}
+        </button>
+        <button className="btn-link" onClick={onUpdate} disabled={!activeId}>
+          {t("presets.update")}
+        </button>
+        <button className="btn-link" onClick={onDelete} disabled={!activeId}>
+          {t("presets.delete")}
+        </button>
+        <button
+          className="btn-link"
+          onClick={onExport}
+          disabled={!presets.length}
+        >
+          {t("presets.export")}
+        </button>
+        <button
+          className="btn-link"
+          onClick={() => fileInputRef.current.click()}
+        >
+          {t("presets.import")}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+      {notice && (
+        <div className="preset-notice">⚠️ {t(notice.key, notice.params)}</div>
+      )}
+    </div>
+  );
+};
+
+export default PresetBar;
@@ -0,0 +1,170 @@
+// ProcessingSettings.js
+import React from "react";
+
+const Stage = ({ id, title, description, stage, onToggle, children }) => (
+  <div className={`processing-stage ${stage.enabled ? "enabled" : ""}`}>
+    <label className="processing-toggle" htmlFor={`processing-${id}`}>
+      <input
+        id={`processing-${id}`}
+        type="checkbox"
+        checked={stage.enabled}
+        onChange={(e) => onToggle(e.target.checked)}
+      />
+      <span>
+        <strong>{title}</strong>
+        <small>{description}</small>
+      </span>
+    </label>
+    {stage.enabled && <div className="processing-options">{children}</div>}
+  </div>
+);
+
+const Slider = ({ label, value, min, max, step, onChange }) => (
+  <label className="speaker-slider">
+    <span>{label}</span>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      className="slider"
+    />
+  </label>
+);
+
+// Toggles and settings of the audio post-processing stages, shown with the
+// speech settings
+const ProcessingSettings = ({ settings, onChange, t }) => {
+  const update = (stage, changes) =>
+    onChange({ ...settings, [stage]: { ...settings[stage], ...changes } });
+
+  const { gate, trim, compressor, timeStretch, normalize } = settings;
+
+  return (
+    <div className="processing-settings">
+      <h4>{t("processing.title")}</h4>
+
+      <Stage
+        id="gate"
+        title={t("processing.gate")}
+        description={t("processing.gate.description")}
+        stage={gate}
+        onToggle={(enabled) => update("gate", { enabled })}
+      >
+        <Slider
+          label={t("processing.threshold", { value: gate.thresholdDb })}
+          value={gate.thresholdDb}
+          min={-80}
+          max={-20}
+          step={1}
+          onChange={(thresholdDb) => update("gate", { thresholdDb })}
+        />
+      </Stage>
+
+      <Stage
+        id="trim"
+        title={t("processing.trim")}
+        description={t("processing.trim.description")}
+        stage={trim}
+        onToggle={(enabled) => update("trim", { enabled })}
+      >
+        <Slider
+          label={t("processing.threshold", { value: trim.thresholdDb })}
+          value={trim.thresholdDb}
+          min={-80}
+          max={-20}
+          step={1}
+          onChange={(thresholdDb) => update("trim", { thresholdDb })}
+        />
+        <Slider
+          label={t("processing.keep", { value: trim.paddingMs })}
+          value={trim.paddingMs}
+          min={0}
+          max={1000}
+          step={50}
+          onChange={(paddingMs) => update("trim", { paddingMs })}
+        />
+      </Stage>
+
+      <Stage
+        id="compressor"
+        title={t("processing.compressor")}
+        description={t("processing.compressor.description")}
+        stage={compressor}
+        onToggle={(enabled) => update("compressor", { enabled })}
+      >
+        <Slider
+          label={t("processing.threshold", { value: compressor.thresholdDb })}
+          value={compressor.thresholdDb}
+          min={-60}
+          max={0}
+          step={1}
+          onChange={(thresholdDb) => update("compressor", { thresholdDb })}
+        />
+        <Slider
+          label={t("processing.ratio", { value: compressor.ratio })}
+          value={compressor.ratio}
+          min={1}
+          max={20}
+          step={1}
+          onChange={(ratio) => update("compressor", { ratio })}
+        />
+      </Stage>
+
+      <Stage
+        id="time-stretch"
+        title={t("processing.timeStretch")}
+        description={t("processing.timeStretch.description")}
+        stage={timeStretch}
+        onToggle={(enabled) => update("timeStretch", { enabled })}
+      >
+        <Slider
+          label={t("processing.speed", { value: timeStretch.speed })}
+          value={timeStretch.speed}
+          min={0.5}
+          max={2}
+          step={0.05}
+          onChange={(speed) => update("timeStretch", { speed })}
+        />
+      </Stage>
+
+      <Stage
+        id="normalize"
+        title={t("processing.normalize")}
+        description={t("processing.normalize.description")}
+        stage={normalize}
+        onToggle={(enabled) => update("normalize", { enabled })}
+      >
+        <select
+          className="select"
+          value={normalize.mode}
+          onChange={(e) =>
+            update("normalize", {
+              mode: e.target.value,
+              target: e.target.value === "peak" ? -1 : -16,
+            })
+          }
+          aria-label={t("processing.mode")}
+        >
+          <option value="lufs">{t("processing.lufs")}</option>
+          <option value="peak">{t("processing.peak")}</option>
+        </select>
+        <Slider
+          label={t("processing.target", {
+            value: normalize.target,
+            unit: normalize.mode === "peak" ? "dBFS" : "LUFS",
+          })}
+          value={normalize.target}
+          min={normalize.mode === "peak" ? -20 : -30}
+          max={normalize.mode === "peak" ? 0 : -10}
+          step={1}
+          onChange={(target) => update("normalize", { target })}
+        />
+      </Stage>
+    </div>
+  );
+};
+
+export default ProcessingSettings;
@@ -0,0 +1,71 @@
+// PwaStatus.js
+import React from "react";
+
+// Notices for the installed app: text shared from another app, working
+// offline, a new version waiting, and the install offer
+const PwaStatus = ({
+  hasShared,
+  onSpeakShared,
+  onDismissShared,
+  isOffline,
+  updateReady,
+  onUpdate,
+  canInstall,
+  onInstall,
+  onDismissInstall,
+  disabled,
+  t,
+}) => (
+  <>
+    {hasShared && (
+      <div className="pwa-notice shared">
+        <span>{t("pwa.shared")}</span>
+        <div className="pwa-actions">
+          <button
+            className="btn btn-primary"
+            onClick={onSpeakShared}
+            disabled={disabled}
+          >
+            {t("pwa.speakNow")}
+          </button>
+          <button className="btn-link" onClick={onDismissShared}>
+            {t("pwa.dismiss")}
+          </button>
+        </div>
+      </div>
+    )}
+
+    {isOffline && (
+      <div className="pwa-notice offline">
+        <span>{t("pwa.offline")}</span>
+      </div>
+    )}
+
+    {updateReady && (
+      <div className="pwa-notice update">
+        <span>{t("pwa.updateReady")}</span>
+        <div className="pwa-actions">
+          <button className="btn-link" onClick={onUpdate}>
+            {t("pwa.reload")}
+          </button>
+        </div>
+      </div>
+    )}
+
+    {canInstall && (
+      <div className="pwa-notice install">
+        <span>{t("pwa.installOffer")}</span>
+        <div className="pwa-actions">
+          <button className="btn btn-secondary" onClick={onInstall}>
+            {t("pwa.install")}
+          </button>
+          <button className="btn-link" onClick={onDismissInstall}>
+            {t("pwa.notNow")}
+          </button>
+        </div>
+      </div>
+    )}
+  </>
+);
+
+export default PwaStatus;
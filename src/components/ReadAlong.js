@@ -0,0 +1,61 @@
+// ReadAlong.js
+import React, { useEffect, useRef } from "react";
+
+// Read-along view shown in place of the textarea during playback. Highlights
+// the sentence being spoken and the current word inside it, and keeps the
+// current word scrolled into view.
+const ReadAlong = ({ text, sentence, word }) => {
+  const containerRef = useRef(null);
+  const wordRef = useRef(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const target = wordRef.current;
+    if (!container || !target) return;
+
+    // The container is positioned, so offsetTop is relative to it
+    const top = target.offsetTop;
+    if (
+      top < container.scrollTop ||
+      top > container.scrollTop + container.clientHeight - target.offsetHeight
+    ) {
+      container.scrollTo({
+        top: top - container.clientHeight / 3,
+        behavior: "smooth",
+      });
+    }
+  }, [word, sentence]);
+
+  if (!sentence) {
+    return (
+      <div className="read-along" ref={containerRef}>
+        {text}
+      </div>
+    );
+  }
+
+  const hasWord =
+    word && word.start >= sentence.start && word.end <= sentence.end;
+
+  return (
+    <div className="read-along" ref={containerRef} aria-live="off">
+      {text.slice(0, sentence.start)}
+      <mark className="read-along-sentence">
+        {hasWord ? (
+          <>
+            {text.slice(sentence.start, word.start)}
+            <mark className="read-along-word" ref={wordRef}>
+              {text.slice(word.start, word.end)}
+            </mark>
+            {text.slice(word.end, sentence.end)}
+          </>
+        ) : (
+          <span ref={wordRef}>{text.slice(sentence.start, sentence.end)}</span>
+        )}
+      </mark>
+      {text.slice(sentence.end)}
+    </div>
+  );
+};
+
+export default ReadAlong;
@@ -0,0 +1,55 @@
+// ShareLinkBar.js
+import React from "react";
+
+// Copies a link holding the text, voice and sliders. Opening it with
+// "Offer to play" shows a play button, since browsers only start speech
+// after the listener interacts with the page.
+const ShareLinkBar = ({
+  link,
+  maxLength,
+  autoplay,
+  onAutoplayChange,
+  onCreate,
+  disabled,
+  t,
+}) => (
+  <div className="share-link">
+    <div className="share-link-actions">
+      <button className="btn-link" onClick={onCreate} disabled={disabled}>
+        {t("share.copy")}
+      </button>
+      <label className="share-link-option">
+        <input
+          type="checkbox"
+          checked={autoplay}
+          onChange={(e) => onAutoplayChange(e.target.checked)}
+        />
+        {t("share.autoplay")}
+      </label>
+    </div>
+
+    {link && link.withoutText && (
+      <div className="share-link-warning">
+        ⚠️{" "}
+        {t("share.withoutText", {
+          length: link.fullLength,
+          max: maxLength,
+        })}
+      </div>
+    )}
+    {link && (
+      <div className="share-link-result">
+        <span>{link.copied ? t("share.copied") : t("share.copyThis")}</span>
+        <input
+          className="text-field"
+          value={link.url}
+          onFocus={(e) => e.target.select()}
+          readOnly
+          aria-label={t("share.link")}
+        />
+      </div>
+    )}
+  </div>
+);
+
+export default ShareLinkBar;
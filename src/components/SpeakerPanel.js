@@ -0,0 +1,129 @@
+// SpeakerPanel.js
+import React from "react";
+
+// Side panel for script mode: maps each speaker in the script to a voice and
+// its own speed, pitch and volume. Unset values fall back to the selected
+// voice and the global speech settings.
+const SpeakerPanel = ({
+  speakers,
+  mapping,
+  voices,
+  defaults,
+  onChange,
+  onAutoAssign,
+  disabled,
+  t,
+}) => {
+  if (!speakers.length) {
+    return (
+      <aside className="speaker-panel">
+        <h3>{t("speakers.title")}</h3>
+        <p className="speaker-empty">
+          {t("speakers.empty")} <code>NARRATOR:</code>, <code>RAVI:</code>
+        </p>
+      </aside>
+    );
+  }
+
+  return (
+    <aside className="speaker-panel">
+      <div className="speaker-panel-header">
+        <h3>{t("speakers.title")}</h3>
+        <button
+          className="btn-link"
+          onClick={onAutoAssign}
+          disabled={disabled || !voices.length}
+        >
+          {t("speakers.autoAssign")}
+        </button>
+      </div>
+
+      {speakers.map((speaker) => {
+        const settings = mapping[speaker] || {};
+        const rate = settings.rate ?? defaults.rate;
+        const pitch = settings.pitch ?? defaults.pitch;
+        const volume = settings.volume ?? defaults.volume;
+        const missing =
+          settings.voiceName &&
+          !voices.some((voice) => voice.name === settings.voiceName);
+
+        return (
+          <div key={speaker} className="speaker-row">
+            <div className="speaker-name">{speaker}</div>
+            <select
+              className="select"
+              value={settings.voiceName || ""}
+              onChange={(e) =>
+                onChange(speaker, { voiceName: e.target.value || undefined })
+              }
+              disabled={disabled}
+              aria-label={t("speakers.voiceFor", { speaker })}
+            >
+              <option value="">{t("speakers.selectedVoice")}</option>
+              {missing && (
+                <option value={settings.voiceName}>
+                  {t("speakers.unavailable", { voice: settings.voiceName })}
+                </option>
+              )}
+              {voices.map((voice) => (
+                <option key={voice.name} value={voice.name}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+
+            <label className="speaker-slider">
+              <span>{t("speakers.speed", { rate })}</span>
+              <input
+                type="range"
+                min="0.5"
+                max="2"
+                step="0.1"
+                value={rate}
+                onChange={(e) =>
+                  onChange(speaker, { rate: parseFloat(e.target.value) })
+                }
+                disabled={disabled}
+                className="slider"
+              />
+            </label>
+            <label className="speaker-slider">
+              <span>{t("speakers.pitch", { pitch })}</span>
+              <input
+                type="range"
+                min="0.5"
+                max="2"
+                step="0.1"
+                value={pitch}
+                onChange={(e) =>
+                  onChange(speaker, { pitch: parseFloat(e.target.value) })
+                }
+                disabled={disabled}
+                className="slider"
+              />
+            </label>
+            <label className="speaker-slider">
+              <span>
+                {t("speakers.volume", { volume: Math.round(volume * 100) })}
+              </span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={volume}
+                onChange={(e) =>
+                  onChange(speaker, { volume: parseFloat(e.target.value) })
+                }
+                disabled={disabled}
+                className="slider"
+              />
+            </label>
+          </div>
+        );
+      })}
+    </aside>
+  );
+};
+
+export default SpeakerPanel;
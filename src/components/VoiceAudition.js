@@ -0,0 +1,200 @@
+// VoiceAudition.js
+import React, { useState } from "react";
+import { MAX_STARS, ratingOf, voiceKey } from "../utils/voiceRatings";
+
+const StarRating = ({ stars, onChange, label, t }) => (
+  <span className="star-rating" role="radiogroup" aria-label={label}>
+    {Array.from({ length: MAX_STARS }, (_, i) => (
+      <button
+        key={i}
+        className={`star ${i < stars ? "filled" : ""}`}
+        onClick={() => onChange(i + 1 === stars ? 0 : i + 1)}
+        role="radio"
+        aria-checked={i + 1 === stars}
+        aria-label={t("audition.stars", { count: i + 1 })}
+      >
+        {i < stars ? "★" : "☆"}
+      </button>
+    ))}
+  </span>
+);
+
+// Voices picked in the grid, played one after another on a sample sentence,
+// rated and noted. A/B mode plays two of them on the user's own text.
+const VoiceAudition = ({
+  voices,
+  ratings,
+  onRate,
+  playingKey,
+  onPlay,
+  onStop,
+  onUse,
+  onRemove,
+  onClear,
+  userText,
+  disabled,
+  t,
+}) => {
+  const [sampleText, setSampleText] = useState("");
+  const [pair, setPair] = useState({ a: "", b: "" });
+
+  if (!voices.length) return null;
+
+  const byKey = (key) => voices.find((voice) => voiceKey(voice) === key);
+  // Fall back to the first two picked voices
+  const voiceA = byKey(pair.a) || voices[0];
+  const voiceB =
+    byKey(pair.b) || voices.find((voice) => voice !== voiceA) || null;
+  const compareText = userText.trim();
+  const isPlaying = playingKey !== null;
+
+  const renderRating = (voice) => (
+    <StarRating
+      stars={ratingOf(ratings, voice).stars}
+      onChange={(stars) => onRate(voice, { stars })}
+      label={t("audition.rating", { voice: voice.name })}
+      t={t}
+    />
+  );
+
+  const renderPicker = (side, current) => (
+    <select
+      className="select"
+      value={voiceKey(current)}
+      onChange={(e) => setPair({ ...pair, [side]: e.target.value })}
+      aria-label={t("audition.voiceSide", { side: side.toUpperCase() })}
+    >
+      {voices.map((voice) => (
+        <option key={voiceKey(voice)} value={voiceKey(voice)}>
+          {voice.name} ({voice.lang})
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="voice-audition">
+      <div className="audition-header">
+        <h4>{t("audition.title", { count: voices.length })}</h4>
+        <button className="btn-link" onClick={onClear} disabled={isPlaying}>
+          {t("audition.clear")}
+        </button>
+      </div>
+
+      <div className="audition-controls">
+        <input
+          className="text-field"
+          value={sampleText}
+          onChange={(e) => setSampleText(e.target.value)}
+          placeholder={t("audition.samplePlaceholder")}
+          aria-label={t("audition.sample")}
+        />
+        {isPlaying ? (
+          <button className="btn btn-secondary" onClick={onStop}>
+            {t("audition.stop")}
+          </button>
+        ) : (
+          <button
+            className="btn btn-secondary"
+            onClick={() => onPlay(voices, sampleText.trim())}
+            disabled={disabled}
+          >
+            {t("audition.playAll")}
+          </button>
+        )}
+      </div>
+
+      <ul className="audition-list">
+        {voices.map((voice) => {
+          const key = voiceKey(voice);
+          const rating = ratingOf(ratings, voice);
+          return (
+            <li
+              key={key}
+              className={`audition-voice ${playingKey === key ? "playing" : ""}`}
+            >
+              <div className="audition-row">
+                <button
+                  className="btn-link"
+                  onClick={() => onPlay([voice], sampleText.trim())}
+                  disabled={disabled || isPlaying}
+                  title={t("audition.playOne")}
+                >
+                  {playingKey === key ? "🔊" : "▶️"}
+                </button>
+                <span className="audition-name">
+                  {voice.name} <span className="voice-lang">{voice.lang}</span>
+                </span>
+                {renderRating(voice)}
+                <button className="btn-link" onClick={() => onUse(voice)}>
+                  {t("audition.use")}
+                </button>
+                <button
+                  className="btn-link"
+                  onClick={() => onRemove(voice)}
+                  disabled={isPlaying}
+                  title={t("audition.remove")}
+                >
+                  ✕
+                </button>
+              </div>
+              <input
+                className="text-field audition-notes"
+                value={rating.notes}
+                onChange={(e) => onRate(voice, { notes: e.target.value })}
+                placeholder={t("audition.notes")}
+                aria-label={t("audition.notesFor", { voice: voice.name })}
+              />
+            </li>
+          );
+        })}
+      </ul>
+
+      {voiceB && (
+        <div className="ab-compare">
+          <h4>{t("audition.compare")}</h4>
+          {!compareText && (
+            <p className="audition-help">{t("audition.compareHelp")}</p>
+          )}
+          <div className="ab-columns">
+            {[
+              ["a", voiceA],
+              ["b", voiceB],
+            ].map(([side, voice]) => (
+              <div
+                key={side}
+                className={`ab-column ${
+                  playingKey === voiceKey(voice) ? "playing" : ""
+                }`}
+              >
+                <span className="ab-label">{side.toUpperCase()}</span>
+                {renderPicker(side, voice)}
+                {renderRating(voice)}
+                <button
+                  className="btn-link"
+                  onClick={() =>
+                    onPlay([voice], compareText || sampleText.trim())
+                  }
+                  disabled={disabled || isPlaying}
+                >
+                  {t("audition.playSide", { side: side.toUpperCase() })}
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            className="btn btn-secondary"
+            onClick={() =>
+              onPlay([voiceA, voiceB], compareText || sampleText.trim())
+            }
+            disabled={disabled || isPlaying || voiceA === voiceB}
+          >
+            {t("audition.playBoth")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoiceAudition;
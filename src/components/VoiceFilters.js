@@ -0,0 +1,146 @@
+// VoiceFilters.js
+import React from "react";
+import { FACETS } from "../utils/voiceCatalog";
+import { VOICE_SORTS } from "../utils/voiceRatings";
+
+// Search, language and facet filters for the voice grid. Facet options show
+// how many voices picking them would list; options without voices are
+// hidden unless picked.
+const VoiceFilters = ({
+  filters,
+  onChange,
+  languages,
+  counts,
+  sort,
+  onSortChange,
+  favoriteCount,
+  t,
+}) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleOption = (facet, option) => {
+    const picked = filters[facet];
+    update({
+      [facet]: picked.includes(option)
+        ? picked.filter((id) => id !== option)
+        : [...picked, option],
+    });
+  };
+
+  const isFiltered =
+    filters.query ||
+    filters.favoritesOnly ||
+    FACETS.some((facet) => filters[facet.id].length);
+
+  return (
+    <div className="voice-filters">
+      <div className="filter-controls">
+        <div className="control-group voice-search">
+          <label htmlFor="voice-search" className="label">
+            {t("filters.search")}
+          </label>
+          <input
+            id="voice-search"
+            type="search"
+            className="text-field"
+            value={filters.query}
+            onChange={(e) => update({ query: e.target.value })}
+            placeholder={t("filters.searchPlaceholder")}
+          />
+        </div>
+
+        <div className="control-group">
+          <label htmlFor="language-filter" className="label">
+            {t("filters.language")}
+          </label>
+          <select
+            id="language-filter"
+            className="select"
+            value={filters.language}
+            onChange={(e) => update({ language: e.target.value })}
+          >
+            <option value="all">{t("filters.allLanguages")}</option>
+            {languages.map((lang) => (
+              <option key={lang.code} value={lang.code}>
+                {lang.name} ({lang.count})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="control-group">
+          <label htmlFor="voice-sort" className="label">
+            {t("filters.sort")}
+          </label>
+          <select
+            id="voice-sort"
+            className="select"
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+          >
+            {VOICE_SORTS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {t(`filters.sort.${option.id}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="facet-groups">
+        {FACETS.map((facet) => (
+          <div key={facet.id} className="facet-group">
+            <span className="facet-label">
+              {t("filters.facet", { facet: t(`facet.${facet.id}`) })}
+            </span>
+            {facet.options
+              .filter(
+                (option) =>
+                  counts[facet.id][option.id] ||
+                  filters[facet.id].includes(option.id)
+              )
+              .map((option) => (
+                <button
+                  key={option.id}
+                  className={`facet-chip ${
+                    filters[facet.id].includes(option.id) ? "active" : ""
+                  }`}
+                  onClick={() => toggleOption(facet.id, option.id)}
+                  aria-pressed={filters[facet.id].includes(option.id)}
+                >
+                  {t(`facet.${facet.id}.${option.id}`)} (
+                  {counts[facet.id][option.id] || 0})
+                </button>
+              ))}
+          </div>
+        ))}
+        <div className="facet-group">
+          <button
+            className={`facet-chip ${filters.favoritesOnly ? "active" : ""}`}
+            onClick={() => update({ favoritesOnly: !filters.favoritesOnly })}
+            aria-pressed={filters.favoritesOnly}
+            disabled={!favoriteCount && !filters.favoritesOnly}
+          >
+            {t("filters.favoritesOnly", { count: favoriteCount })}
+          </button>
+          {isFiltered && (
+            <button
+              className="btn-link"
+              onClick={() =>
+                update({
+                  query: "",
+                  favoritesOnly: false,
+                  ...Object.fromEntries(FACETS.map((facet) => [facet.id, []])),
+                })
+              }
+            >
+              {t("filters.clear")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VoiceFilters;
@@ -0,0 +1,396 @@
+// WaveformEditor.js
+import React, { useEffect, useRef, useState } from "react";
+import { decodeAudio } from "../utils/audioExport";
+import { PROCESSING_SAMPLE_RATE } from "../utils/audioProcessing";
+import {
+  applyEdit,
+  computePeaks,
+  editTimings,
+  pushHistory,
+} from "../utils/audioEdit";
+import { encodeWav } from "../utils/wav";
+
+const SAMPLE_RATE = PROCESSING_SAMPLE_RATE;
+const MAX_ZOOM = 64;
+const HEIGHT = 120;
+
+const formatTime = (seconds) => `${seconds.toFixed(2)} s`;
+
+// A waveform of the generated audio with a playhead and a selection that can
+// be cut, kept, faded or padded with silence. Each edit replaces the audio
+// in the player through onEdit(blob, timings), so downloads and exports get
+// the edited clip; the versions before it are kept for undo.
+const WaveformEditor = ({
+  audioUrl,
+  audioRef,
+  timings,
+  onEdit,
+  disabled,
+  t,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [audio, setAudio] = useState(null);
+  const [history, setHistory] = useState([]);
+  // A { key, params } message
+  const [error, setError] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [viewStart, setViewStart] = useState(0);
+  const [selection, setSelection] = useState(null);
+  const [playhead, setPlayhead] = useState(0);
+  const [silenceMs, setSilenceMs] = useState(500);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const loadedUrlRef = useRef(null);
+  // Set while the player switches to audio this editor produced
+  const publishingRef = useRef(false);
+  const timingsRef = useRef(timings);
+  timingsRef.current = timings;
+
+  const duration = audio ? audio.channels[0].length / SAMPLE_RATE : 0;
+  const visible = duration / zoom;
+  const start = Math.max(0, Math.min(viewStart, duration - visible));
+
+  // Decode the player's audio, unless it came from an edit made here
+  useEffect(() => {
+    if (!isOpen || loadedUrlRef.current === audioUrl) return undefined;
+    if (publishingRef.current) {
+      publishingRef.current = false;
+      loadedUrlRef.current = audioUrl;
+      return undefined;
+    }
+
+    let cancelled = false;
+    setAudio(null);
+    setHistory([]);
+    setSelection(null);
+    setZoom(1);
+    setViewStart(0);
+    setError(null);
+
+    const load = async () => {
+      try {
+        const blob = await (await fetch(audioUrl)).blob();
+        const channels = await decodeAudio(blob, { sampleRate: SAMPLE_RATE });
+        if (cancelled) return;
+        loadedUrlRef.current = audioUrl;
+        setAudio({ channels, timings: timingsRef.current });
+      } catch (loadError) {
+        console.error("Could not load the waveform:", loadError);
+        if (!cancelled) {
+          setError({
+            key: "waveform.loadFailed",
+            params: { message: loadError.message },
+          });
+        }
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, audioUrl]);
+
+  // Follow the player's position
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let frame;
+    const follow = () => {
+      const element = audioRef.current;
+      if (element) setPlayhead(element.currentTime);
+      frame = requestAnimationFrame(follow);
+    };
+    frame = requestAnimationFrame(follow);
+    return () => cancelAnimationFrame(frame);
+  }, [isOpen, audioRef]);
+
+  // Draw the visible part of the waveform, the selection and the playhead
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !audio) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+    const height = HEIGHT * ratio;
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+    const x = (time) => ((time - start) / visible) * width;
+
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, width, height);
+
+    if (selection) {
+      context.fillStyle = "rgba(102, 126, 234, 0.2)";
+      context.fillRect(
+        x(selection.start),
+        0,
+        x(selection.end) - x(selection.start),
+        height
+      );
+    }
+
+    const { min, max } = computePeaks(
+      audio.channels[0],
+      start * SAMPLE_RATE,
+      (start + visible) * SAMPLE_RATE,
+      width
+    );
+    const middle = height / 2;
+    context.fillStyle = "#667eea";
+    for (let i = 0; i < width; i++) {
+      const top = middle - max[i] * middle;
+      context.fillRect(i, top, 1, Math.max(1, (max[i] - min[i]) * middle));
+    }
+
+    if (playhead >= start && playhead <= start + visible) {
+      context.fillStyle = "#e53935";
+      context.fillRect(Math.round(x(playhead)), 0, Math.ceil(ratio), height);
+    }
+  }, [audio, start, visible, selection, playhead]);
+
+  const timeAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const fraction = (event.clientX - rect.left) / rect.width;
+    return Math.max(0, Math.min(duration, start + fraction * visible));
+  };
+
+  const handlePointerDown = (e) => {
+    if (!audio) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { from: timeAt(e), moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const time = timeAt(e);
+    if (Math.abs(time - drag.from) * SAMPLE_RATE < 1) return;
+    drag.moved = true;
+    setSelection({
+      start: Math.min(drag.from, time),
+      end: Math.max(drag.from, time),
+    });
+  };
+
+  // A click without dragging moves the playhead
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved) return;
+    setSelection(null);
+    if (audioRef.current) audioRef.current.currentTime = timeAt(e);
+  };
+
+  // Zoom around the selection or the playhead
+  const changeZoom = (next) => {
+    const level = Math.max(1, Math.min(MAX_ZOOM, next));
+    const center = selection ? (selection.start + selection.end) / 2 : playhead;
+    setZoom(level);
+    setViewStart(Math.max(0, center - duration / level / 2));
+  };
+
+  const publish = (next) => {
+    setAudio(next);
+    publishingRef.current = true;
+    onEdit(
+      new Blob([encodeWav(next.channels, SAMPLE_RATE)], { type: "audio/wav" }),
+      next.timings
+    );
+  };
+
+  const edit = (change) => {
+    const channels = applyEdit(audio.channels, SAMPLE_RATE, change);
+    if (!channels[0].length) {
+      setError({ key: "waveform.removesAll", params: {} });
+      return;
+    }
+    setError(null);
+    setHistory((stack) => pushHistory(stack, audio));
+    publish({ channels, timings: editTimings(audio.timings, change) });
+
+    if (change.type === "silence") {
+      setSelection({
+        start: change.start,
+        end: change.start + change.duration,
+      });
+    } else if (change.type !== "fade") {
+      setSelection(null);
+    }
+    if (change.type === "trim") {
+      setZoom(1);
+      setViewStart(0);
+    }
+  };
+
+  const undo = () => {
+    const previous = history[history.length - 1];
+    setHistory(history.slice(0, -1));
+    setSelection(null);
+    setError(null);
+    publish(previous);
+  };
+
+  const busy = disabled || !audio;
+
+  return (
+    <div className="waveform-editor">
+      <div className="waveform-header">
+        <h4>{t("waveform.title")}</h4>
+        <button className="btn-link" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen ? t("panel.hide") : t("waveform.show")}
+        </button>
+      </div>
+
+      {isOpen && (
+        <>
+          {error && (
+            <div className="warning-message">
+              ⚠️ {t(error.key, error.params)}
+            </div>
+          )}
+          {!audio && !error && (
+            <p className="waveform-status">{t("waveform.loading")}</p>
+          )}
+
+          <canvas
+            ref={canvasRef}
+            className="waveform-canvas"
+            style={{ height: HEIGHT }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            aria-label={t("waveform.canvas")}
+          />
+
+          {zoom > 1 && (
+            <input
+              type="range"
+              className="slider"
+              min="0"
+              max={duration - visible}
+              step={visible / 100}
+              value={start}
+              onChange={(e) => setViewStart(parseFloat(e.target.value))}
+              aria-label={t("waveform.scroll")}
+            />
+          )}
+
+          <div className="waveform-info">
+            <span>
+              {formatTime(playhead)} / {formatTime(duration)}
+            </span>
+            {selection && (
+              <span>
+                {t("waveform.selected", {
+                  start: formatTime(selection.start),
+                  end: formatTime(selection.end),
+                  length: formatTime(selection.end - selection.start),
+                })}
+              </span>
+            )}
+            <span className="waveform-zoom">
+              <button
+                className="btn-link"
+                onClick={() => changeZoom(zoom / 2)}
+                disabled={busy || zoom <= 1}
+                title={t("waveform.zoomOut")}
+              >
+                ➖
+              </button>
+              {zoom}×
+              <button
+                className="btn-link"
+                onClick={() => changeZoom(zoom * 2)}
+                disabled={busy || zoom >= MAX_ZOOM}
+                title={t("waveform.zoomIn")}
+              >
+                ➕
+              </button>
+              <button
+                className="btn-link"
+                onClick={() => changeZoom(1)}
+                disabled={busy || zoom === 1}
+              >
+                {t("waveform.fit")}
+              </button>
+            </span>
+          </div>
+
+          <div className="waveform-actions">
+            <button
+              className="btn-link"
+              onClick={() => edit({ type: "cut", ...selection })}
+              disabled={busy || !selection}
+            >
+              {t("waveform.cut")}
+            </button>
+            <button
+              className="btn-link"
+              onClick={() => edit({ type: "trim", ...selection })}
+              disabled={busy || !selection}
+            >
+              {t("waveform.trim")}
+            </button>
+            <button
+              className="btn-link"
+              onClick={() =>
+                edit({ type: "fade", direction: "in", ...selection })
+              }
+              disabled={busy || !selection}
+            >
+              {t("waveform.fadeIn")}
+            </button>
+            <button
+              className="btn-link"
+              onClick={() =>
+                edit({ type: "fade", direction: "out", ...selection })
+              }
+              disabled={busy || !selection}
+            >
+              {t("waveform.fadeOut")}
+            </button>
+            <span className="waveform-silence">
+              <button
+                className="btn-link"
+                onClick={() =>
+                  edit({
+                    type: "silence",
+                    start: selection ? selection.start : playhead,
+                    duration: silenceMs / 1000,
+                  })
+                }
+                disabled={busy || !(silenceMs > 0)}
+                title={t("waveform.silenceHint")}
+              >
+                {t("waveform.silence")}
+              </button>
+              <input
+                type="number"
+                className="text-field"
+                min="10"
+                max="10000"
+                step="10"
+                value={silenceMs}
+                onChange={(e) => setSilenceMs(parseInt(e.target.value, 10))}
+                aria-label={t("waveform.silenceLength")}
+              />
+              ms
+            </span>
+            <button
+              className="btn-link"
+              onClick={undo}
+              disabled={disabled || !history.length}
+            >
+              {history.length > 0
+                ? t("waveform.undoCount", { count: history.length })
+                : t("waveform.undo")}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WaveformEditor;
@@ -0,0 +1,13 @@
+// index.js
+// Entry of the standalone player script, build/tts-player.js:
+//
+//   <script src="https://example.com/tts-player.js"></script>
+//   <tts-player text="Hello"></tts-player>
+//
+// It only defines <tts-player>. The app isn't mounted and its stylesheets
+// aren't loaded, so the host page is left as it is; the element styles
+// itself inside its shadow root.
+
+import { defineTtsPlayer } from "./ttsPlayer";
+
+defineTtsPlayer();
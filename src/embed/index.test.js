@@ -0,0 +1,11 @@
+import { PLAYER_TAG } from "./ttsPlayer";
+
+test("defines the element without touching the host page", () => {
+  document.head.innerHTML = "";
+  document.body.innerHTML = '<div id="root"></div>';
+  require("./index");
+
+  expect(window.customElements.get(PLAYER_TAG)).toBeDefined();
+  expect(document.getElementById("root").childNodes).toHaveLength(0);
+  expect(document.head.childNodes).toHaveLength(0);
+});
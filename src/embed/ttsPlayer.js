@@ -0,0 +1,502 @@
+// ttsPlayer.js
+// <tts-player>: the app's speech pipeline (voice choice, rate, pitch,
+// volume, playback and download) as a custom element for other pages:
+//
+//   <tts-player text="नमस्ते" lang="hi"></tts-player>
+//   <tts-player selector="article p" voice="Google UK English Female">
+//   <tts-player controls="none">Text inside the element is read too.</tts-player>
+//
+// The text comes from the "text" attribute, else from the elements matching
+// "selector", else from the element's own content. "voice" picks a voice by
+// name and "lang" by language; "rate", "pitch" and "volume" work as in the
+// app, and controls="none" hides the controls.
+//
+// The element has play(), pause(), resume(), stop(), setVoice(), setText(),
+// setOptions(), download(), getAudio(), getState() and getVoices(), and
+// fires tts-ready, tts-voices, tts-state, tts-progress, tts-end and
+// tts-error DOM events. The same commands and events go over postMessage
+// (see utils/playerProtocol.js), so a host page can drive a player in an
+// iframe (index.html?player&text=...) and the reverse. Pages that host
+// the element themselves load tts-player.js (see embed/index.js). Labels
+// and error messages come from the app's catalogs, in the browser's
+// language.
+
+import { buildPlaybackPlan, findVoice } from "../utils/playbackPlan";
+import { createSpeechQueue } from "../utils/speechQueue";
+import { extensionForType } from "../utils/audioExport";
+import { downloadBlob } from "../utils/download";
+import {
+  DEFAULT_ENGINE_SETTINGS,
+  createEngines,
+  engineOf,
+  listVoices,
+  renderPlanAudio,
+} from "../engines";
+import {
+  PLAYER_COMMANDS,
+  PLAYER_LIMITS,
+  isAllowedOrigin,
+  parseOrigins,
+  playerMessage,
+  readCommand,
+  readLimit,
+  textOfSelector,
+} from "../utils/playerProtocol";
+import { createTranslator, pickUiLanguage } from "../utils/i18n";
+
+export const PLAYER_TAG = "tts-player";
+
+// Query parameters of index.html?player copied onto the element
+const PAGE_ATTRIBUTES = [
+  "text",
+  "lang",
+  "voice",
+  "rate",
+  "pitch",
+  "volume",
+  "origins",
+  "controls",
+];
+
+const STYLES = `
+  :host {
+    display: inline-block;
+    font-family: inherit;
+    color: #333;
+  }
+  :host([controls="none"]) .player {
+    display: none;
+  }
+  .player {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    min-width: 220px;
+    padding: 10px 12px;
+    background: #f8f9fa;
+    border: 1px solid #e9ecef;
+    border-radius: 12px;
+  }
+  .buttons {
+    display: flex;
+    gap: 6px;
+  }
+  button {
+    border: 1px solid #dee2e6;
+    border-radius: 8px;
+    background: white;
+    padding: 4px 10px;
+    cursor: pointer;
+    font-size: 1em;
+  }
+  button:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+  .progress {
+    height: 6px;
+    background: #e9ecef;
+    border-radius: 3px;
+    overflow: hidden;
+  }
+  .fill {
+    height: 100%;
+    width: 0;
+    background: #667eea;
+    transition: width 0.2s;
+  }
+  summary {
+    cursor: pointer;
+    font-size: 0.85em;
+    color: #555;
+  }
+  label {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+    margin-top: 6px;
+    font-size: 0.85em;
+  }
+  select {
+    max-width: 160px;
+  }
+`;
+
+const template = (t) => `
+  <div class="player" part="player">
+    <div class="buttons">
+      <button data-action="toggle" part="button" title="${t("embed.play")}">▶️</button>
+      <button data-action="stop" part="button" title="${t("embed.stop")}">⏹️</button>
+      <button data-action="download" part="button" title="${t("embed.download")}">💾</button>
+    </div>
+    <div class="progress" part="progress"><div class="fill"></div></div>
+    <details>
+      <summary>${t("embed.settings")}</summary>
+      <label>${t("embed.voice")} <select data-field="voice"></select></label>
+      <label>${t("embed.rate")} <input data-field="rate" type="range" min="0.5" max="2" step="0.1"></label>
+      <label>${t("embed.pitch")} <input data-field="pitch" type="range" min="0.5" max="2" step="0.1"></label>
+      <label>${t("embed.volume")} <input data-field="volume" type="range" min="0" max="1" step="0.1"></label>
+    </details>
+  </div>
+`;
+
+// Voice records without the native voice, which can't be posted
+const describeVoice = (voice) =>
+  voice && {
+    name: voice.name,
+    lang: voice.lang,
+    engine: voice.engine,
+    localService: !!voice.localService,
+  };
+
+// Origins of file:// pages are "null" and can only be posted to with "*"
+const targetOrigin = (origin) => (origin && origin !== "null" ? origin : "*");
+
+// The browser has a single speech queue, so only one player speaks at once
+let activePlayer = null;
+
+export class TtsPlayerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["voice", "lang", "rate", "pitch", "volume"];
+  }
+
+  constructor() {
+    super();
+    this.t = createTranslator(
+      pickUiLanguage(navigator.languages || [navigator.language])
+    );
+    this.engines = createEngines(
+      window.speechSynthesis,
+      DEFAULT_ENGINE_SETTINGS
+    );
+    this.queue = createSpeechQueue(
+      (item) => this.engines[engineOf(item.voice)]
+    );
+    this.voices = [];
+    this.voice = null;
+    this.state = "idle";
+    this.progress = { index: -1, total: 0, offset: 0, percent: 0 };
+    this.subscribers = [];
+    this.isReady = false;
+
+    const shadow = this.attachShadow({ mode: "open" });
+    shadow.innerHTML = `<style>${STYLES}</style>${template(this.t)}`;
+    this.field = (name) => shadow.querySelector(`[data-field="${name}"]`);
+    this.button = (name) => shadow.querySelector(`[data-action="${name}"]`);
+    this.fill = shadow.querySelector(".fill");
+
+    this.button("toggle").addEventListener("click", () => {
+      if (this.state === "playing") this.pause();
+      else if (this.state === "paused") this.resume();
+      else {
+        try {
+          this.play();
+        } catch (error) {
+          this.emit("error", { command: "play", message: error.message });
+        }
+      }
+    });
+    this.button("stop").addEventListener("click", () => this.stop());
+    this.button("download").addEventListener("click", () =>
+      this.download().catch((error) =>
+        this.emit("error", { command: "download", message: error.message })
+      )
+    );
+    this.field("voice").addEventListener("change", (e) => {
+      const voice = this.voices[Number(e.target.value)];
+      if (voice) this.setAttribute("voice", voice.name);
+    });
+    Object.keys(PLAYER_LIMITS).forEach((name) =>
+      this.field(name).addEventListener("input", (e) =>
+        this.setAttribute(name, e.target.value)
+      )
+    );
+  }
+
+  // Browser voices load asynchronously. The engine's onVoicesChanged takes
+  // a single callback, which the app or another player may hold, so listen
+  // for the event instead.
+  connectedCallback() {
+    window.addEventListener("message", this.handleMessage);
+    if (window.speechSynthesis && window.speechSynthesis.addEventListener) {
+      window.speechSynthesis.addEventListener("voiceschanged", this.loadVoices);
+    }
+    this.syncFields();
+    this.loadVoices();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener("message", this.handleMessage);
+    if (window.speechSynthesis && window.speechSynthesis.removeEventListener) {
+      window.speechSynthesis.removeEventListener(
+        "voiceschanged",
+        this.loadVoices
+      );
+    }
+    this.stop();
+  }
+
+  attributeChangedCallback(name) {
+    if (name === "voice" || name === "lang") this.pickVoice();
+    this.syncFields();
+  }
+
+  loadVoices = async () => {
+    const { voices } = await listVoices(this.engines, DEFAULT_ENGINE_SETTINGS);
+    this.voices = voices;
+    this.pickVoice();
+    this.syncFields();
+    this.emit("voices", this.getVoices());
+    if (!this.isReady && voices.length) {
+      this.isReady = true;
+      this.emit("ready", this.getState());
+    }
+  };
+
+  // The voice named by "voice", else one for "lang", else a browser voice
+  pickVoice() {
+    const name = this.getAttribute("voice");
+    const lang = this.getAttribute("lang");
+    this.voice =
+      (name && findVoice(this.voices, { name })) ||
+      (lang && findVoice(this.voices, { lang })) ||
+      this.voices.find((voice) => voice.engine === "webspeech") ||
+      this.voices[0] ||
+      null;
+  }
+
+  syncFields() {
+    const select = this.field("voice");
+    select.innerHTML = "";
+    this.voices.forEach((voice, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = `${voice.name} (${voice.lang})`;
+      option.selected = voice === this.voice;
+      select.appendChild(option);
+    });
+    Object.keys(PLAYER_LIMITS).forEach((name) => {
+      this.field(name).value = String(this.option(name));
+    });
+  }
+
+  option(name) {
+    return readLimit(name, this.getAttribute(name));
+  }
+
+  getText() {
+    const text = this.getAttribute("text");
+    if (text !== null) return text;
+    const selector = this.getAttribute("selector");
+    if (selector) return textOfSelector(document, selector);
+    return (this.textContent || "").trim();
+  }
+
+  plan() {
+    return buildPlaybackPlan(
+      this.getText(),
+      "text",
+      {
+        voice: this.voice,
+        rate: this.option("rate"),
+        pitch: this.option("pitch"),
+        volume: this.option("volume"),
+        autoLanguage: true,
+        languageVoices: {},
+        normalize: true,
+      },
+      this.voices
+    );
+  }
+
+  emit(event, detail) {
+    this.dispatchEvent(
+      new CustomEvent(`tts-${event}`, { detail, bubbles: true, composed: true })
+    );
+    this.subscribers.forEach(({ source, origin }) =>
+      source.postMessage(
+        playerMessage(this.id, event, detail),
+        targetOrigin(origin)
+      )
+    );
+  }
+
+  setState(state) {
+    this.state = state;
+    const toggle = this.button("toggle");
+    toggle.textContent = state === "playing" ? "⏸️" : "▶️";
+    toggle.title = this.t(state === "playing" ? "embed.pause" : "embed.play");
+    this.emit("state", { state });
+  }
+
+  setProgress(index, total, offset) {
+    const length = Math.max(1, this.getText().length);
+    this.progress = {
+      index,
+      total,
+      offset,
+      percent: Math.round((offset / length) * 100),
+    };
+    this.fill.style.width = total ? `${((index + 1) / total) * 100}%` : "0";
+    this.emit("progress", this.progress);
+  }
+
+  play() {
+    const plan = this.plan();
+    if (!plan.chunks.length) throw new Error(this.t("embed.noText"));
+
+    if (activePlayer && activePlayer !== this) activePlayer.stop();
+    activePlayer = this;
+    const { chunks } = plan;
+    this.queue.play(plan.items, {
+      onSegmentStart: (index) =>
+        this.setProgress(index, chunks.length, chunks[index].start),
+      onBoundary: (index, item, event) => {
+        if ((event.name && event.name !== "word") || item.offset === null) {
+          return;
+        }
+        this.setProgress(index, chunks.length, item.offset + event.charIndex);
+      },
+      onError: (event, index) =>
+        this.emit("error", {
+          command: "play",
+          message: this.t("embed.speechError", { sentence: index + 1 }),
+        }),
+      onEnd: () => {
+        activePlayer = null;
+        this.setState("idle");
+        this.emit("end", {});
+      },
+    });
+    this.setState("playing");
+  }
+
+  pause() {
+    if (this.state !== "playing") return;
+    this.queue.pause();
+    this.setState("paused");
+  }
+
+  resume() {
+    if (this.state !== "paused") return;
+    this.queue.resume();
+    this.setState("playing");
+  }
+
+  stop() {
+    this.queue.stop();
+    if (activePlayer === this) activePlayer = null;
+    if (this.state !== "idle") this.setState("idle");
+    this.setProgress(-1, 0, 0);
+  }
+
+  // By name, else by language. Resolves with the voice now in use.
+  setVoice(nameOrLang) {
+    const voice =
+      findVoice(this.voices, { name: nameOrLang }) ||
+      findVoice(this.voices, { lang: nameOrLang });
+    if (!voice) {
+      throw new Error(this.t("embed.voiceMissing", { voice: nameOrLang }));
+    }
+    this.setAttribute("voice", voice.name);
+    return describeVoice(this.voice);
+  }
+
+  setText(text) {
+    this.stop();
+    this.setAttribute("text", String(text));
+  }
+
+  setOptions(options = {}) {
+    Object.keys(PLAYER_LIMITS).forEach((name) => {
+      if (options[name] !== undefined) {
+        this.setAttribute(name, String(readLimit(name, options[name])));
+      }
+    });
+    return this.getState();
+  }
+
+  // Render the text to an audio file. Browser voices can't be recorded
+  // here, so their text is rendered by the offline synthesizer.
+  async getAudio() {
+    const plan = this.plan();
+    if (!plan.parts.length) throw new Error(this.t("embed.noText"));
+    const { blob } = await renderPlanAudio(this.engines, plan.parts);
+    return blob;
+  }
+
+  async download() {
+    const blob = await this.getAudio();
+    downloadBlob(blob, `speech-${Date.now()}.${extensionForType(blob.type)}`);
+    return blob;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      voice: describeVoice(this.voice),
+      rate: this.option("rate"),
+      pitch: this.option("pitch"),
+      volume: this.option("volume"),
+      progress: this.progress,
+    };
+  }
+
+  getVoices() {
+    return this.voices.map(describeVoice);
+  }
+
+  handleMessage = async (event) => {
+    const message = readCommand(event.data);
+    if (!message || (message.player && message.player !== this.id)) return;
+    const allowed = parseOrigins(this.getAttribute("origins"));
+    if (!isAllowedOrigin(event.origin, allowed, window.location.origin)) {
+      return;
+    }
+
+    const { command, args, requestId } = message;
+    const source = event.source;
+    const reply = (name, detail) => {
+      if (!source) return;
+      source.postMessage(
+        playerMessage(this.id, name, detail, requestId),
+        targetOrigin(event.origin)
+      );
+    };
+
+    if (command === "subscribe" || command === "unsubscribe") {
+      this.subscribers = this.subscribers.filter((s) => s.source !== source);
+      if (command === "subscribe" && source) {
+        this.subscribers.push({ source, origin: event.origin });
+      }
+      reply("state", this.getState());
+      return;
+    }
+
+    try {
+      const value = await this[PLAYER_COMMANDS[command]](...args);
+      reply("result", { command, value: value === undefined ? null : value });
+    } catch (error) {
+      reply("error", { command, message: error.message });
+    }
+  };
+}
+
+export const defineTtsPlayer = (registry = window.customElements) => {
+  if (registry && !registry.get(PLAYER_TAG)) {
+    registry.define(PLAYER_TAG, TtsPlayerElement);
+  }
+};
+
+// index.html?player&text=...: a page with only the player, to embed in an
+// iframe. The query parameters become its attributes.
+export const mountPlayerPage = (container, params) => {
+  const player = document.createElement(PLAYER_TAG);
+  player.id = params.get("id") || "player";
+  PAGE_ATTRIBUTES.forEach((name) => {
+    if (params.has(name)) player.setAttribute(name, params.get(name));
+  });
+  container.replaceChildren(player);
+  return player;
+};
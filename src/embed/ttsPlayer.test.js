@@ -0,0 +1,199 @@
+import { PLAYER_TAG, defineTtsPlayer, mountPlayerPage } from "./ttsPlayer";
+
+defineTtsPlayer();
+
+// A player with the offline voices, which jsdom can list. Live speech goes
+// to a fake engine that keeps each utterance's callbacks.
+const createPlayer = async (attributes = {}, content = "") => {
+  const player = document.createElement(PLAYER_TAG);
+  Object.entries(attributes).forEach(([name, value]) =>
+    player.setAttribute(name, value)
+  );
+  player.textContent = content;
+  const ready = new Promise((resolve) =>
+    player.addEventListener("tts-ready", resolve, { once: true })
+  );
+  document.body.appendChild(player);
+  await ready;
+
+  const spoken = [];
+  player.engines.offline.speak = (item, callbacks) => {
+    spoken.push({ item, callbacks });
+    return { cancel: jest.fn(), pause: jest.fn(), resume: jest.fn() };
+  };
+  return { player, spoken };
+};
+
+const recordEvents = (player) => {
+  const events = [];
+  ["state", "progress", "end", "error"].forEach((name) =>
+    player.addEventListener(`tts-${name}`, (e) => events.push([name, e.detail]))
+  );
+  return events;
+};
+
+afterEach(() => {
+  document.body.innerHTML = "";
+});
+
+test("picks the voice and settings from its attributes", async () => {
+  const { player } = await createPlayer({
+    lang: "hi",
+    rate: "9",
+    pitch: "0.8",
+    volume: "oops",
+  });
+  expect(player.getState()).toMatchObject({
+    state: "idle",
+    voice: { name: "Offline Hindi", lang: "hi-IN", engine: "offline" },
+    rate: 2,
+    pitch: 0.8,
+    volume: 1,
+  });
+  const shadow = player.shadowRoot;
+  expect(shadow.querySelector('[data-field="rate"]').value).toBe("2");
+  expect(shadow.querySelector('[data-field="voice"]').options).toHaveLength(2);
+
+  player.setAttribute("voice", "Offline English");
+  expect(player.getState().voice.name).toBe("Offline English");
+});
+
+test("reads its text attribute, the selector or its own content", async () => {
+  document.body.innerHTML = "<article><p>First.</p><p>Second.</p></article>";
+  const { player } = await createPlayer({ selector: "article p" }, "Inside.");
+  expect(player.getText()).toBe("First.\n\nSecond.");
+
+  player.removeAttribute("selector");
+  expect(player.getText()).toBe("Inside.");
+  player.setText("Set by a command.");
+  expect(player.getText()).toBe("Set by a command.");
+});
+
+test("plays, pauses and stops with events for each step", async () => {
+  const { player, spoken } = await createPlayer({
+    text: "One. Two.",
+    voice: "Offline English",
+  });
+  const events = recordEvents(player);
+
+  player.play();
+  expect(player.state).toBe("playing");
+  spoken[0].callbacks.onStart();
+  player.pause();
+  player.resume();
+  spoken[0].callbacks.onEnd();
+  spoken[1].callbacks.onStart();
+  spoken[1].callbacks.onEnd();
+
+  expect(spoken.map(({ item }) => item.text)).toEqual(["One.", "Two."]);
+  expect(events.filter(([name]) => name === "state")).toEqual([
+    ["state", { state: "playing" }],
+    ["state", { state: "paused" }],
+    ["state", { state: "playing" }],
+    ["state", { state: "idle" }],
+  ]);
+  expect(events.filter(([name]) => name === "progress")).toEqual([
+    ["progress", { index: 0, total: 2, offset: 0, percent: 0 }],
+    ["progress", { index: 1, total: 2, offset: 5, percent: 56 }],
+  ]);
+  expect(events[events.length - 1]).toEqual(["end", {}]);
+
+  player.play();
+  player.stop();
+  expect(player.getState().progress).toMatchObject({ index: -1, total: 0 });
+});
+
+test("reports commands that can't run", async () => {
+  const { player } = await createPlayer({ text: "" });
+  expect(() => player.play()).toThrow("There is no text to read");
+  expect(() => player.setVoice("Nobody")).toThrow(
+    'Voice "Nobody" is not available'
+  );
+  expect(player.setVoice("hi-IN")).toMatchObject({ name: "Offline Hindi" });
+  expect(player.setOptions({ rate: 0.1, volume: 0.5 })).toMatchObject({
+    rate: 0.5,
+    volume: 0.5,
+  });
+});
+
+test("labels and messages follow the browser's language", async () => {
+  const languages = jest
+    .spyOn(navigator, "languages", "get")
+    .mockReturnValue(["hi-IN"]);
+  try {
+    const { player } = await createPlayer({ text: "" });
+    expect(player.shadowRoot.querySelector("summary").textContent).toBe(
+      "सेटिंग्स"
+    );
+    expect(() => player.play()).toThrow("पढ़ने के लिए कोई टेक्स्ट नहीं है");
+  } finally {
+    languages.mockRestore();
+  }
+});
+
+test("answers messages from allowed origins only", async () => {
+  const { player } = await createPlayer({
+    id: "reader",
+    origins: "https://host.example",
+  });
+  const source = { postMessage: jest.fn() };
+  const send = (origin, data) =>
+    player.handleMessage({
+      origin,
+      source,
+      data: { type: "tts-player", ...data },
+    });
+
+  await send("https://other.example", { command: "getState" });
+  await send(window.location.origin, { command: "stop", player: "another" });
+  expect(source.postMessage).not.toHaveBeenCalled();
+
+  await send("https://host.example", {
+    command: "setVoice",
+    args: ["en-US"],
+    requestId: 7,
+  });
+  expect(source.postMessage).toHaveBeenLastCalledWith(
+    {
+      type: "tts-player",
+      event: "result",
+      player: "reader",
+      requestId: 7,
+      detail: {
+        command: "setVoice",
+        value: expect.objectContaining({ name: "Offline English" }),
+      },
+    },
+    "https://host.example"
+  );
+
+  await send("https://host.example", { command: "setVoice", args: ["xx"] });
+  expect(source.postMessage.mock.calls[1][0]).toMatchObject({
+    event: "error",
+    detail: { command: "setVoice", message: 'Voice "xx" is not available' },
+  });
+
+  // Subscribed windows get the element's events
+  await send(window.location.origin, { command: "subscribe" });
+  source.postMessage.mockClear();
+  player.setOptions({ rate: 1.5 });
+  player.stop();
+  expect(source.postMessage).toHaveBeenCalledWith(
+    expect.objectContaining({ event: "progress", player: "reader" }),
+    window.location.origin
+  );
+});
+
+test("mounts a player page from query parameters", () => {
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+  const player = mountPlayerPage(
+    container,
+    new URLSearchParams("player&text=Hello&rate=1.5&id=embedded&onclick=x")
+  );
+  expect(container.firstChild).toBe(player);
+  expect(player.id).toBe("embedded");
+  expect(player.getAttribute("text")).toBe("Hello");
+  expect(player.getAttribute("rate")).toBe("1.5");
+  expect(player.hasAttribute("onclick")).toBe(false);
+});
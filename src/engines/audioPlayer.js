@@ -0,0 +1,87 @@
+// audioPlayer.js
+// Live playback for engines that render audio files: the item is rendered,
+// played through an Audio element and its word timings are reported as
+// boundary events while it plays.
+
+export const playRendered = (
+  render,
+  { onStart, onBoundary, onEnd, onError }
+) => {
+  let audio = null;
+  let url = null;
+  let cancelled = false;
+  let paused = false;
+
+  const release = () => {
+    if (audio) {
+      audio.pause();
+      audio = null;
+    }
+    if (url) {
+      URL.revokeObjectURL(url);
+      url = null;
+    }
+  };
+
+  render()
+    .then(({ blob, words = [] }) => {
+      if (cancelled) return;
+      url = URL.createObjectURL(blob);
+      audio = new Audio(url);
+
+      let started = false;
+      let nextWord = 0;
+      audio.onplaying = () => {
+        if (!started) {
+          started = true;
+          onStart();
+        }
+      };
+      audio.ontimeupdate = () => {
+        while (
+          nextWord < words.length &&
+          words[nextWord].start <= audio.currentTime
+        ) {
+          const word = words[nextWord++];
+          onBoundary({
+            name: "word",
+            charIndex: word.charIndex,
+            charLength: word.charLength,
+          });
+        }
+      };
+      audio.onended = () => {
+        release();
+        onEnd();
+      };
+      audio.onerror = () => {
+        release();
+        onError({ error: "audio-playback" });
+      };
+
+      if (!paused) {
+        audio.play().catch((error) => {
+          release();
+          onError({ error: error.message });
+        });
+      }
+    })
+    .catch((error) => {
+      if (!cancelled) onError({ error: error.message });
+    });
+
+  return {
+    cancel: () => {
+      cancelled = true;
+      release();
+    },
+    pause: () => {
+      paused = true;
+      if (audio) audio.pause();
+    },
+    resume: () => {
+      paused = false;
+      if (audio) audio.play().catch(() => {});
+    },
+  };
+};
@@ -0,0 +1,181 @@
+import {
+  DEFAULT_ENGINE_SETTINGS,
+  createEngines,
+  listVoices,
+  loadEngineSettings,
+} from "./index";
+import {
+  DEFAULT_HTTP_CONFIG,
+  HTTP_TEMPLATES,
+  buildRequestBody,
+  createHttpEngine,
+  parseVoiceList,
+} from "./http";
+import { groupPartsByEngine } from "./render";
+
+const fakeSynth = (voices) => ({
+  getVoices: () => voices,
+  onvoiceschanged: null,
+});
+
+test("merges and tags the voices of all enabled engines", async () => {
+  const engines = createEngines(
+    fakeSynth([{ name: "Lekha", lang: "hi-IN", localService: true }])
+  );
+  const { voices, errors } = await listVoices(engines, DEFAULT_ENGINE_SETTINGS);
+
+  expect(voices.map((voice) => [voice.name, voice.engine])).toEqual([
+    ["Offline English", "offline"],
+    ["Lekha", "webspeech"],
+    ["Offline Hindi", "offline"],
+  ]);
+  expect(voices[1].native.name).toBe("Lekha");
+  expect(errors).toEqual({});
+
+  const withoutOffline = await listVoices(engines, {
+    ...DEFAULT_ENGINE_SETTINGS,
+    offline: false,
+  });
+  expect(withoutOffline.voices).toHaveLength(1);
+});
+
+test("reports engines whose voices could not be listed", async () => {
+  const http = {
+    ...DEFAULT_HTTP_CONFIG,
+    enabled: true,
+    url: "x",
+    voicesUrl: "y",
+  };
+  const engines = createEngines(fakeSynth([]), { offline: false, http });
+  global.fetch = jest.fn(async () => ({
+    ok: false,
+    status: 404,
+    text: async () => "Not found",
+  }));
+
+  const { voices, errors } = await listVoices(engines, {
+    offline: false,
+    http,
+  });
+  expect(voices).toEqual([]);
+  expect(errors).toEqual({ http: "The voices URL answered 404: Not found" });
+  delete global.fetch;
+});
+
+test("reads voice lists of common TTS servers", () => {
+  expect(parseVoiceList('["alba", "jenny"]', "en-GB")).toMatchObject([
+    { name: "alba", lang: "en-GB", engine: "http", voiceId: "alba" },
+    { name: "jenny", lang: "en-GB" },
+  ]);
+  expect(
+    parseVoiceList(
+      '{"hi_IN-pratham-medium": {"language": {"code": "hi_IN"}}}',
+      "en-US"
+    )
+  ).toMatchObject([{ name: "hi_IN-pratham-medium", lang: "hi-IN" }]);
+  expect(
+    parseVoiceList('{"voices": [{"id": "v1", "locale": "de_DE"}]}', "en-US")
+  ).toMatchObject([{ name: "v1", lang: "de-DE" }]);
+  expect(
+    parseVoiceList(
+      "cmu-slt-hsmm en_US female hmm\nbits1-hsmm de female hmm\n",
+      "en-US"
+    )
+  ).toMatchObject([
+    { name: "cmu-slt-hsmm", lang: "en-US" },
+    { name: "bits1-hsmm", lang: "de" },
+  ]);
+});
+
+test("fills the request template as JSON or a form", () => {
+  const part = { text: 'Say "hi" & go', rate: 1.2, pitch: 1, volume: 0.5 };
+  const voice = { voiceId: "jenny", lang: "en-GB" };
+
+  expect(
+    JSON.parse(buildRequestBody(DEFAULT_HTTP_CONFIG, part, voice))
+  ).toEqual({
+    text: 'Say "hi" & go',
+    voice: "jenny",
+    lang: "en-GB",
+    rate: 1.2,
+    pitch: 1,
+    volume: 0.5,
+  });
+  expect(
+    buildRequestBody(
+      { ...DEFAULT_HTTP_CONFIG, format: "form", template: HTTP_TEMPLATES.form },
+      part,
+      voice
+    )
+  ).toBe(
+    "INPUT_TEXT=Say%20%22hi%22%20%26%20go&INPUT_TYPE=TEXT&OUTPUT_TYPE=AUDIO&AUDIO=WAVE_FILE&LOCALE=en_GB&VOICE=jenny"
+  );
+});
+
+test("posts text to the TTS server and returns its audio", async () => {
+  const engine = createHttpEngine({
+    ...DEFAULT_HTTP_CONFIG,
+    enabled: true,
+    url: "http://localhost:5002/api/tts",
+    apiKey: "secret",
+  });
+  const audio = new Blob([new Uint8Array(16)], { type: "audio/wav" });
+  global.fetch = jest.fn(async () => ({ ok: true, blob: async () => audio }));
+
+  expect(await engine.getVoices()).toMatchObject([
+    { name: "Server voice", lang: "en-US", voiceId: "" },
+  ]);
+  const { blob, words } = await engine.synthesize([
+    { text: "Hello", rate: 1, pitch: 1, volume: 1, voice: null },
+  ]);
+  expect(blob).toBe(audio);
+  expect(words).toEqual([]);
+
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe("http://localhost:5002/api/tts");
+  expect(options.headers).toEqual({
+    "Content-Type": "application/json",
+    Authorization: "Bearer secret",
+  });
+  expect(JSON.parse(options.body).text).toBe("Hello");
+
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    blob: async () => new Blob(["{}"], { type: "application/json" }),
+  }));
+  await expect(engine.synthesize([{ text: "Hello" }])).rejects.toThrow(
+    "The TTS server did not return audio"
+  );
+  delete global.fetch;
+});
+
+test("groups plan parts by the engine that renders them", () => {
+  const offline = { id: "offline" };
+  const http = { id: "http" };
+  const parts = [
+    { text: "One", voice: { engine: "offline" } },
+    { silence: 300 },
+    { text: "Two", voice: { engine: "http" } },
+    { text: "Three", voice: { engine: "http" } },
+  ];
+  const groups = groupPartsByEngine(parts, (part) =>
+    part.voice.engine === "http" ? http : offline
+  );
+
+  expect(groups.map((group) => [group.engine.id, group.start])).toEqual([
+    ["offline", 0],
+    ["http", 2],
+  ]);
+  expect(groups[0].parts).toHaveLength(2);
+});
+
+test("keeps only known engine settings", () => {
+  const storage = {
+    getItem: () =>
+      JSON.stringify({ offline: false, http: { url: "http://tts", port: 1 } }),
+  };
+  expect(loadEngineSettings(storage)).toEqual({
+    offline: false,
+    http: { ...DEFAULT_HTTP_CONFIG, url: "http://tts" },
+  });
+});
@@ -0,0 +1,199 @@
+// http.js
+// Speech from a TTS server, such as a self-hosted Coqui, Piper or MaryTTS
+// server. Text and settings are POSTed to the configured endpoint as JSON or
+// as a form, built from a template with {{text}}, {{voice}}, {{lang}},
+// {{locale}} (en_US), {{rate}}, {{pitch}} and {{volume}} placeholders, and
+// the response is the audio.
+//
+// Voices come from an optional voices URL that returns JSON (names, or
+// objects with a name and a language) or MaryTTS-style "name locale ..."
+// lines. Without one, the server is listed as a single voice.
+
+import { joinRendered } from "./render";
+import { playRendered } from "./audioPlayer";
+
+export const HTTP_TEMPLATES = {
+  json: '{"text": {{text}}, "voice": {{voice}}, "lang": {{lang}}, "rate": {{rate}}, "pitch": {{pitch}}, "volume": {{volume}}}',
+  form: "INPUT_TEXT={{text}}&INPUT_TYPE=TEXT&OUTPUT_TYPE=AUDIO&AUDIO=WAVE_FILE&LOCALE={{locale}}&VOICE={{voice}}",
+};
+
+export const DEFAULT_HTTP_CONFIG = {
+  enabled: false,
+  url: "",
+  voicesUrl: "",
+  format: "json",
+  template: HTTP_TEMPLATES.json,
+  apiKey: "",
+  lang: "en-US",
+};
+
+const toLang = (locale) => String(locale || "").replace(/_/g, "-");
+
+const httpVoice = (name, lang, voiceId = name) => ({
+  name,
+  lang: toLang(lang),
+  localService: false,
+  default: false,
+  engine: "http",
+  voiceId,
+});
+
+// Read the voices URL's response. Unknown languages get `fallbackLang`.
+export const parseVoiceList = (contents, fallbackLang) => {
+  let data = null;
+  try {
+    data = JSON.parse(contents);
+  } catch (error) {
+    // Not JSON: one voice per line, name first, then its locale
+    return contents
+      .split(/\r?\n/)
+      .map((line) => line.trim().split(/\s+/))
+      .filter(([name]) => name)
+      .map(([name, locale]) =>
+        httpVoice(
+          name,
+          /^[a-z]{2,3}([-_][A-Za-z]+)?$/.test(locale || "")
+            ? locale
+            : fallbackLang
+        )
+      );
+  }
+
+  const languageOf = (info) => {
+    const value = info && (info.lang || info.language || info.locale);
+    if (value && typeof value === "object") return value.code || fallbackLang;
+    return value || fallbackLang;
+  };
+
+  let entries;
+  if (Array.isArray(data)) entries = data;
+  else if (data && Array.isArray(data.voices)) entries = data.voices;
+  else if (data && typeof data === "object") {
+    // Piper lists voices as { [name]: info }
+    entries = Object.entries(data).map(([name, info]) => ({
+      ...(info && typeof info === "object" ? info : {}),
+      name,
+    }));
+  } else {
+    throw new Error("The voices URL did not return a list of voices");
+  }
+
+  return entries
+    .map((entry) =>
+      typeof entry === "string"
+        ? httpVoice(entry, fallbackLang)
+        : entry && (entry.name || entry.id || entry.voice)
+          ? httpVoice(entry.name || entry.id || entry.voice, languageOf(entry))
+          : null
+    )
+    .filter(Boolean);
+};
+
+// Fill the request template for one part
+export const buildRequestBody = (config, part, voice) => {
+  const lang = (voice && voice.lang) || part.lang || config.lang;
+  const values = {
+    text: part.text,
+    voice: (voice && voice.voiceId) || "",
+    lang,
+    locale: lang.replace(/-/g, "_"),
+    rate: part.rate ?? 1,
+    pitch: part.pitch ?? 1,
+    volume: part.volume ?? 1,
+  };
+  const encode =
+    config.format === "form"
+      ? (value) => encodeURIComponent(String(value))
+      : (value) => JSON.stringify(value);
+
+  return config.template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+    key in values ? encode(values[key]) : placeholder
+  );
+};
+
+const readError = async (response) => {
+  try {
+    const text = (await response.text()).trim();
+    return text ? `: ${text.slice(0, 200)}` : "";
+  } catch (error) {
+    return "";
+  }
+};
+
+export const createHttpEngine = (initialConfig = DEFAULT_HTTP_CONFIG) => {
+  let config = initialConfig;
+
+  const headers = (contentType) => ({
+    ...(contentType && { "Content-Type": contentType }),
+    ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+  });
+
+  const request = async (part) => {
+    if (!config.url) throw new Error("No TTS server URL is configured");
+
+    const response = await fetch(config.url, {
+      method: "POST",
+      headers: headers(
+        config.format === "form"
+          ? "application/x-www-form-urlencoded"
+          : "application/json"
+      ),
+      body: buildRequestBody(config, part, part.voice),
+    });
+    if (!response.ok) {
+      throw new Error(
+        `The TTS server answered ${response.status}${await readError(response)}`
+      );
+    }
+
+    const blob = await response.blob();
+    if (!blob.size || /^(text\/|application\/json)/.test(blob.type)) {
+      throw new Error("The TTS server did not return audio");
+    }
+    return blob.type ? blob : new Blob([blob], { type: "audio/wav" });
+  };
+
+  // Render parts; the server reports no word timings
+  const synthesize = async (parts) => {
+    const pieces = [];
+    for (const part of parts) {
+      pieces.push(
+        part.silence !== undefined
+          ? { silence: part.silence }
+          : { blob: await request(part) }
+      );
+    }
+    return pieces.length === 1 && pieces[0].blob
+      ? { blob: pieces[0].blob, words: [] }
+      : joinRendered(pieces);
+  };
+
+  return {
+    id: "http",
+    label: "Server",
+    canSynthesize: true,
+
+    configure: (newConfig) => {
+      config = newConfig;
+    },
+
+    getVoices: async () => {
+      if (!config.enabled || !config.url) return [];
+      if (!config.voicesUrl)
+        return [httpVoice("Server voice", config.lang, "")];
+
+      const response = await fetch(config.voicesUrl, { headers: headers() });
+      if (!response.ok) {
+        throw new Error(
+          `The voices URL answered ${response.status}${await readError(
+            response
+          )}`
+        );
+      }
+      return parseVoiceList(await response.text(), config.lang);
+    },
+
+    synthesize,
+    speak: (item, handlers) => playRendered(() => synthesize([item]), handlers),
+  };
+};
@@ -0,0 +1,110 @@
+// engines/index.js
+// Speech engines behind one interface, so voices from the browser, the
+// offline synthesizer and a TTS server can be listed and played alike:
+//   id, label      - "webspeech" | "offline" | "http", and its display name
+//   getVoices()    - resolves with voice records ({ name, lang, engine, ... })
+//   speak(item, { onStart, onBoundary, onEnd, onError })
+//                  - live playback of one queue item; returns a
+//                    { cancel, pause, resume } handle
+//   canSynthesize  - whether synthesize(parts) can render plan parts to
+//                    { blob, words }
+// Voices carry the id of their engine, which is how items and parts find the
+// engine that speaks them.
+
+import { createWebSpeechEngine } from "./webSpeech";
+import { createOfflineEngine } from "./offline";
+import { DEFAULT_HTTP_CONFIG, createHttpEngine } from "./http";
+import { renderParts } from "./render";
+
+export const ENGINE_SETTINGS_KEY = "tts-engines";
+
+export const DEFAULT_ENGINE_SETTINGS = {
+  offline: true,
+  http: DEFAULT_HTTP_CONFIG,
+};
+
+export const createEngines = (synth, settings = DEFAULT_ENGINE_SETTINGS) => ({
+  webspeech: createWebSpeechEngine(synth),
+  offline: createOfflineEngine(),
+  http: createHttpEngine(settings.http),
+});
+
+export const engineOf = (voice) => (voice && voice.engine) || "webspeech";
+
+export const engineLabel = (engines, voice) => engines[engineOf(voice)].label;
+
+// List the voices of every enabled engine. Resolves with { voices, errors }
+// where errors maps an engine id to the message of a failed listing.
+export const listVoices = async (engines, settings) => {
+  const enabled = [
+    engines.webspeech,
+    settings.offline && engines.offline,
+    settings.http.enabled && engines.http,
+  ].filter(Boolean);
+  const results = await Promise.allSettled(
+    enabled.map((engine) => engine.getVoices())
+  );
+
+  const voices = [];
+  const errors = {};
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") voices.push(...result.value);
+    else errors[enabled[index].id] = result.reason.message;
+  });
+
+  voices.sort((a, b) =>
+    a.lang === b.lang
+      ? a.name.localeCompare(b.name)
+      : a.lang.localeCompare(b.lang)
+  );
+  return { voices, errors };
+};
+
+// Render plan parts with the engines of their voices. Browser voices can't be
+// rendered, so their parts fall back to the offline synthesizer; `fallback`
+// tells whether that happened.
+export const renderPlanAudio = async (engines, parts) => {
+  const engineFor = (part) => {
+    const engine = engines[engineOf(part.voice)];
+    return engine.canSynthesize ? engine : engines.offline;
+  };
+  const rendered = await renderParts(parts, engineFor);
+  return {
+    ...rendered,
+    fallback: parts.some(
+      (part) => part.text && !engines[engineOf(part.voice)].canSynthesize
+    ),
+  };
+};
+
+const readSettings = (data) => ({
+  offline: data.offline !== false,
+  http: {
+    ...DEFAULT_HTTP_CONFIG,
+    ...Object.fromEntries(
+      Object.entries(data.http || {}).filter(
+        ([key, value]) =>
+          key in DEFAULT_HTTP_CONFIG &&
+          typeof value === typeof DEFAULT_HTTP_CONFIG[key]
+      )
+    ),
+  },
+});
+
+export const loadEngineSettings = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(ENGINE_SETTINGS_KEY) || "{}");
+    return readSettings(data && typeof data === "object" ? data : {});
+  } catch (error) {
+    console.error("Could not read the speech engine settings:", error);
+    return DEFAULT_ENGINE_SETTINGS;
+  }
+};
+
+export const saveEngineSettings = (settings, storage = window.localStorage) => {
+  try {
+    storage.setItem(ENGINE_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Could not save the speech engine settings:", error);
+  }
+};
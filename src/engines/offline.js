@@ -0,0 +1,40 @@
+// offline.js
+// The built-in formant synthesizer. It reads English and Hindi, needs no
+// network and always renders, which makes it the fallback for every voice
+// that can't be rendered to a file itself.
+
+import { synthesizeSequence } from "../synth";
+import { encodeWav } from "../utils/wav";
+import { playRendered } from "./audioPlayer";
+
+const offlineVoice = (name, lang) => ({
+  name,
+  lang,
+  localService: true,
+  default: false,
+  engine: "offline",
+});
+
+export const OFFLINE_VOICES = [
+  offlineVoice("Offline English", "en-US"),
+  offlineVoice("Offline Hindi", "hi-IN"),
+];
+
+// Render parts ({ text, rate, pitch, volume, offset } or { silence }) to a
+// WAV blob with the synthesizer's word timings
+const synthesize = async (parts) => {
+  const { samples, sampleRate, words } = synthesizeSequence(parts);
+  return {
+    blob: new Blob([encodeWav(samples, sampleRate)], { type: "audio/wav" }),
+    words,
+  };
+};
+
+export const createOfflineEngine = () => ({
+  id: "offline",
+  label: "Offline",
+  canSynthesize: true,
+  getVoices: async () => OFFLINE_VOICES,
+  synthesize,
+  speak: (item, handlers) => playRendered(() => synthesize([item]), handlers),
+});
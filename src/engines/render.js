@@ -0,0 +1,86 @@
+// render.js
+// Renders the synthesizer parts of a playback plan to one audio file. Runs of
+// parts that belong to the same engine are rendered together; when more than
+// one engine is involved, their audio is decoded and joined.
+
+import { decodeAudio } from "../utils/audioExport";
+import { PROCESSING_SAMPLE_RATE } from "../utils/audioProcessing";
+import { encodeWav } from "../utils/wav";
+
+// Join rendered pieces ({ blob, words } or { silence } in milliseconds) into
+// one mono WAV. Word times move with the position of their piece.
+export const joinRendered = async (pieces) => {
+  const sampleRate = PROCESSING_SAMPLE_RATE;
+  const chunks = [];
+  const words = [];
+  let length = 0;
+
+  for (const piece of pieces) {
+    if (piece.silence !== undefined) {
+      const samples = new Float32Array(
+        Math.round((Math.max(0, piece.silence) / 1000) * sampleRate)
+      );
+      chunks.push(samples);
+      length += samples.length;
+      continue;
+    }
+
+    const [samples] = await decodeAudio(piece.blob, {
+      sampleRate,
+      channels: 1,
+    });
+    const shift = length / sampleRate;
+    (piece.words || []).forEach((word) => {
+      words.push({ ...word, start: word.start + shift, end: word.end + shift });
+    });
+    chunks.push(samples);
+    length += samples.length;
+  }
+
+  const joined = new Float32Array(length);
+  let position = 0;
+  chunks.forEach((samples) => {
+    joined.set(samples, position);
+    position += samples.length;
+  });
+
+  return {
+    blob: new Blob([encodeWav(joined, sampleRate)], { type: "audio/wav" }),
+    words,
+  };
+};
+
+// Split parts into runs for one engine each: [{ engine, start, parts }].
+// Pauses stay with the speech before them.
+export const groupPartsByEngine = (parts, engineFor) => {
+  const groups = [];
+  parts.forEach((part, index) => {
+    const last = groups[groups.length - 1];
+    const engine =
+      part.silence !== undefined && last ? last.engine : engineFor(part);
+    if (last && last.engine === engine) {
+      last.parts.push(part);
+    } else {
+      groups.push({ engine, start: index, parts: [part] });
+    }
+  });
+  return groups;
+};
+
+// Render all parts. `engineFor(part)` returns an engine that can render the
+// part. Resolves with the blob and the word timings ({ part, charIndex,
+// charLength, start, end }) the engines report.
+export const renderParts = async (parts, engineFor) => {
+  const groups = groupPartsByEngine(parts, engineFor);
+  const rendered = [];
+
+  for (const group of groups) {
+    const { blob, words = [] } = await group.engine.synthesize(group.parts);
+    rendered.push({
+      blob,
+      words: words.map((word) => ({ ...word, part: word.part + group.start })),
+    });
+  }
+
+  return rendered.length === 1 ? rendered[0] : joinRendered(rendered);
+};
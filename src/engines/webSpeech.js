@@ -0,0 +1,55 @@
+// webSpeech.js
+// The browser's speechSynthesis. Voices are listed as plain records that keep
+// the native SpeechSynthesisVoice for utterances. This engine can only speak
+// live; audio files of its voices come from recording or the offline engine.
+
+const toVoice = (native) => ({
+  name: native.name,
+  lang: native.lang,
+  localService: native.localService,
+  default: native.default,
+  engine: "webspeech",
+  native,
+});
+
+export const createWebSpeechEngine = (synth) => ({
+  id: "webspeech",
+  label: "Browser",
+  canSynthesize: false,
+
+  getVoices: async () => (synth ? synth.getVoices().map(toVoice) : []),
+
+  // Voices load asynchronously in most browsers
+  onVoicesChanged: (callback) => {
+    if (synth && synth.onvoiceschanged !== undefined) {
+      synth.onvoiceschanged = callback;
+    }
+  },
+
+  speak: (item, { onStart, onBoundary, onEnd, onError }) => {
+    const utterance = new SpeechSynthesisUtterance(item.text);
+
+    if (item.voice && item.voice.native) {
+      utterance.voice = item.voice.native;
+    }
+    utterance.rate = item.rate;
+    utterance.pitch = item.pitch;
+    utterance.volume = item.volume;
+    utterance.onstart = onStart;
+    utterance.onboundary = onBoundary;
+    utterance.onend = onEnd;
+    utterance.onerror = onError;
+
+    synth.speak(utterance);
+
+    return {
+      cancel: () => {
+        synth.cancel();
+        // A paused engine stays paused after cancel in some browsers
+        synth.resume();
+      },
+      pause: () => synth.pause(),
+      resume: () => synth.resume(),
+    };
+  },
+});
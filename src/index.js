@@ -2,10 +2,21 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { defineTtsPlayer, mountPlayerPage } from './embed/ttsPlayer';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+defineTtsPlayer();
+
+const container = document.getElementById('root');
+const params = new URLSearchParams(window.location.search);
+
+if (container && params.has('player')) {
+  // Only the <tts-player>, for embedding in an iframe
+  mountPlayerPage(container, params);
+} else if (container) {
+  const root = ReactDOM.createRoot(container);
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+}
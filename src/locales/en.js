@@ -0,0 +1,560 @@
+// en.js
+// English interface strings. Keys are shared with the other catalogs; a
+// message with plural forms is an object keyed by Intl.PluralRules category.
+const en = {
+  "header.title": "🎤 Text to Speech Converter",
+  "header.subtitle": "Convert your text to speech with multiple voice options",
+  "header.uiLanguage": "Interface language",
+  "uiLanguage.auto": "Browser language",
+  "uiLanguage.voice": "Same as the voice",
+
+  "info.note": "Note:",
+  "info.fallback":
+    "Generated audio will always work with our fallback system. Even if recording fails, the built-in offline synthesizer will voice your English or Hindi text.",
+
+  "input.mode": "Input mode",
+  "input.text": "Plain text",
+  "input.ssml": "SSML",
+  "input.script": "Script",
+  "input.textPrompt": "Enter your text:",
+  "input.ssmlPrompt": "Enter your SSML:",
+  "input.scriptPrompt": "Enter your script:",
+  "input.textPlaceholder":
+    "Type or paste your text here... Try: 'Hello, how are you?' or 'नमस्ते, आप कैसे हैं?'",
+  "input.ssmlPlaceholder":
+    '<speak>Hello, <break time="500ms"/> <emphasis>welcome</emphasis>!</speak>',
+  "input.scriptPlaceholder":
+    "NARRATOR: Ravi walks into the office.\nRAVI: Good morning!\nPRIYA: सुप्रभात, रवि।",
+  "input.characters": {
+    one: "{count} character",
+    other: "{count} characters",
+  },
+  "input.importDocument": "📄 Import document",
+  "input.importHint": "or drop a TXT, Markdown, HTML, SRT/VTT or EPUB file",
+  "input.saveScript": "💾 Save script",
+  "input.openScript": "📂 Open script",
+
+  "ssml.error": "Line {line}, column {column}: {message}",
+  "ssml.valid": "✅ Valid SSML",
+  "ssml.unescapedAmp": "Unescaped '&' (use &amp;)",
+  "ssml.unknownEntity": "Unknown entity &{name};",
+  "ssml.unclosedComment": "Unclosed comment",
+  "ssml.unclosedInstruction": "Unclosed processing instruction",
+  "ssml.malformedClosingTag": "Malformed closing tag",
+  "ssml.unexpectedClosingTag": "Unexpected closing tag </{tag}>",
+  "ssml.mismatchedTag": "Expected </{expected}> but found </{found}>",
+  "ssml.malformedTag": "Malformed tag",
+  "ssml.malformedAttribute": "Malformed attribute in <{tag}>",
+  "ssml.duplicateAttribute": 'Duplicate attribute "{name}"',
+  "ssml.unclosedTag": "Unclosed tag <{tag}>",
+  "ssml.unclosedElement": "Unclosed element <{tag}>",
+  "ssml.textOnly": "<{tag}> may only contain text",
+  "ssml.unsupportedElement": "Unsupported element <{tag}>",
+  "ssml.nestedSpeak": "<speak> can only be the root element",
+  "ssml.breakNotEmpty": "<break> must be empty",
+  "ssml.sayAsType": '<say-as> requires an "interpret-as" attribute',
+  "ssml.subAlias": '<sub> requires an "alias" attribute',
+  "ssml.voiceTarget": '<voice> requires a "name" or "xml:lang" attribute',
+  "ssml.textOutside": "Text must be inside <speak>",
+  "ssml.singleRoot": "The document must have a single <speak> root element",
+  "ssml.invalid.time":
+    'Invalid time="{value}" on <{tag}>: expected a time like "500ms"',
+  "ssml.invalid.strength": 'Invalid strength="{value}" on <{tag}>',
+  "ssml.invalid.rate":
+    'Invalid rate="{value}" on <{tag}>: expected a keyword or percentage',
+  "ssml.invalid.pitch":
+    'Invalid pitch="{value}" on <{tag}>: expected a keyword or a change like "+10%" or "-2st"',
+  "ssml.invalid.volume":
+    'Invalid volume="{value}" on <{tag}>: expected a keyword or a change like "+6dB"',
+  "ssml.invalid.level": 'Invalid level="{value}" on <{tag}>',
+
+  "options.autoLanguage": "🌐 Switch voices for other languages",
+  "options.normalize":
+    "🔢 Read numbers, dates, currency and abbreviations as words",
+  "options.preview": "👁️ Preview spoken text",
+  "options.spokenText": "Spoken text",
+
+  "actions.generate": "🎤 Generate Speech & Audio",
+  "actions.processing": "🔄 Processing...",
+  "actions.clear": "🗑️ Clear All",
+  "playback.previous": "Previous sentence",
+  "playback.next": "Next sentence",
+  "playback.resume": "▶️ Resume",
+  "playback.pause": "⏸️ Pause",
+  "playback.stop": "⏹️ Stop",
+  "playback.progress": "Sentence {current} of {total}",
+  "playback.sentences": "📑 Sentences",
+
+  "status.ready": "Ready to generate audio",
+  "status.generating": "Generating audio...",
+  "status.processing": "Processing audio...",
+  "status.done": "Audio generated successfully!",
+
+  "voices.title": "🎵 Voice Selection",
+  "voices.total": "Total Voices: {count}",
+  "voices.filtered": "Filtered: {count}",
+  "voices.selected": "Selected: {provider} · {language}",
+  "voices.pin": "Pin to the top",
+  "voices.local": "Local",
+  "voices.needsNetwork": "Needs network",
+  "voices.audition": "Audition",
+  "voices.none": "No voices match the selected filters.",
+
+  "settings.title": "⚙️ Speech Settings",
+  "settings.speed": "Speed: {rate}x",
+  "settings.pitch": "Pitch: {pitch}",
+  "settings.volume": "Volume: {volume}",
+  "settings.slow": "Slow",
+  "settings.fast": "Fast",
+  "settings.low": "Low",
+  "settings.high": "High",
+  "settings.normal": "Normal",
+  "settings.mute": "Mute",
+  "settings.max": "Max",
+
+  "player.title": "🎵 Generated Audio",
+  "player.success":
+    "✅ Audio successfully generated! You can play or download it below.",
+  "player.play": "▶️ Play",
+  "player.pause": "⏸️ Pause",
+  "player.download": "💾 Download Audio",
+  "player.export": "🎛️ Export As...",
+  "player.reprocess": "🎚️ Re-apply Processing",
+  "player.reprocessHint":
+    "Process the generated audio again with the current settings",
+  "player.reprocessUnavailable":
+    "Saved and edited clips keep only the processed audio; regenerate the clip to process it again",
+  "player.captions": "📝 Captions:",
+  "player.noAudio":
+    "No audio available to download. Please generate speech first.",
+  "player.downloadFailed": "Error downloading audio.",
+  "player.readFailed": "Error reading the generated audio.",
+  "player.playFailed": "Error playing audio.",
+
+  "speak.emptyText": "Please enter some text to speak.",
+  "speak.ssmlErrors": "Please fix the SSML errors before speaking.",
+  "recording.unsupported": "This browser can't record from the chosen source",
+  "recording.silent":
+    "The capture was silent. Using the offline synthesizer instead.",
+  "recording.failed":
+    "Audio recording not available ({message}). Using fallback audio.",
+  "processing.failed":
+    "Audio processing failed ({message}). Using the unprocessed audio.",
+
+  "library.storageFull": {
+    one: "Storage is full. Delete the oldest clip to save this one?",
+    other: "Storage is full. Delete the {count} oldest clips to save this one?",
+  },
+  "library.noSpace": "Not enough storage for the clip",
+  "library.saveFailed": "The clip was not saved: {message}",
+  "library.updateFailed": "Could not update the saved clip: {message}",
+  "library.renameFailed": "Could not rename the clip: {message}",
+  "library.confirmDelete": 'Delete the clip "{name}"?',
+  "library.untitledClip": "Untitled clip",
+  "library.deleteFailed": "Could not delete the clip: {message}",
+  "library.confirmCleanup": {
+    one: "Delete the oldest clip ({size})?",
+    other: "Delete the {count} oldest clips ({size})?",
+  },
+  "library.cleanupFailed": "Could not delete old clips: {message}",
+
+  "lexicon.allLanguages": "All languages",
+  "lexicon.imported": {
+    one: "Imported {count} lexicon entry.",
+    other: "Imported {count} lexicon entries.",
+  },
+  "lexicon.importFailed": "Could not import the lexicon: {message}",
+  "lexicon.notPls": "This file is not a pronunciation lexicon",
+  "lexicon.unknownFile": "The file is neither JSON nor a PLS lexicon",
+  "lexicon.notLexicon": "This file does not contain a pronunciation lexicon",
+  "lexicon.noEntries": "No usable entries found in the file",
+  "lexicon.plsSkipped": {
+    one: "PLS has no regular expressions, so {count} regex entry is left out. Continue?",
+    other:
+      "PLS has no regular expressions, so {count} regex entries are left out. Continue?",
+  },
+
+  "presets.confirmReplace": 'Replace the preset "{name}"?',
+  "presets.confirmDelete": 'Delete the preset "{name}"?',
+  "presets.imported": {
+    one: "Imported {count} preset.",
+    other: "Imported {count} presets.",
+  },
+  "presets.importFailed": "Could not import presets: {message}",
+  "presets.badJson": "The file is not valid JSON",
+  "presets.notPresets": "This file does not contain voice presets",
+  "presets.newerVersion":
+    "These presets were saved by a newer version of the app",
+  "presets.noneValid": "No valid presets found in the file",
+
+  "script.openFailed": "Could not open the script: {message}",
+  "script.badJson": "The script file is not valid JSON",
+  "script.notScript": "This file is not a saved script",
+  "script.newerVersion": "This script was saved by a newer version of the app",
+  "document.confirmReplace": 'Replace the current text with "{name}"?',
+  "document.importFailed": 'Could not import "{name}": {message}',
+  "document.unsupported": "Unsupported file type. Use {extensions}.",
+  "document.noText": "No readable text found in the file",
+  "document.noEpubPackage": "The EPUB has no package document",
+  "zip.noDecompression": "This browser cannot read compressed ZIP files",
+  "zip.invalid": "The file is not a valid ZIP archive",
+  "zip.damagedDirectory": "The ZIP directory is damaged",
+  "zip.damagedEntry": "The ZIP entry {name} is damaged",
+  "zip.unsupportedCompression": "Unsupported compression in {name}",
+  "zip.missing": "{name} is missing from the archive",
+  "chapters.confirmReplace": "Replace your edits with the selected chapters?",
+  "share.unreadable": "This share link could not be opened: {message}",
+  "share.error.unsupported": "this browser cannot read compressed links",
+  "share.error.format": "the link format is not recognized",
+  "share.error.corrupt": "the link is damaged or incomplete",
+  "share.error.empty": "the link holds no settings",
+  "share.copy": "🔗 Copy share link",
+  "share.autoplay": "Offer to play when opened",
+  "share.withoutText":
+    "The text is too long for a link ({length} characters, links are kept under {max}). This link only holds the voice and settings; send the text separately.",
+  "share.copied": "✅ Copied:",
+  "share.copyThis": "Copy this link:",
+  "share.link": "Share link",
+  "share.createFailed": "Could not create the share link: {message}",
+
+  "pwa.shared": "📥 Shared text is ready to read.",
+  "pwa.speakNow": "🔊 Speak now",
+  "pwa.dismiss": "Dismiss",
+  "pwa.offline":
+    '📴 You are offline. On-device voices and the offline synthesizer still work; voices marked "Needs network" and speech servers don\'t.',
+  "pwa.updateReady": "✨ A new version of the app is ready.",
+  "pwa.reload": "Reload to update",
+  "pwa.installOffer":
+    "📲 Install the app to use it offline and share text to it.",
+  "pwa.install": "Install",
+  "pwa.notNow": "Not now",
+
+  "presets.namePrompt": "Preset name (e.g. Hindi news anchor):",
+  "presets.label": "🔖 Preset:",
+  "presets.none": "No preset",
+  "presets.saveAsNew": "Save as new",
+  "presets.update": "Update",
+  "presets.delete": "Delete",
+  "presets.export": "Export",
+  "presets.import": "Import",
+  "presets.voiceReplaced":
+    '"{name}" is not installed here, using {voice} ({lang}) instead.',
+  "presets.voiceMissing":
+    '"{name}" is not installed and there is no {lang} voice, keeping the current voice.',
+  "presets.voiceMissingAny":
+    '"{name}" is not installed and there is no matching voice, keeping the current voice.',
+
+  "library.title": "📚 Clip Library",
+  "library.count": {
+    one: "{count} clip, {size}",
+    other: "{count} clips, {size}",
+  },
+  "library.storage": "Storage: {used} of {quota} used",
+  "library.storageLow": "Storage is almost full. New clips may not be saved.",
+  "library.deleteOld": "Delete old clips",
+  "library.unknownVoice": "Unknown voice",
+  "library.renamePrompt": "Clip name:",
+  "library.play": "Play",
+  "library.rename": "Rename",
+  "library.download": "Download",
+  "library.regenerate": "Regenerate with the original settings",
+  "library.delete": "Delete",
+  "library.empty":
+    "Generated clips will be kept here so you can play them again.",
+
+  "warning.voiceMissing":
+    'Voice "{voice}" is not available, using the selected voice',
+  "warning.speakerVoiceMissing":
+    'Voice "{voice}" for {speaker} is not available, using the selected voice',
+  "warning.noSpeakers":
+    'No speaker cues found. Start lines with a name like "NARRATOR:"',
+  "warning.pinnedVoiceMissing":
+    'Voice "{voice}" for {language} is not available',
+  "warning.languageVoiceMissing":
+    "No {language} voice is available, using the selected voice",
+
+  "filters.search": "Search:",
+  "filters.searchPlaceholder": "Name, language, region or provider",
+  "filters.language": "Filter by Language:",
+  "filters.allLanguages": "All Languages",
+  "filters.sort": "Sort by:",
+  "filters.sort.default": "Language",
+  "filters.sort.rating": "Rating",
+  "filters.sort.name": "Name",
+  "filters.facet": "{facet}:",
+  "filters.favoritesOnly": "📌 Favorites only ({count})",
+  "filters.clear": "Clear filters",
+  "facet.provider": "Provider",
+  "facet.gender": "Gender",
+  "facet.quality": "Quality",
+  "facet.provider.google": "Google",
+  "facet.provider.microsoft": "Microsoft",
+  "facet.provider.apple": "Apple",
+  "facet.provider.amazon": "Amazon",
+  "facet.provider.espeak": "eSpeak",
+  "facet.provider.offline": "Offline synthesizer",
+  "facet.provider.server": "TTS server",
+  "facet.provider.system": "System",
+  "facet.gender.female": "Female",
+  "facet.gender.male": "Male",
+  "facet.gender.unknown": "Not stated",
+  "facet.quality.neural": "Neural",
+  "facet.quality.enhanced": "Enhanced",
+  "facet.quality.standard": "Standard",
+  "facet.quality.basic": "Basic",
+  "voices.unknownLanguage": "Unknown language",
+
+  "speakers.title": "🎭 Speakers",
+  "speakers.empty": "Start lines with a speaker name, e.g.",
+  "speakers.autoAssign": "Auto-assign voices",
+  "speakers.voiceFor": "Voice for {speaker}",
+  "speakers.selectedVoice": "Selected voice",
+  "speakers.unavailable": "{voice} (not available)",
+  "speakers.speed": "Speed {rate}x",
+  "speakers.pitch": "Pitch {pitch}",
+  "speakers.volume": "Volume {volume}%",
+
+  "chapters.untitled": "Imported document",
+  "chapters.section": "Section {number}",
+  "chapters.selectAll": "Select all",
+  "chapters.selectNone": "Select none",
+  "chapters.close": "Close",
+  "chapters.playFrom": "Play from this chapter",
+
+  "languages.title": "🌐 Detected languages",
+  "languages.voiceFor": "Voice for {language}",
+  "languages.automatic": "Automatic ({voice})",
+  "languages.noVoice": "No voice available",
+  "languages.unavailable": "{voice} (unavailable)",
+
+  "capture.title": "🎙️ Record browser voices from",
+  "capture.synthetic": "Offline synthesizer",
+  "capture.synthetic.help":
+    "Nothing is recorded; the download is voiced by the built-in English and Hindi synthesizer.",
+  "capture.display": "Tab or system audio",
+  "capture.display.help":
+    'Choose this tab and tick "Share tab audio" (or share the screen with system audio) when the browser asks.',
+  "capture.microphone": "Microphone",
+  "capture.microphone.help":
+    "Records the speakers through the microphone. Doesn't work with headphones and picks up room noise.",
+  "capture.unsupported": "(not supported)",
+  "capture.level": "Input level",
+  "capture.format": "Recording {type}",
+  "capture.defaultFormat": "Recording in the browser's default format",
+  "capture.silent":
+    "The capture is silent. Check that the tab's audio is shared and not muted, or pick another source.",
+  "capture.noAudioShared":
+    'No audio was shared. Share this tab with "Share tab audio" turned on',
+
+  "panel.hide": "Hide",
+  "panel.show": "Show",
+  "panel.showCount": "Show ({count})",
+
+  "batch.title": "📦 Batch Generation",
+  "batch.help":
+    "Import a CSV or JSON list with id and text, and optionally voice (a name or a language such as hi-IN), rate and pitch. Rows use the lexicon, text normalization and audio processing settings above.",
+  "batch.import": "📂 Import CSV/JSON",
+  "batch.importFailed": "Could not read {name}: {message}",
+  "batch.zipFailed": "Could not create the ZIP: {message}",
+  "batch.stop": "⏹️ Stop after this row",
+  "batch.continue": {
+    one: "▶️ Continue {count} row",
+    other: "▶️ Continue {count} rows",
+  },
+  "batch.generate": {
+    one: "▶️ Generate {count} row",
+    other: "▶️ Generate {count} rows",
+  },
+  "batch.retryFailed": "🔁 Retry failed ({count})",
+  "batch.zipping": "Creating ZIP...",
+  "batch.download": "💾 Download ZIP",
+  "batch.leftOut": {
+    one: "{count} row was left out:",
+    other: "{count} rows were left out:",
+  },
+  "batch.rowError": "Row {row}: {message}",
+  "batch.noId": "The id is missing",
+  "batch.duplicateId": 'The id "{id}" is used twice',
+  "batch.noText": "The text is missing",
+  "batch.badRate": "Rate must be a number from {min} to {max}",
+  "batch.badPitch": "Pitch must be a number from {min} to {max}",
+  "batch.badJson": "The JSON is not valid",
+  "batch.notRows": "The JSON must be a list of rows with an id and a text",
+  "batch.noHeader": 'The CSV needs a header row with "id" and "text" columns',
+  "batch.progress": "{done} of {total} done",
+  "batch.progressFailed": "{done} of {total} done, {failed} failed",
+  "batch.id": "Id",
+  "batch.text": "Text",
+  "batch.voice": "Voice",
+  "batch.status": "Status",
+  "batch.actions": "Actions",
+  "batch.voiceMissing": '"{voice}" is not available',
+  "batch.status.pending": "Waiting",
+  "batch.status.running": "Generating",
+  "batch.status.done": "Done",
+  "batch.status.failed": "Failed",
+  "batch.attempt": "(try {count})",
+  "batch.retryRow": "Retry this row",
+
+  "engine.webspeech": "Browser",
+  "engine.offline": "Offline",
+  "engine.http": "Server",
+  "engines.title": "🔌 Speech Engines",
+  "engines.count": "{engine}: {count}",
+  "engines.configure": "Configure",
+  "engines.voicesFailed": "{engine} voices: {message}",
+  "engines.offline": "List the offline synthesizer's English and Hindi voices",
+  "engines.server": "Use a TTS server (Coqui, Piper, MaryTTS or compatible)",
+  "engines.url": "Speech endpoint (POST, returns audio)",
+  "engines.voicesUrl": "Voices URL (optional)",
+  "engines.format": "Request body",
+  "engines.form": "Form (MaryTTS)",
+  "engines.lang": "Default language",
+  "engines.apiKey": "API key",
+  "engines.template": "Body template",
+  "engines.placeholders":
+    "Placeholders: {placeholders}. They are JSON or URL encoded to match the body.",
+  "engines.apply": "Apply and reload voices",
+
+  "export.title": "💾 Export Audio",
+  "export.format": "Format",
+  "export.unsupported": "(not supported in this browser)",
+  "export.sampleRate": "Sample rate",
+  "export.channels": "Channels",
+  "export.mono": "Mono",
+  "export.stereo": "Stereo",
+  "export.bitrate": "Bitrate",
+  "export.tagTitle": "Title",
+  "export.tagVoice": "Voice",
+  "export.tagLanguage": "Language",
+  "export.languagePlaceholder": "e.g. hi-IN",
+  "export.opusRate": "Opus always encodes at 48 kHz.",
+  "export.failed": "Export failed",
+  "export.cancel": "Cancel",
+  "export.encoding": "🔄 Encoding...",
+  "export.export": "💾 Export",
+
+  "lexicon.title": "🗣️ Pronunciation Lexicon",
+  "lexicon.help":
+    "Entries are applied in order before speaking. Acronyms without a spoken form are spelled out; regex replacements can use $1 for groups.",
+  "lexicon.type": "Type",
+  "lexicon.match": "Match",
+  "lexicon.language": "Language",
+  "lexicon.spokenAs": "Spoken as",
+  "lexicon.actions": "Actions",
+  "lexicon.entryType": "Entry type",
+  "lexicon.type.word": "Word",
+  "lexicon.type.acronym": "Acronym",
+  "lexicon.type.regex": "Regex",
+  "lexicon.placeholder.word": "e.g. GitHub",
+  "lexicon.placeholder.acronym": "e.g. API",
+  "lexicon.placeholder.regex": "e.g. v(\\d+)",
+  "lexicon.spokenForm": "Spoken form",
+  "lexicon.deleteEntry": "Delete entry",
+  "lexicon.add": "➕ Add entry",
+  "lexicon.import": "Import JSON/PLS",
+  "lexicon.exportJson": "Export JSON",
+  "lexicon.exportPls": "Export PLS",
+  "lexicon.noPattern": "Enter the text to match",
+  "lexicon.noReplacement": "Enter how it should be spoken",
+  "lexicon.matchesEmpty": "The pattern matches empty text",
+  "lexicon.badRegex": "Invalid regular expression: {message}",
+
+  "processing.title": "🎚️ Audio Processing",
+  "processing.gate": "Noise gate",
+  "processing.gate.description": "Mute background noise between words",
+  "processing.trim": "Trim silence",
+  "processing.trim.description": "Remove silence at the start and end",
+  "processing.compressor": "Compressor",
+  "processing.compressor.description": "Even out loud and quiet passages",
+  "processing.timeStretch": "Time-stretch",
+  "processing.timeStretch.description": "Change speed without changing pitch",
+  "processing.normalize": "Normalize loudness",
+  "processing.normalize.description": "Bring the audio to a standard level",
+  "processing.threshold": "Threshold: {value} dB",
+  "processing.keep": "Keep: {value} ms",
+  "processing.ratio": "Ratio: {value}:1",
+  "processing.speed": "Speed: {value}x",
+  "processing.mode": "Normalization mode",
+  "processing.lufs": "Loudness (LUFS)",
+  "processing.peak": "Peak (dBFS)",
+  "processing.target": "Target: {value} {unit}",
+
+  "audition.stars": { one: "{count} star", other: "{count} stars" },
+  "audition.rating": "Rating for {voice}",
+  "audition.voiceSide": "Voice {side}",
+  "audition.title": "🎧 Audition ({count})",
+  "audition.clear": "Clear",
+  "audition.samplePlaceholder":
+    "Sample text (a sentence in each voice's language)",
+  "audition.sample": "Sample text",
+  "audition.stop": "⏹️ Stop",
+  "audition.playAll": "▶️ Play all",
+  "audition.playOne": "Play the sample with this voice",
+  "audition.use": "Use",
+  "audition.remove": "Remove from the audition",
+  "audition.notes": "Notes",
+  "audition.notesFor": "Notes for {voice}",
+  "audition.compare": "🆚 A/B on your text",
+  "audition.compareHelp":
+    "Enter text above to compare on it; until then the sample is used.",
+  "audition.playSide": "▶️ Play {side}",
+  "audition.playBoth": "▶️ Play A, then B",
+
+  "waveform.title": "✂️ Edit Audio",
+  "waveform.show": "Show waveform",
+  "waveform.loading": "Loading waveform...",
+  "waveform.loadFailed": "Could not load the audio: {message}",
+  "waveform.removesAll": "That would remove all of the audio.",
+  "waveform.canvas": "Waveform. Drag to select, click to move the playhead.",
+  "waveform.scroll": "Scroll the waveform",
+  "waveform.selected": "Selected {start} – {end} ({length})",
+  "waveform.zoomOut": "Zoom out",
+  "waveform.zoomIn": "Zoom in",
+  "waveform.fit": "Fit",
+  "waveform.cut": "✂️ Cut",
+  "waveform.trim": "📐 Trim to selection",
+  "waveform.fadeIn": "↗️ Fade in",
+  "waveform.fadeOut": "↘️ Fade out",
+  "waveform.silence": "⏸️ Insert silence",
+  "waveform.silenceHint":
+    "Insert silence at the start of the selection or at the playhead",
+  "waveform.silenceLength": "Silence length in milliseconds",
+  "waveform.undo": "↩️ Undo",
+  "waveform.undoCount": "↩️ Undo ({count})",
+
+  "recording.fallback": "{message}. Using the offline synthesizer instead.",
+  "engines.offlineSynthesizer": "Offline synthesizer",
+
+  "bookmarks.resumeOffer": "🔖 Resume from where you left off ({percent}):",
+  "bookmarks.resume": "▶️ Resume",
+  "bookmarks.dismiss": "Dismiss",
+  "bookmarks.startOver": "Start over",
+  "bookmarks.title": "🔖 Bookmarks",
+  "bookmarks.name": "Bookmark name",
+  "bookmarks.namePlaceholder": "Name (defaults to the text there)",
+  "bookmarks.add": "➕ Add at {percent}",
+  "bookmarks.previous": "⏮️ Previous",
+  "bookmarks.previousHint": "Go to the previous bookmark",
+  "bookmarks.next": "Next ⏭️",
+  "bookmarks.nextHint": "Go to the next bookmark",
+  "bookmarks.go": "Go to",
+  "bookmarks.goHint": "Go to this bookmark",
+  "bookmarks.play": "Read from this bookmark",
+  "bookmarks.remove": "Remove the bookmark",
+
+  "embed.play": "Play",
+  "embed.pause": "Pause",
+  "embed.stop": "Stop",
+  "embed.download": "Download audio",
+  "embed.settings": "Settings",
+  "embed.voice": "Voice",
+  "embed.rate": "Speed",
+  "embed.pitch": "Pitch",
+  "embed.volume": "Volume",
+  "embed.noText": "There is no text to read",
+  "embed.speechError": "Speech error in sentence {sentence}",
+  "embed.voiceMissing": 'Voice "{voice}" is not available',
+};
+
+export default en;
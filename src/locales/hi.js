@@ -0,0 +1,562 @@
+// hi.js
+// Hindi interface strings, with the same keys as en.js
+const hi = {
+  "header.title": "🎤 टेक्स्ट से आवाज़ कनवर्टर",
+  "header.subtitle": "अपने टेक्स्ट को कई आवाज़ों में सुनें",
+  "header.uiLanguage": "इंटरफ़ेस की भाषा",
+  "uiLanguage.auto": "ब्राउज़र की भाषा",
+  "uiLanguage.voice": "आवाज़ की भाषा",
+
+  "info.note": "ध्यान दें:",
+  "info.fallback":
+    "बनाई गई ऑडियो हमारी बैकअप व्यवस्था से हमेशा काम करेगी। रिकॉर्डिंग विफल होने पर भी, अंतर्निहित ऑफ़लाइन सिंथेसाइज़र आपके अंग्रेज़ी या हिन्दी टेक्स्ट को आवाज़ देगा।",
+
+  "input.mode": "इनपुट का प्रकार",
+  "input.text": "सादा टेक्स्ट",
+  "input.ssml": "SSML",
+  "input.script": "स्क्रिप्ट",
+  "input.textPrompt": "अपना टेक्स्ट लिखें:",
+  "input.ssmlPrompt": "अपना SSML लिखें:",
+  "input.scriptPrompt": "अपनी स्क्रिप्ट लिखें:",
+  "input.textPlaceholder":
+    "अपना टेक्स्ट यहाँ लिखें या चिपकाएँ... आज़माएँ: 'नमस्ते, आप कैसे हैं?' या 'Hello, how are you?'",
+  "input.ssmlPlaceholder":
+    '<speak>नमस्ते, <break time="500ms"/> <emphasis>स्वागत है</emphasis>!</speak>',
+  "input.scriptPlaceholder":
+    "NARRATOR: रवि दफ़्तर में आता है।\nRAVI: सुप्रभात!\nPRIYA: Good morning, Ravi.",
+  "input.characters": {
+    one: "{count} अक्षर",
+    other: "{count} अक्षर",
+  },
+  "input.importDocument": "📄 दस्तावेज़ आयात करें",
+  "input.importHint":
+    "या TXT, Markdown, HTML, SRT/VTT या EPUB फ़ाइल यहाँ छोड़ें",
+  "input.saveScript": "💾 स्क्रिप्ट सहेजें",
+  "input.openScript": "📂 स्क्रिप्ट खोलें",
+
+  "ssml.error": "पंक्ति {line}, स्तंभ {column}: {message}",
+  "ssml.valid": "✅ SSML सही है",
+  "ssml.unescapedAmp": "बिना एस्केप किया '&' (&amp; लिखें)",
+  "ssml.unknownEntity": "अज्ञात एंटिटी &{name};",
+  "ssml.unclosedComment": "टिप्पणी बंद नहीं की गई",
+  "ssml.unclosedInstruction": "प्रोसेसिंग निर्देश बंद नहीं किया गया",
+  "ssml.malformedClosingTag": "बंद करने वाला टैग गलत है",
+  "ssml.unexpectedClosingTag": "अनपेक्षित बंद करने वाला टैग </{tag}>",
+  "ssml.mismatchedTag": "</{expected}> चाहिए था, पर </{found}> मिला",
+  "ssml.malformedTag": "टैग गलत है",
+  "ssml.malformedAttribute": "<{tag}> में एट्रिब्यूट गलत है",
+  "ssml.duplicateAttribute": 'एट्रिब्यूट "{name}" दो बार है',
+  "ssml.unclosedTag": "टैग <{tag}> बंद नहीं किया गया",
+  "ssml.unclosedElement": "एलिमेंट <{tag}> बंद नहीं किया गया",
+  "ssml.textOnly": "<{tag}> में केवल टेक्स्ट हो सकता है",
+  "ssml.unsupportedElement": "असमर्थित एलिमेंट <{tag}>",
+  "ssml.nestedSpeak": "<speak> केवल रूट एलिमेंट हो सकता है",
+  "ssml.breakNotEmpty": "<break> खाली होना चाहिए",
+  "ssml.sayAsType": '<say-as> के लिए "interpret-as" एट्रिब्यूट ज़रूरी है',
+  "ssml.subAlias": '<sub> के लिए "alias" एट्रिब्यूट ज़रूरी है',
+  "ssml.voiceTarget":
+    '<voice> के लिए "name" या "xml:lang" एट्रिब्यूट ज़रूरी है',
+  "ssml.textOutside": "टेक्स्ट <speak> के अंदर होना चाहिए",
+  "ssml.singleRoot": "दस्तावेज़ में एक ही <speak> रूट एलिमेंट होना चाहिए",
+  "ssml.invalid.time":
+    '<{tag}> पर time="{value}" गलत है: "500ms" जैसा समय चाहिए',
+  "ssml.invalid.strength": '<{tag}> पर strength="{value}" गलत है',
+  "ssml.invalid.rate":
+    '<{tag}> पर rate="{value}" गलत है: कोई कीवर्ड या प्रतिशत चाहिए',
+  "ssml.invalid.pitch":
+    '<{tag}> पर pitch="{value}" गलत है: कोई कीवर्ड या "+10%" या "-2st" जैसा बदलाव चाहिए',
+  "ssml.invalid.volume":
+    '<{tag}> पर volume="{value}" गलत है: कोई कीवर्ड या "+6dB" जैसा बदलाव चाहिए',
+  "ssml.invalid.level": '<{tag}> पर level="{value}" गलत है',
+
+  "options.autoLanguage": "🌐 दूसरी भाषाओं के लिए आवाज़ बदलें",
+  "options.normalize":
+    "🔢 संख्याएँ, तारीखें, मुद्रा और संक्षिप्त रूप शब्दों में पढ़ें",
+  "options.preview": "👁️ बोला जाने वाला टेक्स्ट देखें",
+  "options.spokenText": "बोला जाने वाला टेक्स्ट",
+
+  "actions.generate": "🎤 आवाज़ और ऑडियो बनाएँ",
+  "actions.processing": "🔄 बन रहा है...",
+  "actions.clear": "🗑️ सब साफ़ करें",
+  "playback.previous": "पिछला वाक्य",
+  "playback.next": "अगला वाक्य",
+  "playback.resume": "▶️ जारी रखें",
+  "playback.pause": "⏸️ रोकें",
+  "playback.stop": "⏹️ बंद करें",
+  "playback.progress": "वाक्य {current} / {total}",
+  "playback.sentences": "📑 वाक्य",
+
+  "status.ready": "ऑडियो बनाने के लिए तैयार",
+  "status.generating": "ऑडियो बन रहा है...",
+  "status.processing": "ऑडियो प्रोसेस हो रहा है...",
+  "status.done": "ऑडियो सफलतापूर्वक बन गया!",
+
+  "voices.title": "🎵 आवाज़ चुनें",
+  "voices.total": "कुल आवाज़ें: {count}",
+  "voices.filtered": "फ़िल्टर के बाद: {count}",
+  "voices.selected": "चुनी गई: {provider} · {language}",
+  "voices.pin": "सबसे ऊपर पिन करें",
+  "voices.local": "स्थानीय",
+  "voices.needsNetwork": "नेटवर्क चाहिए",
+  "voices.audition": "सुनकर देखें",
+  "voices.none": "चुने गए फ़िल्टर से कोई आवाज़ नहीं मिली।",
+
+  "settings.title": "⚙️ बोली की सेटिंग",
+  "settings.speed": "गति: {rate}x",
+  "settings.pitch": "स्वर: {pitch}",
+  "settings.volume": "आवाज़ का स्तर: {volume}",
+  "settings.slow": "धीमी",
+  "settings.fast": "तेज़",
+  "settings.low": "नीचा",
+  "settings.high": "ऊँचा",
+  "settings.normal": "सामान्य",
+  "settings.mute": "मौन",
+  "settings.max": "अधिकतम",
+
+  "player.title": "🎵 बनाई गई ऑडियो",
+  "player.success":
+    "✅ ऑडियो सफलतापूर्वक बन गया! आप इसे नीचे चला या डाउनलोड कर सकते हैं।",
+  "player.play": "▶️ चलाएँ",
+  "player.pause": "⏸️ रोकें",
+  "player.download": "💾 ऑडियो डाउनलोड करें",
+  "player.export": "🎛️ इस रूप में निर्यात करें...",
+  "player.reprocess": "🎚️ प्रोसेसिंग फिर से लागू करें",
+  "player.reprocessHint":
+    "बनाई गई ऑडियो को मौजूदा सेटिंग से फिर से प्रोसेस करें",
+  "player.reprocessUnavailable":
+    "सहेजी और संपादित क्लिप में केवल प्रोसेस की गई ऑडियो रहती है; फिर से प्रोसेस करने के लिए क्लिप दोबारा बनाएँ",
+  "player.captions": "📝 कैप्शन:",
+  "player.noAudio": "डाउनलोड के लिए कोई ऑडियो नहीं है। कृपया पहले आवाज़ बनाएँ।",
+  "player.downloadFailed": "ऑडियो डाउनलोड करने में त्रुटि।",
+  "player.readFailed": "बनाई गई ऑडियो पढ़ने में त्रुटि।",
+  "player.playFailed": "ऑडियो चलाने में त्रुटि।",
+
+  "speak.emptyText": "कृपया बोलने के लिए कुछ टेक्स्ट लिखें।",
+  "speak.ssmlErrors": "बोलने से पहले कृपया SSML की त्रुटियाँ ठीक करें।",
+  "recording.unsupported": "यह ब्राउज़र चुने गए स्रोत से रिकॉर्ड नहीं कर सकता",
+  "recording.silent":
+    "रिकॉर्डिंग में कोई आवाज़ नहीं थी। इसके बजाय ऑफ़लाइन सिंथेसाइज़र का उपयोग हो रहा है।",
+  "recording.failed":
+    "ऑडियो रिकॉर्डिंग उपलब्ध नहीं है ({message})। बैकअप ऑडियो का उपयोग हो रहा है।",
+  "processing.failed":
+    "ऑडियो प्रोसेसिंग विफल रही ({message})। बिना प्रोसेस की ऑडियो का उपयोग हो रहा है।",
+
+  "library.storageFull": {
+    one: "स्टोरेज भर गया है। इस क्लिप को सहेजने के लिए सबसे पुरानी क्लिप हटाएँ?",
+    other:
+      "स्टोरेज भर गया है। इस क्लिप को सहेजने के लिए {count} सबसे पुरानी क्लिप हटाएँ?",
+  },
+  "library.noSpace": "क्लिप के लिए पर्याप्त स्टोरेज नहीं है",
+  "library.saveFailed": "क्लिप सहेजी नहीं गई: {message}",
+  "library.updateFailed": "सहेजी गई क्लिप अपडेट नहीं हो सकी: {message}",
+  "library.renameFailed": "क्लिप का नाम नहीं बदला जा सका: {message}",
+  "library.confirmDelete": 'क्लिप "{name}" हटाएँ?',
+  "library.untitledClip": "बिना नाम की क्लिप",
+  "library.deleteFailed": "क्लिप हटाई नहीं जा सकी: {message}",
+  "library.confirmCleanup": {
+    one: "सबसे पुरानी क्लिप ({size}) हटाएँ?",
+    other: "{count} सबसे पुरानी क्लिप ({size}) हटाएँ?",
+  },
+  "library.cleanupFailed": "पुरानी क्लिप हटाई नहीं जा सकीं: {message}",
+
+  "lexicon.allLanguages": "सभी भाषाएँ",
+  "lexicon.imported": {
+    one: "शब्दकोश की {count} प्रविष्टि आयात की गई।",
+    other: "शब्दकोश की {count} प्रविष्टियाँ आयात की गईं।",
+  },
+  "lexicon.importFailed": "शब्दकोश आयात नहीं हो सका: {message}",
+  "lexicon.notPls": "यह फ़ाइल उच्चारण लेक्सिकन नहीं है",
+  "lexicon.unknownFile": "फ़ाइल न JSON है, न PLS लेक्सिकन",
+  "lexicon.notLexicon": "इस फ़ाइल में उच्चारण लेक्सिकन नहीं है",
+  "lexicon.noEntries": "फ़ाइल में काम की कोई प्रविष्टि नहीं मिली",
+  "lexicon.plsSkipped": {
+    one: "PLS में रेगुलर एक्सप्रेशन नहीं होते, इसलिए {count} रेगेक्स प्रविष्टि छोड़ दी जाएगी। जारी रखें?",
+    other:
+      "PLS में रेगुलर एक्सप्रेशन नहीं होते, इसलिए {count} रेगेक्स प्रविष्टियाँ छोड़ दी जाएँगी। जारी रखें?",
+  },
+
+  "presets.confirmReplace": 'प्रीसेट "{name}" बदलें?',
+  "presets.confirmDelete": 'प्रीसेट "{name}" हटाएँ?',
+  "presets.imported": {
+    one: "{count} प्रीसेट आयात किया गया।",
+    other: "{count} प्रीसेट आयात किए गए।",
+  },
+  "presets.importFailed": "प्रीसेट आयात नहीं हो सके: {message}",
+  "presets.badJson": "फ़ाइल सही JSON नहीं है",
+  "presets.notPresets": "इस फ़ाइल में वॉइस प्रीसेट नहीं हैं",
+  "presets.newerVersion": "ये प्रीसेट ऐप के नए वर्शन से सहेजे गए थे",
+  "presets.noneValid": "फ़ाइल में कोई सही प्रीसेट नहीं मिला",
+
+  "script.openFailed": "स्क्रिप्ट खोली नहीं जा सकी: {message}",
+  "script.badJson": "स्क्रिप्ट फ़ाइल सही JSON नहीं है",
+  "script.notScript": "यह सहेजी गई स्क्रिप्ट नहीं है",
+  "script.newerVersion": "यह स्क्रिप्ट ऐप के नए वर्शन से सहेजी गई थी",
+  "document.confirmReplace": 'मौजूदा टेक्स्ट को "{name}" से बदलें?',
+  "document.importFailed": '"{name}" आयात नहीं हो सका: {message}',
+  "document.unsupported":
+    "यह फ़ाइल प्रकार समर्थित नहीं है। {extensions} इस्तेमाल करें।",
+  "document.noText": "फ़ाइल में पढ़ने लायक टेक्स्ट नहीं मिला",
+  "document.noEpubPackage": "EPUB में पैकेज दस्तावेज़ नहीं है",
+  "zip.noDecompression": "यह ब्राउज़र कंप्रेस की गई ZIP फ़ाइलें नहीं पढ़ सकता",
+  "zip.invalid": "फ़ाइल सही ZIP आर्काइव नहीं है",
+  "zip.damagedDirectory": "ZIP की निर्देशिका खराब है",
+  "zip.damagedEntry": "ZIP में {name} खराब है",
+  "zip.unsupportedCompression": "{name} का कंप्रेशन समर्थित नहीं है",
+  "zip.missing": "आर्काइव में {name} नहीं है",
+  "chapters.confirmReplace": "अपने बदलावों को चुने गए अध्यायों से बदलें?",
+  "share.unreadable": "यह शेयर लिंक खोला नहीं जा सका: {message}",
+  "share.error.unsupported": "यह ब्राउज़र कंप्रेस किए गए लिंक नहीं पढ़ सकता",
+  "share.error.format": "लिंक का फ़ॉर्मैट पहचाना नहीं गया",
+  "share.error.corrupt": "लिंक खराब है या अधूरा है",
+  "share.error.empty": "लिंक में कोई सेटिंग नहीं है",
+  "share.copy": "🔗 शेयर लिंक कॉपी करें",
+  "share.autoplay": "खोलने पर चलाने का विकल्प दें",
+  "share.withoutText":
+    "लिंक के लिए टेक्स्ट बहुत लंबा है ({length} अक्षर, लिंक {max} से छोटे रखे जाते हैं)। इस लिंक में केवल आवाज़ और सेटिंग्स हैं; टेक्स्ट अलग से भेजें।",
+  "share.copied": "✅ कॉपी हो गया:",
+  "share.copyThis": "यह लिंक कॉपी करें:",
+  "share.link": "शेयर लिंक",
+  "share.createFailed": "शेयर लिंक नहीं बन सका: {message}",
+
+  "pwa.shared": "📥 शेयर किया गया टेक्स्ट पढ़ने के लिए तैयार है।",
+  "pwa.speakNow": "🔊 अभी बोलें",
+  "pwa.dismiss": "हटाएँ",
+  "pwa.offline":
+    '📴 आप ऑफ़लाइन हैं। डिवाइस की आवाज़ें और ऑफ़लाइन सिंथेसाइज़र अब भी काम करते हैं; "नेटवर्क चाहिए" वाली आवाज़ें और स्पीच सर्वर नहीं।',
+  "pwa.updateReady": "✨ ऐप का नया संस्करण तैयार है।",
+  "pwa.reload": "अपडेट के लिए रीलोड करें",
+  "pwa.installOffer":
+    "📲 ऑफ़लाइन इस्तेमाल करने और इसमें टेक्स्ट शेयर करने के लिए ऐप इंस्टॉल करें।",
+  "pwa.install": "इंस्टॉल करें",
+  "pwa.notNow": "अभी नहीं",
+
+  "presets.namePrompt": "प्रीसेट का नाम (जैसे हिंदी समाचार वाचक):",
+  "presets.label": "🔖 प्रीसेट:",
+  "presets.none": "कोई प्रीसेट नहीं",
+  "presets.saveAsNew": "नए के रूप में सहेजें",
+  "presets.update": "अपडेट करें",
+  "presets.delete": "हटाएँ",
+  "presets.export": "निर्यात करें",
+  "presets.import": "आयात करें",
+  "presets.voiceReplaced":
+    '"{name}" यहाँ इंस्टॉल नहीं है, इसकी जगह {voice} ({lang}) इस्तेमाल हो रही है।',
+  "presets.voiceMissing":
+    '"{name}" इंस्टॉल नहीं है और कोई {lang} आवाज़ नहीं है, मौजूदा आवाज़ ही रखी गई है।',
+  "presets.voiceMissingAny":
+    '"{name}" इंस्टॉल नहीं है और कोई मिलती-जुलती आवाज़ नहीं है, मौजूदा आवाज़ ही रखी गई है।',
+
+  "library.title": "📚 क्लिप लाइब्रेरी",
+  "library.count": {
+    one: "{count} क्लिप, {size}",
+    other: "{count} क्लिप, {size}",
+  },
+  "library.storage": "स्टोरेज: {quota} में से {used} इस्तेमाल",
+  "library.storageLow": "स्टोरेज लगभग भर गया है। नई क्लिप शायद सहेजी न जाएँ।",
+  "library.deleteOld": "पुरानी क्लिप हटाएँ",
+  "library.unknownVoice": "अज्ञात आवाज़",
+  "library.renamePrompt": "क्लिप का नाम:",
+  "library.play": "चलाएँ",
+  "library.rename": "नाम बदलें",
+  "library.download": "डाउनलोड करें",
+  "library.regenerate": "मूल सेटिंग्स के साथ फिर से बनाएँ",
+  "library.delete": "हटाएँ",
+  "library.empty":
+    "बनाई गई क्लिप यहाँ रखी जाएँगी ताकि आप उन्हें फिर से चला सकें।",
+
+  "warning.voiceMissing":
+    'आवाज़ "{voice}" उपलब्ध नहीं है, चुनी गई आवाज़ इस्तेमाल हो रही है',
+  "warning.speakerVoiceMissing":
+    '{speaker} के लिए आवाज़ "{voice}" उपलब्ध नहीं है, चुनी गई आवाज़ इस्तेमाल हो रही है',
+  "warning.noSpeakers":
+    'कोई वक्ता नहीं मिला। पंक्तियाँ "NARRATOR:" जैसे नाम से शुरू करें',
+  "warning.pinnedVoiceMissing":
+    '{language} के लिए आवाज़ "{voice}" उपलब्ध नहीं है',
+  "warning.languageVoiceMissing":
+    "{language} की कोई आवाज़ उपलब्ध नहीं है, चुनी गई आवाज़ इस्तेमाल हो रही है",
+
+  "filters.search": "खोजें:",
+  "filters.searchPlaceholder": "नाम, भाषा, क्षेत्र या प्रदाता",
+  "filters.language": "भाषा से छाँटें:",
+  "filters.allLanguages": "सभी भाषाएँ",
+  "filters.sort": "क्रम:",
+  "filters.sort.default": "भाषा",
+  "filters.sort.rating": "रेटिंग",
+  "filters.sort.name": "नाम",
+  "filters.facet": "{facet}:",
+  "filters.favoritesOnly": "📌 केवल पसंदीदा ({count})",
+  "filters.clear": "फ़िल्टर हटाएँ",
+  "facet.provider": "प्रदाता",
+  "facet.gender": "लिंग",
+  "facet.quality": "गुणवत्ता",
+  "facet.provider.google": "Google",
+  "facet.provider.microsoft": "Microsoft",
+  "facet.provider.apple": "Apple",
+  "facet.provider.amazon": "Amazon",
+  "facet.provider.espeak": "eSpeak",
+  "facet.provider.offline": "ऑफ़लाइन सिंथेसाइज़र",
+  "facet.provider.server": "TTS सर्वर",
+  "facet.provider.system": "सिस्टम",
+  "facet.gender.female": "महिला",
+  "facet.gender.male": "पुरुष",
+  "facet.gender.unknown": "नहीं बताया",
+  "facet.quality.neural": "न्यूरल",
+  "facet.quality.enhanced": "उन्नत",
+  "facet.quality.standard": "सामान्य",
+  "facet.quality.basic": "बुनियादी",
+  "voices.unknownLanguage": "अज्ञात भाषा",
+
+  "speakers.title": "🎭 वक्ता",
+  "speakers.empty": "पंक्तियाँ वक्ता के नाम से शुरू करें, जैसे",
+  "speakers.autoAssign": "आवाज़ें अपने-आप बाँटें",
+  "speakers.voiceFor": "{speaker} की आवाज़",
+  "speakers.selectedVoice": "चुनी गई आवाज़",
+  "speakers.unavailable": "{voice} (उपलब्ध नहीं)",
+  "speakers.speed": "गति {rate}x",
+  "speakers.pitch": "पिच {pitch}",
+  "speakers.volume": "आवाज़ {volume}%",
+
+  "chapters.untitled": "आयात किया गया दस्तावेज़",
+  "chapters.section": "भाग {number}",
+  "chapters.selectAll": "सभी चुनें",
+  "chapters.selectNone": "कोई नहीं",
+  "chapters.close": "बंद करें",
+  "chapters.playFrom": "इस अध्याय से चलाएँ",
+
+  "languages.title": "🌐 पहचानी गई भाषाएँ",
+  "languages.voiceFor": "{language} की आवाज़",
+  "languages.automatic": "अपने-आप ({voice})",
+  "languages.noVoice": "कोई आवाज़ उपलब्ध नहीं",
+  "languages.unavailable": "{voice} (उपलब्ध नहीं)",
+
+  "capture.title": "🎙️ ब्राउज़र की आवाज़ें यहाँ से रिकॉर्ड करें",
+  "capture.synthetic": "ऑफ़लाइन सिंथेसाइज़र",
+  "capture.synthetic.help":
+    "कुछ रिकॉर्ड नहीं होता; डाउनलोड में अंतर्निहित अंग्रेज़ी और हिंदी सिंथेसाइज़र की आवाज़ होती है।",
+  "capture.display": "टैब या सिस्टम ऑडियो",
+  "capture.display.help":
+    'ब्राउज़र पूछे तो यही टैब चुनें और "टैब ऑडियो शेयर करें" पर टिक करें (या सिस्टम ऑडियो के साथ स्क्रीन शेयर करें)।',
+  "capture.microphone": "माइक्रोफ़ोन",
+  "capture.microphone.help":
+    "स्पीकर की आवाज़ माइक्रोफ़ोन से रिकॉर्ड करता है। हेडफ़ोन के साथ काम नहीं करता और कमरे का शोर भी पकड़ता है।",
+  "capture.unsupported": "(समर्थित नहीं)",
+  "capture.level": "इनपुट स्तर",
+  "capture.format": "{type} में रिकॉर्डिंग",
+  "capture.defaultFormat": "ब्राउज़र के डिफ़ॉल्ट फ़ॉर्मैट में रिकॉर्डिंग",
+  "capture.silent":
+    "रिकॉर्डिंग में आवाज़ नहीं है। देखें कि टैब का ऑडियो शेयर हो रहा है और म्यूट नहीं है, या कोई और स्रोत चुनें।",
+  "capture.noAudioShared":
+    'कोई ऑडियो शेयर नहीं हुआ। यह टैब "टैब ऑडियो शेयर करें" चालू करके शेयर करें',
+
+  "panel.hide": "छिपाएँ",
+  "panel.show": "दिखाएँ",
+  "panel.showCount": "दिखाएँ ({count})",
+
+  "batch.title": "📦 बैच में बनाएँ",
+  "batch.help":
+    "id और text वाली CSV या JSON सूची आयात करें, और चाहें तो voice (नाम या hi-IN जैसी भाषा), rate और pitch भी। पंक्तियों पर ऊपर की लेक्सिकन, टेक्स्ट नॉर्मलाइज़ेशन और ऑडियो प्रोसेसिंग सेटिंग्स लागू होती हैं।",
+  "batch.import": "📂 CSV/JSON आयात करें",
+  "batch.importFailed": "{name} नहीं पढ़ी जा सकी: {message}",
+  "batch.zipFailed": "ZIP नहीं बन सकी: {message}",
+  "batch.stop": "⏹️ इस पंक्ति के बाद रोकें",
+  "batch.continue": {
+    one: "▶️ {count} पंक्ति जारी रखें",
+    other: "▶️ {count} पंक्तियाँ जारी रखें",
+  },
+  "batch.generate": {
+    one: "▶️ {count} पंक्ति बनाएँ",
+    other: "▶️ {count} पंक्तियाँ बनाएँ",
+  },
+  "batch.retryFailed": "🔁 विफल पंक्तियाँ फिर से ({count})",
+  "batch.zipping": "ZIP बन रही है...",
+  "batch.download": "💾 ZIP डाउनलोड करें",
+  "batch.leftOut": {
+    one: "{count} पंक्ति छोड़ दी गई:",
+    other: "{count} पंक्तियाँ छोड़ दी गईं:",
+  },
+  "batch.rowError": "पंक्ति {row}: {message}",
+  "batch.noId": "id नहीं है",
+  "batch.duplicateId": 'id "{id}" दो बार इस्तेमाल हुआ है',
+  "batch.noText": "टेक्स्ट नहीं है",
+  "batch.badRate": "rate {min} से {max} तक की संख्या होनी चाहिए",
+  "batch.badPitch": "pitch {min} से {max} तक की संख्या होनी चाहिए",
+  "batch.badJson": "JSON सही नहीं है",
+  "batch.notRows": "JSON में id और text वाली पंक्तियों की सूची होनी चाहिए",
+  "batch.noHeader": 'CSV में "id" और "text" कॉलम वाली हेडर पंक्ति होनी चाहिए',
+  "batch.progress": "{total} में से {done} पूरी",
+  "batch.progressFailed": "{total} में से {done} पूरी, {failed} विफल",
+  "batch.id": "Id",
+  "batch.text": "टेक्स्ट",
+  "batch.voice": "आवाज़",
+  "batch.status": "स्थिति",
+  "batch.actions": "कार्रवाई",
+  "batch.voiceMissing": '"{voice}" उपलब्ध नहीं है',
+  "batch.status.pending": "प्रतीक्षा में",
+  "batch.status.running": "बन रही है",
+  "batch.status.done": "पूरी",
+  "batch.status.failed": "विफल",
+  "batch.attempt": "(प्रयास {count})",
+  "batch.retryRow": "यह पंक्ति फिर से",
+
+  "engine.webspeech": "ब्राउज़र",
+  "engine.offline": "ऑफ़लाइन",
+  "engine.http": "सर्वर",
+  "engines.title": "🔌 स्पीच इंजन",
+  "engines.count": "{engine}: {count}",
+  "engines.configure": "सेट करें",
+  "engines.voicesFailed": "{engine} आवाज़ें: {message}",
+  "engines.offline": "ऑफ़लाइन सिंथेसाइज़र की अंग्रेज़ी और हिंदी आवाज़ें दिखाएँ",
+  "engines.server": "TTS सर्वर इस्तेमाल करें (Coqui, Piper, MaryTTS या संगत)",
+  "engines.url": "स्पीच एंडपॉइंट (POST, ऑडियो लौटाता है)",
+  "engines.voicesUrl": "आवाज़ों का URL (वैकल्पिक)",
+  "engines.format": "अनुरोध का बॉडी",
+  "engines.form": "फ़ॉर्म (MaryTTS)",
+  "engines.lang": "डिफ़ॉल्ट भाषा",
+  "engines.apiKey": "API कुंजी",
+  "engines.template": "बॉडी टेम्पलेट",
+  "engines.placeholders":
+    "प्लेसहोल्डर: {placeholders}। ये बॉडी के हिसाब से JSON या URL एन्कोड किए जाते हैं।",
+  "engines.apply": "लागू करें और आवाज़ें फिर से लोड करें",
+
+  "export.title": "💾 ऑडियो एक्सपोर्ट करें",
+  "export.format": "फ़ॉर्मैट",
+  "export.unsupported": "(इस ब्राउज़र में समर्थित नहीं)",
+  "export.sampleRate": "सैंपल रेट",
+  "export.channels": "चैनल",
+  "export.mono": "मोनो",
+  "export.stereo": "स्टीरियो",
+  "export.bitrate": "बिटरेट",
+  "export.tagTitle": "शीर्षक",
+  "export.tagVoice": "आवाज़",
+  "export.tagLanguage": "भाषा",
+  "export.languagePlaceholder": "जैसे hi-IN",
+  "export.opusRate": "Opus हमेशा 48 kHz पर एन्कोड होता है।",
+  "export.failed": "एक्सपोर्ट नहीं हो सका",
+  "export.cancel": "रद्द करें",
+  "export.encoding": "🔄 एन्कोड हो रहा है...",
+  "export.export": "💾 एक्सपोर्ट करें",
+
+  "lexicon.title": "🗣️ उच्चारण लेक्सिकन",
+  "lexicon.help":
+    "बोलने से पहले प्रविष्टियाँ क्रम से लागू होती हैं। बिना बोले जाने वाले रूप के संक्षिप्त शब्द अक्षर-अक्षर पढ़े जाते हैं; regex बदलाव में समूहों के लिए $1 इस्तेमाल कर सकते हैं।",
+  "lexicon.type": "प्रकार",
+  "lexicon.match": "मिलान",
+  "lexicon.language": "भाषा",
+  "lexicon.spokenAs": "ऐसे बोलें",
+  "lexicon.actions": "कार्रवाई",
+  "lexicon.entryType": "प्रविष्टि का प्रकार",
+  "lexicon.type.word": "शब्द",
+  "lexicon.type.acronym": "संक्षिप्त शब्द",
+  "lexicon.type.regex": "Regex",
+  "lexicon.placeholder.word": "जैसे GitHub",
+  "lexicon.placeholder.acronym": "जैसे API",
+  "lexicon.placeholder.regex": "जैसे v(\\d+)",
+  "lexicon.spokenForm": "बोला जाने वाला रूप",
+  "lexicon.deleteEntry": "प्रविष्टि हटाएँ",
+  "lexicon.add": "➕ प्रविष्टि जोड़ें",
+  "lexicon.import": "JSON/PLS आयात करें",
+  "lexicon.exportJson": "JSON एक्सपोर्ट करें",
+  "lexicon.exportPls": "PLS एक्सपोर्ट करें",
+  "lexicon.noPattern": "मिलाने के लिए टेक्स्ट लिखें",
+  "lexicon.noReplacement": "लिखें कि इसे कैसे बोला जाए",
+  "lexicon.matchesEmpty": "पैटर्न खाली टेक्स्ट से मिलता है",
+  "lexicon.badRegex": "अमान्य regular expression: {message}",
+
+  "processing.title": "🎚️ ऑडियो प्रोसेसिंग",
+  "processing.gate": "नॉइज़ गेट",
+  "processing.gate.description": "शब्दों के बीच का पृष्ठभूमि शोर बंद करें",
+  "processing.trim": "चुप्पी काटें",
+  "processing.trim.description": "शुरू और अंत की चुप्पी हटाएँ",
+  "processing.compressor": "कंप्रेसर",
+  "processing.compressor.description": "तेज़ और धीमे हिस्सों को बराबर करें",
+  "processing.timeStretch": "टाइम-स्ट्रेच",
+  "processing.timeStretch.description": "पिच बदले बिना गति बदलें",
+  "processing.normalize": "लाउडनेस नॉर्मलाइज़ करें",
+  "processing.normalize.description": "ऑडियो को एक मानक स्तर पर लाएँ",
+  "processing.threshold": "थ्रेशोल्ड: {value} dB",
+  "processing.keep": "रखें: {value} ms",
+  "processing.ratio": "अनुपात: {value}:1",
+  "processing.speed": "गति: {value}x",
+  "processing.mode": "नॉर्मलाइज़ेशन का तरीका",
+  "processing.lufs": "लाउडनेस (LUFS)",
+  "processing.peak": "पीक (dBFS)",
+  "processing.target": "लक्ष्य: {value} {unit}",
+
+  "audition.stars": { one: "{count} तारा", other: "{count} तारे" },
+  "audition.rating": "{voice} की रेटिंग",
+  "audition.voiceSide": "आवाज़ {side}",
+  "audition.title": "🎧 ऑडिशन ({count})",
+  "audition.clear": "साफ़ करें",
+  "audition.samplePlaceholder": "नमूना टेक्स्ट (हर आवाज़ की भाषा में एक वाक्य)",
+  "audition.sample": "नमूना टेक्स्ट",
+  "audition.stop": "⏹️ रोकें",
+  "audition.playAll": "▶️ सभी चलाएँ",
+  "audition.playOne": "इस आवाज़ में नमूना चलाएँ",
+  "audition.use": "इस्तेमाल करें",
+  "audition.remove": "ऑडिशन से हटाएँ",
+  "audition.notes": "नोट्स",
+  "audition.notesFor": "{voice} के नोट्स",
+  "audition.compare": "🆚 आपके टेक्स्ट पर A/B",
+  "audition.compareHelp":
+    "तुलना के लिए ऊपर टेक्स्ट लिखें; तब तक नमूना इस्तेमाल होगा।",
+  "audition.playSide": "▶️ {side} चलाएँ",
+  "audition.playBoth": "▶️ पहले A, फिर B चलाएँ",
+
+  "waveform.title": "✂️ ऑडियो संपादित करें",
+  "waveform.show": "वेवफ़ॉर्म दिखाएँ",
+  "waveform.loading": "वेवफ़ॉर्म लोड हो रहा है...",
+  "waveform.loadFailed": "ऑडियो लोड नहीं हो सका: {message}",
+  "waveform.removesAll": "इससे पूरा ऑडियो हट जाएगा।",
+  "waveform.canvas":
+    "वेवफ़ॉर्म। चुनने के लिए खींचें, प्लेहेड हटाने के लिए क्लिक करें।",
+  "waveform.scroll": "वेवफ़ॉर्म स्क्रॉल करें",
+  "waveform.selected": "चुना गया {start} – {end} ({length})",
+  "waveform.zoomOut": "छोटा करें",
+  "waveform.zoomIn": "बड़ा करें",
+  "waveform.fit": "पूरा दिखाएँ",
+  "waveform.cut": "✂️ काटें",
+  "waveform.trim": "📐 चुने हुए हिस्से तक छाँटें",
+  "waveform.fadeIn": "↗️ फ़ेड इन",
+  "waveform.fadeOut": "↘️ फ़ेड आउट",
+  "waveform.silence": "⏸️ चुप्पी डालें",
+  "waveform.silenceHint":
+    "चुने हुए हिस्से की शुरुआत में या प्लेहेड पर चुप्पी डालें",
+  "waveform.silenceLength": "चुप्पी की लंबाई मिलीसेकंड में",
+  "waveform.undo": "↩️ पूर्ववत करें",
+  "waveform.undoCount": "↩️ पूर्ववत करें ({count})",
+
+  "recording.fallback":
+    "{message}। इसकी जगह ऑफ़लाइन सिंथेसाइज़र इस्तेमाल हो रहा है।",
+  "engines.offlineSynthesizer": "ऑफ़लाइन सिंथेसाइज़र",
+
+  "bookmarks.resumeOffer": "🔖 जहाँ छोड़ा था वहीं से आगे सुनें ({percent}):",
+  "bookmarks.resume": "▶️ जारी रखें",
+  "bookmarks.dismiss": "हटाएँ",
+  "bookmarks.startOver": "शुरू से",
+  "bookmarks.title": "🔖 बुकमार्क",
+  "bookmarks.name": "बुकमार्क का नाम",
+  "bookmarks.namePlaceholder": "नाम (न दें तो वहाँ का टेक्स्ट)",
+  "bookmarks.add": "➕ {percent} पर जोड़ें",
+  "bookmarks.previous": "⏮️ पिछला",
+  "bookmarks.previousHint": "पिछले बुकमार्क पर जाएँ",
+  "bookmarks.next": "अगला ⏭️",
+  "bookmarks.nextHint": "अगले बुकमार्क पर जाएँ",
+  "bookmarks.go": "जाएँ",
+  "bookmarks.goHint": "इस बुकमार्क पर जाएँ",
+  "bookmarks.play": "इस बुकमार्क से पढ़ें",
+  "bookmarks.remove": "बुकमार्क हटाएँ",
+
+  "embed.play": "चलाएँ",
+  "embed.pause": "रोकें",
+  "embed.stop": "बंद करें",
+  "embed.download": "ऑडियो डाउनलोड करें",
+  "embed.settings": "सेटिंग्स",
+  "embed.voice": "आवाज़",
+  "embed.rate": "गति",
+  "embed.pitch": "पिच",
+  "embed.volume": "आवाज़ का स्तर",
+  "embed.noText": "पढ़ने के लिए कोई टेक्स्ट नहीं है",
+  "embed.speechError": "वाक्य {sentence} में बोलने में गड़बड़ी",
+  "embed.voiceMissing": 'आवाज़ "{voice}" उपलब्ध नहीं है',
+};
+
+export default hi;
@@ -0,0 +1,48 @@
+/* eslint-disable no-restricted-globals */
+// service-worker.js
+// Caches the app shell so the app opens and speaks without a network. The
+// build injects the list of its files into self.__WB_MANIFEST; they are
+// precached on install. Navigations (including the share target, which
+// opens "./?text=...") are answered with the cached index.html. Speech
+// servers and other origins always go to the network.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Paths that look like files are not app pages
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== "navigate") return false;
+    if (url.origin !== self.location.origin) return false;
+    if (url.pathname.startsWith("/_")) return false;
+    return !fileExtension.test(url.pathname);
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and other public files that are not part of the build
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    /\.(png|ico|svg|json|txt)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: "public-files",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// The page asks a waiting worker to take over when the user accepts the
+// update
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,55 @@
+// serviceWorkerRegistration.js
+// Registers the service worker in production builds. onUpdate(registration)
+// is called when a new version has been installed and is waiting for the
+// open pages to close; applyUpdate(registration) lets it take over and
+// reloads the page.
+
+const isLocalhost = ["localhost", "127.0.0.1", "[::1]"].includes(
+  window.location.hostname
+);
+
+const watchInstall = (registration, onUpdate) => {
+  const worker = registration.installing;
+  if (!worker) return;
+  worker.addEventListener("statechange", () => {
+    // With no controller this is the first install, not an update
+    if (worker.state === "installed" && navigator.serviceWorker.controller) {
+      onUpdate(registration);
+    }
+  });
+};
+
+export const register = ({ onUpdate = () => {} } = {}) => {
+  if (process.env.NODE_ENV !== "production") return;
+  if (!("serviceWorker" in navigator)) return;
+  // Service workers need a secure origin
+  if (window.location.protocol !== "https:" && !isLocalhost) return;
+
+  const url = `${process.env.PUBLIC_URL}/service-worker.js`;
+  navigator.serviceWorker
+    .register(url)
+    .then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdate(registration);
+      }
+      registration.addEventListener("updatefound", () =>
+        watchInstall(registration, onUpdate)
+      );
+    })
+    .catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+};
+
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true }
+  );
+  registration.waiting.postMessage({ type: "SKIP_WAITING" });
+};
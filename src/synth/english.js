@@ -0,0 +1,734 @@
+// english.js
+// Letter-to-sound conversion for English, based on the NRL rule set
+// (Elovitz et al., "Automatic Translation of English Text to Phonetics by
+// Means of Letter-to-Sound Rules", 1976).
+//
+// Each rule is [left context, match, right context, phonemes]. Context
+// symbols:
+//   " "  word boundary          "#"  one or more vowels
+//   ":"  zero or more consonants "^"  one consonant
+//   "."  one voiced consonant    "+"  front vowel (E, I, Y)
+//   "%"  suffix (ER, E, ES, ED, ING, ELY)
+// An empty context matches anything.
+
+const RULES = {
+  A: [
+    [" ", "A", " ", "AX"],
+    [" ", "ARE", " ", "AA R"],
+    [" ", "AR", "O", "AX R"],
+    ["", "AR", "#", "EH R"],
+    ["^", "AS", "#", "EY S"],
+    ["", "A", "WA", "AX"],
+    ["", "AW", "", "AO"],
+    [" :", "ANY", "", "EH N IY"],
+    ["", "A", "^+#", "EY"],
+    ["#:", "ALLY", "", "AX L IY"],
+    [" ", "AL", "#", "AX L"],
+    ["", "AGAIN", "", "AX G EH N"],
+    ["#:", "AG", "E", "IH JH"],
+    ["", "A", "^+:#", "AE"],
+    [" :", "A", "^+ ", "EY"],
+    ["", "A", "^%", "EY"],
+    [" ", "ARR", "", "AX R"],
+    ["", "ARR", "", "AE R"],
+    [" :", "AR", " ", "AA R"],
+    ["", "AR", " ", "ER"],
+    ["", "AR", "", "AA R"],
+    ["", "AIR", "", "EH R"],
+    ["", "AI", "", "EY"],
+    ["", "AY", "", "EY"],
+    ["", "AU", "", "AO"],
+    ["#:", "AL", " ", "AX L"],
+    ["#:", "ALS", " ", "AX L Z"],
+    ["", "ALK", "", "AO K"],
+    ["", "AL", "^", "AO L"],
+    [" :", "ABLE", "", "EY B AX L"],
+    ["", "ABLE", "", "AX B AX L"],
+    ["", "ANG", "+", "EY N JH"],
+    ["", "A", "", "AE"],
+  ],
+  B: [
+    [" ", "BE", "^#", "B IH"],
+    ["", "BEING", "", "B IY IH NG"],
+    [" ", "BOTH", " ", "B OW TH"],
+    [" ", "BUS", "#", "B IH Z"],
+    ["", "BUIL", "", "B IH L"],
+    ["", "BB", "", "B"],
+    ["", "B", "", "B"],
+  ],
+  C: [
+    [" ", "CH", "^", "K"],
+    ["^E", "CH", "", "K"],
+    ["", "CH", "", "CH"],
+    [" S", "CI", "#", "S AY"],
+    ["", "CI", "A", "SH"],
+    ["", "CI", "O", "SH"],
+    ["", "CI", "EN", "SH"],
+    ["", "C", "+", "S"],
+    ["", "CK", "", "K"],
+    ["", "COM", "%", "K AH M"],
+    ["", "CC", "+", "K S"],
+    ["", "C", "", "K"],
+  ],
+  D: [
+    ["#:", "DED", " ", "D IH D"],
+    [".E", "D", " ", "D"],
+    ["#:^E", "D", " ", "T"],
+    [" ", "DE", "^#", "D IH"],
+    [" ", "DO", " ", "D UW"],
+    [" ", "DOES", "", "D AH Z"],
+    [" ", "DOING", "", "D UW IH NG"],
+    [" ", "DOW", "", "D AW"],
+    ["", "DU", "A", "JH UW"],
+    ["", "DD", "", "D"],
+    ["", "D", "", "D"],
+  ],
+  E: [
+    ["#:", "E", " ", ""],
+    ["'^:", "E", " ", ""],
+    [" :", "E", " ", "IY"],
+    ["#", "ED", " ", "D"],
+    ["#:", "E", "D ", ""],
+    ["", "EV", "ER", "EH V"],
+    ["", "E", "^%", "IY"],
+    ["", "ERI", "#", "IY R IY"],
+    ["", "ERI", "", "EH R IH"],
+    ["#:", "ER", "#", "ER"],
+    ["", "ER", "#", "EH R"],
+    ["", "ER", "", "ER"],
+    [" ", "EVEN", "", "IY V EH N"],
+    ["#:", "E", "W", ""],
+    ["T", "EW", "", "UW"],
+    ["S", "EW", "", "UW"],
+    ["R", "EW", "", "UW"],
+    ["D", "EW", "", "UW"],
+    ["L", "EW", "", "UW"],
+    ["Z", "EW", "", "UW"],
+    ["N", "EW", "", "UW"],
+    ["J", "EW", "", "UW"],
+    ["TH", "EW", "", "UW"],
+    ["CH", "EW", "", "UW"],
+    ["SH", "EW", "", "UW"],
+    ["", "EW", "", "Y UW"],
+    ["", "E", "O", "IY"],
+    ["#:S", "ES", " ", "IH Z"],
+    ["#:C", "ES", " ", "IH Z"],
+    ["#:G", "ES", " ", "IH Z"],
+    ["#:Z", "ES", " ", "IH Z"],
+    ["#:X", "ES", " ", "IH Z"],
+    ["#:J", "ES", " ", "IH Z"],
+    ["#:CH", "ES", " ", "IH Z"],
+    ["#:SH", "ES", " ", "IH Z"],
+    ["#:", "E", "S ", ""],
+    ["#:", "ELY", " ", "L IY"],
+    ["#:", "EMENT", "", "M EH N T"],
+    ["", "EFUL", "", "F UH L"],
+    ["", "EE", "", "IY"],
+    ["", "EARN", "", "ER N"],
+    [" ", "EAR", "^", "ER"],
+    ["", "EAD", "", "EH D"],
+    ["#:", "EA", " ", "IY AX"],
+    ["", "EA", "SU", "EH"],
+    ["", "EA", "", "IY"],
+    ["", "EIGH", "", "EY"],
+    ["", "EI", "", "IY"],
+    [" ", "EYE", "", "AY"],
+    ["", "EY", "", "IY"],
+    ["", "EU", "", "Y UW"],
+    ["", "E", "", "EH"],
+  ],
+  F: [
+    ["", "FUL", "", "F UH L"],
+    ["", "FF", "", "F"],
+    ["", "F", "", "F"],
+  ],
+  G: [
+    ["", "GIV", "", "G IH V"],
+    [" ", "G", "I^", "G"],
+    ["", "GE", "T", "G EH"],
+    ["SU", "GGES", "", "G JH EH S"],
+    ["", "GG", "", "G"],
+    [" B#", "G", "", "G"],
+    ["", "G", "+", "JH"],
+    ["", "GREAT", "", "G R EY T"],
+    ["#", "GH", "", ""],
+    ["", "G", "", "G"],
+  ],
+  H: [
+    [" ", "HAV", "", "HH AE V"],
+    [" ", "HERE", "", "HH IY R"],
+    [" ", "HOUR", "", "AW ER"],
+    ["", "HOW", "", "HH AW"],
+    ["", "H", "#", "HH"],
+    ["", "H", "", ""],
+  ],
+  I: [
+    [" ", "IN", "", "IH N"],
+    [" ", "I", " ", "AY"],
+    ["", "IN", "D", "AY N"],
+    ["", "IER", "", "IY ER"],
+    ["#:R", "IED", "", "IY D"],
+    ["", "IED", " ", "AY D"],
+    ["", "IEN", "", "IY EH N"],
+    ["", "IE", "T", "AY EH"],
+    [" :", "I", "%", "AY"],
+    ["", "I", "%", "IY"],
+    ["", "IE", "", "IY"],
+    ["", "I", "^+:#", "IH"],
+    ["", "IR", "#", "AY R"],
+    ["", "IZ", "%", "AY Z"],
+    ["", "IS", "%", "AY Z"],
+    ["", "I", "D%", "AY"],
+    ["+^", "I", "^+", "IH"],
+    ["", "I", "T%", "AY"],
+    ["#:^", "I", "^+", "IH"],
+    ["", "I", "^+", "AY"],
+    ["", "IR", "", "ER"],
+    ["", "IGH", "", "AY"],
+    ["", "ILD", "", "AY L D"],
+    ["", "IGN", " ", "AY N"],
+    ["", "IGN", "^", "AY N"],
+    ["", "IGN", "%", "AY N"],
+    ["", "IQUE", "", "IY K"],
+    ["", "I", "", "IH"],
+  ],
+  J: [["", "J", "", "JH"]],
+  K: [
+    [" ", "K", "N", ""],
+    ["", "K", "", "K"],
+  ],
+  L: [
+    ["", "LO", "C#", "L OW"],
+    ["L", "L", "", ""],
+    ["#:^", "L", "%", "AX L"],
+    ["", "LEAD", "", "L IY D"],
+    ["", "L", "", "L"],
+  ],
+  M: [
+    ["", "MOV", "", "M UW V"],
+    ["", "MM", "", "M"],
+    ["", "M", "", "M"],
+  ],
+  N: [
+    ["E", "NG", "+", "N JH"],
+    ["", "NG", "R", "NG G"],
+    ["", "NG", "#", "NG G"],
+    ["", "NGL", "%", "NG G AX L"],
+    ["", "NG", "", "NG"],
+    ["", "NK", "", "NG K"],
+    [" ", "NOW", " ", "N AW"],
+    ["", "NN", "", "N"],
+    ["", "N", "", "N"],
+  ],
+  O: [
+    ["", "OF", " ", "AX V"],
+    ["", "OROUGH", "", "ER OW"],
+    ["#:", "OR", " ", "ER"],
+    ["#:", "ORS", " ", "ER Z"],
+    ["", "OR", "", "AO R"],
+    [" ", "ONE", "", "W AH N"],
+    ["", "OW", "", "OW"],
+    [" ", "OVER", "", "OW V ER"],
+    ["", "OV", "", "AH V"],
+    ["", "O", "^%", "OW"],
+    ["", "O", "^EN", "OW"],
+    ["", "O", "^I#", "OW"],
+    ["", "OL", "D", "OW L"],
+    ["", "OUGHT", "", "AO T"],
+    ["", "OUGH", "", "AH F"],
+    [" ", "OU", "", "AW"],
+    ["H", "OU", "S#", "AW"],
+    ["", "OUS", "", "AX S"],
+    ["", "OUR", "", "AO R"],
+    ["", "OULD", "", "UH D"],
+    ["^", "OU", "^L", "AH"],
+    ["", "OUP", "", "UW P"],
+    ["", "OU", "", "AW"],
+    ["", "OY", "", "OY"],
+    ["", "OING", "", "OW IH NG"],
+    ["", "OI", "", "OY"],
+    ["", "OOR", "", "AO R"],
+    ["", "OOK", "", "UH K"],
+    ["", "OOD", "", "UH D"],
+    ["", "OO", "", "UW"],
+    ["", "O", "E", "OW"],
+    ["", "O", " ", "OW"],
+    ["", "OA", "", "OW"],
+    [" ", "ONLY", "", "OW N L IY"],
+    [" ", "ONCE", "", "W AH N S"],
+    ["", "ON'T", "", "OW N T"],
+    ["C", "O", "N", "AA"],
+    ["", "O", "NG", "AO"],
+    [" :^", "O", "N", "AH"],
+    ["I", "ON", "", "AX N"],
+    ["#:", "ON", " ", "AX N"],
+    ["#^", "ON", "", "AX N"],
+    ["", "O", "ST ", "OW"],
+    ["", "OF", "^", "AO F"],
+    ["", "OTHER", "", "AH DH ER"],
+    ["", "OSS", " ", "AO S"],
+    ["#:^", "OM", "", "AH M"],
+    ["", "O", "", "AA"],
+  ],
+  P: [
+    ["", "PH", "", "F"],
+    ["", "PEOP", "", "P IY P"],
+    ["", "POW", "", "P AW"],
+    ["", "PUT", " ", "P UH T"],
+    ["", "PP", "", "P"],
+    ["", "P", "", "P"],
+  ],
+  Q: [
+    ["", "QUAR", "", "K W AO R"],
+    ["", "QU", "", "K W"],
+    ["", "Q", "", "K"],
+  ],
+  R: [
+    [" ", "RE", "^#", "R IY"],
+    ["", "RR", "", "R"],
+    ["", "R", "", "R"],
+  ],
+  S: [
+    ["", "SH", "", "SH"],
+    ["#", "SION", "", "ZH AX N"],
+    ["", "SOME", "", "S AH M"],
+    ["#", "SUR", "#", "ZH ER"],
+    ["", "SUR", "#", "SH ER"],
+    ["#", "SU", "#", "ZH UW"],
+    ["#", "SSU", "#", "SH UW"],
+    ["#", "SED", " ", "Z D"],
+    ["#", "S", "#", "Z"],
+    ["", "SAID", "", "S EH D"],
+    ["^", "SION", "", "SH AX N"],
+    ["", "S", "S", ""],
+    [".", "S", " ", "Z"],
+    ["#:.E", "S", " ", "Z"],
+    ["#:^##", "S", " ", "Z"],
+    ["#:^#", "S", " ", "S"],
+    ["U", "S", " ", "S"],
+    [" :#", "S", " ", "Z"],
+    [" ", "SCH", "", "S K"],
+    ["", "S", "C+", ""],
+    ["#", "SM", "", "Z M"],
+    ["#", "SN", "'", "Z AX N"],
+    ["", "S", "", "S"],
+  ],
+  T: [
+    [" ", "THE", " ", "DH AX"],
+    ["", "TO", " ", "T UW"],
+    ["", "THAT", " ", "DH AE T"],
+    [" ", "THIS", " ", "DH IH S"],
+    [" ", "THEY", "", "DH EY"],
+    [" ", "THERE", "", "DH EH R"],
+    ["", "THER", "", "DH ER"],
+    ["", "THEIR", "", "DH EH R"],
+    [" ", "THAN", " ", "DH AE N"],
+    [" ", "THEM", " ", "DH EH M"],
+    ["", "THESE", " ", "DH IY Z"],
+    [" ", "THEN", "", "DH EH N"],
+    ["", "THROUGH", "", "TH R UW"],
+    ["", "THOSE", "", "DH OW Z"],
+    ["", "THOUGH", " ", "DH OW"],
+    [" ", "THUS", "", "DH AH S"],
+    ["", "TH", "", "TH"],
+    ["#:", "TED", " ", "T IH D"],
+    ["S", "TI", "#N", "CH"],
+    ["", "TI", "O", "SH"],
+    ["", "TI", "A", "SH"],
+    ["", "TIEN", "", "SH AX N"],
+    ["", "TUR", "#", "CH ER"],
+    ["", "TU", "A", "CH UW"],
+    [" ", "TWO", "", "T UW"],
+    ["", "TT", "", "T"],
+    ["", "T", "", "T"],
+  ],
+  U: [
+    [" ", "UN", "I", "Y UW N"],
+    [" ", "UN", "", "AH N"],
+    [" ", "UPON", "", "AX P AO N"],
+    ["T", "UR", "#", "UH R"],
+    ["S", "UR", "#", "UH R"],
+    ["R", "UR", "#", "UH R"],
+    ["D", "UR", "#", "UH R"],
+    ["L", "UR", "#", "UH R"],
+    ["Z", "UR", "#", "UH R"],
+    ["N", "UR", "#", "UH R"],
+    ["J", "UR", "#", "UH R"],
+    ["TH", "UR", "#", "UH R"],
+    ["CH", "UR", "#", "UH R"],
+    ["SH", "UR", "#", "UH R"],
+    ["", "UR", "#", "Y UH R"],
+    ["", "UR", "", "ER"],
+    ["", "U", "^ ", "AH"],
+    ["", "U", "^^", "AH"],
+    ["", "UY", "", "AY"],
+    [" G", "U", "#", ""],
+    ["G", "U", "%", ""],
+    ["G", "U", "#", "W"],
+    ["#N", "U", "", "Y UW"],
+    ["T", "U", "", "UW"],
+    ["S", "U", "", "UW"],
+    ["R", "U", "", "UW"],
+    ["D", "U", "", "UW"],
+    ["L", "U", "", "UW"],
+    ["Z", "U", "", "UW"],
+    ["N", "U", "", "UW"],
+    ["J", "U", "", "UW"],
+    ["TH", "U", "", "UW"],
+    ["CH", "U", "", "UW"],
+    ["SH", "U", "", "UW"],
+    ["", "U", "", "Y UW"],
+  ],
+  V: [
+    ["", "VIEW", "", "V Y UW"],
+    ["", "V", "", "V"],
+  ],
+  W: [
+    [" ", "WERE", "", "W ER"],
+    ["", "WA", "S", "W AA"],
+    ["", "WA", "T", "W AA"],
+    ["", "WHERE", "", "W EH R"],
+    ["", "WHAT", "", "W AA T"],
+    ["", "WHOL", "", "HH OW L"],
+    ["", "WHO", "", "HH UW"],
+    ["", "WH", "", "W"],
+    ["", "WAR", "", "W AO R"],
+    ["", "WOR", "^", "W ER"],
+    ["", "WR", "", "R"],
+    ["", "W", "", "W"],
+  ],
+  X: [["", "X", "", "K S"]],
+  Y: [
+    ["", "YOUNG", "", "Y AH NG"],
+    [" ", "YOU", "", "Y UW"],
+    [" ", "YES", "", "Y EH S"],
+    [" ", "Y", "", "Y"],
+    ["#:^", "Y", " ", "IY"],
+    ["#:^", "Y", "I", "IY"],
+    [" :", "Y", " ", "AY"],
+    [" :", "Y", "#", "AY"],
+    [" :", "Y", "^+:#", "IH"],
+    [" :", "Y", "^#", "AY"],
+    ["", "Y", "", "IH"],
+  ],
+  Z: [
+    ["", "ZZ", "", "Z"],
+    ["", "Z", "", "Z"],
+  ],
+};
+
+// Common words the rules get wrong
+const EXCEPTIONS = {
+  A: "AX",
+  ARE: "AA R",
+  IS: "IH Z",
+  AS: "AE Z",
+  HAS: "HH AE Z",
+  WAS: "W AA Z",
+  OF: "AH V",
+  TO: "T UW",
+  DO: "D UW",
+  TWO: "T UW",
+  WHO: "HH UW",
+  YOU: "Y UW",
+  YOUR: "Y AO R",
+  ONE: "W AH N",
+  SAID: "S EH D",
+  SAYS: "S EH Z",
+  HAVE: "HH AE V",
+  GIVE: "G IH V",
+  LIVE: "L IH V",
+  COME: "K AH M",
+  SOME: "S AH M",
+  DONE: "D AH N",
+  GONE: "G AO N",
+  WOMEN: "W IH M IH N",
+  FRIEND: "F R EH N D",
+  HELLO: "HH AX L OW",
+  BEEN: "B IH N",
+  WHERE: "W EH R",
+  THERE: "DH EH R",
+  ANY: "EH N IY",
+  MANY: "M EH N IY",
+  OK: "OW K EY",
+};
+
+const LETTER_NAMES = {
+  A: "EY",
+  B: "B IY",
+  C: "S IY",
+  D: "D IY",
+  E: "IY",
+  F: "EH F",
+  G: "JH IY",
+  H: "EY CH",
+  I: "AY",
+  J: "JH EY",
+  K: "K EY",
+  L: "EH L",
+  M: "EH M",
+  N: "EH N",
+  O: "OW",
+  P: "P IY",
+  Q: "K Y UW",
+  R: "AA R",
+  S: "EH S",
+  T: "T IY",
+  U: "Y UW",
+  V: "V IY",
+  W: "D AH B AX L Y UW",
+  X: "EH K S",
+  Y: "W AY",
+  Z: "Z IY",
+};
+
+const DIGIT_NAMES = [
+  "Z IH R OW",
+  "W AH N",
+  "T UW",
+  "TH R IY",
+  "F AO R",
+  "F AY V",
+  "S IH K S",
+  "S EH V AX N",
+  "EY T",
+  "N AY N",
+];
+
+// All-caps words that should still be read as words, not spelled out
+const COMMON_CAPS = [
+  "THE",
+  "AND",
+  "FOR",
+  "BUT",
+  "NOT",
+  "ALL",
+  "CAN",
+  "HAS",
+  "HAD",
+  "HIS",
+  "HER",
+  "OUR",
+  "OUT",
+  "NOW",
+  "NEW",
+  "HOW",
+  "WHY",
+  "YES",
+  "NO",
+  "SO",
+  "GO",
+  "WE",
+  "HE",
+  "ME",
+  "MY",
+  "BE",
+  "BY",
+  "IN",
+  "ON",
+  "AT",
+  "IT",
+  "AN",
+  "OR",
+  "UP",
+  "US",
+  "IF",
+  "THIS",
+  "THAT",
+  "WITH",
+  "FROM",
+  "HAVE",
+  "WILL",
+  "YOUR",
+  "WHAT",
+  "WHEN",
+  "STOP",
+  "HELP",
+  "NOTE",
+  "FREE",
+  "SALE",
+];
+
+const VOWELS = "AEIOUY";
+const VOICED = "BDVGJLMNRWZ";
+const FRONT = "EIY";
+const SUFFIXES = ["ING", "ELY", "ER", "ES", "ED", "E"];
+
+const isLetter = (ch) => ch >= "A" && ch <= "Z";
+const isVowelLetter = (ch) => VOWELS.includes(ch);
+const isConsonant = (ch) => isLetter(ch) && !isVowelLetter(ch);
+
+const suffixAt = (word, pos) =>
+  SUFFIXES.find((suffix) => word.startsWith(suffix, pos));
+
+// Match a right context starting at pos, returns true on success
+const matchRight = (pattern, word, pos) => {
+  let p = pos;
+  for (let i = 0; i < pattern.length; i++) {
+    const symbol = pattern[i];
+    const ch = word[p] || " ";
+
+    switch (symbol) {
+      case " ":
+        if (isLetter(ch)) return false;
+        p++;
+        break;
+      case "#":
+        if (!isVowelLetter(ch)) return false;
+        while (isVowelLetter(word[p])) p++;
+        break;
+      case ":":
+        while (isConsonant(word[p])) p++;
+        break;
+      case "^":
+        if (!isConsonant(ch)) return false;
+        p++;
+        break;
+      case ".":
+        if (!VOICED.includes(ch)) return false;
+        p++;
+        break;
+      case "+":
+        if (!FRONT.includes(ch)) return false;
+        p++;
+        break;
+      case "%": {
+        const suffix = suffixAt(word, p);
+        if (!suffix) return false;
+        p += suffix.length;
+        break;
+      }
+      default:
+        if (ch !== symbol) return false;
+        p++;
+    }
+  }
+  return true;
+};
+
+// Match a left context ending just before pos, scanning leftwards
+const matchLeft = (pattern, word, pos) => {
+  let p = pos - 1;
+  for (let i = pattern.length - 1; i >= 0; i--) {
+    const symbol = pattern[i];
+    const ch = p >= 0 ? word[p] : " ";
+
+    switch (symbol) {
+      case " ":
+        if (isLetter(ch)) return false;
+        p--;
+        break;
+      case "#":
+        if (!isVowelLetter(ch)) return false;
+        while (p >= 0 && isVowelLetter(word[p])) p--;
+        break;
+      case ":":
+        while (p >= 0 && isConsonant(word[p])) p--;
+        break;
+      case "^":
+        if (!isConsonant(ch)) return false;
+        p--;
+        break;
+      case ".":
+        if (!VOICED.includes(ch)) return false;
+        p--;
+        break;
+      case "+":
+        if (!FRONT.includes(ch)) return false;
+        p--;
+        break;
+      default:
+        if (ch !== symbol) return false;
+        p--;
+    }
+  }
+  return true;
+};
+
+const split = (phonemes) => (phonemes ? phonemes.split(" ") : []);
+
+// Voiceless plosives are aspirated before a vowel unless preceded by S
+const addAspiration = (phonemes) => {
+  const result = [];
+  phonemes.forEach((symbol, i) => {
+    result.push(symbol);
+    const next = phonemes[i + 1];
+    if (
+      ["P", "T", "K"].includes(symbol) &&
+      next &&
+      /^[AEIOU]/.test(next) &&
+      phonemes[i - 1] !== "S"
+    ) {
+      result.push("ASP");
+    }
+  });
+  return result;
+};
+
+const findRule = (rules, word, pos) =>
+  rules.find(
+    ([left, match, right]) =>
+      word.startsWith(match, pos) &&
+      matchLeft(left, word, pos) &&
+      matchRight(right, word, pos + match.length)
+  );
+
+const applyRules = (word) => {
+  const padded = ` ${word} `;
+  const phonemes = [];
+  let pos = 1;
+
+  while (pos < padded.length - 1) {
+    const ch = padded[pos];
+    const rules = RULES[ch];
+
+    if (!rules) {
+      pos++;
+      continue;
+    }
+
+    const rule = findRule(rules, padded, pos);
+
+    if (rule) {
+      phonemes.push(...split(rule[3]));
+      pos += rule[1].length;
+    } else {
+      pos++;
+    }
+  }
+
+  return phonemes;
+};
+
+// Convert a single English word to a list of phoneme symbols
+export const englishToPhonemes = (rawWord) => {
+  if (/^\d+$/.test(rawWord)) {
+    return rawWord
+      .split("")
+      .flatMap((digit) => split(DIGIT_NAMES[Number(digit)]));
+  }
+
+  const word = rawWord.toUpperCase().replace(/[^A-Z']/g, "");
+  if (!word) return [];
+
+  if (EXCEPTIONS[word]) {
+    return addAspiration(split(EXCEPTIONS[word]));
+  }
+
+  // Short all-caps words without vowels, or of 2-4 letters, are acronyms
+  const isAcronym =
+    rawWord === word &&
+    word.length > 1 &&
+    !COMMON_CAPS.includes(word) &&
+    (word.length <= 4 || !/[AEIOU]/.test(word));
+  if (isAcronym) {
+    return addAspiration(
+      word
+        .replace(/'/g, "")
+        .split("")
+        .flatMap((letter) => split(LETTER_NAMES[letter]))
+    );
+  }
+
+  return addAspiration(applyRules(word));
+};
@@ -0,0 +1,316 @@
+// formantSynth.js
+// A small cascade/parallel formant synthesizer in the spirit of Klatt (1980).
+// Phoneme segments are turned into 5ms parameter frames, the formant tracks
+// are smoothed to give coarticulation, and each frame drives a glottal pulse
+// source through a cascade of resonators plus a parallel frication branch.
+
+import { PHONEMES } from "./phonemes";
+
+export const SAMPLE_RATE = 22050;
+
+const FRAME_MS = 5;
+const FRAME_SAMPLES = Math.round((SAMPLE_RATE * FRAME_MS) / 1000);
+
+// Relative gains of the three sources, tuned so a sibilant sits roughly
+// 10dB below a vowel
+const VOICE_GAIN = 1;
+const ASPIRATION_GAIN = 0.3;
+const FRICATION_GAIN = 0.14;
+
+const F4 = 3300;
+const F5 = 3750;
+
+const DEFAULT_BW = [80, 100, 150];
+const NASAL_BW = [100, 200, 300];
+const ASPIRATION_BW = [250, 200, 220];
+
+// Deterministic noise so identical input always renders identical audio
+const createNoise = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 2147483648 - 1;
+  };
+};
+
+const createResonator = () => ({ a: 0, b: 0, c: 0, y1: 0, y2: 0 });
+
+const tuneResonator = (resonator, frequency, bandwidth) => {
+  const r = Math.exp((-Math.PI * bandwidth) / SAMPLE_RATE);
+  resonator.c = -r * r;
+  resonator.b = 2 * r * Math.cos((2 * Math.PI * frequency) / SAMPLE_RATE);
+  resonator.a = 1 - resonator.b - resonator.c;
+};
+
+const resonate = (resonator, x) => {
+  const y =
+    resonator.a * x + resonator.b * resonator.y1 + resonator.c * resonator.y2;
+  resonator.y2 = resonator.y1;
+  resonator.y1 = y;
+  return y;
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+const silentPart = (dur) => ({
+  dur,
+  f: null,
+  av: 0,
+  ah: 0,
+  af: 0,
+});
+
+// Break a phoneme into the acoustic parts it is rendered from
+const toParts = (segment) => {
+  const spec = PHONEMES[segment.symbol];
+  const { dur } = segment;
+  const f = spec.f1 ? [spec.f1, spec.f2, spec.f3] : null;
+
+  switch (spec.type) {
+    case "vowel":
+      return [{ dur, f, av: 1, ah: 0, af: 0 }];
+    case "diph":
+      return [
+        { dur, f, fEnd: [spec.e1, spec.e2, spec.e3], av: 1, ah: 0, af: 0 },
+      ];
+    case "sonorant":
+      return [{ dur, f, av: spec.flap ? 0.55 : 0.8, ah: 0, af: 0 }];
+    case "nasal":
+      return [{ dur, f, bw: NASAL_BW, av: 0.65, ah: 0, af: 0 }];
+    case "fric":
+    case "vfric":
+      return [
+        {
+          dur,
+          f,
+          av: spec.type === "vfric" ? 0.45 : 0,
+          ah: 0,
+          af: spec.gain,
+          fricF: spec.fricF,
+          fricBW: spec.fricBW,
+        },
+      ];
+    case "stop":
+    case "vstop": {
+      const burst = Math.min(15, dur * 0.3);
+      return [
+        {
+          dur: dur - burst,
+          f,
+          av: spec.type === "vstop" ? 0.08 : 0,
+          ah: 0,
+          af: 0,
+        },
+        {
+          dur: burst,
+          f,
+          av: spec.type === "vstop" ? 0.3 : 0,
+          ah: 0,
+          af: spec.gain,
+          fricF: spec.fricF,
+          fricBW: spec.fricBW,
+        },
+      ];
+    }
+    case "affr": {
+      const closure = dur * 0.4;
+      return [
+        { dur: closure, f, av: spec.voiced ? 0.08 : 0, ah: 0, af: 0 },
+        {
+          dur: dur - closure,
+          f,
+          av: spec.voiced ? 0.4 : 0,
+          ah: 0,
+          af: spec.gain,
+          fricF: spec.fricF,
+          fricBW: spec.fricBW,
+        },
+      ];
+    }
+    case "aspirate":
+      return [
+        { dur, f: "next", bw: ASPIRATION_BW, av: 0, ah: spec.gain, af: 0 },
+      ];
+    default:
+      return [silentPart(dur)];
+  }
+};
+
+// Expand segments into frames of synthesis parameters
+const buildFrames = (segments) => {
+  const parts = [];
+  segments.forEach((segment, index) => {
+    toParts(segment).forEach((part) =>
+      parts.push({
+        ...part,
+        index,
+        f0Start: segment.f0Start,
+        f0End: segment.f0End,
+      })
+    );
+  });
+
+  // Parts without their own targets borrow from their neighbours
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (parts[i].f === "next" || parts[i].f === null) {
+      const next = parts.slice(i + 1).find((p) => Array.isArray(p.f));
+      const prev = parts
+        .slice(0, i)
+        .reverse()
+        .find((p) => Array.isArray(p.f));
+      const source = parts[i].f === "next" ? next || prev : prev || next;
+      parts[i].f = source ? source.f : [500, 1500, 2500];
+    }
+  }
+
+  const frames = [];
+  const offsets = new Array(segments.length + 1).fill(0);
+  parts.forEach((part, i) => {
+    if (i === 0 || parts[i - 1].index !== part.index) {
+      offsets[part.index] = frames.length * FRAME_SAMPLES;
+    }
+    const count = Math.max(1, Math.round(part.dur / FRAME_MS));
+    for (let k = 0; k < count; k++) {
+      const t = (k + 0.5) / count;
+      const end = part.fEnd || part.f;
+      frames.push({
+        f: [0, 1, 2].map((n) => lerp(part.f[n], end[n], t)),
+        bw: part.bw || DEFAULT_BW,
+        av: part.av,
+        ah: part.ah,
+        af: part.af,
+        fricF: part.fricF || 4000,
+        fricBW: part.fricBW || 2000,
+        f0: lerp(part.f0Start, part.f0End, t),
+      });
+    }
+  });
+
+  offsets[segments.length] = frames.length * FRAME_SAMPLES;
+  return { frames, offsets };
+};
+
+// Triangular moving average over a numeric track
+const smooth = (values, radius) =>
+  values.map((_, i) => {
+    let sum = 0;
+    let weight = 0;
+    for (let k = -radius; k <= radius; k++) {
+      const j = i + k;
+      if (j < 0 || j >= values.length) continue;
+      const w = radius + 1 - Math.abs(k);
+      sum += values[j] * w;
+      weight += w;
+    }
+    return sum / weight;
+  });
+
+const smoothFrames = (frames) => {
+  const tracks = {
+    f1: smooth(
+      frames.map((fr) => fr.f[0]),
+      5
+    ),
+    f2: smooth(
+      frames.map((fr) => fr.f[1]),
+      6
+    ),
+    f3: smooth(
+      frames.map((fr) => fr.f[2]),
+      6
+    ),
+    av: smooth(
+      frames.map((fr) => fr.av),
+      2
+    ),
+    ah: smooth(
+      frames.map((fr) => fr.ah),
+      1
+    ),
+    af: smooth(
+      frames.map((fr) => fr.af),
+      1
+    ),
+  };
+
+  return frames.map((frame, i) => ({
+    ...frame,
+    f: [tracks.f1[i], tracks.f2[i], tracks.f3[i]],
+    av: tracks.av[i],
+    ah: tracks.ah[i],
+    af: tracks.af[i],
+  }));
+};
+
+// Render segments ({ symbol, dur, f0Start, f0End }) to float samples. The
+// returned offsets hold the first sample of each segment, plus the total.
+export const renderSegments = (segments) => {
+  const built = buildFrames(segments);
+  const frames = smoothFrames(built.frames);
+  const samples = new Float32Array(frames.length * FRAME_SAMPLES);
+  const noise = createNoise(12345);
+
+  const cascade = [0, 1, 2, 3, 4].map(createResonator);
+  const fricationFilter = createResonator();
+  tuneResonator(cascade[3], F4, 250);
+  tuneResonator(cascade[4], F5, 200);
+
+  let phase = 0;
+  let tilt = 0;
+  let index = 0;
+
+  frames.forEach((frame) => {
+    for (let n = 0; n < 3; n++) {
+      tuneResonator(cascade[n], frame.f[n], frame.bw[n]);
+    }
+    tuneResonator(fricationFilter, frame.fricF, frame.fricBW);
+
+    for (let s = 0; s < FRAME_SAMPLES; s++) {
+      // Derivative of a KLGLOTT88 glottal flow pulse, open quotient 0.6
+      phase += frame.f0 / SAMPLE_RATE;
+      if (phase >= 1) phase -= 1;
+      const x = phase / 0.6;
+      const pulse = x < 1 ? 2 * x - 3 * x * x : 0;
+      tilt = 0.7 * pulse + 0.3 * tilt;
+
+      let source = tilt * frame.av * VOICE_GAIN;
+      source += noise() * frame.ah * ASPIRATION_GAIN;
+
+      let voiced = source;
+      for (let n = 0; n < cascade.length; n++) {
+        voiced = resonate(cascade[n], voiced);
+      }
+
+      const frication =
+        resonate(fricationFilter, noise() * frame.af) * FRICATION_GAIN;
+
+      samples[index++] = voiced + frication;
+    }
+  });
+
+  return { samples, offsets: built.offsets };
+};
+
+// Remove DC offset and scale the peak to the requested level
+export const finalize = (samples, level) => {
+  let previousIn = 0;
+  let previousOut = 0;
+  let peak = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const out = samples[i] - previousIn + 0.995 * previousOut;
+    previousIn = samples[i];
+    previousOut = out;
+    samples[i] = out;
+    peak = Math.max(peak, Math.abs(out));
+  }
+
+  if (peak > 0) {
+    const gain = level / peak;
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] *= gain;
+    }
+  }
+
+  return samples;
+};
@@ -0,0 +1,244 @@
+// hindi.js
+// Grapheme-to-phoneme conversion for Hindi written in Devanagari. The script
+// is close to phonemic, so most of the work is mapping aksharas to phonemes
+// and deciding where the inherent schwa is dropped.
+
+const SCHWA = ["AH"];
+
+const CONSONANTS = {
+  क: ["K"],
+  ख: ["K", "ASP"],
+  ग: ["G"],
+  घ: ["G", "ASP"],
+  ङ: ["NG"],
+  च: ["CH"],
+  छ: ["CH", "ASP"],
+  ज: ["JH"],
+  झ: ["JH", "ASP"],
+  ञ: ["N"],
+  ट: ["TT"],
+  ठ: ["TT", "ASP"],
+  ड: ["DD"],
+  ढ: ["DD", "ASP"],
+  ण: ["NN"],
+  त: ["T"],
+  थ: ["T", "ASP"],
+  द: ["D"],
+  ध: ["D", "ASP"],
+  न: ["N"],
+  प: ["P"],
+  फ: ["P", "ASP"],
+  ब: ["B"],
+  भ: ["B", "ASP"],
+  म: ["M"],
+  य: ["Y"],
+  र: ["RR"],
+  ल: ["L"],
+  व: ["V"],
+  श: ["SH"],
+  ष: ["SH"],
+  स: ["S"],
+  ह: ["HH"],
+  // Precomposed nukta forms
+  "\u0958": ["K"],
+  "\u0959": ["HH"],
+  "\u095A": ["G"],
+  "\u095B": ["Z"],
+  "\u095C": ["RR"],
+  "\u095D": ["RR", "ASP"],
+  "\u095E": ["F"],
+  "\u095F": ["Y"],
+};
+
+// Consonants whose sound changes when followed by a nukta (U+093C)
+const NUKTA_FORMS = {
+  ख: ["HH"],
+  ज: ["Z"],
+  फ: ["F"],
+  ड: ["RR"],
+  ढ: ["RR", "ASP"],
+};
+
+const INDEPENDENT_VOWELS = {
+  अ: ["AH"],
+  आ: ["AA"],
+  इ: ["IH"],
+  ई: ["IY"],
+  उ: ["UH"],
+  ऊ: ["UW"],
+  ऋ: ["RR", "IH"],
+  ए: ["E"],
+  ऐ: ["AE"],
+  ओ: ["O"],
+  औ: ["AO"],
+  ऑ: ["AO"],
+  ऍ: ["AE"],
+};
+
+const MATRAS = {
+  "ा": ["AA"],
+  "ि": ["IH"],
+  "ी": ["IY"],
+  "ु": ["UH"],
+  "ू": ["UW"],
+  "ृ": ["RR", "IH"],
+  "ॅ": ["AE"],
+  "े": ["E"],
+  "ै": ["AE"],
+  "ॉ": ["AO"],
+  "ो": ["O"],
+  "ौ": ["AO"],
+};
+
+const VIRAMA = "्";
+const NUKTA = "़";
+const ANUSVARA = "ं";
+const CHANDRABINDU = "ँ";
+const VISARGA = "ः";
+
+const DIGITS = [
+  "शून्य",
+  "एक",
+  "दो",
+  "तीन",
+  "चार",
+  "पाँच",
+  "छह",
+  "सात",
+  "आठ",
+  "नौ",
+];
+
+// Nasal that matches the place of articulation of the next consonant
+const homorganicNasal = (next) => {
+  if (!next) return "N";
+  if (["K", "G"].includes(next)) return "NG";
+  if (["P", "B", "M"].includes(next)) return "M";
+  if (["TT", "DD"].includes(next)) return "NN";
+  return "N";
+};
+
+// Split a word into syllable-like units: consonant cluster + vowel
+const toUnits = (word) => {
+  const units = [];
+  let current = null;
+
+  for (let i = 0; i < word.length; i++) {
+    const ch = word[i];
+
+    if (CONSONANTS[ch]) {
+      let sounds = CONSONANTS[ch];
+      if (word[i + 1] === NUKTA) {
+        sounds = NUKTA_FORMS[ch] || sounds;
+        i++;
+      }
+
+      if (current && current.joined) {
+        current.consonants.push(...sounds);
+        current.clusterSize++;
+        current.joined = false;
+      } else {
+        current = {
+          consonants: [...sounds],
+          clusterSize: 1,
+          vowel: SCHWA,
+          inherent: true,
+          coda: [],
+        };
+        units.push(current);
+      }
+    } else if (ch === VIRAMA && current) {
+      current.vowel = null;
+      current.inherent = false;
+      current.joined = true;
+    } else if (MATRAS[ch] && current) {
+      current.vowel = MATRAS[ch];
+      current.inherent = false;
+      current.joined = false;
+    } else if (INDEPENDENT_VOWELS[ch]) {
+      current = {
+        consonants: [],
+        clusterSize: 0,
+        vowel: INDEPENDENT_VOWELS[ch],
+        inherent: false,
+        coda: [],
+      };
+      units.push(current);
+    } else if ((ch === ANUSVARA || ch === CHANDRABINDU) && current) {
+      current.coda.push("NASAL");
+      current.inherent = false;
+      current.joined = false;
+    } else if (ch === VISARGA && current) {
+      current.coda.push("HH");
+      current.joined = false;
+    }
+  }
+
+  // The joined flag is only needed while scanning
+  units.forEach((unit) => delete unit.joined);
+  return units;
+};
+
+// Drop inherent schwas word-finally and in VC_CV contexts, scanning from the
+// right so that earlier deletions see the final shape of the word
+const deleteSchwas = (units) => {
+  const last = units.length - 1;
+
+  if (
+    units.length > 1 &&
+    units[last].inherent &&
+    units[last].clusterSize <= 1
+  ) {
+    units[last].vowel = null;
+  }
+
+  for (let i = last - 1; i > 0; i--) {
+    const unit = units[i];
+    const prev = units[i - 1];
+    const next = units[i + 1];
+
+    if (
+      unit.inherent &&
+      unit.clusterSize === 1 &&
+      prev.vowel &&
+      next.vowel &&
+      next.clusterSize === 1
+    ) {
+      unit.vowel = null;
+    }
+  }
+
+  return units;
+};
+
+// Convert a single Devanagari word to a list of phoneme symbols
+export const hindiToPhonemes = (word) => {
+  if (/^[०-९]+$/.test(word)) {
+    return word
+      .split("")
+      .flatMap((digit) =>
+        hindiToPhonemes(DIGITS[digit.charCodeAt(0) - 0x0966])
+      );
+  }
+
+  const units = deleteSchwas(toUnits(word));
+  const phonemes = [];
+
+  units.forEach((unit, i) => {
+    phonemes.push(...unit.consonants);
+    if (unit.vowel) {
+      phonemes.push(...unit.vowel);
+    }
+
+    unit.coda.forEach((sound) => {
+      if (sound === "NASAL") {
+        const next = units[i + 1] && units[i + 1].consonants[0];
+        phonemes.push(homorganicNasal(next));
+      } else {
+        phonemes.push(sound);
+      }
+    });
+  });
+
+  return phonemes;
+};
@@ -0,0 +1,214 @@
+// synth/index.js
+// Offline text-to-speech: tokenizes text, converts English and Hindi words to
+// phonemes, applies simple duration and intonation rules and renders the
+// result with the formant synthesizer.
+
+import { englishToPhonemes } from "./english";
+import { hindiToPhonemes } from "./hindi";
+import { PHONEMES, isVowel } from "./phonemes";
+import { SAMPLE_RATE, renderSegments, finalize } from "./formantSynth";
+
+const SHORT_PAUSE_MS = 200;
+const LONG_PAUSE_MS = 450;
+const EDGE_SILENCE_MS = 150;
+const BASE_F0 = 120;
+
+const TOKEN_PATTERN =
+  /([A-Za-z0-9']+)|([ऀ-ॣ०-ॿ]+)|([,;:–—])|([.!?।॥]+|\n\s*\n)/g;
+
+const isDevanagari = (word) => /[ऀ-ॿ]/.test(word);
+
+// Split text into words and pauses, keeping character offsets
+export const tokenize = (text) => {
+  const tokens = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const [raw, latin, devanagari, shortPause, longPause] = match;
+
+    if (latin || devanagari) {
+      tokens.push({
+        type: "word",
+        text: raw,
+        charIndex: match.index,
+        charLength: raw.length,
+      });
+    } else if (shortPause) {
+      tokens.push({ type: "pause", long: false });
+    } else if (longPause) {
+      tokens.push({ type: "pause", long: true, question: raw.includes("?") });
+    }
+  }
+
+  return tokens;
+};
+
+export const wordToPhonemes = (word) =>
+  isDevanagari(word) ? hindiToPhonemes(word) : englishToPhonemes(word);
+
+// Group tokens into phrases separated by punctuation
+const toPhrases = (tokens) => {
+  const phrases = [];
+  let current = { words: [], pause: null };
+
+  tokens.forEach((token) => {
+    if (token.type === "word") {
+      current.words.push({
+        ...token,
+        phonemes: wordToPhonemes(token.text).filter((p) => PHONEMES[p]),
+      });
+    } else if (current.words.length) {
+      current.pause = token;
+      phrases.push(current);
+      current = { words: [], pause: null };
+    }
+  });
+
+  if (current.words.length) {
+    phrases.push(current);
+  }
+
+  return phrases;
+};
+
+// Build timed segments with an F0 contour: declination across each phrase,
+// a small accent on the first vowel of each word, and a final rise for
+// questions
+const planPhrase = (phrase, { rate, baseF0 }) => {
+  const segments = [];
+  const words = [];
+  const question = Boolean(phrase.pause && phrase.pause.question);
+
+  phrase.words.forEach((word) => {
+    const start = segments.length;
+    let accented = false;
+
+    word.phonemes.forEach((symbol) => {
+      const vowel = isVowel(symbol);
+      segments.push({
+        symbol,
+        dur: PHONEMES[symbol].dur / rate,
+        accent: vowel && !accented,
+        vowel,
+      });
+      if (vowel) accented = true;
+    });
+
+    words.push({ word, start, end: segments.length });
+  });
+
+  // Phrase-final lengthening on the last vowel
+  const lastVowel = segments.map((s) => s.vowel).lastIndexOf(true);
+  if (lastVowel >= 0) {
+    segments[lastVowel].dur *= 1.4;
+  }
+
+  const total = segments.reduce((sum, s) => sum + s.dur, 0) || 1;
+  let elapsed = 0;
+
+  segments.forEach((segment, i) => {
+    const contour = (t) => {
+      let f0 = baseF0 * (1.1 - 0.25 * t);
+      if (question && t > 0.7) {
+        f0 = baseF0 * (0.95 + ((t - 0.7) / 0.3) * 0.45);
+      }
+      return f0;
+    };
+    const accent = segment.accent ? 1.08 : 1;
+    segment.f0Start = contour(elapsed / total) * accent;
+    elapsed += segment.dur;
+    segment.f0End = contour(elapsed / total) * (i === lastVowel ? 1 : accent);
+  });
+
+  return { segments, words };
+};
+
+// Synthesize a sequence of parts to mono float samples. Each part is either
+// speech ({ text, rate, pitch, volume, offset }) or a timed silence
+// ({ silence } in milliseconds). Returns the samples, their sample rate and
+// the timing of every spoken word in seconds, with the index of its part;
+// word charIndex values are shifted by the part's offset.
+export const synthesizeSequence = (parts) => {
+  const segments = [];
+  const spans = [];
+  const ranges = [];
+
+  const pause = (ms) => {
+    segments.push({
+      symbol: "PAU",
+      dur: ms,
+      f0Start: BASE_F0,
+      f0End: BASE_F0,
+    });
+  };
+
+  pause(EDGE_SILENCE_MS);
+
+  parts.forEach((part, partIndex) => {
+    const first = segments.length;
+
+    if (part.silence !== undefined) {
+      pause(Math.max(0, part.silence));
+    } else {
+      const rate = Math.max(0.1, part.rate || 1);
+      const baseF0 =
+        BASE_F0 * Math.max(0.25, part.pitch === undefined ? 1 : part.pitch);
+
+      toPhrases(tokenize(part.text || "")).forEach((phrase) => {
+        const planned = planPhrase(phrase, { rate, baseF0 });
+        const phraseStart = segments.length;
+
+        planned.words.forEach(({ word, start, end }) => {
+          spans.push({
+            word,
+            part: partIndex,
+            offset: part.offset || 0,
+            start: phraseStart + start,
+            end: phraseStart + end,
+          });
+        });
+        segments.push(...planned.segments);
+
+        if (phrase.pause) {
+          pause((phrase.pause.long ? LONG_PAUSE_MS : SHORT_PAUSE_MS) / rate);
+        }
+      });
+    }
+
+    ranges.push({
+      first,
+      last: segments.length,
+      volume: part.volume === undefined ? 1 : part.volume,
+    });
+  });
+
+  pause(EDGE_SILENCE_MS);
+
+  const { samples, offsets } = renderSegments(segments);
+  finalize(samples, 0.9);
+
+  ranges.forEach(({ first, last, volume }) => {
+    const gain = Math.max(0, Math.min(1, volume));
+    for (let i = offsets[first]; i < offsets[last]; i++) {
+      samples[i] *= gain;
+    }
+  });
+
+  const words = spans.map(({ word, part, offset, start, end }) => ({
+    text: word.text,
+    part,
+    charIndex: offset + word.charIndex,
+    charLength: word.charLength,
+    start: offsets[start] / SAMPLE_RATE,
+    end: offsets[end] / SAMPLE_RATE,
+  }));
+
+  return { samples, sampleRate: SAMPLE_RATE, words };
+};
+
+// Synthesize plain text with a single set of speech settings
+export const synthesizeSpeech = (
+  text,
+  { rate = 1, pitch = 1, volume = 1 } = {}
+) => synthesizeSequence([{ text, rate, pitch, volume }]);
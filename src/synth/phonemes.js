@@ -0,0 +1,141 @@
+// phonemes.js
+// Acoustic targets for the formant synthesizer. Formant values are for an
+// adult voice (Hz), durations are inherent lengths in milliseconds.
+//
+// Types:
+//   vowel    - steady voiced vowel
+//   diph     - vowel gliding from f* to e* targets
+//   sonorant - voiced glide, liquid or flap
+//   nasal    - voiced nasal murmur
+//   fric     - voiceless fricative (noise only)
+//   vfric    - voiced fricative (noise plus voicing)
+//   stop     - voiceless plosive (closure + burst)
+//   vstop    - voiced plosive (voice bar + burst)
+//   affr     - affricate (closure + fricative release)
+//   aspirate - breath noise shaped by the following vowel
+//   pause    - silence
+
+const vowel = (f1, f2, f3, dur) => ({ type: "vowel", f1, f2, f3, dur });
+
+const diph = (f1, f2, f3, e1, e2, e3, dur) => ({
+  type: "diph",
+  f1,
+  f2,
+  f3,
+  e1,
+  e2,
+  e3,
+  dur,
+});
+
+const sonorant = (f1, f2, f3, dur) => ({ type: "sonorant", f1, f2, f3, dur });
+
+const nasal = (f2, f3, dur) => ({ type: "nasal", f1: 280, f2, f3, dur });
+
+const fric = (voiced, fricF, fricBW, gain, f2, f3, dur) => ({
+  type: voiced ? "vfric" : "fric",
+  f1: voiced ? 300 : 400,
+  f2,
+  f3,
+  fricF,
+  fricBW,
+  gain,
+  dur,
+});
+
+const stop = (voiced, burstF, f2, f3, dur) => ({
+  type: voiced ? "vstop" : "stop",
+  f1: 250,
+  f2,
+  f3,
+  fricF: burstF,
+  fricBW: 1500,
+  gain: voiced ? 0.6 : 1,
+  dur,
+});
+
+const affr = (voiced, fricF, fricBW, f2, f3, dur) => ({
+  type: "affr",
+  voiced,
+  f1: 300,
+  f2,
+  f3,
+  fricF,
+  fricBW,
+  gain: voiced ? 0.5 : 0.8,
+  dur,
+});
+
+export const PHONEMES = {
+  // Vowels
+  IY: vowel(310, 2200, 2960, 120),
+  IH: vowel(400, 1900, 2570, 80),
+  EH: vowel(530, 1840, 2480, 100),
+  AE: vowel(620, 1660, 2430, 140),
+  AA: vowel(700, 1220, 2600, 140),
+  AO: vowel(600, 990, 2570, 140),
+  AH: vowel(620, 1220, 2550, 90),
+  UH: vowel(450, 1100, 2350, 80),
+  UW: vowel(350, 1000, 2200, 120),
+  ER: vowel(470, 1270, 1540, 130),
+  AX: vowel(500, 1400, 2300, 60),
+  // Hindi monophthongs e and o
+  E: vowel(420, 2000, 2550, 120),
+  O: vowel(460, 850, 2400, 120),
+
+  // Diphthongs
+  EY: diph(480, 1720, 2520, 330, 2200, 2600, 150),
+  AY: diph(660, 1200, 2550, 400, 1880, 2500, 170),
+  OY: diph(550, 960, 2400, 360, 1820, 2450, 190),
+  AW: diph(640, 1230, 2550, 420, 940, 2350, 180),
+  OW: diph(540, 1100, 2300, 450, 900, 2300, 150),
+
+  // Glides, liquids and flaps
+  W: sonorant(290, 610, 2150, 60),
+  Y: sonorant(260, 2070, 3020, 60),
+  R: sonorant(310, 1060, 1380, 60),
+  L: sonorant(310, 1050, 2880, 60),
+  RR: { ...sonorant(350, 1500, 1900, 25), flap: true },
+
+  // Nasals
+  M: nasal(1100, 2150, 70),
+  N: nasal(1600, 2600, 60),
+  NN: nasal(1500, 2000, 60),
+  NG: nasal(2000, 2700, 75),
+
+  // Fricatives
+  F: fric(false, 4500, 3000, 0.55, 1100, 2100, 100),
+  V: fric(true, 4000, 3000, 0.15, 1100, 2100, 60),
+  TH: fric(false, 5000, 3000, 0.4, 1400, 2200, 90),
+  DH: fric(true, 4500, 3000, 0.12, 1600, 2600, 50),
+  S: fric(false, 6000, 1200, 1, 1400, 2700, 105),
+  Z: fric(true, 5500, 1200, 0.6, 1400, 2700, 75),
+  SH: fric(false, 2800, 1200, 3.3, 1800, 2600, 105),
+  ZH: fric(true, 2600, 1200, 2, 1800, 2600, 70),
+
+  // Plosives (closure durations)
+  P: stop(false, 1000, 900, 2100, 65),
+  B: stop(true, 1000, 900, 2100, 55),
+  T: stop(false, 4200, 1700, 2600, 55),
+  D: stop(true, 4000, 1700, 2600, 45),
+  TT: stop(false, 3000, 1600, 2000, 55),
+  DD: stop(true, 2800, 1600, 2000, 45),
+  K: stop(false, 2000, 2000, 2600, 65),
+  G: stop(true, 2000, 2000, 2600, 55),
+
+  // Affricates
+  CH: affr(false, 2800, 1200, 1800, 2600, 120),
+  JH: affr(true, 2600, 1200, 1800, 2600, 90),
+
+  // Breath
+  HH: { type: "aspirate", dur: 60, gain: 0.6 },
+  ASP: { type: "aspirate", dur: 45, gain: 0.5 },
+
+  // Silence
+  PAU: { type: "pause", dur: 200 },
+};
+
+export const VOWEL_TYPES = ["vowel", "diph"];
+
+export const isVowel = (symbol) =>
+  Boolean(PHONEMES[symbol]) && VOWEL_TYPES.includes(PHONEMES[symbol].type);
@@ -0,0 +1,67 @@
+import { synthesizeSpeech, wordToPhonemes } from "./index";
+import { encodeWav } from "../utils/wav";
+
+test("converts English words with letter-to-sound rules", () => {
+  expect(wordToPhonemes("the")).toEqual(["DH", "AX"]);
+  expect(wordToPhonemes("speech")).toEqual(["S", "P", "IY", "CH"]);
+  expect(wordToPhonemes("time")).toEqual(["T", "ASP", "AY", "M"]);
+  expect(wordToPhonemes("API")).toEqual(["EY", "P", "ASP", "IY", "AY"]);
+});
+
+test("converts Hindi words and drops inherent schwas", () => {
+  expect(wordToPhonemes("नमस्ते")).toEqual([
+    "N",
+    "AH",
+    "M",
+    "AH",
+    "S",
+    "T",
+    "E",
+  ]);
+  expect(wordToPhonemes("कमला")).toEqual(["K", "AH", "M", "L", "AA"]);
+  expect(wordToPhonemes("आप")).toEqual(["AA", "P"]);
+  expect(wordToPhonemes("हिंदी")).toEqual(["HH", "IH", "N", "D", "IY"]);
+});
+
+test("renders identical audio for identical input", () => {
+  const first = synthesizeSpeech("Hello world. नमस्ते!");
+  const second = synthesizeSpeech("Hello world. नमस्ते!");
+
+  expect(first.samples.length).toBeGreaterThan(first.sampleRate);
+  expect(Array.from(first.samples)).toEqual(Array.from(second.samples));
+});
+
+test("reports word timings in order", () => {
+  const { words, samples, sampleRate } = synthesizeSpeech(
+    "Hello, how are you?"
+  );
+
+  expect(words.map((w) => w.text)).toEqual(["Hello", "how", "are", "you"]);
+  expect(words[1].charIndex).toBe(7);
+  words.forEach((word, i) => {
+    expect(word.end).toBeGreaterThan(word.start);
+    if (i > 0) expect(word.start).toBeGreaterThanOrEqual(words[i - 1].end);
+  });
+  expect(words[3].end).toBeLessThan(samples.length / sampleRate);
+});
+
+test("slower rates produce longer audio", () => {
+  const normal = synthesizeSpeech("Reading at normal speed", { rate: 1 });
+  const slow = synthesizeSpeech("Reading at normal speed", { rate: 0.5 });
+
+  expect(slow.samples.length).toBeGreaterThan(normal.samples.length * 1.5);
+});
+
+test("encodes 16-bit mono WAV", () => {
+  const { samples, sampleRate } = synthesizeSpeech("Test");
+  const view = new DataView(encodeWav(samples, sampleRate));
+  const tag = (offset) =>
+    String.fromCharCode(...[0, 1, 2, 3].map((i) => view.getUint8(offset + i)));
+
+  expect(tag(0)).toBe("RIFF");
+  expect(tag(8)).toBe("WAVE");
+  expect(view.getUint16(22, true)).toBe(1);
+  expect(view.getUint32(24, true)).toBe(22050);
+  expect(view.getUint16(34, true)).toBe(16);
+  expect(view.getUint32(40, true)).toBe(samples.length * 2);
+});
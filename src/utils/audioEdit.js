@@ -0,0 +1,163 @@
+// audioEdit.js
+// Edits for the waveform editor. Audio is an array of Float32Array channels
+// and ranges are in samples; every edit returns new channels and leaves its
+// input alone, so earlier versions can be kept for undo. Edits that move
+// audio also move the caption timings (in seconds) that go with it.
+
+export const EDIT_HISTORY_LIMIT = 20;
+
+const clampRange = (channels, start, end) => {
+  const length = channels[0].length;
+  const from = Math.max(0, Math.min(length, Math.round(start)));
+  const to = Math.max(from, Math.min(length, Math.round(end)));
+  return [from, to];
+};
+
+// Remove a range
+export const cutRange = (channels, start, end) => {
+  const [from, to] = clampRange(channels, start, end);
+  return channels.map((channel) => {
+    const result = new Float32Array(channel.length - (to - from));
+    result.set(channel.subarray(0, from));
+    result.set(channel.subarray(to), from);
+    return result;
+  });
+};
+
+// Keep only a range
+export const trimToRange = (channels, start, end) => {
+  const [from, to] = clampRange(channels, start, end);
+  return channels.map((channel) => channel.slice(from, to));
+};
+
+// Insert `length` samples of silence before sample `at`
+export const insertSilence = (channels, at, length) => {
+  const [position] = clampRange(channels, at, at);
+  const gap = Math.max(0, Math.round(length));
+  return channels.map((channel) => {
+    const result = new Float32Array(channel.length + gap);
+    result.set(channel.subarray(0, position));
+    result.set(channel.subarray(position), position + gap);
+    return result;
+  });
+};
+
+// Fade "in" from silence or "out" to silence over a range
+export const applyFade = (channels, start, end, direction) => {
+  const [from, to] = clampRange(channels, start, end);
+  const span = to - from;
+  return channels.map((channel) => {
+    const result = channel.slice();
+    for (let i = from; i < to; i++) {
+      const progress = span > 1 ? (i - from) / (span - 1) : 1;
+      result[i] *= direction === "in" ? progress : 1 - progress;
+    }
+    return result;
+  });
+};
+
+// Minimum and maximum of the first channel in `buckets` equal slices of
+// [start, end), for drawing the waveform
+export const computePeaks = (samples, start, end, buckets) => {
+  const min = new Float32Array(buckets);
+  const max = new Float32Array(buckets);
+  const span = (end - start) / buckets;
+
+  for (let b = 0; b < buckets; b++) {
+    const from = Math.floor(start + b * span);
+    const to = Math.max(from + 1, Math.floor(start + (b + 1) * span));
+    let low = 0;
+    let high = 0;
+    for (let i = Math.max(0, from); i < Math.min(samples.length, to); i++) {
+      if (samples[i] < low) low = samples[i];
+      if (samples[i] > high) high = samples[i];
+    }
+    min[b] = low;
+    max[b] = high;
+  }
+
+  return { min, max };
+};
+
+// Apply an edit ({ type: "cut" | "trim" | "silence" | "fade", ... } with
+// times in seconds) to audio at `sampleRate`
+export const applyEdit = (channels, sampleRate, edit) => {
+  const at = (seconds) => seconds * sampleRate;
+  switch (edit.type) {
+    case "cut":
+      return cutRange(channels, at(edit.start), at(edit.end));
+    case "trim":
+      return trimToRange(channels, at(edit.start), at(edit.end));
+    case "silence":
+      return insertSilence(channels, at(edit.start), at(edit.duration));
+    case "fade":
+      return applyFade(channels, at(edit.start), at(edit.end), edit.direction);
+    default:
+      throw new Error(`Unknown edit "${edit.type}"`);
+  }
+};
+
+// Move a time across an edit. Null when the edit removed it.
+const moveTime = (time, edit) => {
+  switch (edit.type) {
+    case "cut":
+      if (time <= edit.start) return time;
+      if (time >= edit.end) return time - (edit.end - edit.start);
+      return null;
+    case "trim":
+      if (time < edit.start || time > edit.end) return null;
+      return time - edit.start;
+    case "silence":
+      return time < edit.start ? time : time + edit.duration;
+    default:
+      return time;
+  }
+};
+
+// Move caption timings ({ cues, words }) across an edit. Words and cues cut
+// away entirely are dropped; ones cut in part are shortened.
+export const editTimings = (timings, edit) => {
+  if (!timings) return timings;
+
+  const move = (item) => {
+    let start = moveTime(item.start, edit);
+    let end = moveTime(item.end, edit);
+    if (start === null && end === null) {
+      // Removed, unless the selection kept was inside it
+      const spansTrim =
+        edit.type === "trim" && item.start < edit.start && item.end > edit.end;
+      if (!spansTrim) return null;
+      start = 0;
+      end = edit.end - edit.start;
+    } else if (start === null) {
+      start = edit.type === "cut" ? edit.start : 0;
+    } else if (end === null) {
+      end = edit.type === "cut" ? edit.start : edit.end - edit.start;
+    }
+    return end > start ? { ...item, start, end } : null;
+  };
+
+  const cues = [];
+  const cueIndex = new Map();
+  timings.cues.forEach((cue, index) => {
+    const moved = move(cue);
+    if (!moved) return;
+    cueIndex.set(index, cues.length);
+    cues.push(moved);
+  });
+
+  const words = timings.words
+    .map((word) => {
+      const moved = move(word);
+      return moved && cueIndex.has(word.cue)
+        ? { ...moved, cue: cueIndex.get(word.cue) }
+        : null;
+    })
+    .filter(Boolean);
+
+  return { cues, words };
+};
+
+// Add a version to an undo stack, dropping the oldest past the limit
+export const pushHistory = (stack, entry, limit = EDIT_HISTORY_LIMIT) =>
+  [...stack, entry].slice(-limit);
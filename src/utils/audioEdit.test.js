@@ -0,0 +1,97 @@
+import {
+  applyEdit,
+  applyFade,
+  computePeaks,
+  cutRange,
+  editTimings,
+  insertSilence,
+  pushHistory,
+  trimToRange,
+} from "./audioEdit";
+
+const ramp = () => [Float32Array.from([1, 2, 3, 4, 5, 6])];
+
+test("cuts, trims and pads without touching the input", () => {
+  const channels = ramp();
+  expect(Array.from(cutRange(channels, 1, 3)[0])).toEqual([1, 4, 5, 6]);
+  expect(Array.from(trimToRange(channels, 1, 3)[0])).toEqual([2, 3]);
+  expect(Array.from(insertSilence(channels, 2, 2)[0])).toEqual([
+    1, 2, 0, 0, 3, 4, 5, 6,
+  ]);
+  expect(Array.from(cutRange(channels, -5, 99)[0])).toEqual([]);
+  expect(Array.from(channels[0])).toEqual([1, 2, 3, 4, 5, 6]);
+});
+
+test("fades in and out over a range", () => {
+  const ones = [new Float32Array(5).fill(1)];
+  expect(Array.from(applyFade(ones, 0, 5, "in")[0])).toEqual([
+    0, 0.25, 0.5, 0.75, 1,
+  ]);
+  expect(Array.from(applyFade(ones, 2, 5, "out")[0])).toEqual([
+    1, 1, 1, 0.5, 0,
+  ]);
+});
+
+test("applies edits given in seconds", () => {
+  const channels = ramp();
+  expect(
+    Array.from(applyEdit(channels, 2, { type: "cut", start: 0.5, end: 1.5 })[0])
+  ).toEqual([1, 4, 5, 6]);
+  expect(
+    applyEdit(channels, 2, { type: "silence", start: 3, duration: 1 })[0]
+  ).toHaveLength(8);
+  expect(() => applyEdit(channels, 2, { type: "echo" })).toThrow(/echo/);
+});
+
+test("summarizes samples into peaks", () => {
+  const samples = Float32Array.from([0.5, -0.25, 0, 0.75, -1, 0]);
+  const { min, max } = computePeaks(samples, 0, 6, 3);
+  expect(Array.from(min)).toEqual([-0.25, 0, -1]);
+  expect(Array.from(max)).toEqual([0.5, 0.75, 0]);
+});
+
+test("moves captions with the audio", () => {
+  const timings = {
+    cues: [
+      { text: "One two.", start: 0, end: 2 },
+      { text: "Three.", start: 3, end: 4 },
+    ],
+    words: [
+      { text: "One", start: 0, end: 1, cue: 0 },
+      { text: "two", start: 1, end: 2, cue: 0 },
+      { text: "Three", start: 3, end: 4, cue: 1 },
+    ],
+  };
+
+  expect(editTimings(timings, { type: "cut", start: 0.5, end: 2.5 })).toEqual({
+    cues: [
+      { text: "One two.", start: 0, end: 0.5 },
+      { text: "Three.", start: 1, end: 2 },
+    ],
+    words: [
+      { text: "One", start: 0, end: 0.5, cue: 0 },
+      { text: "Three", start: 1, end: 2, cue: 1 },
+    ],
+  });
+
+  const trimmed = editTimings(timings, { type: "trim", start: 2.5, end: 3.5 });
+  expect(trimmed.cues).toEqual([{ text: "Three.", start: 0.5, end: 1 }]);
+  expect(trimmed.words).toEqual([
+    { text: "Three", start: 0.5, end: 1, cue: 0 },
+  ]);
+
+  const padded = editTimings(timings, {
+    type: "silence",
+    start: 2.5,
+    duration: 1,
+  });
+  expect(padded.cues[0]).toMatchObject({ start: 0, end: 2 });
+  expect(padded.cues[1]).toMatchObject({ start: 4, end: 5 });
+  expect(editTimings(null, { type: "cut", start: 0, end: 1 })).toBeNull();
+});
+
+test("keeps a bounded undo history", () => {
+  let stack = [];
+  for (let i = 0; i < 5; i++) stack = pushHistory(stack, i, 3);
+  expect(stack).toEqual([2, 3, 4]);
+});
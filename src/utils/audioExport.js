@@ -0,0 +1,235 @@
+// audioExport.js
+// Re-encodes generated audio for download. The source blob (the recorder's
+// WebM/Ogg or the synthesizer's WAV) is decoded, resampled and mixed to the
+// requested channel count with an OfflineAudioContext, then encoded:
+//   WAV  - 16-bit PCM or 32-bit float, with a LIST/INFO chunk
+//   MP3  - lamejs, with an ID3v2 tag
+//   Opus - WebCodecs AudioEncoder, muxed into Ogg with OpusTags
+
+import { Mp3Encoder } from "@breezystack/lamejs";
+import { encodeWav } from "./wav";
+import { createId3Tag } from "./tags";
+import { OPUS_SAMPLE_RATE, createOggOpus, readPreSkip } from "./ogg";
+
+export const EXPORT_FORMATS = [
+  {
+    id: "wav16",
+    label: "WAV (16-bit PCM)",
+    extension: "wav",
+    mimeType: "audio/wav",
+  },
+  {
+    id: "wav32f",
+    label: "WAV (32-bit float)",
+    extension: "wav",
+    mimeType: "audio/wav",
+  },
+  { id: "mp3", label: "MP3", extension: "mp3", mimeType: "audio/mpeg" },
+  { id: "opus", label: "OGG/Opus", extension: "ogg", mimeType: "audio/ogg" },
+];
+
+export const SAMPLE_RATES = [16000, 22050, 24000, 44100, 48000];
+export const BITRATES = [64, 96, 128, 192];
+
+const EXTENSIONS = {
+  "audio/wav": "wav",
+  "audio/wave": "wav",
+  "audio/x-wav": "wav",
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mpeg": "mp3",
+  "audio/mp4": "m4a",
+  "audio/aac": "aac",
+};
+
+// File extension for a blob type such as "audio/webm;codecs=opus"
+export const extensionForType = (type) =>
+  EXTENSIONS[(type || "").split(";")[0].trim().toLowerCase()] || "bin";
+
+const OPUS_CONFIG = {
+  codec: "opus",
+  sampleRate: OPUS_SAMPLE_RATE,
+};
+
+export const isOpusExportSupported = async (channels = 1) => {
+  if (typeof window.AudioEncoder === "undefined") return false;
+  try {
+    const { supported } = await window.AudioEncoder.isConfigSupported({
+      ...OPUS_CONFIG,
+      numberOfChannels: channels,
+    });
+    return supported;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Decode any blob the browser can play and render it at the given sample
+// rate and channel count (the blob's own channel count by default). Returns
+// one Float32Array per channel.
+export const decodeAudio = async (blob, { sampleRate, channels }) => {
+  const data = await blob.arrayBuffer();
+  if (!data.byteLength) {
+    throw new Error("There is no audio to process");
+  }
+
+  let decoded;
+  try {
+    decoded = await new OfflineAudioContext(1, 1, sampleRate).decodeAudioData(
+      data
+    );
+  } catch (error) {
+    throw new Error(`This browser cannot decode ${blob.type || "the audio"}`);
+  }
+
+  const outputChannels = channels || decoded.numberOfChannels;
+  const length = Math.max(1, Math.ceil(decoded.duration * sampleRate));
+  const context = new OfflineAudioContext(outputChannels, length, sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = decoded;
+  source.connect(context.destination);
+  source.start();
+
+  const rendered = await context.startRendering();
+  return Array.from({ length: outputChannels }, (_, channel) =>
+    rendered.getChannelData(channel)
+  );
+};
+
+const toInt16 = (samples) => {
+  const result = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    result[i] = sample < 0 ? sample * 32768 : sample * 32767;
+  }
+  return result;
+};
+
+// Let the page repaint between encoder blocks
+const yieldToBrowser = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const MP3_BLOCK = 1152 * 64;
+
+const encodeMp3 = async (channels, sampleRate, { bitrate, tags }) => {
+  const encoder = new Mp3Encoder(channels.length, sampleRate, bitrate);
+  const pcm = channels.map(toInt16);
+  const parts = [createId3Tag(tags)];
+
+  for (let i = 0; i < pcm[0].length; i += MP3_BLOCK) {
+    const blocks = pcm.map((channel) => channel.subarray(i, i + MP3_BLOCK));
+    const encoded = encoder.encodeBuffer(...blocks);
+    if (encoded.length) parts.push(encoded);
+    await yieldToBrowser();
+  }
+  parts.push(encoder.flush());
+
+  return new Blob(parts, { type: "audio/mpeg" });
+};
+
+const OPUS_BLOCK = OPUS_SAMPLE_RATE / 10;
+
+const encodeOpus = async (channels, { bitrate, tags, inputSampleRate }) => {
+  const packets = [];
+  let description = null;
+  let failure = null;
+
+  const encoder = new window.AudioEncoder({
+    output: (chunk, metadata) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      // Packets are 20 ms unless the encoder says otherwise
+      const samples = chunk.duration
+        ? Math.round((chunk.duration * OPUS_SAMPLE_RATE) / 1e6)
+        : OPUS_SAMPLE_RATE / 50;
+      packets.push({ data, samples });
+
+      const config = metadata && metadata.decoderConfig;
+      if (config && config.description) {
+        const { description: head } = config;
+        description = ArrayBuffer.isView(head)
+          ? new Uint8Array(head.buffer, head.byteOffset, head.byteLength)
+          : new Uint8Array(head);
+      }
+    },
+    error: (error) => {
+      failure = error;
+    },
+  });
+
+  encoder.configure({
+    ...OPUS_CONFIG,
+    numberOfChannels: channels.length,
+    bitrate: bitrate * 1000,
+  });
+
+  const length = channels[0].length;
+  for (let i = 0; i < length; i += OPUS_BLOCK) {
+    const frames = Math.min(OPUS_BLOCK, length - i);
+    const planar = new Float32Array(frames * channels.length);
+    channels.forEach((channel, c) => {
+      planar.set(channel.subarray(i, i + frames), c * frames);
+    });
+    encoder.encode(
+      new window.AudioData({
+        format: "f32-planar",
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfFrames: frames,
+        numberOfChannels: channels.length,
+        timestamp: Math.round((i * 1e6) / OPUS_SAMPLE_RATE),
+        data: planar,
+      })
+    );
+  }
+
+  await encoder.flush();
+  encoder.close();
+
+  if (failure) throw failure;
+  if (!packets.length) throw new Error("The Opus encoder produced no audio");
+
+  const ogg = createOggOpus(packets, {
+    channels: channels.length,
+    inputSampleRate,
+    length,
+    preSkip: readPreSkip(description),
+    tags,
+  });
+  return new Blob([ogg], { type: "audio/ogg" });
+};
+
+// Re-encode a blob. Options: format (an EXPORT_FORMATS id), sampleRate,
+// channels (1 or 2), bitrate in kbps for MP3/Opus, and tags. Resolves with
+// { blob, extension }.
+export const exportAudio = async (
+  source,
+  { format, sampleRate, channels, bitrate = 128, tags = {} }
+) => {
+  const target = EXPORT_FORMATS.find((f) => f.id === format);
+  if (!target) throw new Error(`Unknown export format "${format}"`);
+
+  // Opus always runs at 48 kHz; the chosen rate is stored as the input rate
+  const renderRate = format === "opus" ? OPUS_SAMPLE_RATE : sampleRate;
+  const samples = await decodeAudio(source, {
+    sampleRate: renderRate,
+    channels,
+  });
+
+  let blob;
+  if (format === "mp3") {
+    blob = await encodeMp3(samples, sampleRate, { bitrate, tags });
+  } else if (format === "opus") {
+    blob = await encodeOpus(samples, {
+      bitrate,
+      tags,
+      inputSampleRate: sampleRate,
+    });
+  } else {
+    const wav = encodeWav(samples, sampleRate, {
+      float: format === "wav32f",
+      tags,
+    });
+    blob = new Blob([wav], { type: target.mimeType });
+  }
+
+  return { blob, extension: target.extension };
+};
@@ -0,0 +1,383 @@
+// audioProcessing.js
+// Post-processing for generated audio, run before it is played or
+// downloaded. Stages run in this order, each only when enabled:
+//   gate       - mutes room noise between words
+//   trim       - removes leading and trailing silence
+//   compressor - evens out loud and quiet passages (DynamicsCompressorNode)
+//   timeStretch - changes speed without changing pitch (WSOLA)
+//   normalize  - brings the result to a peak level or an integrated
+//                loudness (ITU-R BS.1770, in LUFS)
+//
+// The DSP functions work on one Float32Array per channel so they can run
+// outside the browser; processAudio decodes and renders blobs with an
+// OfflineAudioContext.
+
+import { decodeAudio } from "./audioExport";
+import { encodeWav } from "./wav";
+
+// Processing runs at a fixed rate; exports can resample afterwards
+export const PROCESSING_SAMPLE_RATE = 44100;
+
+export const DEFAULT_PROCESSING = {
+  gate: { enabled: false, thresholdDb: -45, holdMs: 80 },
+  trim: { enabled: false, thresholdDb: -50, paddingMs: 150 },
+  compressor: { enabled: false, thresholdDb: -24, ratio: 4 },
+  timeStretch: { enabled: false, speed: 1 },
+  normalize: { enabled: false, mode: "lufs", target: -16 },
+};
+
+// Peak ceiling applied when normalizing to a loudness target
+const LOUDNESS_PEAK_CEILING_DB = -1;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+export const hasProcessing = (settings) =>
+  Object.values(settings).some((stage) => stage.enabled);
+
+const mixToMono = (channels) => {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  channels.forEach((channel) => {
+    for (let i = 0; i < mono.length; i++) {
+      mono[i] += channel[i] / channels.length;
+    }
+  });
+  return mono;
+};
+
+// RMS level in dB of consecutive windows of the mixed signal
+const windowLevels = (channels, windowSize) => {
+  const mono = mixToMono(channels);
+  const levels = new Float32Array(Math.ceil(mono.length / windowSize));
+  for (let w = 0; w < levels.length; w++) {
+    let sum = 0;
+    const end = Math.min(mono.length, (w + 1) * windowSize);
+    for (let i = w * windowSize; i < end; i++) {
+      sum += mono[i] * mono[i];
+    }
+    const rms = Math.sqrt(sum / Math.max(1, end - w * windowSize));
+    levels[w] = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+  return levels;
+};
+
+// Find the range from the first to the last window that is louder than the
+// threshold, with some padding. Returns { start, end } in samples; start
+// equals end for silent audio.
+export const findTrimRange = (
+  channels,
+  sampleRate,
+  { thresholdDb, paddingMs }
+) => {
+  const windowSize = Math.round(sampleRate * 0.01);
+  const levels = windowLevels(channels, windowSize);
+  const first = levels.findIndex((level) => level > thresholdDb);
+  if (first < 0) return { start: 0, end: 0 };
+
+  let last = levels.length - 1;
+  while (levels[last] <= thresholdDb) last--;
+
+  const padding = Math.round((sampleRate * paddingMs) / 1000);
+  return {
+    start: Math.max(0, first * windowSize - padding),
+    end: Math.min(channels[0].length, (last + 1) * windowSize + padding),
+  };
+};
+
+// Cut the silence before and after the audio
+export const trimSilence = (channels, sampleRate, options) => {
+  const { start, end } = findTrimRange(channels, sampleRate, options);
+  return channels.map((channel) => channel.slice(start, end));
+};
+
+// Mute windows below the threshold once the gate has been closed for the
+// hold time, with short fades so it doesn't click
+export const noiseGate = (channels, sampleRate, { thresholdDb, holdMs }) => {
+  const windowSize = Math.round(sampleRate * 0.005);
+  const levels = windowLevels(channels, windowSize);
+  const holdWindows = Math.round(holdMs / 5);
+  const open = new Uint8Array(levels.length);
+
+  let closedFor = holdWindows;
+  levels.forEach((level, w) => {
+    closedFor = level > thresholdDb ? 0 : closedFor + 1;
+    open[w] = closedFor <= holdWindows ? 1 : 0;
+  });
+  // Open a little early so word onsets aren't cut
+  for (let w = 0; w < open.length - 1; w++) {
+    if (!open[w] && open[w + 1]) open[w] = 1;
+  }
+
+  const gain = new Float32Array(channels[0].length);
+  const step = 1 / windowSize;
+  let current = open[0];
+  for (let i = 0; i < gain.length; i++) {
+    const target = open[Math.floor(i / windowSize)];
+    current += Math.max(-step, Math.min(step, target - current));
+    gain[i] = current;
+  }
+
+  return channels.map((channel) =>
+    channel.map((sample, i) => sample * gain[i])
+  );
+};
+
+// Cross-correlation of two stretches of the signal, on every other sample
+const correlate = (signal, a, b, length) => {
+  let sum = 0;
+  for (let i = 0; i < length; i += 2) {
+    sum += signal[a + i] * signal[b + i];
+  }
+  return sum;
+};
+
+// Time-stretch with WSOLA: overlap-add Hann windowed frames taken at
+// speed × the output position, each shifted (within a small tolerance) to
+// line up best with the natural continuation of the previous frame
+export const timeStretch = (channels, sampleRate, speed) => {
+  if (speed === 1) return channels;
+
+  const frame = 2 * Math.round(sampleRate * 0.02);
+  const hop = frame / 2;
+  const tolerance = Math.round(sampleRate * 0.01);
+  const inputLength = channels[0].length;
+  const outputLength = Math.round(inputLength / speed);
+  const maxStart = Math.max(0, inputLength - frame);
+  const mono = mixToMono(channels);
+
+  const window = new Float32Array(frame);
+  for (let i = 0; i < frame; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frame);
+  }
+
+  const output = channels.map(() => new Float32Array(outputLength + frame));
+  const weight = new Float32Array(outputLength + frame);
+  let previous = -1;
+
+  for (let position = 0; position < outputLength; position += hop) {
+    let start = Math.min(maxStart, Math.round(position * speed));
+
+    if (previous >= 0) {
+      const natural = Math.min(maxStart, previous + hop);
+      const from = Math.max(0, start - tolerance);
+      const to = Math.min(maxStart, start + tolerance);
+      let best = -Infinity;
+      // Coarse search, then refine around the best match
+      for (let candidate = from; candidate <= to; candidate += 4) {
+        const score = correlate(mono, natural, candidate, hop);
+        if (score > best) {
+          best = score;
+          start = candidate;
+        }
+      }
+      const coarse = start;
+      for (
+        let candidate = Math.max(from, coarse - 3);
+        candidate <= Math.min(to, coarse + 3);
+        candidate++
+      ) {
+        const score = correlate(mono, natural, candidate, hop);
+        if (score > best) {
+          best = score;
+          start = candidate;
+        }
+      }
+    }
+
+    for (let i = 0; i < frame && start + i < inputLength; i++) {
+      channels.forEach((channel, c) => {
+        output[c][position + i] += channel[start + i] * window[i];
+      });
+      weight[position + i] += window[i];
+    }
+    previous = start;
+  }
+
+  return output.map((channel) => {
+    const result = channel.subarray(0, outputLength);
+    for (let i = 0; i < outputLength; i++) {
+      if (weight[i] > 1e-3) result[i] /= weight[i];
+    }
+    return result;
+  });
+};
+
+// Biquad coefficients of the BS.1770 K-weighting filter for any sample rate
+const kWeightingFilters = (sampleRate) => {
+  const shelf = (() => {
+    const f0 = 1681.974450955533;
+    const gainDb = 3.999843853973347;
+    const q = 0.7071752369554196;
+    const k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [
+        (vh + (vb * k) / q + k * k) / a0,
+        (2 * (k * k - vh)) / a0,
+        (vh - (vb * k) / q + k * k) / a0,
+      ],
+      a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+    };
+  })();
+
+  const highpass = (() => {
+    const f0 = 38.13547087602444;
+    const q = 0.5003270373238773;
+    const k = Math.tan((Math.PI * f0) / sampleRate);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [1, -2, 1],
+      a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+    };
+  })();
+
+  return [shelf, highpass];
+};
+
+const applyBiquad = (input, { b, a }) => {
+  const output = new Float32Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+  return output;
+};
+
+// Integrated loudness in LUFS: K-weighted mean square over 400 ms blocks
+// (75% overlap), with the -70 LUFS absolute and -10 LU relative gates
+export const measureLoudness = (channels, sampleRate) => {
+  const filters = kWeightingFilters(sampleRate);
+  const weighted = channels.map((channel) =>
+    filters.reduce((signal, filter) => applyBiquad(signal, filter), channel)
+  );
+
+  const length = channels[0].length;
+  const blockSize = Math.min(length, Math.round(sampleRate * 0.4));
+  const step = Math.max(1, Math.round(blockSize / 4));
+  const blocks = [];
+  for (let start = 0; start + blockSize <= length; start += step) {
+    let power = 0;
+    weighted.forEach((signal) => {
+      let sum = 0;
+      for (let i = start; i < start + blockSize; i++)
+        sum += signal[i] * signal[i];
+      power += sum / blockSize;
+    });
+    blocks.push(power);
+  }
+
+  const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+  const mean = (values) =>
+    values.reduce((total, value) => total + value, 0) / values.length;
+
+  const absolute = blocks.filter((power) => toLufs(power) > -70);
+  if (!absolute.length) return -Infinity;
+
+  const threshold = toLufs(mean(absolute)) - 10;
+  const relative = absolute.filter((power) => toLufs(power) > threshold);
+  return toLufs(mean(relative));
+};
+
+const peakOf = (channels) =>
+  channels.reduce(
+    (peak, channel) =>
+      channel.reduce((max, sample) => Math.max(max, Math.abs(sample)), peak),
+    0
+  );
+
+// Scale to a peak level in dBFS, or to a loudness target in LUFS without
+// letting peaks go above -1 dBFS
+export const normalize = (channels, sampleRate, { mode, target }) => {
+  const peak = peakOf(channels);
+  if (!peak) return channels;
+
+  let gain;
+  if (mode === "peak") {
+    gain = dbToGain(target) / peak;
+  } else {
+    const loudness = measureLoudness(channels, sampleRate);
+    if (!Number.isFinite(loudness)) return channels;
+    gain = Math.min(
+      dbToGain(target - loudness),
+      dbToGain(LOUDNESS_PEAK_CEILING_DB) / peak
+    );
+  }
+
+  return channels.map((channel) => channel.map((sample) => sample * gain));
+};
+
+const compress = async (channels, sampleRate, { thresholdDb, ratio }) => {
+  const context = new OfflineAudioContext(
+    channels.length,
+    channels[0].length,
+    sampleRate
+  );
+  const buffer = context.createBuffer(
+    channels.length,
+    channels[0].length,
+    sampleRate
+  );
+  channels.forEach((channel, c) => buffer.copyToChannel(channel, c));
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  const compressor = context.createDynamicsCompressor();
+  compressor.threshold.value = thresholdDb;
+  compressor.ratio.value = ratio;
+  compressor.knee.value = 6;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.15;
+  source.connect(compressor);
+  compressor.connect(context.destination);
+  source.start();
+
+  const rendered = await context.startRendering();
+  return channels.map((_, c) => rendered.getChannelData(c));
+};
+
+// Run the enabled stages on a blob. Resolves with the result as a WAV blob
+// and the time map ({ offset, speed }) that moves timings of the source onto
+// the result.
+export const processAudio = async (blob, settings) => {
+  const sampleRate = PROCESSING_SAMPLE_RATE;
+  let channels = await decodeAudio(blob, { sampleRate });
+  const timeMap = { offset: 0, speed: 1 };
+
+  if (settings.gate.enabled) {
+    channels = noiseGate(channels, sampleRate, settings.gate);
+  }
+  if (settings.trim.enabled) {
+    const { start, end } = findTrimRange(channels, sampleRate, settings.trim);
+    if (end <= start) {
+      throw new Error("Trimming removed all of the audio");
+    }
+    channels = channels.map((channel) => channel.slice(start, end));
+    timeMap.offset = start / sampleRate;
+  }
+  if (settings.compressor.enabled) {
+    channels = await compress(channels, sampleRate, settings.compressor);
+  }
+  if (settings.timeStretch.enabled) {
+    channels = timeStretch(channels, sampleRate, settings.timeStretch.speed);
+    timeMap.speed = settings.timeStretch.speed;
+  }
+  if (settings.normalize.enabled) {
+    channels = normalize(channels, sampleRate, settings.normalize);
+  }
+
+  return {
+    blob: new Blob([encodeWav(channels, sampleRate)], { type: "audio/wav" }),
+    timeMap,
+  };
+};
@@ -0,0 +1,115 @@
+import {
+  measureLoudness,
+  noiseGate,
+  normalize,
+  timeStretch,
+  trimSilence,
+} from "./audioProcessing";
+
+const RATE = 8000;
+
+const sine = (seconds, frequency, amplitude) =>
+  Float32Array.from(
+    { length: Math.round(seconds * RATE) },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / RATE)
+  );
+
+const concatSamples = (...parts) => {
+  const result = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+const zeroCrossings = (samples) => {
+  let count = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (Math.sign(samples[i - 1]) * Math.sign(samples[i]) < 0) count++;
+  }
+  return count;
+};
+
+test("trims leading and trailing silence with padding", () => {
+  const signal = concatSamples(
+    new Float32Array(RATE),
+    sine(0.5, 200, 0.5),
+    new Float32Array(RATE / 2)
+  );
+  const [trimmed] = trimSilence([signal], RATE, {
+    thresholdDb: -50,
+    paddingMs: 100,
+  });
+
+  expect(trimmed.length).toBe(RATE * 0.7);
+  expect(
+    trimSilence([new Float32Array(100)], RATE, {
+      thresholdDb: -50,
+      paddingMs: 0,
+    })[0]
+  ).toHaveLength(0);
+});
+
+test("gates noise between loud passages", () => {
+  const noise = Float32Array.from({ length: RATE }, (_, i) =>
+    i % 2 ? 0.001 : -0.001
+  );
+  const signal = concatSamples(
+    sine(0.25, 200, 0.5),
+    noise,
+    sine(0.25, 200, 0.5)
+  );
+  const [gated] = noiseGate([signal], RATE, { thresholdDb: -40, holdMs: 50 });
+
+  // The middle of the noise is muted, the speech is untouched
+  expect(Math.abs(gated[RATE * 0.75])).toBe(0);
+  expect(gated[100]).toBeCloseTo(signal[100]);
+  expect(gated[RATE * 1.4]).toBeCloseTo(signal[RATE * 1.4]);
+});
+
+test("time-stretches without changing pitch", () => {
+  const signal = sine(1, 220, 0.5);
+  const [faster] = timeStretch([signal], RATE, 1.5);
+  const [slower] = timeStretch([signal], RATE, 0.75);
+
+  expect(faster.length).toBe(Math.round(RATE / 1.5));
+  expect(slower.length).toBe(Math.round(RATE / 0.75));
+  // Same frequency: zero crossings per second stay at about 2 × 220
+  const perSecond = (samples) =>
+    zeroCrossings(samples.subarray(400, samples.length - 400)) /
+    ((samples.length - 800) / RATE);
+  expect(perSecond(faster)).toBeGreaterThan(430);
+  expect(perSecond(faster)).toBeLessThan(450);
+  expect(perSecond(slower)).toBeGreaterThan(430);
+  expect(perSecond(slower)).toBeLessThan(450);
+});
+
+test("measures loudness of a sine per BS.1770", () => {
+  // A full-scale 1 kHz sine in one channel reads about -3 LUFS
+  const rate = 48000;
+  const signal = Float32Array.from(
+    { length: rate * 2 },
+    (_, i) => 0.1 * Math.sin((2 * Math.PI * 1000 * i) / rate)
+  );
+  expect(measureLoudness([signal], rate)).toBeCloseTo(-23, 0);
+  expect(measureLoudness([new Float32Array(rate)], rate)).toBe(-Infinity);
+});
+
+test("normalizes to a peak level or a loudness target", () => {
+  const signal = sine(1, 440, 0.1);
+  const [peaked] = normalize([signal], RATE, { mode: "peak", target: -6 });
+  const peak = Math.max(...peaked.map(Math.abs));
+  expect(20 * Math.log10(peak)).toBeCloseTo(-6, 1);
+
+  const [loud] = normalize([signal], RATE, { mode: "lufs", target: -30 });
+  expect(measureLoudness([loud], RATE)).toBeCloseTo(-30, 1);
+
+  // Loudness targets never push peaks above -1 dBFS
+  const [limited] = normalize([signal], RATE, { mode: "lufs", target: 0 });
+  expect(20 * Math.log10(Math.max(...limited.map(Math.abs)))).toBeCloseTo(
+    -1,
+    1
+  );
+});
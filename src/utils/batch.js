@@ -0,0 +1,290 @@
+// batch.js
+// Batch generation: a CSV or JSON list of prompts ({ id, text, voice, rate,
+// pitch }) is voiced row by row and downloaded as one ZIP with a file per
+// row, named by its id, and a manifest.json describing every row. Failed
+// rows are retried a few times before they are marked as failed.
+
+import { messageError } from "./i18n";
+import { findVoice } from "./playbackPlan";
+import { extensionForType } from "./audioExport";
+import { writeZip } from "./zip";
+
+export const BATCH_EXTENSIONS = [".csv", ".tsv", ".json"];
+export const BATCH_RETRIES = 2;
+const RETRY_DELAY_MS = 1000;
+const MANIFEST_TYPE = "tts-batch";
+const MANIFEST_VERSION = 1;
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+// the delimiter, line breaks and "" for a quote)
+export const parseCsv = (text, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// The delimiter used in the header line: comma, semicolon or tab
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [",", ";", "\t"].reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length
+      ? delimiter
+      : best
+  );
+};
+
+const readNumber = (value, key, min, max, errors, row) => {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    errors.push({ row, key, params: { min, max } });
+    return undefined;
+  }
+  return number;
+};
+
+// Validate raw rows ({ id, text, voice, rate, pitch } with any values).
+// `numbers` gives the number of each row for error messages.
+const readRows = (records, numbers) => {
+  const rows = [];
+  const errors = [];
+  const ids = new Set();
+
+  records.forEach((record, index) => {
+    const row = numbers[index];
+    const id = String(record.id ?? "").trim();
+    const text = String(record.text ?? "").trim();
+    const rowErrors = [];
+
+    if (!id) rowErrors.push({ row, key: "batch.noId", params: {} });
+    else if (ids.has(id)) {
+      rowErrors.push({ row, key: "batch.duplicateId", params: { id } });
+    }
+    if (!text) rowErrors.push({ row, key: "batch.noText", params: {} });
+    const rate = readNumber(
+      record.rate,
+      "batch.badRate",
+      0.1,
+      10,
+      rowErrors,
+      row
+    );
+    const pitch = readNumber(
+      record.pitch,
+      "batch.badPitch",
+      0,
+      2,
+      rowErrors,
+      row
+    );
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+      return;
+    }
+    ids.add(id);
+    rows.push({
+      id,
+      text,
+      voice: String(record.voice ?? "").trim(),
+      rate,
+      pitch,
+    });
+  });
+
+  return { rows, errors };
+};
+
+// Read a batch file. Returns { rows, errors } where errors ({ row, key,
+// params }, counting data rows from 1, with a message key of the catalogs)
+// name the rows that were left out; throws a messageError if the file can't
+// be used at all.
+export const parseBatch = (contents, fileName = "") => {
+  const text = contents.replace(/^\uFEFF/, "");
+
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw messageError("batch.badJson");
+    }
+    const list = Array.isArray(data) ? data : data && data.rows;
+    if (!Array.isArray(list)) {
+      throw messageError("batch.notRows");
+    }
+    return readRows(
+      list.map((item) => (item && typeof item === "object" ? item : {})),
+      list.map((_, index) => index + 1)
+    );
+  }
+
+  const delimiter = /\.tsv$/i.test(fileName) ? "\t" : detectDelimiter(text);
+  const [header = [], ...records] = parseCsv(text, delimiter);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  if (!columns.includes("text")) {
+    throw messageError("batch.noHeader");
+  }
+
+  const numbers = [];
+  const objects = [];
+  records.forEach((fields, index) => {
+    if (fields.every((field) => !field.trim())) return;
+    numbers.push(index + 1);
+    objects.push(
+      Object.fromEntries(columns.map((name, i) => [name, fields[i]]))
+    );
+  });
+  return readRows(objects, numbers);
+};
+
+// The voice for a row: its voice column as a voice name or a language tag,
+// or the fallback voice. `missing` tells that the column named no voice.
+export const resolveRowVoice = (row, voices, fallback) => {
+  if (!row.voice) return { voice: fallback, missing: false };
+  const found =
+    findVoice(voices, { name: row.voice }) ||
+    (/^[a-z]{2,3}([-_][a-z0-9]+)*$/i.test(row.voice)
+      ? findVoice(voices, { lang: row.voice })
+      : null);
+  return found
+    ? { voice: found, missing: false }
+    : { voice: fallback, missing: true };
+};
+
+// File names from ids: unsafe characters become "_" and clashes get a
+// number
+export const batchFileNames = (rows) => {
+  const used = new Set();
+  return rows.map((row) => {
+    const base =
+      row.id
+        .replace(/[^\p{L}\p{M}\p{N}._-]+/gu, "_")
+        .replace(/^[._]+/, "")
+        .slice(0, 100) || "row";
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Generate rows one at a time with generate(row), which resolves with
+// { blob, voice, lang, rate, pitch }. Each row is tried up to 1 + retries
+// times. onUpdate(id, state) gets { status: "running" | "done" | "failed",
+// attempts, error } and, once done, what generate resolved with. Stops
+// before the next row once the signal is aborted.
+export const runBatch = async (
+  rows,
+  generate,
+  { retries = BATCH_RETRIES, onUpdate = () => {}, signal, delay = wait } = {}
+) => {
+  for (const row of rows) {
+    if (signal && signal.aborted) return;
+
+    for (let attempts = 1; ; attempts++) {
+      onUpdate(row.id, { status: "running", attempts });
+      try {
+        const output = await generate(row);
+        onUpdate(row.id, { ...output, status: "done", attempts });
+        break;
+      } catch (error) {
+        if (attempts > retries || (signal && signal.aborted)) {
+          onUpdate(row.id, {
+            status: "failed",
+            attempts,
+            error: error.message,
+          });
+          break;
+        }
+        await delay(RETRY_DELAY_MS * attempts);
+      }
+    }
+  }
+};
+
+// The manifest lists every row, with its file or the reason it failed
+export const createManifest = (rows, results, fileNames, createdAt) => ({
+  type: MANIFEST_TYPE,
+  version: MANIFEST_VERSION,
+  createdAt: createdAt.toISOString(),
+  files: rows.map((row, index) => {
+    const result = results[row.id] || { status: "pending" };
+    return {
+      id: row.id,
+      file:
+        result.status === "done"
+          ? `${fileNames[index]}.${extensionForType(result.blob.type)}`
+          : null,
+      text: row.text,
+      voice: result.voice || row.voice || "",
+      lang: result.lang || "",
+      rate: result.rate ?? row.rate ?? null,
+      pitch: result.pitch ?? row.pitch ?? null,
+      status: result.status,
+      attempts: result.attempts || 0,
+      size: result.status === "done" ? result.blob.size : null,
+      error: result.error || null,
+    };
+  }),
+});
+
+// ZIP the generated files with the manifest
+export const createBatchZip = async (rows, results, createdAt = new Date()) => {
+  const fileNames = batchFileNames(rows);
+  const manifest = createManifest(rows, results, fileNames, createdAt);
+  const files = [];
+
+  for (const entry of manifest.files) {
+    if (!entry.file) continue;
+    const { blob } = results[entry.id];
+    files.push({
+      name: entry.file,
+      data: new Uint8Array(await blob.arrayBuffer()),
+    });
+  }
+  files.push({
+    name: "manifest.json",
+    data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)),
+  });
+
+  return new Blob([writeZip(files, createdAt)], { type: "application/zip" });
+};
@@ -0,0 +1,166 @@
+import {
+  batchFileNames,
+  createManifest,
+  parseBatch,
+  parseCsv,
+  resolveRowVoice,
+  runBatch,
+} from "./batch";
+
+const voices = [
+  { name: "Samantha", lang: "en-US", engine: "webspeech" },
+  { name: "Lekha", lang: "hi-IN", engine: "webspeech" },
+];
+
+test("parses quoted CSV fields with delimiters, quotes and line breaks", () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n')).toEqual([
+    ["a", "b"],
+    ["x, y", 'say "hi"\nthere'],
+  ]);
+});
+
+test("reads CSV rows with a detected delimiter and reports bad rows", () => {
+  const csv =
+    "\uFEFFID;Text;Voice;Rate\n" +
+    "welcome;Welcome back;hi-IN;1.2\n" +
+    ";No id\n" +
+    "\n" +
+    "welcome;Again\n" +
+    "fast;Too fast;;20\n" +
+    "bye;Goodbye\n";
+  const { rows, errors } = parseBatch(csv, "prompts.csv");
+
+  expect(rows).toEqual([
+    {
+      id: "welcome",
+      text: "Welcome back",
+      voice: "hi-IN",
+      rate: 1.2,
+      pitch: undefined,
+    },
+    {
+      id: "bye",
+      text: "Goodbye",
+      voice: "",
+      rate: undefined,
+      pitch: undefined,
+    },
+  ]);
+  expect(errors).toEqual([
+    { row: 2, key: "batch.noId", params: {} },
+    { row: 4, key: "batch.duplicateId", params: { id: "welcome" } },
+    { row: 5, key: "batch.badRate", params: { min: 0.1, max: 10 } },
+  ]);
+  expect(() => parseBatch("id,prompt\n1,Hi", "a.csv")).toThrow(
+    "batch.noHeader"
+  );
+});
+
+test("reads JSON lists and { rows } objects", () => {
+  const list = [{ id: 1, text: "One", pitch: 1.5 }, "nope"];
+  expect(parseBatch(JSON.stringify(list), "a.json")).toEqual({
+    rows: [{ id: "1", text: "One", voice: "", rate: undefined, pitch: 1.5 }],
+    errors: [
+      { row: 2, key: "batch.noId", params: {} },
+      { row: 2, key: "batch.noText", params: {} },
+    ],
+  });
+  expect(parseBatch('{"rows":[{"id":"a","text":"A"}]}').rows).toHaveLength(1);
+  expect(() => parseBatch('{"id":"a"}', "a.json")).toThrow("batch.notRows");
+  expect(() => parseBatch("[oops", "a.json")).toThrow("batch.badJson");
+});
+
+test("resolves row voices by name or language", () => {
+  const fallback = voices[0];
+  expect(resolveRowVoice({ voice: "Lekha" }, voices, fallback).voice).toBe(
+    voices[1]
+  );
+  expect(resolveRowVoice({ voice: "hi-IN" }, voices, fallback).voice).toBe(
+    voices[1]
+  );
+  expect(resolveRowVoice({ voice: "" }, voices, fallback)).toEqual({
+    voice: fallback,
+    missing: false,
+  });
+  expect(resolveRowVoice({ voice: "Daniel" }, voices, fallback)).toEqual({
+    voice: fallback,
+    missing: true,
+  });
+});
+
+test("makes safe, unique file names from ids", () => {
+  expect(
+    batchFileNames([
+      { id: "intro/01" },
+      { id: "Intro_01" },
+      { id: "../secret" },
+      { id: "नमस्ते" },
+    ])
+  ).toEqual(["intro_01", "Intro_01-2", "secret", "नमस्ते"]);
+});
+
+test("retries failed rows and reports every step", async () => {
+  const rows = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  const calls = {};
+  const generate = async (row) => {
+    calls[row.id] = (calls[row.id] || 0) + 1;
+    if (row.id === "b" && calls.b < 2) throw new Error("Server busy");
+    if (row.id === "c") throw new Error("No audio");
+    return { blob: { size: 4, type: "audio/wav" }, voice: "Samantha" };
+  };
+  const updates = [];
+  const results = {};
+
+  await runBatch(rows, generate, {
+    retries: 2,
+    delay: async () => {},
+    onUpdate: (id, state) => {
+      updates.push([id, state.status, state.attempts]);
+      results[id] = state;
+    },
+  });
+
+  expect(calls).toEqual({ a: 1, b: 2, c: 3 });
+  expect(updates).toContainEqual(["b", "done", 2]);
+  expect(results.c).toEqual({
+    status: "failed",
+    attempts: 3,
+    error: "No audio",
+  });
+
+  const manifest = createManifest(
+    rows.map((row) => ({ ...row, text: row.id.toUpperCase(), voice: "" })),
+    results,
+    batchFileNames(rows),
+    new Date("2024-01-02T03:04:05Z")
+  );
+  expect(manifest.createdAt).toBe("2024-01-02T03:04:05.000Z");
+  expect(manifest.files[1]).toMatchObject({
+    id: "b",
+    file: "b.wav",
+    voice: "Samantha",
+    status: "done",
+    attempts: 2,
+    size: 4,
+  });
+  expect(manifest.files[2]).toMatchObject({
+    file: null,
+    status: "failed",
+    error: "No audio",
+  });
+});
+
+test("stops before the next row once aborted", async () => {
+  const controller = new AbortController();
+  const done = [];
+  await runBatch(
+    [{ id: "a" }, { id: "b" }],
+    async (row) => {
+      done.push(row.id);
+      controller.abort();
+      return { blob: { size: 0, type: "audio/wav" } };
+    },
+    { signal: controller.signal }
+  );
+  expect(done).toEqual(["a"]);
+});
@@ -0,0 +1,174 @@
+// capture.js
+// Where the download of a browser voice comes from. Browser voices can't be
+// rendered to a file, so by default the offline synthesizer voices the
+// download. Recording them while they play is opt-in, since it asks for
+// permission first: from the tab or the whole system (getDisplayMedia with
+// audio), or from the microphone. A level meter follows the captured audio
+// so a silent capture (tab audio not shared, headphones in front of the
+// microphone) is noticed instead of saved.
+
+import { messageError } from "./i18n";
+
+export const CAPTURE_SETTINGS_KEY = "tts-capture-source";
+
+// Labels and help texts are the "capture.<id>" messages of the catalogs
+export const CAPTURE_SOURCES = [
+  { id: "synthetic" },
+  { id: "display" },
+  { id: "microphone" },
+];
+
+// Recording opens a screen-share picker or a microphone prompt, so it is
+// only used once chosen
+export const DEFAULT_CAPTURE_SOURCE = "synthetic";
+
+// Recording formats in order of preference
+export const RECORDING_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/webm",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+  "audio/mpeg",
+];
+
+// RMS level under which audio counts as silence, and for how long
+export const SILENCE_LEVEL = 0.01;
+export const SILENCE_WARNING_MS = 3000;
+
+// The first recording type the browser supports, or "" to let the recorder
+// choose. `isTypeSupported` is MediaRecorder.isTypeSupported.
+export const pickRecordingType = (isTypeSupported) => {
+  if (typeof isTypeSupported !== "function") return "";
+  return RECORDING_TYPES.find((type) => isTypeSupported(type)) || "";
+};
+
+export const isCaptureSupported = (source, mediaDevices) => {
+  if (source === "synthetic") return true;
+  if (!mediaDevices || typeof window.MediaRecorder === "undefined") {
+    return false;
+  }
+  return source === "display"
+    ? typeof mediaDevices.getDisplayMedia === "function"
+    : typeof mediaDevices.getUserMedia === "function";
+};
+
+// Open the stream to record. Display capture needs a video track to be
+// offered by most browsers; it is stopped right away and only the audio is
+// kept.
+export const openCaptureStream = async (source, mediaDevices) => {
+  if (source === "microphone") {
+    return mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+        sampleRate: 44100,
+        channelCount: 1,
+      },
+    });
+  }
+
+  const stream = await mediaDevices.getDisplayMedia({
+    video: true,
+    audio: {
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+    },
+    preferCurrentTab: true,
+    selfBrowserSurface: "include",
+    systemAudio: "include",
+  });
+  stream.getVideoTracks().forEach((track) => track.stop());
+  const audio = stream.getAudioTracks();
+  if (!audio.length) {
+    throw messageError("capture.noAudioShared");
+  }
+  return new MediaStream(audio);
+};
+
+export const isStreamLive = (stream) =>
+  Boolean(stream) &&
+  stream.getAudioTracks().some((track) => track.readyState === "live");
+
+// Root mean square of samples in -1..1
+export const rmsLevel = (samples) => {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+};
+
+// Follows levels over time. update(level, time) returns whether the audio
+// has been silent for `duration` ms; heardSound tells if anything was ever
+// louder than the threshold.
+export const createSilenceTracker = ({
+  threshold = SILENCE_LEVEL,
+  duration = SILENCE_WARNING_MS,
+} = {}) => {
+  let quietSince = null;
+  let heardSound = false;
+
+  return {
+    update(level, time) {
+      if (level >= threshold) {
+        heardSound = true;
+        quietSince = null;
+        return false;
+      }
+      if (quietSince === null) quietSince = time;
+      return time - quietSince >= duration;
+    },
+    get heardSound() {
+      return heardSound;
+    },
+  };
+};
+
+// Measure a stream's level every `interval` ms. onLevel(level, silent) gets
+// the RMS level and whether the stream has been silent for a while.
+export const createLevelMeter = (stream, onLevel, interval = 100) => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContext();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  context.createMediaStreamSource(stream).connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const silence = createSilenceTracker();
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    const level = rmsLevel(samples);
+    onLevel(level, silence.update(level, Date.now()));
+  }, interval);
+
+  return {
+    get heardSound() {
+      return silence.heardSound;
+    },
+    stop() {
+      clearInterval(timer);
+      context.close().catch(() => {});
+    },
+  };
+};
+
+export const loadCaptureSource = (storage = window.localStorage) => {
+  try {
+    const source = storage.getItem(CAPTURE_SETTINGS_KEY);
+    return CAPTURE_SOURCES.some((s) => s.id === source)
+      ? source
+      : DEFAULT_CAPTURE_SOURCE;
+  } catch (error) {
+    console.error("Could not read the capture source:", error);
+    return DEFAULT_CAPTURE_SOURCE;
+  }
+};
+
+export const saveCaptureSource = (source, storage = window.localStorage) => {
+  try {
+    storage.setItem(CAPTURE_SETTINGS_KEY, source);
+  } catch (error) {
+    console.error("Could not save the capture source:", error);
+  }
+};
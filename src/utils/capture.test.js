@@ -0,0 +1,53 @@
+import {
+  CAPTURE_SETTINGS_KEY,
+  createSilenceTracker,
+  isCaptureSupported,
+  loadCaptureSource,
+  pickRecordingType,
+  rmsLevel,
+  saveCaptureSource,
+} from "./capture";
+
+test("negotiates the recording type", () => {
+  expect(pickRecordingType((type) => type.startsWith("audio/mp4"))).toBe(
+    "audio/mp4"
+  );
+  expect(pickRecordingType((type) => type.includes("webm"))).toBe(
+    "audio/webm;codecs=opus"
+  );
+  expect(pickRecordingType(() => false)).toBe("");
+  expect(pickRecordingType(undefined)).toBe("");
+});
+
+test("checks which sources the browser can capture", () => {
+  window.MediaRecorder = function MediaRecorder() {};
+  const devices = { getUserMedia: () => {} };
+  expect(isCaptureSupported("microphone", devices)).toBe(true);
+  expect(isCaptureSupported("display", devices)).toBe(false);
+  expect(isCaptureSupported("display", undefined)).toBe(false);
+  expect(isCaptureSupported("synthetic", undefined)).toBe(true);
+  delete window.MediaRecorder;
+  expect(isCaptureSupported("microphone", devices)).toBe(false);
+});
+
+test("measures levels and notices long silences", () => {
+  expect(rmsLevel(new Float32Array(0))).toBe(0);
+  expect(rmsLevel(Float32Array.from([0.5, -0.5, 0.5, -0.5]))).toBeCloseTo(0.5);
+
+  const tracker = createSilenceTracker({ threshold: 0.01, duration: 1000 });
+  expect(tracker.update(0, 0)).toBe(false);
+  expect(tracker.update(0.001, 999)).toBe(false);
+  expect(tracker.update(0.001, 1000)).toBe(true);
+  expect(tracker.heardSound).toBe(false);
+  expect(tracker.update(0.2, 1100)).toBe(false);
+  expect(tracker.update(0, 1500)).toBe(false);
+  expect(tracker.heardSound).toBe(true);
+});
+
+test("remembers the capture source", () => {
+  expect(loadCaptureSource()).toBe("synthetic");
+  saveCaptureSource("microphone");
+  expect(loadCaptureSource()).toBe("microphone");
+  window.localStorage.setItem(CAPTURE_SETTINGS_KEY, "speakers");
+  expect(loadCaptureSource()).toBe("synthetic");
+});
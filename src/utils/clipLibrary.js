@@ -0,0 +1,186 @@
+// clipLibrary.js
+// History of generated clips, kept in IndexedDB so they survive new
+// generations and reloads. A clip stores the audio as played (after
+// processing) with the text and settings that produced it, so it can be
+// replayed, downloaded again or regenerated.
+
+export const CLIP_DB_NAME = "tts-clip-library";
+export const CLIP_STORE_NAME = "clips";
+const CLIP_DB_VERSION = 1;
+
+// Offer cleanup once the origin uses this share of its quota
+export const STORAGE_WARNING_RATIO = 0.8;
+
+export const isClipLibrarySupported = () =>
+  typeof window !== "undefined" && "indexedDB" in window;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(CLIP_DB_NAME, CLIP_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(CLIP_STORE_NAME, {
+          keyPath: "id",
+        });
+        store.createIndex("createdAt", "createdAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction and resolve with its result once
+// the transaction has committed, so quota errors surface here
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CLIP_STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(CLIP_STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("The clip library was not saved"));
+  });
+};
+
+// All clips, newest first
+export const listClips = async () => {
+  const clips = await runRequest("readonly", (store) => store.getAll());
+  return clips.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const putClip = (clip) =>
+  runRequest("readwrite", (store) => store.put(clip));
+
+export const deleteClip = (id) =>
+  runRequest("readwrite", (store) => store.delete(id));
+
+export const deleteClips = async (ids) => {
+  for (const id of ids) {
+    await deleteClip(id);
+  }
+};
+
+// Origin storage usage and quota in bytes, or null if the browser can't
+// tell
+export const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) return null;
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return quota ? { usage, quota } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Clips and storage estimate for the library panel
+export const loadLibrary = async () => {
+  if (!isClipLibrarySupported()) return { clips: [], estimate: null };
+  const [clips, estimate] = await Promise.all([
+    listClips(),
+    getStorageEstimate(),
+  ]);
+  return { clips, estimate };
+};
+
+export const isQuotaError = (error) =>
+  !!error &&
+  (error.name === "QuotaExceededError" ||
+    error.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+export const isStorageLow = (estimate) =>
+  !!estimate && estimate.usage >= estimate.quota * STORAGE_WARNING_RATIO;
+
+// The oldest clips to delete so that usage plus `needed` bytes fits under
+// the warning level. With no estimate only `needed` bytes are freed.
+export const planCleanup = (clips, estimate, needed = 0) => {
+  const excess = estimate
+    ? estimate.usage + needed - estimate.quota * STORAGE_WARNING_RATIO
+    : needed;
+  if (excess <= 0) return [];
+
+  const oldestFirst = [...clips].sort((a, b) => a.createdAt - b.createdAt);
+  const selected = [];
+  let freed = 0;
+  for (const clip of oldestFirst) {
+    if (freed >= excess) break;
+    selected.push(clip);
+    freed += clip.size || 0;
+  }
+  return selected;
+};
+
+// Length of the audio in seconds, or null if it can't be decoded
+export const measureDuration = async (blob) => {
+  try {
+    const data = await blob.arrayBuffer();
+    const decoded = await new OfflineAudioContext(1, 1, 44100).decodeAudioData(
+      data
+    );
+    return decoded.duration;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Empty without text; the library then shows "library.untitledClip"
+const defaultClipName = (text) => {
+  const line = text.replace(/\s+/g, " ").trim();
+  return line.length > 48 ? `${line.slice(0, 47)}…` : line;
+};
+
+// Build the stored record for generated audio. `generation` holds what was
+// spoken: text, inputMode, voiceName, voiceLang, rate, pitch, volume,
+// speakers, processing, info (export tags) and timings.
+export const createClip = (
+  blob,
+  generation,
+  { timeMap = null, duration = null, createdAt = Date.now() } = {}
+) => ({
+  id: `clip-${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+  name: defaultClipName(generation.text),
+  createdAt,
+  text: generation.text,
+  inputMode: generation.inputMode,
+  voiceName: generation.voiceName || "",
+  voiceLang: generation.voiceLang || "",
+  settings: {
+    rate: generation.rate,
+    pitch: generation.pitch,
+    volume: generation.volume,
+    speakers: generation.speakers || {},
+    processing: generation.processing,
+  },
+  info: generation.info || {},
+  timings: generation.timings || null,
+  timeMap,
+  duration,
+  size: blob.size,
+  type: blob.type,
+  blob,
+});
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+};
+
+export const formatDuration = (seconds) => {
+  if (seconds === null || !Number.isFinite(seconds)) return "–:––";
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,72 @@
+import {
+  createClip,
+  formatBytes,
+  formatDuration,
+  isStorageLow,
+  planCleanup,
+} from "./clipLibrary";
+
+const MB = 1024 * 1024;
+
+const clip = (createdAt, size) => ({
+  id: `clip-${createdAt}`,
+  createdAt,
+  size,
+});
+
+test("creates a clip record from a generation", () => {
+  const blob = new Blob(["abcd"], { type: "audio/wav" });
+  const record = createClip(
+    blob,
+    {
+      text: "  Hello,\n  world! This line is long enough to be shortened in the list",
+      inputMode: "text",
+      voiceName: "Samantha",
+      voiceLang: "en-US",
+      rate: 1.2,
+      pitch: 1,
+      volume: 0.8,
+      processing: { trim: { enabled: true } },
+      info: { voice: "Samantha" },
+    },
+    { duration: 2.5, createdAt: 1000 }
+  );
+
+  expect(record.name).toBe("Hello, world! This line is long enough to be sh…");
+  expect(record.createdAt).toBe(1000);
+  expect(record.settings).toEqual({
+    rate: 1.2,
+    pitch: 1,
+    volume: 0.8,
+    speakers: {},
+    processing: { trim: { enabled: true } },
+  });
+  expect(record.size).toBe(4);
+  expect(record.type).toBe("audio/wav");
+  expect(record.blob).toBe(blob);
+  expect(record.timings).toBeNull();
+
+  // The library names clips without text in the UI language
+  expect(createClip(blob, { text: " " }).name).toBe("");
+});
+
+test("plans cleanup of the oldest clips until storage fits", () => {
+  const clips = [clip(3, 5 * MB), clip(1, 10 * MB), clip(2, 10 * MB)];
+  const estimate = { usage: 95 * MB, quota: 100 * MB };
+
+  expect(isStorageLow(estimate)).toBe(true);
+  expect(planCleanup(clips, estimate).map((c) => c.createdAt)).toEqual([1, 2]);
+  expect(planCleanup(clips, { usage: 50 * MB, quota: 100 * MB })).toEqual([]);
+  // Room for a new clip without an estimate
+  expect(planCleanup(clips, null, 12 * MB).map((c) => c.createdAt)).toEqual([
+    1, 2,
+  ]);
+});
+
+test("formats sizes and durations", () => {
+  expect(formatBytes(512)).toBe("512 B");
+  expect(formatBytes(1536)).toBe("1.5 KB");
+  expect(formatBytes(250 * MB)).toBe("250 MB");
+  expect(formatDuration(65.4)).toBe("1:05");
+  expect(formatDuration(null)).toBe("–:––");
+});
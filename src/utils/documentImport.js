@@ -0,0 +1,466 @@
+// documentImport.js
+// Extracts readable text from imported documents (plain text, Markdown,
+// HTML, SRT/WebVTT subtitles and EPUB). Markup, code blocks and timestamps
+// are dropped; headings stay in the text as their own paragraphs and are
+// listed as chapters:
+//   { title, text, chapters: [{ title, level, start, end }] }
+// where start/end are offsets into text. A chapter without a title of its
+// own (text before the first heading of an untitled document, an EPUB
+// section without headings) has an empty title.
+
+import { messageError } from "./i18n";
+import { readZip, readZipText } from "./zip";
+
+export const DOCUMENT_EXTENSIONS = [
+  ".txt",
+  ".md",
+  ".markdown",
+  ".html",
+  ".htm",
+  ".xhtml",
+  ".srt",
+  ".vtt",
+  ".epub",
+];
+
+// Remove characters that copy-paste and converters leave behind. Zero-width
+// joiners are kept because Devanagari uses them.
+export const cleanText = (text) =>
+  text
+    .replace(/[\uFEFF\u200B\u2060\u00AD\uFFFD]/g, "")
+    .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, " ")
+    .replace(/\uFB01/g, "fi")
+    .replace(/\uFB02/g, "fl")
+    .replace(/\s+/g, " ")
+    .replace(/\p{Cc}/gu, "")
+    .trim();
+
+// Collects paragraphs and headings into the document text
+const createDocumentBuilder = () => {
+  const blocks = [];
+  const chapters = [];
+  let length = 0;
+
+  const addBlock = (text) => {
+    if (blocks.length) length += 2;
+    blocks.push(text);
+    length += text.length;
+  };
+
+  return {
+    addParagraph: (text) => {
+      const clean = cleanText(text);
+      if (clean) addBlock(clean);
+    },
+    // A chapter marker whose title is spoken as part of the text
+    addHeading: (title, level) => {
+      const clean = cleanText(title);
+      if (!clean) return;
+      chapters.push({
+        title: clean,
+        level,
+        start: length + (blocks.length ? 2 : 0),
+      });
+      addBlock(clean);
+    },
+    // A chapter marker without text, e.g. an EPUB section without a heading
+    addChapter: (title, level = 1) => {
+      chapters.push({
+        title: cleanText(title),
+        level,
+        start: length + (blocks.length ? 2 : 0),
+      });
+    },
+    finish: (title) => {
+      const text = blocks.join("\n\n");
+      // Markers followed directly by another marker have no text
+      const marked = chapters.filter(
+        (chapter, i) =>
+          chapter.start < text.length &&
+          !(i + 1 < chapters.length && chapters[i + 1].start === chapter.start)
+      );
+      // Text before the first heading becomes a chapter of its own
+      if (text && (!marked.length || marked[0].start > 0)) {
+        marked.unshift({ title, level: 1, start: 0 });
+      }
+      return {
+        title,
+        text,
+        chapters: marked.map((chapter, i) => ({
+          ...chapter,
+          end: i + 1 < marked.length ? marked[i + 1].start - 2 : text.length,
+        })),
+      };
+    },
+  };
+};
+
+// Plain text: paragraphs are separated by blank lines and hard-wrapped
+// lines are joined. Short lines such as "Chapter 3" become headings.
+const CHAPTER_LINE =
+  /^(chapter|part|book|section|prologue|epilogue|अध्याय|भाग)\b[^.!?]{0,60}$/iu;
+
+export const parsePlainText = (source, title = "") => {
+  const builder = createDocumentBuilder();
+  source
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .forEach((paragraph) => {
+      const text = paragraph.trim();
+      if (!text.includes("\n") && CHAPTER_LINE.test(text)) {
+        builder.addHeading(text, 1);
+      } else {
+        builder.addParagraph(text);
+      }
+    });
+  return builder.finish(title);
+};
+
+// Inline Markdown: keep the words, drop the markup
+const stripInlineMarkdown = (text) =>
+  text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[\^[^\]]+\]/g, "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+    .replace(/<https?:[^>]+>/g, "")
+    .replace(/`+([^`]+)`+/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/~~(.+?)~~/g, "$1")
+    .replace(
+      /(^|[^\w*])[*_]([^*_\s](?:[^*_]*[^*_\s])?)[*_](?=[^\w*]|$)/g,
+      "$1$2"
+    )
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, "$1");
+
+export const parseMarkdown = (source, title = "") => {
+  const builder = createDocumentBuilder();
+  const lines = source
+    .replace(/\r\n?/g, "\n")
+    .replace(/^---\n[\s\S]*?\n---\n/, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .split("\n");
+
+  let paragraph = [];
+  let fence = null;
+  const flush = () => {
+    if (paragraph.length) {
+      builder.addParagraph(stripInlineMarkdown(paragraph.join(" ")));
+    }
+    paragraph = [];
+  };
+
+  lines.forEach((line) => {
+    // Fenced code blocks are skipped entirely
+    if (fence) {
+      if (line.trim().startsWith(fence)) fence = null;
+      return;
+    }
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      return;
+    }
+    // So are indented code blocks, which can't interrupt a paragraph
+    if (!paragraph.length && /^( {4}|\t)/.test(line)) return;
+
+    const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      flush();
+      builder.addHeading(stripInlineMarkdown(heading[2]), heading[1].length);
+      return;
+    }
+    // Setext headings underline a single line with === or ---
+    if (paragraph.length === 1 && /^ {0,3}(=+|-+)\s*$/.test(line)) {
+      const [text] = paragraph;
+      paragraph = [];
+      builder.addHeading(
+        stripInlineMarkdown(text),
+        line.trim()[0] === "=" ? 1 : 2
+      );
+      return;
+    }
+    if (!line.trim() || /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      return;
+    }
+    // Link reference definitions and table separator rows
+    if (/^ {0,3}\[[^\]]+\]:\s*\S/.test(line)) return;
+    if (/^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*\|?\s*$/.test(line)) return;
+
+    let content = line.replace(/^(\s*>\s?)+/, "");
+    const listItem = content.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/);
+    if (listItem) {
+      flush();
+      content = content.slice(listItem[0].length);
+    }
+    // Table rows are read cell by cell
+    if (/^\s*\|.*\|\s*$/.test(content)) {
+      flush();
+      const cells = content
+        .trim()
+        .slice(1, -1)
+        .split("|")
+        .map((cell) => cell.trim())
+        .filter(Boolean);
+      builder.addParagraph(stripInlineMarkdown(cells.join(", ")));
+      return;
+    }
+    paragraph.push(content.trim());
+  });
+  flush();
+
+  return builder.finish(title);
+};
+
+// Elements whose content is never read out
+const SKIPPED_ELEMENTS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "pre",
+  "nav",
+  "svg",
+  "math",
+  "iframe",
+  "form",
+  "button",
+  "head",
+]);
+
+const BLOCK_ELEMENTS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "main",
+  "header",
+  "footer",
+  "aside",
+  "blockquote",
+  "ul",
+  "ol",
+  "li",
+  "dl",
+  "dt",
+  "dd",
+  "table",
+  "tr",
+  "td",
+  "th",
+  "figure",
+  "figcaption",
+  "hr",
+  "body",
+]);
+
+// Walk an HTML document and add its paragraphs and headings
+const appendHtml = (builder, doc) => {
+  let buffer = "";
+  const flush = () => {
+    builder.addParagraph(buffer);
+    buffer = "";
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      buffer += node.nodeValue;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.localName.toLowerCase();
+    if (SKIPPED_ELEMENTS.has(tag)) return;
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      builder.addHeading(node.textContent, Number(tag[1]));
+      return;
+    }
+    if (tag === "br") {
+      buffer += " ";
+      return;
+    }
+    if (tag === "img" && node.getAttribute("alt")) {
+      buffer += ` ${node.getAttribute("alt")} `;
+      return;
+    }
+
+    const block = BLOCK_ELEMENTS.has(tag);
+    if (block) flush();
+    node.childNodes.forEach(walk);
+    if (block) flush();
+  };
+
+  if (doc.body) walk(doc.body);
+  flush();
+};
+
+const parseHtmlSource = (source) =>
+  new DOMParser().parseFromString(source, "text/html");
+
+export const parseHtml = (source, title = "") => {
+  const doc = parseHtmlSource(source);
+  const builder = createDocumentBuilder();
+  appendHtml(builder, doc);
+  return builder.finish((doc.title && cleanText(doc.title)) || title);
+};
+
+// SRT and WebVTT: keep the cue text, drop numbers, timestamps, styling and
+// NOTE/STYLE/REGION blocks. Rolling captions repeat lines, so consecutive
+// duplicates are dropped.
+export const parseSubtitles = (source, title = "") => {
+  const builder = createDocumentBuilder();
+  const lines = [];
+
+  source
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .forEach((block) => {
+      const blockLines = block.trim().split("\n");
+      if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(blockLines[0])) return;
+
+      const timing = blockLines.findIndex((line) => line.includes("-->"));
+      if (timing < 0) return;
+      blockLines.slice(timing + 1).forEach((line) => {
+        const text = cleanText(
+          line
+            .replace(/<[^>]+>/g, "")
+            .replace(/\{\\[^}]*\}/g, "")
+            .replace(/^\s*-\s+/, "")
+        );
+        if (text && text !== lines[lines.length - 1]) lines.push(text);
+      });
+    });
+
+  builder.addParagraph(lines.join(" "));
+  return builder.finish(title);
+};
+
+// Resolve a path relative to the file that references it
+const resolvePath = (base, href) => {
+  const parts = base.split("/").slice(0, -1);
+  decodeURIComponent(href.split("#")[0])
+    .split("/")
+    .forEach((part) => {
+      if (part === "..") parts.pop();
+      else if (part && part !== ".") parts.push(part);
+    });
+  return parts.join("/");
+};
+
+// The package document path from META-INF/container.xml
+export const parseEpubContainer = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  const rootfile = doc.getElementsByTagName("rootfile")[0];
+  const path = rootfile && rootfile.getAttribute("full-path");
+  if (!path) throw messageError("document.noEpubPackage");
+  return path;
+};
+
+// The book title and the reading order (paths of the spine's content
+// documents) from the package document
+export const parseEpubPackage = (xml, packagePath) => {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  const titleElement =
+    doc.getElementsByTagName("dc:title")[0] ||
+    doc.getElementsByTagName("title")[0];
+
+  const manifest = new Map();
+  Array.from(doc.getElementsByTagName("item")).forEach((item) => {
+    manifest.set(item.getAttribute("id"), item.getAttribute("href"));
+  });
+
+  const spine = Array.from(doc.getElementsByTagName("itemref"))
+    .filter((ref) => ref.getAttribute("linear") !== "no")
+    .map((ref) => manifest.get(ref.getAttribute("idref")))
+    .filter(Boolean)
+    .map((href) => resolvePath(packagePath, href));
+
+  return {
+    title: titleElement ? cleanText(titleElement.textContent) : "",
+    spine,
+  };
+};
+
+export const parseEpub = async (buffer, title = "") => {
+  const entries = readZip(buffer);
+  const packagePath = parseEpubContainer(
+    await readZipText(entries, "META-INF/container.xml")
+  );
+  const book = parseEpubPackage(
+    await readZipText(entries, packagePath),
+    packagePath
+  );
+
+  const builder = createDocumentBuilder();
+  for (const path of book.spine) {
+    if (!entries.has(path)) continue;
+    const doc = parseHtmlSource(await readZipText(entries, path));
+    // Sections without headings are still listed, named by their title if
+    // they have one
+    if (!doc.querySelector("h1, h2, h3, h4, h5, h6")) {
+      builder.addChapter(doc.title || "");
+    }
+    appendHtml(builder, doc);
+  }
+  return builder.finish(book.title || title);
+};
+
+const extensionOf = (name) => {
+  const dot = name.lastIndexOf(".");
+  return dot < 0 ? "" : name.slice(dot).toLowerCase();
+};
+
+export const isSupportedDocument = (file) =>
+  DOCUMENT_EXTENSIONS.includes(extensionOf(file.name)) ||
+  /^text\//.test(file.type);
+
+// Read a dropped or picked file. Unknown text/* files are read as plain
+// text.
+export const importDocument = async (file) => {
+  const extension = extensionOf(file.name);
+  const title = file.name.replace(/\.[^.]+$/, "");
+
+  let result;
+  if (extension === ".epub") {
+    result = await parseEpub(await file.arrayBuffer(), title);
+  } else if (isSupportedDocument(file)) {
+    const source = await file.text();
+    if (extension === ".md" || extension === ".markdown") {
+      result = parseMarkdown(source, title);
+    } else if ([".html", ".htm", ".xhtml"].includes(extension)) {
+      result = parseHtml(source, title);
+    } else if (extension === ".srt" || extension === ".vtt") {
+      result = parseSubtitles(source, title);
+    } else {
+      result = parsePlainText(source, title);
+    }
+  } else {
+    throw messageError("document.unsupported", {
+      extensions: DOCUMENT_EXTENSIONS.join(", "),
+    });
+  }
+
+  if (!result.text) throw messageError("document.noText");
+  return result;
+};
+
+// Join the chosen chapters (indexes into imported.chapters) into the text to
+// speak, with the chapters' offsets in that text
+export const composeChapters = (imported, selected) => {
+  let text = "";
+  const chapters = [];
+  imported.chapters.forEach((chapter, index) => {
+    if (!selected.includes(index)) return;
+    const body = imported.text.slice(chapter.start, chapter.end);
+    if (!body) return;
+    if (text) text += "\n\n";
+    chapters.push({ ...chapter, index, start: text.length });
+    text += body;
+    chapters[chapters.length - 1].end = text.length;
+  });
+  return { text, chapters };
+};
@@ -0,0 +1,165 @@
+import {
+  cleanText,
+  composeChapters,
+  parseEpubContainer,
+  parseEpubPackage,
+  parseHtml,
+  parseMarkdown,
+  parsePlainText,
+  parseSubtitles,
+} from "./documentImport";
+
+const chapterText = (doc) =>
+  doc.chapters.map((chapter) => doc.text.slice(chapter.start, chapter.end));
+
+test("removes junk characters but keeps Devanagari joiners", () => {
+  expect(cleanText("\uFEFFHello\u00A0 wor\u00ADld\u200B \u0007\uFB01ne")).toBe(
+    "Hello world fine"
+  );
+  expect(cleanText("क्\u200Dष")).toBe("क्\u200Dष");
+});
+
+test("reads Markdown without markup or code", () => {
+  const doc = parseMarkdown(
+    [
+      "---",
+      "layout: post",
+      "---",
+      "Intro with **bold** and [a link](https://example.com).",
+      "",
+      "# Installing",
+      "",
+      "Run `npm install` first:",
+      "",
+      "```bash",
+      "npm install",
+      "```",
+      "",
+      "- Step *one*",
+      "- Step two",
+      "",
+      "Usage",
+      "-----",
+      "",
+      "| Option | Meaning |",
+      "| --- | --- |",
+      "| rate | Speed |",
+      "",
+      "![diagram](diagram.png)",
+    ].join("\n"),
+    "guide"
+  );
+
+  expect(doc.text).toBe(
+    [
+      "Intro with bold and a link.",
+      "Installing",
+      "Run npm install first:",
+      "Step one",
+      "Step two",
+      "Usage",
+      "Option, Meaning",
+      "rate, Speed",
+    ].join("\n\n")
+  );
+  expect(doc.chapters.map((c) => [c.title, c.level])).toEqual([
+    ["guide", 1],
+    ["Installing", 1],
+    ["Usage", 2],
+  ]);
+  expect(chapterText(doc)[2]).toBe("Usage\n\nOption, Meaning\n\nrate, Speed");
+});
+
+test("reads HTML headings as chapters and skips code and scripts", () => {
+  const doc = parseHtml(
+    `<html><head><title>Manual</title><style>p{}</style></head><body>
+      <nav>Home | Docs</nav>
+      <h1>Getting started</h1>
+      <p>Open the <b>app</b>.<br>Type text.</p>
+      <pre>const x = 1;</pre>
+      <h2>Voices</h2>
+      <ul><li>English</li><li>हिन्दी</li></ul>
+      <script>alert(1)</script>
+    </body></html>`
+  );
+
+  expect(doc.title).toBe("Manual");
+  expect(doc.text).toBe(
+    "Getting started\n\nOpen the app. Type text.\n\nVoices\n\nEnglish\n\nहिन्दी"
+  );
+  expect(doc.chapters.map((c) => c.title)).toEqual([
+    "Getting started",
+    "Voices",
+  ]);
+});
+
+test("reads subtitle text without timestamps", () => {
+  const srt = parseSubtitles(
+    "1\n00:00:01,000 --> 00:00:02,000\n<i>Hello</i> there.\n\n2\n00:00:02,500 --> 00:00:04,000\n- How are you?\n"
+  );
+  expect(srt.text).toBe("Hello there. How are you?");
+
+  const vtt = parseSubtitles(
+    "WEBVTT\n\nNOTE a comment\n\nintro\n00:01.000 --> 00:02.000 align:start\nनमस्ते\n\n00:02.000 --> 00:03.000\nनमस्ते\nदोस्तों।\n"
+  );
+  expect(vtt.text).toBe("नमस्ते दोस्तों।");
+});
+
+test("finds chapter lines in plain text", () => {
+  const doc = parsePlainText(
+    "CHAPTER I\n\nIt was a bright\ncold day.\n\nChapter II\n\nThe end.",
+    "book"
+  );
+  expect(chapterText(doc)).toEqual([
+    "CHAPTER I\n\nIt was a bright cold day.",
+    "Chapter II\n\nThe end.",
+  ]);
+});
+
+test("composes the selected chapters", () => {
+  const doc = parsePlainText(
+    "Preface.\n\nChapter 1\n\nOne.\n\nChapter 2\n\nTwo."
+  );
+  const composed = composeChapters(doc, [0, 2]);
+  expect(doc.chapters.map((c) => c.title)).toEqual([
+    "",
+    "Chapter 1",
+    "Chapter 2",
+  ]);
+
+  expect(composed.text).toBe("Preface.\n\nChapter 2\n\nTwo.");
+  expect(composed.chapters.map((c) => [c.index, c.start, c.end])).toEqual([
+    [0, 0, 8],
+    [2, 10, 25],
+  ]);
+  expect(composeChapters(doc, [0, 1, 2]).text).toBe(doc.text);
+});
+
+test("reads the EPUB reading order", () => {
+  const path = parseEpubContainer(
+    `<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`
+  );
+  expect(path).toBe("OEBPS/content.opf");
+
+  const book = parseEpubPackage(
+    `<?xml version="1.0"?>
+    <package xmlns="http://www.idpf.org/2007/opf" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <metadata><dc:title>My Book</dc:title></metadata>
+      <manifest>
+        <item id="cover" href="cover.xhtml"/>
+        <item id="c1" href="text/chapter%201.xhtml"/>
+        <item id="c2" href="../shared/c2.xhtml"/>
+      </manifest>
+      <spine>
+        <itemref idref="cover" linear="no"/>
+        <itemref idref="c1"/>
+        <itemref idref="c2"/>
+      </spine>
+    </package>`,
+    path
+  );
+  expect(book).toEqual({
+    title: "My Book",
+    spine: ["OEBPS/text/chapter 1.xhtml", "shared/c2.xhtml"],
+  });
+});
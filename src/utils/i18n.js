@@ -0,0 +1,93 @@
+// i18n.js
+// Interface strings come from per-language message catalogs (src/locales).
+// A message may hold {placeholders}; numbers passed for them are formatted
+// for the interface language. A message that depends on a count is an
+// object of plural forms ({ one, other }) picked with Intl.PluralRules.
+// Missing messages fall back to English, then to the key itself.
+
+import { baseLanguage } from "./languageDetection";
+import en from "../locales/en";
+import hi from "../locales/hi";
+
+export const UI_LANGUAGE_KEY = "tts-ui-language";
+export const DEFAULT_UI_LANGUAGE = "en";
+
+export const CATALOGS = { en, hi };
+
+export const UI_LANGUAGES = [
+  { id: "en", label: "English" },
+  { id: "hi", label: "हिन्दी" },
+];
+
+// "auto" follows the browser, "voice" the selected voice
+export const UI_LANGUAGE_MODES = ["auto", "voice", ...Object.keys(CATALOGS)];
+
+// The first of the browser's languages there is a catalog for
+export const pickUiLanguage = (languages) => {
+  const found = (languages || [])
+    .map(baseLanguage)
+    .find((language) => CATALOGS[language]);
+  return found || DEFAULT_UI_LANGUAGE;
+};
+
+export const resolveUiLanguage = (mode, browserLanguages, voiceLang) => {
+  if (CATALOGS[mode]) return mode;
+  if (mode === "voice" && CATALOGS[baseLanguage(voiceLang)]) {
+    return baseLanguage(voiceLang);
+  }
+  return pickUiLanguage(browserLanguages);
+};
+
+const interpolate = (message, params, formatNumber) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+
+// t(key, params) for a language, with t.number(value, options),
+// t.error(error) and t.language
+export const createTranslator = (language) => {
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_UI_LANGUAGE];
+  const plurals = new Intl.PluralRules(language);
+  const number = (value, options) =>
+    new Intl.NumberFormat(language, options).format(value);
+
+  const t = (key, params = {}) => {
+    let message = key in catalog ? catalog[key] : CATALOGS.en[key];
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      message = message[plurals.select(params.count)] || message.other;
+    }
+    return interpolate(message, params, number);
+  };
+  t.number = number;
+  // Errors from messageError have a message in the catalogs; others only
+  // have the browser's own text
+  t.error = (error) => (error.key ? t(error.key, error.params) : error.message);
+  t.language = language;
+  return t;
+};
+
+// An Error for the user to read: helpers throw it with a catalog key and
+// its params, and the UI shows t(error.key, error.params)
+export const messageError = (key, params = {}) =>
+  Object.assign(new Error(key), { key, params });
+
+export const loadUiLanguage = (storage = window.localStorage) => {
+  try {
+    const mode = storage.getItem(UI_LANGUAGE_KEY);
+    return UI_LANGUAGE_MODES.includes(mode) ? mode : "auto";
+  } catch (error) {
+    console.error("Could not read the interface language:", error);
+    return "auto";
+  }
+};
+
+export const saveUiLanguage = (mode, storage = window.localStorage) => {
+  try {
+    storage.setItem(UI_LANGUAGE_KEY, mode);
+  } catch (error) {
+    console.error("Could not save the interface language:", error);
+  }
+};
@@ -0,0 +1,82 @@
+import {
+  CATALOGS,
+  UI_LANGUAGE_KEY,
+  createTranslator,
+  loadUiLanguage,
+  messageError,
+  pickUiLanguage,
+  resolveUiLanguage,
+  saveUiLanguage,
+} from "./i18n";
+
+const placeholders = (message) =>
+  [
+    ...new Set(
+      (typeof message === "object"
+        ? Object.values(message).join(" ")
+        : message
+      ).match(/\{\w+\}/g)
+    ),
+  ].sort();
+
+test("fills in placeholders, plurals and numbers", () => {
+  const t = createTranslator("en");
+  expect(t("library.confirmDelete", { name: "Intro" })).toBe(
+    'Delete the clip "Intro"?'
+  );
+  expect(t("input.characters", { count: 1 })).toBe("1 character");
+  expect(t("input.characters", { count: 12345 })).toBe("12,345 characters");
+  expect(t.number(0.5, { style: "percent" })).toBe("50%");
+
+  // Hindi groups digits in lakhs
+  const hi = createTranslator("hi");
+  expect(hi("voices.total", { count: 123456 })).toBe("कुल आवाज़ें: 1,23,456");
+});
+
+test("shows errors from the catalogs when they have a key", () => {
+  const hi = createTranslator("hi");
+  expect(hi.error(messageError("zip.missing", { name: "a.xhtml" }))).toBe(
+    "आर्काइव में a.xhtml नहीं है"
+  );
+  expect(hi.error(new Error("Network down"))).toBe("Network down");
+});
+
+test("falls back to English, then to the key", () => {
+  const t = createTranslator("xx");
+  expect(t("status.ready")).toBe("Ready to generate audio");
+  expect(t("no.such.key")).toBe("no.such.key");
+});
+
+test("every catalog has the English keys and placeholders", () => {
+  Object.values(CATALOGS).forEach((catalog) => {
+    expect(Object.keys(catalog).sort()).toEqual(
+      Object.keys(CATALOGS.en).sort()
+    );
+    Object.keys(CATALOGS.en).forEach((key) => {
+      expect([key, placeholders(catalog[key])]).toEqual([
+        key,
+        placeholders(CATALOGS.en[key]),
+      ]);
+    });
+  });
+});
+
+test("picks the interface language from the browser or the voice", () => {
+  expect(pickUiLanguage(["hi-IN", "en-US"])).toBe("hi");
+  expect(pickUiLanguage(["fr-FR", "en-GB"])).toBe("en");
+  expect(pickUiLanguage(["fr-FR"])).toBe("en");
+
+  expect(resolveUiLanguage("hi", ["en-US"], "en-US")).toBe("hi");
+  expect(resolveUiLanguage("voice", ["en-US"], "hi-IN")).toBe("hi");
+  // A voice in a language without a catalog leaves it to the browser
+  expect(resolveUiLanguage("voice", ["hi"], "ja-JP")).toBe("hi");
+  expect(resolveUiLanguage("auto", ["hi"], "en-US")).toBe("hi");
+});
+
+test("keeps the interface language setting", () => {
+  expect(loadUiLanguage()).toBe("auto");
+  saveUiLanguage("hi");
+  expect(loadUiLanguage()).toBe("hi");
+  window.localStorage.setItem(UI_LANGUAGE_KEY, "klingon");
+  expect(loadUiLanguage()).toBe("auto");
+});
@@ -0,0 +1,221 @@
+// languageDetection.js
+// Splits text into runs of one writing system (Devanagari, Latin, Arabic,
+// CJK, Cyrillic, Hangul) and picks a voice for each run, so that a Hindi
+// voice doesn't have to read English sentences and the reverse. Digits,
+// spaces and punctuation belong to the run they follow; marks (Devanagari
+// vowel signs) to the letter they modify.
+//
+// A run keeps the voice it was given whenever that voice reads its script.
+// Otherwise the language is guessed from the script and the run goes to the
+// voice pinned for that language, or the best available one.
+
+export const LANGUAGE_SETTINGS_KEY = "tts-language-voices";
+
+const LATIN_LANGUAGES = (
+  "en es fr de it pt nl sv da nb no fi pl cs sk hu ro tr id ms vi ca hr sl " +
+  "et lv lt sq sw fil tl cy ga is af eu gl bs jv su"
+).split(" ");
+
+// The first language of a script is the one assumed for its runs
+export const SCRIPTS = [
+  {
+    id: "devanagari",
+    pattern: /\p{Script=Devanagari}/u,
+    languages: ["hi", "mr", "ne", "sa", "mai", "kok"],
+  },
+  {
+    id: "latin",
+    pattern: /\p{Script=Latin}/u,
+    languages: LATIN_LANGUAGES,
+  },
+  {
+    id: "arabic",
+    pattern: /\p{Script=Arabic}/u,
+    languages: ["ar", "ur", "fa", "ps", "sd"],
+  },
+  {
+    id: "cjk",
+    pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    languages: ["zh", "ja", "yue"],
+  },
+  {
+    id: "cyrillic",
+    pattern: /\p{Script=Cyrillic}/u,
+    languages: ["ru", "uk", "bg", "sr", "be", "kk", "mk", "ky", "mn", "tg"],
+  },
+  { id: "hangul", pattern: /\p{Script=Hangul}/u, languages: ["ko"] },
+];
+
+// Letters that tell languages of one script apart
+const LANGUAGE_HINTS = {
+  arabic: [
+    [/[ٹڈڑںھے]/u, "ur"],
+    [/[پچژگ]/u, "fa"],
+  ],
+  cjk: [[/[\p{Script=Hiragana}\p{Script=Katakana}]/u, "ja"]],
+  cyrillic: [[/[ЄІЇҐєіїґ]/u, "uk"]],
+};
+
+export const baseLanguage = (lang) =>
+  (lang || "").toLowerCase().split(/[-_]/)[0];
+
+export const regionOf = (lang) =>
+  (lang || "").toLowerCase().split(/[-_]/)[1] || "";
+
+// The name of a language in the interface language `locale`
+export const languageName = (code, locale = "en") => {
+  try {
+    return new Intl.DisplayNames([locale], { type: "language" }).of(code);
+  } catch (error) {
+    return code;
+  }
+};
+
+const scriptOfLetter = (char) => {
+  const script = SCRIPTS.find((s) => s.pattern.test(char));
+  return script ? script.id : "other";
+};
+
+// Split text into [{ script, start, end }] runs that cover all of it. Text
+// without letters is one run with a null script.
+export const splitScriptRuns = (text) => {
+  const runs = [];
+  let current = null;
+  let index = 0;
+
+  for (const char of text) {
+    if (/\p{L}/u.test(char)) {
+      const script = scriptOfLetter(char);
+      if (current && current.script === null) {
+        // Leading digits and punctuation join the first run
+        current.script = script;
+      } else if (!current || current.script !== script) {
+        if (current) current.end = index;
+        current = { script, start: index, end: text.length };
+        runs.push(current);
+      }
+    } else if (!current) {
+      current = { script: null, start: 0, end: text.length };
+      runs.push(current);
+    }
+    index += char.length;
+  }
+
+  return runs;
+};
+
+// Language of a run: the voice's own if it reads the script, otherwise the
+// one the script suggests. Null for text without a known script.
+export const runLanguage = (script, text, voice) => {
+  const definition = SCRIPTS.find((s) => s.id === script);
+  if (!definition) return null;
+
+  const voiceLanguage = voice ? baseLanguage(voice.lang) : "";
+  if (definition.languages.includes(voiceLanguage)) return voiceLanguage;
+
+  const hint = (LANGUAGE_HINTS[script] || []).find(([pattern]) =>
+    pattern.test(text)
+  );
+  return hint ? hint[1] : definition.languages[0];
+};
+
+// The voice for a language, preferring the region of the voice it stands in
+// for (en-IN next to a hi-IN voice) and then the browser's default voice
+export const bestVoice = (voices, language, region = "") => {
+  const score = (voice) =>
+    (region && regionOf(voice.lang) === region ? 2 : 0) +
+    (voice.default ? 1 : 0);
+
+  return voices
+    .filter((voice) => baseLanguage(voice.lang) === language)
+    .reduce(
+      (best, voice) => (!best || score(voice) > score(best) ? voice : best),
+      null
+    );
+};
+
+// Split text read by `voice` into [{ start, end, voice, language, routed }]
+// runs, merging neighbours that end up with the same voice. `pins` maps a
+// language to the name of its preferred voice. Problems are added to
+// `warnings` as { key, params } messages; `params.language` is a code.
+export const routeLanguages = (text, voice, voices, pins = {}, warnings) => {
+  const runs = [];
+  const warn = (key, params) => {
+    const same = (w) =>
+      w.key === key && JSON.stringify(w.params) === JSON.stringify(params);
+    if (warnings && !warnings.some(same)) warnings.push({ key, params });
+  };
+
+  splitScriptRuns(text).forEach((run) => {
+    const language = runLanguage(
+      run.script,
+      text.slice(run.start, run.end),
+      voice
+    );
+    let runVoice = voice;
+
+    if (language && !(voice && baseLanguage(voice.lang) === language)) {
+      const pinned = pins[language]
+        ? voices.find((v) => v.name === pins[language])
+        : null;
+      if (pins[language] && !pinned) {
+        warn("warning.pinnedVoiceMissing", {
+          voice: pins[language],
+          language,
+        });
+      }
+      runVoice =
+        pinned ||
+        bestVoice(voices, language, voice ? regionOf(voice.lang) : "") ||
+        voice;
+      if (runVoice === voice && voices.length) {
+        warn("warning.languageVoiceMissing", { language });
+      }
+    }
+
+    const last = runs[runs.length - 1];
+    if (last && last.voice === runVoice) {
+      last.end = run.end;
+    } else {
+      runs.push({
+        start: run.start,
+        end: run.end,
+        voice: runVoice,
+        language: language || (voice ? baseLanguage(voice.lang) : ""),
+        routed: runVoice !== voice,
+      });
+    }
+  });
+
+  return runs;
+};
+
+// Whether detection is on and the pinned voices, kept in localStorage
+export const loadLanguageSettings = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(LANGUAGE_SETTINGS_KEY) || "{}");
+    const pins = data && typeof data.pins === "object" ? data.pins : {};
+    return {
+      auto: data.auto !== false,
+      pins: Object.fromEntries(
+        Object.entries(pins || {}).filter(
+          ([language, name]) => language && typeof name === "string" && name
+        )
+      ),
+    };
+  } catch (error) {
+    console.error("Could not read the language voice settings:", error);
+    return { auto: true, pins: {} };
+  }
+};
+
+export const saveLanguageSettings = (
+  settings,
+  storage = window.localStorage
+) => {
+  try {
+    storage.setItem(LANGUAGE_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Could not save the language voice settings:", error);
+  }
+};
@@ -0,0 +1,137 @@
+import {
+  bestVoice,
+  loadLanguageSettings,
+  routeLanguages,
+  runLanguage,
+  saveLanguageSettings,
+  splitScriptRuns,
+} from "./languageDetection";
+import { buildPlaybackPlan } from "./playbackPlan";
+
+const voices = [
+  { name: "Samantha", lang: "en-US", default: true },
+  { name: "Rishi", lang: "en-IN" },
+  { name: "Lekha", lang: "hi-IN" },
+  { name: "Kyoko", lang: "ja-JP" },
+  { name: "Milena", lang: "ru-RU" },
+];
+const [samantha, rishi, lekha, kyoko] = voices;
+
+const runTexts = (text) =>
+  splitScriptRuns(text).map((run) => [
+    run.script,
+    text.slice(run.start, run.end),
+  ]);
+
+test("splits text into runs of one script", () => {
+  expect(runTexts("2025 में Hello, दुनिया!")).toEqual([
+    ["devanagari", "2025 में "],
+    ["latin", "Hello, "],
+    ["devanagari", "दुनिया!"],
+  ]);
+  expect(runTexts("東京へ 서울 Москва مرحبا")).toEqual([
+    ["cjk", "東京へ "],
+    ["hangul", "서울 "],
+    ["cyrillic", "Москва "],
+    ["arabic", "مرحبا"],
+  ]);
+  expect(runTexts("12:30 - 4")).toEqual([[null, "12:30 - 4"]]);
+});
+
+test("guesses the language of a run", () => {
+  expect(runLanguage("latin", "Hola", lekha)).toBe("en");
+  expect(runLanguage("latin", "Hola", { lang: "es-ES" })).toBe("es");
+  expect(runLanguage("cjk", "東京", lekha)).toBe("zh");
+  expect(runLanguage("cjk", "東京へ", lekha)).toBe("ja");
+  expect(runLanguage("arabic", "پاکستان میں", lekha)).toBe("ur");
+  expect(runLanguage("arabic", "مرحبا", lekha)).toBe("ar");
+  expect(runLanguage("cyrillic", "Київ", lekha)).toBe("uk");
+  expect(runLanguage("other", "வணக்கம்", lekha)).toBe(null);
+});
+
+test("prefers the region of the voice being replaced", () => {
+  expect(bestVoice(voices, "en", "in")).toBe(rishi);
+  expect(bestVoice(voices, "en")).toBe(samantha);
+  expect(bestVoice(voices, "ko")).toBe(null);
+});
+
+test("routes runs to voices and honours pinned voices", () => {
+  const text = "नमस्ते, Good morning! 안녕";
+  const warnings = [];
+  const runs = routeLanguages(text, lekha, voices, {}, warnings);
+  expect(
+    runs.map((run) => [text.slice(run.start, run.end), run.voice.name])
+  ).toEqual([
+    ["नमस्ते, ", "Lekha"],
+    ["Good morning! ", "Rishi"],
+    ["안녕", "Lekha"],
+  ]);
+  expect(runs[1].routed).toBe(true);
+  expect(warnings).toEqual([
+    { key: "warning.languageVoiceMissing", params: { language: "ko" } },
+  ]);
+
+  const pinned = routeLanguages(text, lekha, voices, { en: "Samantha" }, []);
+  expect(pinned[1].voice).toBe(samantha);
+
+  const missing = [];
+  routeLanguages(text, lekha, voices, { en: "Daniel" }, missing);
+  expect(missing[0]).toEqual({
+    key: "warning.pinnedVoiceMissing",
+    params: { voice: "Daniel", language: "en" },
+  });
+});
+
+test("keeps the voice for text in its own script", () => {
+  const runs = routeLanguages("今日は Tokyo です", kyoko, voices);
+  expect(runs.map((run) => run.voice)).toEqual([kyoko, samantha, kyoko]);
+  expect(routeLanguages("Hello there 42", samantha, voices)).toEqual([
+    { start: 0, end: 14, voice: samantha, language: "en", routed: false },
+  ]);
+});
+
+test("splits mixed sentences of a plan by language", () => {
+  const plan = buildPlaybackPlan(
+    "मेरा नाम Ravi है। Thank you.",
+    "text",
+    { voice: lekha, rate: 1, pitch: 1, volume: 1, autoLanguage: true },
+    voices
+  );
+
+  expect(
+    plan.items.map((item) => [item.text, item.offset, item.voice.name])
+  ).toEqual([
+    ["मेरा नाम", 0, "Lekha"],
+    ["Ravi", 9, "Rishi"],
+    ["है।", 14, "Lekha"],
+    ["Thank you.", 18, "Rishi"],
+  ]);
+  expect(plan.chunks.map((chunk) => [chunk.start, chunk.language])).toEqual([
+    [0, undefined],
+    [9, "en"],
+    [14, undefined],
+    [18, "en"],
+  ]);
+  expect(plan.parts.map((part) => [part.text, part.lang])).toEqual([
+    ["मेरा नाम", "hi-IN"],
+    ["Ravi", "en-IN"],
+    ["है।", "hi-IN"],
+    ["Thank you.", "en-IN"],
+  ]);
+  expect(plan.languages).toEqual(["en"]);
+});
+
+test("persists whether detection is on and the pinned voices", () => {
+  const storage = new Map();
+  const store = {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, value),
+  };
+
+  expect(loadLanguageSettings(store)).toEqual({ auto: true, pins: {} });
+  saveLanguageSettings({ auto: false, pins: { hi: "Lekha", en: "" } }, store);
+  expect(loadLanguageSettings(store)).toEqual({
+    auto: false,
+    pins: { hi: "Lekha" },
+  });
+});
@@ -0,0 +1,249 @@
+// lexicon.js
+// User pronunciation lexicon. Each entry replaces a word, an acronym or a
+// regular expression with its spoken form, optionally only for voices of
+// one language ("en" matches every English voice, "en-IN" only Indian
+// English). Entries are applied in order to the text of every utterance and
+// synthesizer part before playback. The lexicon is kept in localStorage and
+// can be shared as JSON or as a W3C Pronunciation Lexicon (PLS) file.
+
+import { messageError } from "./i18n";
+
+export const LEXICON_STORAGE_KEY = "tts-lexicon";
+export const LEXICON_FILE_TYPE = "tts-lexicon";
+export const LEXICON_FILE_VERSION = 1;
+const PLS_NAMESPACE = "http://www.w3.org/2005/01/pronunciation-lexicon";
+
+// Labels are the "lexicon.type.<id>" messages of the catalogs
+export const LEXICON_TYPES = [
+  { id: "word" },
+  { id: "acronym" },
+  { id: "regex" },
+];
+
+const newId = () =>
+  `lexeme-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Validate an entry read from storage or a file. Returns null if unusable.
+const readEntry = (data) => {
+  if (!data || typeof data !== "object") return null;
+  if (typeof data.pattern !== "string") return null;
+
+  return {
+    id: typeof data.id === "string" && data.id ? data.id : newId(),
+    type: LEXICON_TYPES.some((t) => t.id === data.type) ? data.type : "word",
+    pattern: data.pattern,
+    replacement: typeof data.replacement === "string" ? data.replacement : "",
+    language: typeof data.language === "string" ? data.language : "",
+  };
+};
+
+export const createEntry = (fields = {}) =>
+  readEntry({ type: "word", pattern: "", ...fields, id: undefined });
+
+export const loadLexicon = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(LEXICON_STORAGE_KEY) || "[]");
+    return Array.isArray(data) ? data.map(readEntry).filter(Boolean) : [];
+  } catch (error) {
+    console.error("Could not read the pronunciation lexicon:", error);
+    return [];
+  }
+};
+
+export const saveLexicon = (entries, storage = window.localStorage) => {
+  try {
+    storage.setItem(LEXICON_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error("Could not save the pronunciation lexicon:", error);
+  }
+};
+
+// "API" -> "A P I"
+export const spellOut = (acronym) =>
+  Array.from(acronym.replace(/[.\s]/g, "")).join(" ");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Letters, marks (Devanagari vowel signs) and digits continue a word
+const WORD_START = "(?<![\\p{L}\\p{M}\\p{N}_])";
+const WORD_END = "(?![\\p{L}\\p{M}\\p{N}_])";
+
+const entryRegExp = (entry) => {
+  const pattern = entry.pattern.trim();
+  if (entry.type === "regex") return new RegExp(entry.pattern, "gu");
+  const flags = entry.type === "acronym" ? "gu" : "giu";
+  return new RegExp(`${WORD_START}${escapeRegExp(pattern)}${WORD_END}`, flags);
+};
+
+// Problem with an entry as a { key, params } message, or null if it can be
+// applied
+export const validateEntry = (entry) => {
+  if (!entry.pattern.trim()) return { key: "lexicon.noPattern", params: {} };
+  if (entry.type !== "acronym" && !entry.replacement.trim()) {
+    return { key: "lexicon.noReplacement", params: {} };
+  }
+  try {
+    if (entryRegExp(entry).test("")) {
+      return { key: "lexicon.matchesEmpty", params: {} };
+    }
+  } catch (error) {
+    return { key: "lexicon.badRegex", params: { message: error.message } };
+  }
+  return null;
+};
+
+// Prepare the valid entries for applyLexicon
+export const compileLexicon = (entries) =>
+  entries
+    .filter((entry) => !validateEntry(entry))
+    .map((entry) => ({
+      language: entry.language.toLowerCase(),
+      regex: entryRegExp(entry),
+      // Regex replacements may use $1 groups; other replacements are literal
+      replace:
+        entry.type === "regex"
+          ? entry.replacement
+          : () => entry.replacement.trim() || spellOut(entry.pattern.trim()),
+    }));
+
+const appliesTo = (language, lang) => {
+  if (!language) return true;
+  const normalized = (lang || "").toLowerCase().replace("_", "-");
+  return normalized === language || normalized.startsWith(`${language}-`);
+};
+
+// Apply the compiled entries for a voice language to text
+export const applyLexicon = (text, lang, compiled) =>
+  compiled.reduce(
+    (result, entry) =>
+      appliesTo(entry.language, lang)
+        ? result.replace(entry.regex, entry.replace)
+        : result,
+    text
+  );
+
+// Replace entries with the same type, pattern and language; add the rest
+export const mergeLexicon = (existing, imported) => {
+  const key = (entry) =>
+    `${entry.type}\u0000${entry.pattern}\u0000${entry.language.toLowerCase()}`;
+  const importedKeys = new Set(imported.map(key));
+  return [
+    ...existing.filter((entry) => !importedKeys.has(key(entry))),
+    ...imported,
+  ];
+};
+
+export const exportLexiconJson = (entries) =>
+  JSON.stringify(
+    {
+      type: LEXICON_FILE_TYPE,
+      version: LEXICON_FILE_VERSION,
+      entries: entries.map(({ id, ...entry }) => entry),
+    },
+    null,
+    2
+  );
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// PLS files hold one language each and have no regular expressions, so
+// entries are grouped by language and regex entries are left out. Returns
+// [{ language, contents }] ("und" for entries of every language).
+export const exportLexiconPls = (entries) => {
+  const groups = new Map();
+  entries
+    .filter((entry) => entry.type !== "regex" && entry.pattern.trim())
+    .forEach((entry) => {
+      const language = entry.language || "und";
+      if (!groups.has(language)) groups.set(language, []);
+      groups.get(language).push(entry);
+    });
+
+  return Array.from(groups, ([language, group]) => ({
+    language,
+    contents: [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<lexicon version="1.0" xmlns="${PLS_NAMESPACE}" alphabet="ipa" xml:lang="${escapeXml(
+        language
+      )}">`,
+      ...group.map((entry) => {
+        const alias =
+          entry.replacement.trim() || spellOut(entry.pattern.trim());
+        return `  <lexeme><grapheme>${escapeXml(
+          entry.pattern.trim()
+        )}</grapheme><alias>${escapeXml(alias)}</alias></lexeme>`;
+      }),
+      "</lexicon>",
+      "",
+    ].join("\n"),
+  }));
+};
+
+const importPls = (contents) => {
+  const doc = new DOMParser().parseFromString(contents, "application/xml");
+  const root = doc.documentElement;
+  if (
+    !root ||
+    root.localName !== "lexicon" ||
+    doc.querySelector("parsererror")
+  ) {
+    throw messageError("lexicon.notPls");
+  }
+
+  const lang = root.getAttribute("xml:lang") || "";
+  const language = lang === "und" ? "" : lang;
+  const entries = [];
+  Array.from(root.getElementsByTagNameNS("*", "lexeme")).forEach((lexeme) => {
+    // Web Speech voices can't read phonemes, so only aliases are imported
+    const alias = lexeme.getElementsByTagNameNS("*", "alias")[0];
+    if (!alias || !alias.textContent.trim()) return;
+    Array.from(lexeme.getElementsByTagNameNS("*", "grapheme")).forEach(
+      (grapheme) => {
+        const pattern = grapheme.textContent.trim();
+        if (!pattern) return;
+        entries.push(
+          createEntry({
+            type: /^[A-Z0-9]{2,8}$/.test(pattern) ? "acronym" : "word",
+            pattern,
+            replacement: alias.textContent.trim(),
+            language,
+          })
+        );
+      }
+    );
+  });
+  return entries;
+};
+
+// Read entries from an exported JSON file or a PLS file. Throws a
+// messageError for anything else.
+export const importLexicon = (contents) => {
+  let entries;
+  if (contents.trimStart().startsWith("<")) {
+    entries = importPls(contents);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(contents);
+    } catch (error) {
+      throw messageError("lexicon.unknownFile");
+    }
+    const list = Array.isArray(data) ? data : data && data.entries;
+    if (
+      !Array.isArray(list) ||
+      (!Array.isArray(data) && data.type !== LEXICON_FILE_TYPE)
+    ) {
+      throw messageError("lexicon.notLexicon");
+    }
+    entries = list.map((entry) => readEntry({ ...entry, id: undefined }));
+  }
+
+  entries = entries.filter(Boolean);
+  if (!entries.length) throw messageError("lexicon.noEntries");
+  return entries;
+};
@@ -0,0 +1,109 @@
+import {
+  applyLexicon,
+  compileLexicon,
+  createEntry,
+  exportLexiconJson,
+  exportLexiconPls,
+  importLexicon,
+  mergeLexicon,
+  validateEntry,
+} from "./lexicon";
+import { buildPlaybackPlan } from "./playbackPlan";
+
+const entries = [
+  createEntry({ type: "acronym", pattern: "API" }),
+  createEntry({ type: "word", pattern: "GitHub", replacement: "Git Hub" }),
+  createEntry({
+    type: "word",
+    pattern: "ऐप",
+    replacement: "एप्लिकेशन",
+    language: "hi",
+  }),
+  createEntry({ type: "regex", pattern: "v(\\d+)", replacement: "version $1" }),
+];
+const compiled = compileLexicon(entries);
+
+test("applies words, acronyms and regular expressions", () => {
+  expect(
+    applyLexicon("The github API (not the api) ships v2.", "en-US", compiled)
+  ).toBe("The Git Hub A P I (not the api) ships version 2.");
+  expect(applyLexicon("APIs", "en-US", compiled)).toBe("APIs");
+});
+
+test("scopes entries by language with Devanagari word boundaries", () => {
+  expect(applyLexicon("यह ऐप अच्छा है, ऐपल नहीं", "hi-IN", compiled)).toBe(
+    "यह एप्लिकेशन अच्छा है, ऐपल नहीं"
+  );
+  expect(applyLexicon("यह ऐप", "en-IN", compiled)).toBe("यह ऐप");
+});
+
+test("validates entries", () => {
+  expect(validateEntry(createEntry({ type: "word", pattern: "x" }))).toEqual({
+    key: "lexicon.noReplacement",
+    params: {},
+  });
+  expect(
+    validateEntry(
+      createEntry({ type: "regex", pattern: "(", replacement: "x" })
+    )
+  ).toMatchObject({ key: "lexicon.badRegex" });
+  expect(
+    validateEntry(
+      createEntry({ type: "regex", pattern: "a*", replacement: "x" })
+    )
+  ).toEqual({ key: "lexicon.matchesEmpty", params: {} });
+  expect(compileLexicon([createEntry({ pattern: "" })])).toEqual([]);
+});
+
+test("applies the lexicon to spoken items and synthesizer parts", () => {
+  const voice = { name: "Samantha", lang: "en-US" };
+  const plan = buildPlaybackPlan(
+    "Call the API. Then stop.",
+    "text",
+    { voice, rate: 1, pitch: 1, volume: 1, lexicon: compiled },
+    [voice]
+  );
+
+  expect(plan.chunks[0].text).toBe("Call the API.");
+  expect(plan.items.map((item) => [item.text, item.offset])).toEqual([
+    ["Call the A P I.", null],
+    ["Then stop.", 14],
+  ]);
+  expect(plan.parts[0].text).toBe("Call the A P I. Then stop.");
+});
+
+test("round-trips JSON and merges by pattern", () => {
+  const imported = importLexicon(exportLexiconJson(entries));
+  expect(imported.map(({ id, ...entry }) => entry)).toEqual(
+    entries.map(({ id, ...entry }) => entry)
+  );
+
+  const updated = createEntry({
+    type: "word",
+    pattern: "GitHub",
+    replacement: "Git-Hub",
+  });
+  const merged = mergeLexicon(entries, [updated]);
+  expect(merged).toHaveLength(4);
+  expect(merged[3]).toBe(updated);
+
+  expect(() => importLexicon('{"entries": []}')).toThrow("lexicon.notLexicon");
+});
+
+test("exports PLS per language and imports aliases", () => {
+  const files = exportLexiconPls(entries);
+  expect(files.map((file) => file.language)).toEqual(["und", "hi"]);
+  expect(files[0].contents).toContain(
+    "<lexeme><grapheme>API</grapheme><alias>A P I</alias></lexeme>"
+  );
+
+  const imported = importLexicon(files[1].contents);
+  expect(imported.map(({ id, ...entry }) => entry)).toEqual([
+    { type: "word", pattern: "ऐप", replacement: "एप्लिकेशन", language: "hi" },
+  ]);
+  expect(importLexicon(files[0].contents)[0]).toMatchObject({
+    type: "acronym",
+    pattern: "API",
+    language: "",
+  });
+});
@@ -0,0 +1,157 @@
+// ogg.js
+// Minimal Ogg muxer for Opus packets (RFC 7845): an OpusHead page, an
+// OpusTags page with the metadata, then the audio packets packed into pages
+// of up to 255 lacing segments.
+
+import { concat, createVorbisComment } from "./tags";
+
+// Granule positions of Opus streams always count 48 kHz samples
+export const OPUS_SAMPLE_RATE = 48000;
+// Encoder lookahead of libopus at 48 kHz, used when the encoder reports none
+export const DEFAULT_PRE_SKIP = 312;
+
+const FLAG_BOS = 2;
+const FLAG_EOS = 4;
+const MAX_SEGMENTS = 255;
+
+let crcTable = null;
+
+// Ogg uses CRC-32 with polynomial 0x04c11db7, no reflection and no final xor
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1;
+      }
+      crcTable[i] = r >>> 0;
+    }
+  }
+
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+};
+
+const lacing = (packet) => {
+  const segments = new Array(Math.floor(packet.length / 255)).fill(255);
+  segments.push(packet.length % 255);
+  return segments;
+};
+
+const createPage = ({ packets, granule, serial, sequence, flags }) => {
+  const segments = packets.flatMap(lacing);
+  const body = concat(packets);
+  const page = new Uint8Array(27 + segments.length + body.length);
+  const view = new DataView(page.buffer);
+
+  page.set([0x4f, 0x67, 0x67, 0x53]); // OggS
+  view.setUint8(4, 0);
+  view.setUint8(5, flags);
+  view.setUint32(6, granule % 0x100000000, true);
+  view.setUint32(10, Math.floor(granule / 0x100000000), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  view.setUint32(22, 0, true);
+  view.setUint8(26, segments.length);
+  page.set(segments, 27);
+  page.set(body, 27 + segments.length);
+  view.setUint32(22, crc32(page), true);
+
+  return page;
+};
+
+const createOpusHead = ({ channels, preSkip, inputSampleRate }) => {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set([0x4f, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // OpusHead
+  view.setUint8(8, 1);
+  view.setUint8(9, channels);
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, inputSampleRate, true);
+  view.setInt16(16, 0, true);
+  view.setUint8(18, 0);
+  return head;
+};
+
+// Read the pre-skip from an OpusHead, e.g. the decoder description that
+// WebCodecs reports for its Opus encoder
+export const readPreSkip = (opusHead) => {
+  if (!opusHead || opusHead.length < 19) return DEFAULT_PRE_SKIP;
+  return new DataView(
+    opusHead.buffer,
+    opusHead.byteOffset,
+    opusHead.byteLength
+  ).getUint16(10, true);
+};
+
+// Mux encoded Opus packets into an Ogg file. Packets are { data, samples }
+// with samples counted at 48 kHz; length is the number of 48 kHz samples of
+// the source, so padding added by the encoder is trimmed on playback.
+export const createOggOpus = (
+  packets,
+  {
+    channels,
+    inputSampleRate,
+    length,
+    preSkip = DEFAULT_PRE_SKIP,
+    tags = {},
+    serial = Math.floor(Math.random() * 0xffffffff),
+  }
+) => {
+  const pages = [];
+  let sequence = 0;
+  const addPage = (pagePackets, granule, flags = 0) => {
+    pages.push(
+      createPage({
+        packets: pagePackets,
+        granule,
+        serial,
+        sequence: sequence++,
+        flags,
+      })
+    );
+  };
+
+  addPage(
+    [createOpusHead({ channels, preSkip, inputSampleRate })],
+    0,
+    FLAG_BOS
+  );
+  addPage(
+    [
+      concat([
+        Uint8Array.of(0x4f, 0x70, 0x75, 0x73, 0x54, 0x61, 0x67, 0x73), // OpusTags
+        createVorbisComment(tags),
+      ]),
+    ],
+    0
+  );
+
+  const end = preSkip + length;
+  let granule = 0;
+  let current = [];
+  let segmentCount = 0;
+
+  packets.forEach((packet, index) => {
+    const needed = lacing(packet.data).length;
+    if (current.length && segmentCount + needed > MAX_SEGMENTS) {
+      addPage(current, Math.min(granule, end));
+      current = [];
+      segmentCount = 0;
+    }
+
+    current.push(packet.data);
+    segmentCount += needed;
+    granule += packet.samples;
+
+    if (index === packets.length - 1) {
+      addPage(current, Math.min(granule, end), FLAG_EOS);
+    }
+  });
+
+  return concat(pages);
+};
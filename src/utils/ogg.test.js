@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+import { createOggOpus, readPreSkip } from "./ogg";
+
+// Split an Ogg stream into pages
+const readPages = (bytes) => {
+  const view = new DataView(bytes.buffer);
+  const pages = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const count = bytes[offset + 26];
+    const segments = [...bytes.subarray(offset + 27, offset + 27 + count)];
+    const bodyLength = segments.reduce((total, size) => total + size, 0);
+    pages.push({
+      capture: String.fromCharCode(...bytes.subarray(offset, offset + 4)),
+      flags: bytes[offset + 5],
+      granule: view.getUint32(offset + 6, true),
+      sequence: view.getUint32(offset + 18, true),
+      segments,
+      body: bytes.subarray(
+        offset + 27 + count,
+        offset + 27 + count + bodyLength
+      ),
+    });
+    offset += 27 + count + bodyLength;
+  }
+
+  return pages;
+};
+
+const packets = (count, size) =>
+  Array.from({ length: count }, () => ({
+    data: new Uint8Array(size).fill(7),
+    samples: 960,
+  }));
+
+test("writes OpusHead and OpusTags pages", () => {
+  const ogg = createOggOpus(packets(3, 40), {
+    channels: 2,
+    inputSampleRate: 22050,
+    length: 2000,
+    tags: { title: "Hello" },
+    serial: 1,
+  });
+  const pages = readPages(ogg);
+  const head = new DataView(pages[0].body.buffer, pages[0].body.byteOffset);
+
+  expect(pages.map((page) => page.capture)).toEqual(["OggS", "OggS", "OggS"]);
+  expect(pages[0].flags).toBe(2);
+  expect(String.fromCharCode(...pages[0].body.subarray(0, 8))).toBe("OpusHead");
+  expect(head.getUint8(9)).toBe(2);
+  expect(head.getUint16(10, true)).toBe(312);
+  expect(head.getUint32(12, true)).toBe(22050);
+  expect(readPreSkip(pages[0].body)).toBe(312);
+  expect(String.fromCharCode(...pages[1].body.subarray(0, 8))).toBe("OpusTags");
+  expect(new TextDecoder().decode(pages[1].body)).toContain("TITLE=Hello");
+});
+
+test("packs packets into pages and trims the last granule", () => {
+  const ogg = createOggOpus(packets(300, 300), {
+    channels: 1,
+    inputSampleRate: 48000,
+    length: 250000,
+    serial: 1,
+  });
+  const audio = readPages(ogg).slice(2);
+
+  expect(audio.map((page) => page.sequence)).toEqual([2, 3, 4]);
+  // A 300 byte packet takes two lacing values: 255 + 45
+  expect(audio[0].segments).toHaveLength(254);
+  expect(audio[0].segments.slice(0, 2)).toEqual([255, 45]);
+  expect(audio[0].granule).toBe(127 * 960);
+  expect(audio[2].flags).toBe(4);
+  expect(audio[2].granule).toBe(312 + 250000);
+});
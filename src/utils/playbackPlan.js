@@ -0,0 +1,344 @@
+// playbackPlan.js
+// Turns the text input into everything needed to play and render it:
+//   chunks - what the sentence list and read-along view show, with offsets
+//            into the input (offset is null when the spoken text does not
+//            map 1:1 onto the input, e.g. for SSML)
+//   items  - playback queue items ({ text, voice, rate, pitch, volume } or
+//            { silence })
+//   parts  - input for rendering the audio file, with the voice they stand
+//            for and its language
+//   errors / warnings - problems to show next to the input; warnings are
+//            { key, params } messages for the interface catalogs
+//   languages - languages that automatic voice routing switched to
+//
+// In script mode, chunks and items also carry the speaker of their line.
+// With settings.autoLanguage, text in another script than its voice reads
+// is split off and read by a voice for its language (settings.languageVoices
+// pins one per language); such chunks carry that language. The spoken text
+// of items and parts then goes through the compiled pronunciation lexicon
+// (settings.lexicon) and text normalization (settings.normalize) for the
+// language of its voice.
+
+import { segmentText } from "./segmenter";
+import { parseSsml } from "./ssml";
+import { parseScript } from "./script";
+import { applyLexicon } from "./lexicon";
+import { normalizeText } from "./textNormalization";
+import { routeLanguages } from "./languageDetection";
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Find a voice by (partial) name, or by language tag
+export const findVoice = (voices, { name, lang } = {}) => {
+  if (name) {
+    const lower = name.toLowerCase();
+    return (
+      voices.find((voice) => voice.name === name) ||
+      voices.find((voice) => voice.name.toLowerCase().includes(lower)) ||
+      null
+    );
+  }
+
+  if (lang) {
+    const lower = lang.toLowerCase();
+    const base = lower.split(/[-_]/)[0];
+    return (
+      voices.find((voice) => voice.lang.toLowerCase() === lower) ||
+      voices.find((voice) => voice.lang.toLowerCase().startsWith(base)) ||
+      null
+    );
+  }
+
+  return null;
+};
+
+const planText = (text, settings) => {
+  const chunks = segmentText(text).map((chunk) => ({
+    ...chunk,
+    offset: chunk.start,
+  }));
+
+  return {
+    chunks,
+    items: chunks.map((chunk) => ({
+      text: chunk.text,
+      offset: chunk.offset,
+      voice: settings.voice,
+      rate: settings.rate,
+      pitch: settings.pitch,
+      volume: settings.volume,
+    })),
+    parts: [
+      {
+        text,
+        voice: settings.voice,
+        lang: settings.voice ? settings.voice.lang : "",
+        rate: settings.rate,
+        pitch: settings.pitch,
+        volume: settings.volume,
+      },
+    ],
+    errors: [],
+    warnings: [],
+  };
+};
+
+// Add a { key, params } warning unless the plan already has it
+const addWarning = (warnings, key, params) => {
+  const same = (w) =>
+    w.key === key && JSON.stringify(w.params) === JSON.stringify(params);
+  if (!warnings.some(same)) warnings.push({ key, params });
+};
+
+const planSsml = (source, settings, voices) => {
+  const { segments, errors } = parseSsml(source);
+  const plan = { chunks: [], items: [], parts: [], errors, warnings: [] };
+
+  segments.forEach((segment) => {
+    if (segment.break !== undefined) {
+      plan.chunks.push({
+        text: `⏸ ${segment.break} ms pause`,
+        start: segment.start,
+        end: segment.end,
+        offset: null,
+      });
+      plan.items.push({ silence: segment.break });
+      plan.parts.push({ silence: segment.break });
+      return;
+    }
+
+    let voice = settings.voice;
+    if (segment.voiceName || segment.lang) {
+      const found = findVoice(voices, {
+        name: segment.voiceName,
+        lang: segment.lang,
+      });
+      if (found) {
+        voice = found;
+      } else {
+        addWarning(plan.warnings, "warning.voiceMissing", {
+          voice: segment.voiceName || segment.lang,
+        });
+      }
+    }
+
+    const rate = clamp(settings.rate * segment.rate, 0.1, 10);
+    const pitch = clamp(settings.pitch * segment.pitch, 0, 2);
+    const volume = clamp(settings.volume * segment.volume, 0, 1);
+
+    segmentText(segment.text).forEach((sentence) => {
+      plan.chunks.push({
+        text: sentence.text,
+        start: segment.start,
+        end: segment.end,
+        offset: null,
+      });
+      plan.items.push({
+        text: sentence.text,
+        offset: null,
+        voice,
+        rate,
+        pitch,
+        volume,
+      });
+    });
+    plan.parts.push({
+      text: segment.text,
+      voice,
+      lang: voice ? voice.lang : "",
+      rate,
+      pitch,
+      volume,
+    });
+  });
+
+  return plan;
+};
+
+// Resolve the voice and sliders of a script speaker. Speakers without a
+// mapping use the selected voice and the global settings.
+const speakerSettings = (speaker, settings, voices, warnings) => {
+  const mapped = (speaker && settings.speakers?.[speaker]) || {};
+  let voice = settings.voice;
+
+  if (mapped.voiceName) {
+    const found = voices.find((v) => v.name === mapped.voiceName);
+    if (found) {
+      voice = found;
+    } else {
+      addWarning(warnings, "warning.speakerVoiceMissing", {
+        voice: mapped.voiceName,
+        speaker,
+      });
+    }
+  }
+
+  return {
+    voice,
+    rate: mapped.rate ?? settings.rate,
+    pitch: mapped.pitch ?? settings.pitch,
+    volume: mapped.volume ?? settings.volume,
+  };
+};
+
+const planScript = (text, settings, voices) => {
+  const { lines, speakers } = parseScript(text);
+  const plan = { chunks: [], items: [], parts: [], errors: [], warnings: [] };
+
+  if (lines.length && !speakers.length) {
+    addWarning(plan.warnings, "warning.noSpeakers", {});
+  }
+
+  lines.forEach((line) => {
+    const { voice, rate, pitch, volume } = speakerSettings(
+      line.speaker,
+      settings,
+      voices,
+      plan.warnings
+    );
+
+    segmentText(line.text).forEach((sentence) => {
+      const offset = line.start + sentence.start;
+      plan.chunks.push({
+        text: sentence.text,
+        start: offset,
+        end: line.start + sentence.end,
+        offset,
+        speaker: line.speaker,
+        rate,
+      });
+      plan.items.push({
+        text: sentence.text,
+        offset,
+        speaker: line.speaker,
+        voice,
+        rate,
+        pitch,
+        volume,
+      });
+    });
+    plan.parts.push({
+      text: line.text,
+      offset: line.start,
+      voice,
+      lang: voice ? voice.lang : "",
+      rate,
+      pitch,
+      volume,
+    });
+  });
+
+  return plan;
+};
+
+// Split chunks, items and parts into runs of one language. A chunk that
+// stays with its voice is kept as is, so chunks and items still pair up.
+const routePlanLanguages = (plan, settings, voices) => {
+  const pins = settings.languageVoices || {};
+  const warnings = [...plan.warnings];
+  const languages = [];
+  const route = (text, voice) => {
+    const runs = routeLanguages(text, voice, voices, pins, warnings);
+    runs.forEach((run) => {
+      if (run.routed && !languages.includes(run.language)) {
+        languages.push(run.language);
+      }
+    });
+    return runs;
+  };
+  // The trimmed text of a run and where it starts within the source
+  const runText = (source, run) => {
+    const text = source.slice(run.start, run.end);
+    const start = run.start + text.length - text.trimStart().length;
+    return { text: text.trim(), start };
+  };
+
+  const chunks = [];
+  const items = [];
+  plan.items.forEach((item, index) => {
+    const chunk = plan.chunks[index];
+    const runs = item.text ? route(item.text, item.voice) : [];
+    if (runs.length <= 1) {
+      const run = runs[0];
+      chunks.push(
+        run && run.routed ? { ...chunk, language: run.language } : chunk
+      );
+      items.push(run ? { ...item, voice: run.voice } : item);
+      return;
+    }
+
+    runs.forEach((run) => {
+      const { text, start } = runText(item.text, run);
+      const offset = item.offset === null ? null : item.offset + start;
+      chunks.push({
+        ...chunk,
+        ...(run.routed && { language: run.language }),
+        text,
+        ...(offset !== null && { start: offset, end: offset + text.length }),
+        offset,
+      });
+      items.push({ ...item, text, offset, voice: run.voice });
+    });
+  });
+
+  const parts = [];
+  plan.parts.forEach((part) => {
+    const runs = part.text ? route(part.text, part.voice) : [];
+    const partFor = (run) =>
+      run.routed ? { voice: run.voice, lang: run.voice.lang } : {};
+    if (runs.length <= 1) {
+      parts.push(runs.length ? { ...part, ...partFor(runs[0]) } : part);
+      return;
+    }
+    runs.forEach((run) => {
+      const { text, start } = runText(part.text, run);
+      parts.push({
+        ...part,
+        ...partFor(run),
+        text,
+        offset: (part.offset || 0) + start,
+      });
+    });
+  });
+
+  return { ...plan, chunks, items, parts, warnings, languages };
+};
+
+// Rewrite the spoken text of a plan. Items whose text changed no longer map
+// onto the input, so their word boundaries are not highlighted.
+const rewriteSpokenText = (plan, rewrite) => ({
+  ...plan,
+  items: plan.items.map((item) => {
+    if (!item.text) return item;
+    const text = rewrite(item.text, item.voice ? item.voice.lang : "");
+    return text === item.text ? item : { ...item, text, offset: null };
+  }),
+  parts: plan.parts.map((part) =>
+    part.text ? { ...part, text: rewrite(part.text, part.lang) } : part
+  ),
+});
+
+// Build the playback plan for text in the given input mode ("text", "ssml"
+// or "script"). Settings hold the selected voice and slider values, the
+// speaker mapping ({ [speaker]: { voiceName, rate, pitch, volume } }) for
+// scripts, and optionally the autoLanguage flag with the pinned voices
+// ({ [language]: voiceName }), the compiled lexicon and a normalize flag.
+export const buildPlaybackPlan = (text, mode, settings, voices = []) => {
+  let plan;
+  if (mode === "ssml") plan = planSsml(text, settings, voices);
+  else if (mode === "script") plan = planScript(text, settings, voices);
+  else plan = planText(text, settings);
+
+  plan = settings.autoLanguage
+    ? routePlanLanguages(plan, settings, voices)
+    : { ...plan, languages: [] };
+
+  const { lexicon, normalize } = settings;
+  if (!(lexicon && lexicon.length) && !normalize) return plan;
+  return rewriteSpokenText(plan, (spoken, lang) => {
+    // User entries come first so they can override the normalization
+    let result = lexicon ? applyLexicon(spoken, lang, lexicon) : spoken;
+    if (normalize) result = normalizeText(result, lang);
+    return result;
+  });
+};
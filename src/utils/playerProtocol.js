@@ -0,0 +1,97 @@
+// playerProtocol.js
+// The postMessage protocol of the <tts-player> element. A host page, or a
+// page inside an iframe, sends commands:
+//   { type: "tts-player", command, args, player?, requestId? }
+// `player` picks one element by id; without it every player on the page
+// takes the command. Players answer and report to subscribed windows with
+//   { type: "tts-player", event, player, detail, requestId? }
+// Messages are accepted from the player's own origin and the origins listed
+// in its "origins" attribute ("*" for any).
+
+export const PLAYER_MESSAGE_TYPE = "tts-player";
+
+// Command name -> the player method that runs it
+export const PLAYER_COMMANDS = {
+  play: "play",
+  pause: "pause",
+  resume: "resume",
+  stop: "stop",
+  setVoice: "setVoice",
+  setText: "setText",
+  setOptions: "setOptions",
+  download: "download",
+  getAudio: "getAudio",
+  getState: "getState",
+  getVoices: "getVoices",
+  subscribe: "subscribe",
+  unsubscribe: "unsubscribe",
+};
+
+export const PLAYER_EVENTS = [
+  "ready",
+  "voices",
+  "state",
+  "progress",
+  "end",
+  "result",
+  "error",
+];
+
+export const PLAYER_LIMITS = {
+  rate: { min: 0.5, max: 2, default: 1 },
+  pitch: { min: 0.5, max: 2, default: 1 },
+  volume: { min: 0, max: 1, default: 1 },
+};
+
+// A command message, or null for anything else
+export const readCommand = (data) => {
+  if (!data || typeof data !== "object") return null;
+  if (data.type !== PLAYER_MESSAGE_TYPE) return null;
+  if (!Object.prototype.hasOwnProperty.call(PLAYER_COMMANDS, data.command)) {
+    return null;
+  }
+  return {
+    command: data.command,
+    args: Array.isArray(data.args) ? data.args : [],
+    player: typeof data.player === "string" ? data.player : "",
+    requestId: data.requestId !== undefined ? data.requestId : null,
+  };
+};
+
+export const playerMessage = (player, event, detail, requestId = null) => ({
+  type: PLAYER_MESSAGE_TYPE,
+  event,
+  player,
+  detail,
+  ...(requestId !== null && { requestId }),
+});
+
+export const parseOrigins = (value) =>
+  String(value || "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+
+export const isAllowedOrigin = (origin, allowed, ownOrigin) =>
+  origin === ownOrigin || allowed.includes("*") || allowed.includes(origin);
+
+// Clamp a rate, pitch or volume; anything unreadable gives the default
+export const readLimit = (name, value) => {
+  const { min, max } = PLAYER_LIMITS[name];
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return PLAYER_LIMITS[name].default;
+  return Math.max(min, Math.min(max, number));
+};
+
+// The text of the elements matching a selector, one paragraph per element.
+// Elements inside other matches are skipped so their text isn't read twice.
+export const textOfSelector = (root, selector) => {
+  const elements = Array.from(root.querySelectorAll(selector));
+  return elements
+    .filter(
+      (element) =>
+        !elements.some((other) => other !== element && other.contains(element))
+    )
+    .map((element) => (element.innerText || element.textContent || "").trim())
+    .filter(Boolean)
+    .join("\n\n");
+};
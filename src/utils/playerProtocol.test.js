@@ -0,0 +1,78 @@
+import {
+  PLAYER_MESSAGE_TYPE,
+  isAllowedOrigin,
+  parseOrigins,
+  playerMessage,
+  readCommand,
+  readLimit,
+  textOfSelector,
+} from "./playerProtocol";
+
+test("reads command messages and ignores anything else", () => {
+  expect(
+    readCommand({
+      type: PLAYER_MESSAGE_TYPE,
+      command: "setVoice",
+      args: ["hi-IN"],
+      player: "reader",
+      requestId: 7,
+    })
+  ).toEqual({
+    command: "setVoice",
+    args: ["hi-IN"],
+    player: "reader",
+    requestId: 7,
+  });
+  expect(readCommand({ type: PLAYER_MESSAGE_TYPE, command: "play" })).toEqual({
+    command: "play",
+    args: [],
+    player: "",
+    requestId: null,
+  });
+
+  expect(readCommand(null)).toBeNull();
+  expect(readCommand("play")).toBeNull();
+  expect(readCommand({ type: "other", command: "play" })).toBeNull();
+  expect(
+    readCommand({ type: PLAYER_MESSAGE_TYPE, command: "constructor" })
+  ).toBeNull();
+});
+
+test("builds event messages", () => {
+  expect(playerMessage("reader", "state", { state: "playing" })).toEqual({
+    type: PLAYER_MESSAGE_TYPE,
+    event: "state",
+    player: "reader",
+    detail: { state: "playing" },
+  });
+  expect(playerMessage("", "result", null, 3).requestId).toBe(3);
+});
+
+test("accepts messages from the own and listed origins", () => {
+  const own = "https://tts.example.com";
+  const allowed = parseOrigins("https://intranet.example.com, https://a.b");
+  expect(allowed).toEqual(["https://intranet.example.com", "https://a.b"]);
+
+  expect(isAllowedOrigin(own, [], own)).toBe(true);
+  expect(isAllowedOrigin("https://a.b", allowed, own)).toBe(true);
+  expect(isAllowedOrigin("https://evil.example", allowed, own)).toBe(false);
+  expect(isAllowedOrigin("https://evil.example", ["*"], own)).toBe(true);
+});
+
+test("clamps rate, pitch and volume", () => {
+  expect(readLimit("rate", "1.5")).toBe(1.5);
+  expect(readLimit("rate", "9")).toBe(2);
+  expect(readLimit("volume", -1)).toBe(0);
+  expect(readLimit("pitch", null)).toBe(1);
+});
+
+test("reads the text of the elements matching a selector once", () => {
+  document.body.innerHTML = `
+    <article>
+      <section class="read"><p class="read">First</p><p>Second</p></section>
+      <p class="read">Third</p>
+      <p>Skipped</p>
+    </article>`;
+  expect(textOfSelector(document, ".read")).toBe("FirstSecond\n\nThird");
+  expect(textOfSelector(document, ".missing")).toBe("");
+});
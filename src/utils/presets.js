@@ -0,0 +1,198 @@
+// presets.js
+// Named voice presets: the selected voice (name and lang), the speech
+// sliders, the language filter and the audio processing settings. Presets
+// are kept in localStorage and can be shared as JSON files.
+
+import { messageError } from "./i18n";
+import { DEFAULT_PROCESSING } from "./audioProcessing";
+
+export const PRESETS_STORAGE_KEY = "tts-voice-presets";
+export const ACTIVE_PRESET_STORAGE_KEY = "tts-active-preset";
+export const PRESETS_FILE_TYPE = "tts-voice-presets";
+export const PRESETS_FILE_VERSION = 1;
+
+const clampNumber = (value, min, max, fallback) =>
+  typeof value === "number" && Number.isFinite(value)
+    ? Math.max(min, Math.min(max, value))
+    : fallback;
+
+// Keep only known stages and fields, falling back to the defaults
+const readProcessing = (processing) => {
+  const result = {};
+  Object.keys(DEFAULT_PROCESSING).forEach((stage) => {
+    const saved = (processing && processing[stage]) || {};
+    result[stage] = { ...DEFAULT_PROCESSING[stage] };
+    Object.keys(result[stage]).forEach((key) => {
+      if (typeof saved[key] === typeof result[stage][key]) {
+        result[stage][key] = saved[key];
+      }
+    });
+  });
+  return result;
+};
+
+// Validate a preset read from storage or a file. Returns null if it is
+// unusable.
+const readPreset = (data) => {
+  if (!data || typeof data !== "object") return null;
+  if (typeof data.name !== "string" || !data.name.trim()) return null;
+
+  return {
+    id:
+      typeof data.id === "string" && data.id
+        ? data.id
+        : `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: data.name.trim(),
+    voiceName: typeof data.voiceName === "string" ? data.voiceName : "",
+    voiceLang: typeof data.voiceLang === "string" ? data.voiceLang : "",
+    rate: clampNumber(data.rate, 0.5, 2, 1),
+    pitch: clampNumber(data.pitch, 0.5, 2, 1),
+    volume: clampNumber(data.volume, 0, 1, 1),
+    languageFilter:
+      typeof data.languageFilter === "string" ? data.languageFilter : "all",
+    processing: readProcessing(data.processing),
+  };
+};
+
+export const createPreset = (name, settings) =>
+  readPreset({
+    name,
+    voiceName: settings.voice ? settings.voice.name : "",
+    voiceLang: settings.voice ? settings.voice.lang : "",
+    rate: settings.rate,
+    pitch: settings.pitch,
+    volume: settings.volume,
+    languageFilter: settings.languageFilter,
+    processing: settings.processing,
+  });
+
+export const loadPresets = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(PRESETS_STORAGE_KEY) || "[]");
+    return Array.isArray(data) ? data.map(readPreset).filter(Boolean) : [];
+  } catch (error) {
+    console.error("Could not read saved presets:", error);
+    return [];
+  }
+};
+
+export const savePresets = (presets, storage = window.localStorage) => {
+  try {
+    storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.error("Could not save presets:", error);
+  }
+};
+
+export const loadActivePresetId = (storage = window.localStorage) => {
+  try {
+    return storage.getItem(ACTIVE_PRESET_STORAGE_KEY) || "";
+  } catch (error) {
+    return "";
+  }
+};
+
+export const saveActivePresetId = (id, storage = window.localStorage) => {
+  try {
+    if (id) {
+      storage.setItem(ACTIVE_PRESET_STORAGE_KEY, id);
+    } else {
+      storage.removeItem(ACTIVE_PRESET_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error("Could not save the active preset:", error);
+  }
+};
+
+export const exportPresets = (presets) =>
+  JSON.stringify(
+    {
+      type: PRESETS_FILE_TYPE,
+      version: PRESETS_FILE_VERSION,
+      presets: presets.map(({ id, ...preset }) => preset),
+    },
+    null,
+    2
+  );
+
+// Read presets from an exported file (or a bare array of presets). Throws
+// a messageError for files that aren't presets.
+export const importPresets = (contents) => {
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch (error) {
+    throw messageError("presets.badJson");
+  }
+
+  const list = Array.isArray(data) ? data : data && data.presets;
+  if (
+    !Array.isArray(list) ||
+    (!Array.isArray(data) && data.type !== PRESETS_FILE_TYPE)
+  ) {
+    throw messageError("presets.notPresets");
+  }
+  if (data.version > PRESETS_FILE_VERSION) {
+    throw messageError("presets.newerVersion");
+  }
+
+  // Imported presets get fresh ids so they never clash with local ones
+  const presets = list
+    .map((preset) => readPreset({ ...preset, id: undefined }))
+    .filter(Boolean);
+  if (!presets.length) {
+    throw messageError("presets.noneValid");
+  }
+  return presets;
+};
+
+// Add imported presets, replacing existing presets with the same name
+export const mergePresets = (existing, imported) => {
+  const names = new Set(imported.map((preset) => preset.name.toLowerCase()));
+  return [
+    ...existing.filter((preset) => !names.has(preset.name.toLowerCase())),
+    ...imported,
+  ];
+};
+
+// Find the preset's voice, or the closest voice by language when it is not
+// installed: same language and region first, then same language. Returns
+// { voice, exact }; voice is null if nothing matches.
+export const resolvePresetVoice = (preset, voices) => {
+  const exact =
+    voices.find(
+      (voice) =>
+        voice.name === preset.voiceName &&
+        (!preset.voiceLang || voice.lang === preset.voiceLang)
+    ) || voices.find((voice) => voice.name === preset.voiceName);
+  if (exact) return { voice: exact, exact: true };
+
+  const lang = preset.voiceLang.toLowerCase().replace("_", "-");
+  if (!lang) return { voice: null, exact: false };
+  const base = lang.split("-")[0];
+  const normalized = (voice) => voice.lang.toLowerCase().replace("_", "-");
+
+  const closest =
+    voices.find((voice) => normalized(voice) === lang) ||
+    voices.find((voice) => normalized(voice).split("-")[0] === base) ||
+    null;
+  return { voice: closest, exact: false };
+};
+
+// Notice ({ key, params } for the message catalogs) for presets whose
+// voice had to be replaced, or null if it was found
+export const presetVoiceNotice = (preset, { voice, exact }) => {
+  if (exact || !preset.voiceName) return null;
+  if (voice) {
+    return {
+      key: "presets.voiceReplaced",
+      params: { name: preset.voiceName, voice: voice.name, lang: voice.lang },
+    };
+  }
+  return preset.voiceLang
+    ? {
+        key: "presets.voiceMissing",
+        params: { name: preset.voiceName, lang: preset.voiceLang },
+      }
+    : { key: "presets.voiceMissingAny", params: { name: preset.voiceName } };
+};
@@ -0,0 +1,99 @@
+import {
+  createPreset,
+  exportPresets,
+  importPresets,
+  loadPresets,
+  mergePresets,
+  resolvePresetVoice,
+  savePresets,
+} from "./presets";
+import { DEFAULT_PROCESSING } from "./audioProcessing";
+
+const VOICES = [
+  { name: "Google हिन्दी", lang: "hi-IN" },
+  { name: "Microsoft Kalpana", lang: "hi-IN" },
+  { name: "Samantha", lang: "en-US" },
+  { name: "Daniel", lang: "en-GB" },
+];
+
+const anchor = createPreset("Hindi news anchor", {
+  voice: VOICES[0],
+  rate: 1.1,
+  pitch: 0.9,
+  volume: 1,
+  languageFilter: "hi",
+  processing: DEFAULT_PROCESSING,
+});
+
+test("persists presets in localStorage", () => {
+  savePresets([anchor]);
+  expect(loadPresets()).toEqual([anchor]);
+
+  window.localStorage.setItem("tts-voice-presets", "not json");
+  expect(loadPresets()).toEqual([]);
+});
+
+test("round-trips presets through JSON export", () => {
+  const imported = importPresets(exportPresets([anchor]));
+
+  expect(imported).toHaveLength(1);
+  expect(imported[0]).toEqual({ ...anchor, id: imported[0].id });
+  expect(imported[0].id).not.toBe(anchor.id);
+  expect(() => importPresets('{"presets": []}')).toThrow("presets.notPresets");
+});
+
+test("sanitizes imported values", () => {
+  const [preset] = importPresets(
+    JSON.stringify([
+      {
+        name: " Tutor ",
+        rate: 9,
+        processing: { trim: { enabled: true, paddingMs: "x" } },
+      },
+    ])
+  );
+
+  expect(preset.name).toBe("Tutor");
+  expect(preset.rate).toBe(2);
+  expect(preset.processing.trim).toEqual({
+    ...DEFAULT_PROCESSING.trim,
+    enabled: true,
+  });
+});
+
+test("merges imported presets by name", () => {
+  const tutor = createPreset("Slow English tutor", {
+    voice: VOICES[2],
+    rate: 0.7,
+  });
+  const newAnchor = { ...anchor, id: "other", rate: 1.3 };
+
+  expect(
+    mergePresets([anchor, tutor], [newAnchor]).map((p) => [p.name, p.rate])
+  ).toEqual([
+    ["Slow English tutor", 0.7],
+    ["Hindi news anchor", 1.3],
+  ]);
+});
+
+test("falls back to the closest voice by language", () => {
+  expect(resolvePresetVoice(anchor, VOICES)).toEqual({
+    voice: VOICES[0],
+    exact: true,
+  });
+
+  const missing = { ...anchor, voiceName: "Lekha", voiceLang: "hi-IN" };
+  expect(resolvePresetVoice(missing, VOICES.slice(1))).toEqual({
+    voice: VOICES[1],
+    exact: false,
+  });
+
+  const australian = { ...anchor, voiceName: "Karen", voiceLang: "en-AU" };
+  expect(resolvePresetVoice(australian, VOICES).voice).toBe(VOICES[2]);
+
+  const french = { ...anchor, voiceName: "Amélie", voiceLang: "fr-CA" };
+  expect(resolvePresetVoice(french, VOICES)).toEqual({
+    voice: null,
+    exact: false,
+  });
+});
@@ -0,0 +1,167 @@
+// readingPosition.js
+// Where reading stopped in a text, and named bookmarks in it, kept in
+// localStorage across sessions. Texts are keyed by a hash, so importing the
+// same report or chapter again finds its position; the last text read is
+// also kept in full (when it fits) so it can be resumed after a reload.
+// Positions are character offsets into the input text.
+
+export const READING_POSITIONS_KEY = "tts-reading-positions";
+export const READING_SESSION_KEY = "tts-reading-session";
+export const MAX_DOCUMENTS = 50;
+export const EXCERPT_LENGTH = 40;
+
+const newId = () =>
+  `bookmark-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// FNV-1a of the UTF-16 code units, with the length to make clashes rarer
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${text.length.toString(36)}-${hash.toString(36)}`;
+};
+
+const toOffset = (value) =>
+  Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+
+// Validate a bookmark read from storage. Returns null if unusable.
+const readBookmark = (data) => {
+  if (!data || typeof data !== "object") return null;
+  if (typeof data.name !== "string") return null;
+  return {
+    id: typeof data.id === "string" && data.id ? data.id : newId(),
+    name: data.name,
+    offset: toOffset(data.offset),
+  };
+};
+
+const readDocument = (data) => ({
+  offset: toOffset(data && data.offset),
+  updatedAt: Number(data && data.updatedAt) || 0,
+  bookmarks: Array.isArray(data && data.bookmarks)
+    ? data.bookmarks.map(readBookmark).filter(Boolean)
+    : [],
+});
+
+export const loadReadingPositions = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(READING_POSITIONS_KEY) || "{}");
+    if (!data || typeof data !== "object" || Array.isArray(data)) return {};
+    return Object.fromEntries(
+      Object.entries(data).map(([hash, doc]) => [hash, readDocument(doc)])
+    );
+  } catch (error) {
+    console.error("Could not read the reading positions:", error);
+    return {};
+  }
+};
+
+export const saveReadingPositions = (
+  positions,
+  storage = window.localStorage
+) => {
+  try {
+    storage.setItem(READING_POSITIONS_KEY, JSON.stringify(positions));
+  } catch (error) {
+    console.error("Could not save the reading positions:", error);
+  }
+};
+
+export const documentOf = (positions, hash) =>
+  positions[hash] || readDocument(null);
+
+// Change one text's entry, dropping the least recently read texts past
+// MAX_DOCUMENTS and texts with nothing left to remember
+const updateDocument = (positions, hash, changes, now = Date.now()) => {
+  const doc = { ...documentOf(positions, hash), ...changes, updatedAt: now };
+  const entries = Object.entries({ ...positions, [hash]: doc })
+    .filter(([, d]) => d.offset > 0 || d.bookmarks.length)
+    .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_DOCUMENTS);
+  return Object.fromEntries(entries);
+};
+
+// Remember where reading got to; 0 forgets it (the text was read to the end)
+export const recordPosition = (positions, hash, offset, now) =>
+  updateDocument(positions, hash, { offset: toOffset(offset) }, now);
+
+// Bookmarks stay sorted by position
+export const addBookmark = (positions, hash, name, offset, now) => {
+  const bookmark = readBookmark({ name, offset, id: undefined });
+  const bookmarks = [...documentOf(positions, hash).bookmarks, bookmark].sort(
+    (a, b) => a.offset - b.offset
+  );
+  return updateDocument(positions, hash, { bookmarks }, now);
+};
+
+export const renameBookmark = (positions, hash, id, name, now) =>
+  updateDocument(
+    positions,
+    hash,
+    {
+      bookmarks: documentOf(positions, hash).bookmarks.map((bookmark) =>
+        bookmark.id === id ? { ...bookmark, name } : bookmark
+      ),
+    },
+    now
+  );
+
+export const removeBookmark = (positions, hash, id, now) =>
+  updateDocument(
+    positions,
+    hash,
+    {
+      bookmarks: documentOf(positions, hash).bookmarks.filter(
+        (bookmark) => bookmark.id !== id
+      ),
+    },
+    now
+  );
+
+// The index of the chunk (sentence) an offset falls in
+export const segmentAt = (chunks, offset) => {
+  let found = 0;
+  chunks.forEach((chunk, index) => {
+    if (chunk.start <= offset) found = index;
+  });
+  return found;
+};
+
+// A short piece of the text from an offset, on one line
+export const excerptAt = (text, offset, length = EXCERPT_LENGTH) => {
+  const rest = text.slice(offset).replace(/\s+/g, " ").trim();
+  return rest.length > length ? `${rest.slice(0, length).trimEnd()}…` : rest;
+};
+
+// The last text read, to offer resuming it after a reload
+export const loadReadingSession = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(READING_SESSION_KEY) || "null");
+    if (!data || typeof data.text !== "string" || !data.text) return null;
+    return {
+      text: data.text,
+      inputMode: typeof data.inputMode === "string" ? data.inputMode : "text",
+    };
+  } catch (error) {
+    console.error("Could not read the last reading session:", error);
+    return null;
+  }
+};
+
+// Long texts may not fit next to everything else; the position is still
+// kept by hash, so reopening the text finds it. The older session is
+// removed then, or the resume offer would point at a different text.
+export const saveReadingSession = (session, storage = window.localStorage) => {
+  try {
+    storage.setItem(READING_SESSION_KEY, JSON.stringify(session));
+  } catch (error) {
+    console.error("Could not save the last reading session:", error);
+    try {
+      storage.removeItem(READING_SESSION_KEY);
+    } catch (removeError) {
+      console.error("Could not remove the last reading session:", removeError);
+    }
+  }
+};
@@ -0,0 +1,112 @@
+import {
+  MAX_DOCUMENTS,
+  READING_POSITIONS_KEY,
+  addBookmark,
+  documentOf,
+  excerptAt,
+  hashText,
+  loadReadingPositions,
+  loadReadingSession,
+  recordPosition,
+  removeBookmark,
+  renameBookmark,
+  saveReadingPositions,
+  saveReadingSession,
+  segmentAt,
+} from "./readingPosition";
+
+test("hashes texts so that any edit changes the key", () => {
+  expect(hashText("Chapter one.")).toBe(hashText("Chapter one."));
+  expect(hashText("Chapter one.")).not.toBe(hashText("Chapter one!"));
+  expect(hashText("")).toMatch(/^0-/);
+});
+
+test("remembers and forgets the position of a text", () => {
+  let positions = recordPosition({}, "a", 120, 1);
+  expect(documentOf(positions, "a")).toEqual({
+    offset: 120,
+    updatedAt: 1,
+    bookmarks: [],
+  });
+
+  // Read to the end with no bookmarks: nothing left to keep
+  positions = recordPosition(positions, "a", 0, 2);
+  expect(positions).toEqual({});
+  expect(documentOf(positions, "a").offset).toBe(0);
+
+  // Only the most recently read texts are kept
+  for (let i = 0; i <= MAX_DOCUMENTS; i++) {
+    positions = recordPosition(positions, `text-${i}`, 10, i);
+  }
+  expect(Object.keys(positions)).toHaveLength(MAX_DOCUMENTS);
+  expect(positions["text-0"]).toBeUndefined();
+});
+
+test("keeps bookmarks sorted by position", () => {
+  let positions = addBookmark({}, "a", "Results", 500, 1);
+  positions = addBookmark(positions, "a", "Summary", 20, 2);
+  const [summary, results] = documentOf(positions, "a").bookmarks;
+  expect([summary.name, results.name]).toEqual(["Summary", "Results"]);
+
+  positions = renameBookmark(positions, "a", results.id, "Findings", 3);
+  positions = removeBookmark(positions, "a", summary.id, 4);
+  expect(documentOf(positions, "a").bookmarks).toEqual([
+    { id: results.id, name: "Findings", offset: 500 },
+  ]);
+
+  // A finished text keeps its bookmarks
+  positions = recordPosition(positions, "a", 0, 5);
+  expect(documentOf(positions, "a").bookmarks).toHaveLength(1);
+});
+
+test("finds the sentence holding an offset and an excerpt there", () => {
+  const chunks = [{ start: 0 }, { start: 15 }, { start: 40 }];
+  expect(segmentAt(chunks, 0)).toBe(0);
+  expect(segmentAt(chunks, 39)).toBe(1);
+  expect(segmentAt(chunks, 400)).toBe(2);
+
+  expect(excerptAt("One.\n\nTwo   three four.", 6, 10)).toBe("Two three…");
+  expect(excerptAt("One. Two.", 5)).toBe("Two.");
+});
+
+test("stores positions and the last text read", () => {
+  expect(loadReadingPositions()).toEqual({});
+  expect(loadReadingSession()).toBeNull();
+
+  const positions = addBookmark(recordPosition({}, "a", 42, 1), "a", "X", 7, 2);
+  saveReadingPositions(positions);
+  expect(loadReadingPositions()).toEqual(positions);
+
+  window.localStorage.setItem(
+    READING_POSITIONS_KEY,
+    JSON.stringify({ b: { offset: -3, bookmarks: [{ offset: 4 }, null] } })
+  );
+  expect(loadReadingPositions()).toEqual({
+    b: { offset: 0, updatedAt: 0, bookmarks: [] },
+  });
+
+  saveReadingSession({ text: "Long report", inputMode: "text" });
+  expect(loadReadingSession()).toEqual({
+    text: "Long report",
+    inputMode: "text",
+  });
+  saveReadingSession(null);
+  expect(loadReadingSession()).toBeNull();
+});
+
+test("drops the stored session when a new one doesn't fit", () => {
+  saveReadingSession({ text: "Old chapter", inputMode: "text" });
+  const setItem = jest
+    .spyOn(Storage.prototype, "setItem")
+    .mockImplementation(() => {
+      throw new DOMException("Quota exceeded", "QuotaExceededError");
+    });
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  try {
+    saveReadingSession({ text: "A very long book", inputMode: "text" });
+  } finally {
+    setItem.mockRestore();
+    console.error.mockRestore();
+  }
+  expect(loadReadingSession()).toBeNull();
+});
@@ -0,0 +1,135 @@
+// script.js
+// Dialogue scripts: lines that start with a speaker cue such as
+// "NARRATOR:" or "RAVI:" are spoken by that speaker. Lines without a cue
+// continue the previous speaker. Each speaker has its own voice, rate,
+// pitch and volume, saved together with the script text.
+
+import { messageError } from "./i18n";
+
+export const SCRIPT_FILE_TYPE = "tts-script";
+export const SCRIPT_FILE_VERSION = 1;
+
+// A cue is a name without lowercase letters (so "Note: ..." stays text)
+const CUE_PATTERN = /^([ \t]*)(\p{L}[\p{L}\p{M}\p{N} ._'-]{0,31}?)[ \t]*:/u;
+
+const isCue = (name) => !/\p{Ll}/u.test(name);
+
+// Split a script into lines with speakers and character offsets of the
+// spoken text. Returns { lines, speakers } with speakers in order of first
+// appearance.
+export const parseScript = (text) => {
+  const lines = [];
+  const speakers = [];
+  let speaker = null;
+  let lineStart = 0;
+
+  text.split("\n").forEach((line) => {
+    let start = 0;
+    const cue = line.match(CUE_PATTERN);
+
+    if (cue && isCue(cue[2])) {
+      speaker = cue[2].trim();
+      start = cue[0].length;
+      if (!speakers.includes(speaker)) speakers.push(speaker);
+    }
+
+    const spoken = line.slice(start);
+    const leading = spoken.length - spoken.trimStart().length;
+    const content = spoken.trim();
+
+    if (content) {
+      lines.push({
+        speaker,
+        text: content,
+        start: lineStart + start + leading,
+        end: lineStart + start + leading + content.length,
+      });
+    }
+
+    lineStart += line.length + 1;
+  });
+
+  return { lines, speakers };
+};
+
+// Give every speaker without a voice a different voice from the list,
+// reusing voices only once all of them are taken
+export const assignSpeakerVoices = (speakers, mapping, voices) => {
+  if (!voices.length) return mapping;
+
+  const result = { ...mapping };
+  const used = new Set(
+    speakers.map((speaker) => result[speaker]?.voiceName).filter(Boolean)
+  );
+  const free = voices.filter((voice) => !used.has(voice.name));
+  let next = 0;
+
+  speakers.forEach((speaker) => {
+    if (result[speaker]?.voiceName) return;
+
+    const voice = free.length ? free.shift() : voices[next++ % voices.length];
+    result[speaker] = { ...result[speaker], voiceName: voice.name };
+  });
+
+  return result;
+};
+
+// Serialize the script text with the mapping of its speakers
+export const serializeScript = (text, mapping) => {
+  const { speakers } = parseScript(text);
+  const saved = {};
+  speakers.forEach((speaker) => {
+    if (mapping[speaker]) saved[speaker] = mapping[speaker];
+  });
+
+  return JSON.stringify(
+    {
+      type: SCRIPT_FILE_TYPE,
+      version: SCRIPT_FILE_VERSION,
+      text,
+      speakers: saved,
+    },
+    null,
+    2
+  );
+};
+
+const readNumber = (value, min, max) =>
+  typeof value === "number" && value >= min && value <= max ? value : undefined;
+
+// Read a saved script. Plain text files are accepted as a script without a
+// mapping. Throws an Error with a readable message for broken files.
+export const deserializeScript = (contents) => {
+  const trimmed = contents.trim();
+  if (!trimmed.startsWith("{")) {
+    return { text: contents, speakers: {} };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (error) {
+    throw messageError("script.badJson");
+  }
+
+  if (data.type !== SCRIPT_FILE_TYPE || typeof data.text !== "string") {
+    throw messageError("script.notScript");
+  }
+  if (data.version > SCRIPT_FILE_VERSION) {
+    throw messageError("script.newerVersion");
+  }
+
+  const speakers = {};
+  Object.entries(data.speakers || {}).forEach(([speaker, settings]) => {
+    if (!settings || typeof settings !== "object") return;
+    speakers[speaker] = {
+      voiceName:
+        typeof settings.voiceName === "string" ? settings.voiceName : undefined,
+      rate: readNumber(settings.rate, 0.1, 10),
+      pitch: readNumber(settings.pitch, 0, 2),
+      volume: readNumber(settings.volume, 0, 1),
+    };
+  });
+
+  return { text: data.text, speakers };
+};
@@ -0,0 +1,102 @@
+import {
+  assignSpeakerVoices,
+  deserializeScript,
+  parseScript,
+  serializeScript,
+} from "./script";
+import { buildPlaybackPlan } from "./playbackPlan";
+
+const SCRIPT =
+  "NARRATOR: Ravi enters.\nRAVI:  Good morning!\nHow are you?\nNote: this is Ravi.";
+
+test("parses speaker cues and keeps offsets", () => {
+  const { lines, speakers } = parseScript(SCRIPT);
+
+  expect(speakers).toEqual(["NARRATOR", "RAVI"]);
+  expect(lines.map((line) => [line.speaker, line.text])).toEqual([
+    ["NARRATOR", "Ravi enters."],
+    ["RAVI", "Good morning!"],
+    ["RAVI", "How are you?"],
+    ["RAVI", "Note: this is Ravi."],
+  ]);
+  lines.forEach((line) => {
+    expect(SCRIPT.slice(line.start, line.end)).toBe(line.text);
+  });
+});
+
+test("accepts Devanagari speaker names", () => {
+  expect(parseScript("रवि: नमस्ते").lines).toEqual([
+    { speaker: "रवि", text: "नमस्ते", start: 5, end: 11 },
+  ]);
+});
+
+test("plays each speaker with its own voice and settings", () => {
+  const voices = [
+    { name: "Alpha", lang: "en-US" },
+    { name: "Beta", lang: "en-GB" },
+  ];
+  const plan = buildPlaybackPlan(
+    SCRIPT,
+    "script",
+    {
+      voice: voices[0],
+      rate: 1,
+      pitch: 1,
+      volume: 1,
+      speakers: { RAVI: { voiceName: "Beta", pitch: 1.4 } },
+    },
+    voices
+  );
+
+  expect(plan.items.map((item) => [item.voice.name, item.pitch])).toEqual([
+    ["Alpha", 1],
+    ["Beta", 1.4],
+    ["Beta", 1.4],
+    ["Beta", 1.4],
+  ]);
+  plan.chunks.forEach((chunk) => {
+    expect(SCRIPT.slice(chunk.start, chunk.end)).toBe(chunk.text);
+  });
+  expect(plan.warnings).toEqual([]);
+});
+
+test("assigns distinct voices to unmapped speakers", () => {
+  const voices = [{ name: "A" }, { name: "B" }];
+  const mapping = assignSpeakerVoices(
+    ["X", "Y", "Z"],
+    { Y: { voiceName: "A", rate: 1.2 } },
+    voices
+  );
+
+  expect(mapping).toEqual({
+    X: { voiceName: "B" },
+    Y: { voiceName: "A", rate: 1.2 },
+    Z: { voiceName: "A" },
+  });
+});
+
+test("saves and reopens the mapping with the script", () => {
+  const saved = serializeScript(SCRIPT, {
+    RAVI: { voiceName: "Beta", rate: 1.5 },
+    GONE: { voiceName: "Alpha" },
+  });
+
+  expect(deserializeScript(saved)).toEqual({
+    text: SCRIPT,
+    speakers: {
+      RAVI: {
+        voiceName: "Beta",
+        rate: 1.5,
+        pitch: undefined,
+        volume: undefined,
+      },
+    },
+  });
+  expect(deserializeScript("RAVI: hi")).toEqual({
+    text: "RAVI: hi",
+    speakers: {},
+  });
+  expect(() => deserializeScript('{"type":"other"}')).toThrow(
+    "script.notScript"
+  );
+});
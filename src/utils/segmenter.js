@@ -0,0 +1,124 @@
+// segmenter.js
+// Splits text into sentence-sized chunks for queued playback. Each chunk
+// keeps its character offsets into the original text so the UI can map
+// playback back onto what the user typed.
+
+export const MAX_CHUNK_LENGTH = 220;
+
+// Words that end in a period without ending the sentence
+const ABBREVIATIONS = [
+  "mr",
+  "mrs",
+  "ms",
+  "dr",
+  "prof",
+  "sr",
+  "jr",
+  "st",
+  "vs",
+  "etc",
+  "e.g",
+  "i.e",
+  "fig",
+  "approx",
+  "dept",
+  "inc",
+  "ltd",
+  "co",
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "sept",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Sentence-ending punctuation (including the Devanagari danda and double
+// danda) plus any closing quotes or brackets, followed by whitespace or the
+// end of the text. Blank lines also end a sentence.
+const SENTENCE_END = /[.!?।॥]+["'”’)\]]*(?=\s|$)|\n\s*\n/g;
+const CLAUSE_END = /[,;:–—](?=\s)/g;
+
+const isAbbreviation = (text, punctuationIndex) => {
+  if (text[punctuationIndex] !== ".") return false;
+
+  const before = text.slice(0, punctuationIndex);
+  const word = before.slice(before.search(/[^\s(]*$/)).toLowerCase();
+
+  // Single-letter initials such as "J. K. Rowling"
+  if (/^[a-z]$/.test(word)) return true;
+  // "No. 5", but not "I said no."
+  if (word === "no") return /^\s*\d/.test(text.slice(punctuationIndex + 1));
+  return ABBREVIATIONS.includes(word);
+};
+
+// Trim whitespace from a span and drop it if nothing readable is left
+const toChunk = (text, start, end) => {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+
+  const slice = text.slice(start, end);
+  if (!/[\p{L}\p{N}]/u.test(slice)) return null;
+  return { text: slice, start, end };
+};
+
+// Split a long span at clause punctuation, then at whitespace if needed
+const splitLong = (text, start, end, maxLength) => {
+  if (end - start <= maxLength) return [[start, end]];
+
+  const span = text.slice(start, end);
+  let cut = -1;
+  let match;
+
+  CLAUSE_END.lastIndex = 0;
+  while ((match = CLAUSE_END.exec(span)) !== null) {
+    if (match.index + 1 > maxLength) break;
+    cut = match.index + 1;
+  }
+
+  if (cut <= 0) {
+    cut = span.lastIndexOf(" ", maxLength);
+  }
+  if (cut <= 0) {
+    cut = maxLength;
+  }
+
+  return [
+    [start, start + cut],
+    ...splitLong(text, start + cut, end, maxLength),
+  ];
+};
+
+// Segment text into sentences, and long sentences into clauses
+export const segmentText = (text, { maxLength = MAX_CHUNK_LENGTH } = {}) => {
+  const boundaries = [];
+  let match;
+
+  SENTENCE_END.lastIndex = 0;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    if (!isAbbreviation(text, match.index)) {
+      boundaries.push(match.index + match[0].length);
+    }
+  }
+  boundaries.push(text.length);
+
+  const chunks = [];
+  let start = 0;
+
+  boundaries.forEach((end) => {
+    if (end <= start) return;
+    splitLong(text, start, end, maxLength).forEach(([from, to]) => {
+      const chunk = toChunk(text, from, to);
+      if (chunk) chunks.push(chunk);
+    });
+    start = end;
+  });
+
+  return chunks;
+};
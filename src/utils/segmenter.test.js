@@ -0,0 +1,60 @@
+import { segmentText } from "./segmenter";
+
+test("splits sentences and keeps offsets", () => {
+  const text = "Hello there. How are you? Fine!";
+  const chunks = segmentText(text);
+
+  expect(chunks.map((c) => c.text)).toEqual([
+    "Hello there.",
+    "How are you?",
+    "Fine!",
+  ]);
+  chunks.forEach((chunk) => {
+    expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+  });
+});
+
+test("splits on the Devanagari danda", () => {
+  const chunks = segmentText("नमस्ते। आप कैसे हैं॥ ठीक हूँ");
+
+  expect(chunks.map((c) => c.text)).toEqual([
+    "नमस्ते।",
+    "आप कैसे हैं॥",
+    "ठीक हूँ",
+  ]);
+});
+
+test("does not split on abbreviations, initials or decimals", () => {
+  const chunks = segmentText("Dr. Rao met J. K. Singh at 3.5 km. Then left.");
+
+  expect(chunks.map((c) => c.text)).toEqual([
+    "Dr. Rao met J. K. Singh at 3.5 km.",
+    "Then left.",
+  ]);
+});
+
+test("treats no. as an abbreviation only before a number", () => {
+  const chunks = segmentText(
+    "I said no. Then we left for room no. 5 upstairs."
+  );
+
+  expect(chunks.map((c) => c.text)).toEqual([
+    "I said no.",
+    "Then we left for room no. 5 upstairs.",
+  ]);
+});
+
+test("breaks long sentences at clauses", () => {
+  const text = "one two three, four five six; seven eight nine";
+  const chunks = segmentText(text, { maxLength: 20 });
+
+  expect(chunks.map((c) => c.text)).toEqual([
+    "one two three,",
+    "four five six;",
+    "seven eight nine",
+  ]);
+});
+
+test("ignores chunks without readable text", () => {
+  expect(segmentText("... !!! \n\n ---")).toEqual([]);
+});
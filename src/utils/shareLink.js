@@ -0,0 +1,153 @@
+// shareLink.js
+// Links that carry the text and the speech settings in the address hash,
+// "#listen=<payload>", so the hash never reaches a server. The payload is
+// the settings as JSON, deflated and base64url-encoded; its first letter
+// tells the format: "z" for deflated, "j" for plain JSON from browsers
+// without CompressionStream or its "deflate-raw" format.
+
+import { messageError } from "./i18n";
+import { readLimit } from "./playerProtocol";
+
+export const SHARE_HASH_PARAM = "listen";
+// Longer addresses get cut off by some browsers, chat apps and servers
+export const MAX_LINK_LENGTH = 8000;
+
+const INPUT_MODES = ["text", "ssml", "script"];
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+// Run bytes through a compression or decompression stream. Errors reach
+// the reader, so the writer's own promises are left to settle.
+const transform = async (bytes, stream) => {
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+  const result = new Uint8Array(
+    chunks.reduce((length, chunk) => length + chunk.length, 0)
+  );
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+// Validate shared settings. Text is null when the link carries none.
+export const readShareState = (data) => {
+  if (!data || typeof data !== "object") return null;
+  const string = (value) => (typeof value === "string" ? value : "");
+  return {
+    text: typeof data.text === "string" ? data.text : null,
+    inputMode: INPUT_MODES.includes(data.inputMode) ? data.inputMode : "text",
+    voiceName: string(data.voiceName),
+    voiceLang: string(data.voiceLang),
+    rate: readLimit("rate", data.rate),
+    pitch: readLimit("pitch", data.pitch),
+    volume: readLimit("volume", data.volume),
+    languageFilter: string(data.languageFilter) || "all",
+    autoplay: data.autoplay === true,
+  };
+};
+
+export const encodeShareState = async (state) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let stream;
+  try {
+    stream = new CompressionStream("deflate-raw");
+  } catch (error) {
+    // Missing, or too old for "deflate-raw"
+    return `j${toBase64Url(bytes)}`;
+  }
+  return `z${toBase64Url(await transform(bytes, stream))}`;
+};
+
+// Throws a messageError whose key tells what went wrong: a format this
+// browser can't read ("share.error.unsupported"), an unknown format
+// ("share.error.format"), a damaged payload ("share.error.corrupt") or one
+// without settings ("share.error.empty")
+export const decodeShareState = async (payload) => {
+  const format = payload.charAt(0);
+  if (format !== "z" && format !== "j") {
+    throw messageError("share.error.format");
+  }
+  let stream;
+  if (format === "z") {
+    try {
+      stream = new DecompressionStream("deflate-raw");
+    } catch (error) {
+      throw messageError("share.error.unsupported");
+    }
+  }
+
+  let data;
+  try {
+    let bytes = fromBase64Url(payload.slice(1));
+    if (stream) bytes = await transform(bytes, stream);
+    const json = new TextDecoder().decode(bytes);
+    data = json.trim() ? JSON.parse(json) : null;
+  } catch (error) {
+    throw messageError("share.error.corrupt");
+  }
+  const state = readShareState(data);
+  if (!state) throw messageError("share.error.empty");
+  return state;
+};
+
+// The payload of a "#listen=..." hash, or null for any other hash
+export const readShareHash = (hash) => {
+  const payload = new URLSearchParams(hash.replace(/^#/, "")).get(
+    SHARE_HASH_PARAM
+  );
+  return payload || null;
+};
+
+export const withoutShareHash = (href) => {
+  const url = new URL(href);
+  url.hash = "";
+  return url.toString();
+};
+
+// A link to the current page holding the state. When the text makes it
+// longer than MAX_LINK_LENGTH the link carries the settings only, and
+// `fullLength` says how long it would have been.
+export const buildShareLink = async (href, state) => {
+  const linkTo = async (shared) => {
+    const url = new URL(href);
+    url.hash = `${SHARE_HASH_PARAM}=${await encodeShareState(shared)}`;
+    return url.toString();
+  };
+
+  const url = await linkTo(state);
+  if (url.length <= MAX_LINK_LENGTH) {
+    return { url, withoutText: false, fullLength: url.length };
+  }
+  const { text, ...settings } = state;
+  return {
+    url: await linkTo({ ...settings, autoplay: false }),
+    withoutText: true,
+    fullLength: url.length,
+  };
+};
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import {
+  MAX_LINK_LENGTH,
+  buildShareLink,
+  decodeShareState,
+  encodeShareState,
+  readShareHash,
+  readShareState,
+  withoutShareHash,
+} from "./shareLink";
+
+// Jest's node environment leaves out Node's compression streams
+const streams = require("stream/web");
+global.CompressionStream =
+  global.CompressionStream || streams.CompressionStream;
+global.DecompressionStream =
+  global.DecompressionStream || streams.DecompressionStream;
+
+const state = {
+  text: "नमस्ते दुनिया! Hello world.",
+  inputMode: "text",
+  voiceName: "Google हिन्दी",
+  voiceLang: "hi-IN",
+  rate: 1.25,
+  pitch: 0.9,
+  volume: 0.8,
+  languageFilter: "hi",
+  autoplay: true,
+};
+
+// Text that hardly compresses
+const noise = (length) => {
+  let seed = 7;
+  let text = "";
+  while (text.length < length) {
+    seed = (seed * 48271) % 2147483647;
+    text += String.fromCharCode(33 + (seed % 90));
+  }
+  return text;
+};
+
+test("round-trips the state through a compressed payload", async () => {
+  const payload = await encodeShareState(state);
+  expect(payload).toMatch(/^z[A-Za-z0-9_-]+$/);
+  expect(await decodeShareState(payload)).toEqual(state);
+});
+
+test("reads plain JSON links from browsers without CompressionStream", async () => {
+  const saved = global.CompressionStream;
+  delete global.CompressionStream;
+  try {
+    const payload = await encodeShareState(state);
+    expect(payload.charAt(0)).toBe("j");
+    expect(await decodeShareState(payload)).toEqual(state);
+  } finally {
+    global.CompressionStream = saved;
+  }
+
+  // Browsers whose CompressionStream predates "deflate-raw"
+  global.CompressionStream = class {
+    constructor(format) {
+      throw new TypeError(`Unsupported compression format: '${format}'`);
+    }
+  };
+  try {
+    expect((await encodeShareState(state)).charAt(0)).toBe("j");
+  } finally {
+    global.CompressionStream = saved;
+  }
+});
+
+test("tells why a link can't be read", async () => {
+  const reason = (payload) =>
+    decodeShareState(payload).then(
+      () => null,
+      (error) => error.key
+    );
+  expect(await reason("x123")).toBe("share.error.format");
+  expect(await reason("zbm90IGRlZmxhdGU")).toBe("share.error.corrupt");
+  expect(await reason("j!!")).toBe("share.error.corrupt");
+  expect(await reason("j")).toBe("share.error.empty");
+  expect(await reason(`j${btoa("null")}`)).toBe("share.error.empty");
+
+  const saved = global.DecompressionStream;
+  delete global.DecompressionStream;
+  try {
+    expect(await reason("zbm90IGRlZmxhdGU")).toBe("share.error.unsupported");
+  } finally {
+    global.DecompressionStream = saved;
+  }
+});
+
+test("clamps the sliders and fills in missing settings", () => {
+  expect(
+    readShareState({ rate: 9, pitch: "0.1", volume: null, inputMode: "x" })
+  ).toEqual({
+    text: null,
+    inputMode: "text",
+    voiceName: "",
+    voiceLang: "",
+    rate: 2,
+    pitch: 0.5,
+    volume: 1,
+    languageFilter: "all",
+    autoplay: false,
+  });
+  expect(readShareState("settings")).toBeNull();
+});
+
+test("finds the payload in the hash and removes it", () => {
+  expect(readShareHash("#listen=zAbC_-")).toBe("zAbC_-");
+  expect(readShareHash("#section-2")).toBeNull();
+  expect(readShareHash("")).toBeNull();
+  expect(withoutShareHash("https://example.com/tts/?a=1#listen=zAbC")).toBe(
+    "https://example.com/tts/?a=1"
+  );
+});
+
+test("leaves the text out of links that would be too long", async () => {
+  const href = "https://example.com/tts/";
+  const short = await buildShareLink(href, state);
+  expect(short.withoutText).toBe(false);
+  expect(
+    await decodeShareState(readShareHash(new URL(short.url).hash))
+  ).toEqual(state);
+
+  const long = await buildShareLink(href, { ...state, text: noise(20000) });
+  expect(long.withoutText).toBe(true);
+  expect(long.fullLength).toBeGreaterThan(MAX_LINK_LENGTH);
+  expect(long.url.length).toBeLessThanOrEqual(MAX_LINK_LENGTH);
+  const settings = await decodeShareState(
+    readShareHash(new URL(long.url).hash)
+  );
+  expect(settings).toEqual({ ...state, text: null, autoplay: false });
+});
@@ -0,0 +1,27 @@
+// shareTarget.js
+// Text shared from other apps. The manifest registers the app as a share
+// target that opens "./?title=...&text=...&url=..."; apps differ in which of
+// these they fill (a selection usually comes as text, a page as title and
+// url, and some apps put the url inside the text).
+
+export const SHARE_PARAMS = ["title", "text", "url"];
+
+// The text to pre-fill from a query string, or null when nothing was shared
+export const readSharedText = (search) => {
+  const params = new URLSearchParams(search);
+  const [title, text, url] = SHARE_PARAMS.map((name) =>
+    (params.get(name) || "").trim()
+  );
+
+  const lines = [text || title];
+  if (url && !lines[0].includes(url)) lines.push(url);
+  const shared = lines.filter(Boolean).join("\n");
+  return shared || null;
+};
+
+// The address without the share parameters, so a reload doesn't share again
+export const withoutShareParams = (href) => {
+  const url = new URL(href);
+  SHARE_PARAMS.forEach((name) => url.searchParams.delete(name));
+  return url.toString();
+};
@@ -0,0 +1,28 @@
+import { readSharedText, withoutShareParams } from "./shareTarget";
+
+test("reads shared selections, pages and links", () => {
+  expect(
+    readSharedText(
+      "?text=%E0%A4%A8%E0%A4%AE%E0%A4%B8%E0%A5%8D%E0%A4%A4%E0%A5%87"
+    )
+  ).toBe("नमस्ते");
+  expect(
+    readSharedText("?title=Release+notes&url=https%3A%2F%2Fexample.com%2Fnotes")
+  ).toBe("Release notes\nhttps://example.com/notes");
+  expect(
+    readSharedText(
+      "?title=Page&text=Read+this+https%3A%2F%2Fexample.com&url=https%3A%2F%2Fexample.com"
+    )
+  ).toBe("Read this https://example.com");
+  expect(readSharedText("?text=++&voice=Lekha")).toBeNull();
+  expect(readSharedText("")).toBeNull();
+});
+
+test("removes only the share parameters from the address", () => {
+  expect(
+    withoutShareParams("https://app.example/tts/?text=Hi&title=T&lang=hi#top")
+  ).toBe("https://app.example/tts/?lang=hi#top");
+  expect(withoutShareParams("https://app.example/?text=Hi")).toBe(
+    "https://app.example/"
+  );
+});
@@ -0,0 +1,159 @@
+// speechQueue.js
+// Plays a list of text chunks one utterance at a time. Long texts are far
+// more reliable as a queue of short utterances, and the queue lets playback
+// jump between chunks.
+//
+// Each item is spoken by the engine its voice belongs to (engineFor(item));
+// engines return a { cancel, pause, resume } handle for the utterance.
+//
+// Every play/jump starts a new session; events from utterances that belong
+// to an older session (e.g. ones cancelled by a skip) are ignored.
+//
+// Items with a `silence` (milliseconds) instead of text are timed pauses.
+
+export const createSpeechQueue = (engineFor) => {
+  let items = [];
+  let handlers = {};
+  let index = -1;
+  let session = 0;
+  let silence = null;
+  let utterance = null;
+
+  const cancelUtterance = () => {
+    if (utterance) {
+      utterance.cancel();
+      utterance = null;
+    }
+  };
+
+  const clearSilence = () => {
+    if (silence) {
+      clearTimeout(silence.timer);
+      silence = null;
+    }
+  };
+
+  const waitSilence = (position, duration) => {
+    const id = session;
+    silence = {
+      position,
+      remaining: duration,
+      startedAt: Date.now(),
+      timer: setTimeout(() => {
+        silence = null;
+        if (id !== session) return;
+        if (handlers.onSegmentEnd)
+          handlers.onSegmentEnd(position, items[position]);
+        speakItem(position + 1);
+      }, duration),
+    };
+  };
+
+  const speakItem = (position) => {
+    const id = session;
+    utterance = null;
+
+    if (position >= items.length) {
+      index = -1;
+      items = [];
+      if (handlers.onEnd) handlers.onEnd();
+      return;
+    }
+
+    index = position;
+    const item = items[position];
+
+    if (item.silence !== undefined) {
+      if (handlers.onSegmentStart) handlers.onSegmentStart(position, item);
+      waitSilence(position, item.silence);
+      return;
+    }
+
+    utterance = engineFor(item).speak(item, {
+      onStart: () => {
+        if (id === session && handlers.onSegmentStart) {
+          handlers.onSegmentStart(position, item);
+        }
+      },
+      onBoundary: (event) => {
+        if (id === session && handlers.onBoundary) {
+          handlers.onBoundary(position, item, event);
+        }
+      },
+      onEnd: () => {
+        if (id === session) {
+          if (handlers.onSegmentEnd) handlers.onSegmentEnd(position, item);
+          speakItem(position + 1);
+        }
+      },
+      onError: (event) => {
+        if (id !== session) return;
+        if (event.error === "interrupted" || event.error === "canceled") {
+          return;
+        }
+
+        if (handlers.onError) handlers.onError(event, position);
+        speakItem(position + 1);
+      },
+    });
+  };
+
+  const restart = (position) => {
+    session++;
+    clearSilence();
+    cancelUtterance();
+    speakItem(position);
+  };
+
+  return {
+    // Start playing items ({ text, voice, rate, pitch, volume }) from
+    // startIndex. Handlers: onSegmentStart(index, item), onSegmentEnd(index,
+    // item), onBoundary(index, item, event), onError(event, index) and
+    // onEnd() once the last item has finished.
+    play: (newItems, { startIndex = 0, ...newHandlers } = {}) => {
+      items = newItems;
+      handlers = newHandlers;
+      restart(Math.max(0, Math.min(startIndex, items.length)));
+    },
+
+    jumpTo: (position) => {
+      if (!items.length) return;
+      restart(Math.max(0, Math.min(position, items.length - 1)));
+    },
+
+    skip: (delta) => {
+      if (!items.length) return;
+      restart(Math.max(0, Math.min(index + delta, items.length - 1)));
+    },
+
+    stop: () => {
+      session++;
+      clearSilence();
+      items = [];
+      index = -1;
+      cancelUtterance();
+    },
+
+    // Pausing also holds the timer of a pause item
+    pause: () => {
+      if (utterance) utterance.pause();
+      if (silence && silence.timer) {
+        clearTimeout(silence.timer);
+        silence.remaining -= Date.now() - silence.startedAt;
+        silence.timer = null;
+      }
+    },
+
+    resume: () => {
+      if (utterance) utterance.resume();
+      if (silence && !silence.timer) {
+        const { position, remaining } = silence;
+        waitSilence(position, Math.max(0, remaining));
+      }
+    },
+
+    isActive: () => items.length > 0,
+
+    getIndex: () => index,
+  };
+};
@@ -0,0 +1,114 @@
+import { createSpeechQueue } from "./speechQueue";
+
+// An engine that keeps each utterance's callbacks so a test can finish it
+const fakeEngine = () => {
+  const spoken = [];
+  return {
+    spoken,
+    speak: (item, callbacks) => {
+      const handle = {
+        item,
+        callbacks,
+        cancel: jest.fn(),
+        pause: jest.fn(),
+        resume: jest.fn(),
+      };
+      spoken.push(handle);
+      return handle;
+    },
+    last: () => spoken[spoken.length - 1],
+  };
+};
+
+const items = (...texts) => texts.map((text) => ({ text }));
+
+test("speaks the items in order and reports each one", () => {
+  const engine = fakeEngine();
+  const queue = createSpeechQueue(() => engine);
+  const events = [];
+
+  queue.play(items("One.", "Two."), {
+    onSegmentStart: (index) => events.push(`start ${index}`),
+    onSegmentEnd: (index) => events.push(`end ${index}`),
+    onEnd: () => events.push("done"),
+  });
+  engine.last().callbacks.onStart();
+  expect(queue.getIndex()).toBe(0);
+  engine.last().callbacks.onEnd();
+  engine.last().callbacks.onStart();
+  engine.last().callbacks.onEnd();
+
+  expect(engine.spoken.map((handle) => handle.item.text)).toEqual([
+    "One.",
+    "Two.",
+  ]);
+  expect(events).toEqual(["start 0", "end 0", "start 1", "end 1", "done"]);
+  expect(queue.isActive()).toBe(false);
+  expect(queue.getIndex()).toBe(-1);
+});
+
+test("ignores events from utterances cancelled by a jump", () => {
+  const engine = fakeEngine();
+  const queue = createSpeechQueue(() => engine);
+  const onSegmentEnd = jest.fn();
+
+  queue.play(items("One.", "Two.", "Three."), { onSegmentEnd, startIndex: 1 });
+  const skipped = engine.last();
+  expect(skipped.item.text).toBe("Two.");
+
+  queue.jumpTo(0);
+  expect(skipped.cancel).toHaveBeenCalled();
+  skipped.callbacks.onEnd();
+  skipped.callbacks.onError({ error: "interrupted" });
+  expect(onSegmentEnd).not.toHaveBeenCalled();
+
+  queue.skip(5);
+  expect(engine.last().item.text).toBe("Three.");
+  expect(queue.getIndex()).toBe(2);
+});
+
+test("reports errors and moves on to the next item", () => {
+  const engine = fakeEngine();
+  const queue = createSpeechQueue(() => engine);
+  const onError = jest.fn();
+
+  queue.play(items("One.", "Two."), { onError });
+  engine.last().callbacks.onError({ error: "canceled" });
+  expect(engine.spoken).toHaveLength(1);
+
+  engine.last().callbacks.onError({ error: "synthesis-failed" });
+  expect(onError).toHaveBeenCalledWith({ error: "synthesis-failed" }, 0);
+  expect(engine.last().item.text).toBe("Two.");
+
+  queue.stop();
+  expect(engine.last().cancel).toHaveBeenCalled();
+  expect(queue.isActive()).toBe(false);
+});
+
+test("times pause items and holds them while paused", () => {
+  jest.useFakeTimers();
+  try {
+    const engine = fakeEngine();
+    const queue = createSpeechQueue(() => engine);
+    const onEnd = jest.fn();
+
+    queue.play([{ silence: 1000 }, { text: "After." }], { onEnd });
+    jest.advanceTimersByTime(400);
+    queue.pause();
+    jest.advanceTimersByTime(5000);
+    expect(engine.spoken).toHaveLength(0);
+
+    queue.resume();
+    jest.advanceTimersByTime(600);
+    expect(engine.last().item.text).toBe("After.");
+
+    queue.pause();
+    expect(engine.last().pause).toHaveBeenCalled();
+    queue.resume();
+    expect(engine.last().resume).toHaveBeenCalled();
+    engine.last().callbacks.onEnd();
+    expect(onEnd).toHaveBeenCalled();
+  } finally {
+    jest.useRealTimers();
+  }
+});
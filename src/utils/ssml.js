@@ -0,0 +1,599 @@
+// ssml.js
+// A small SSML parser and compiler. The Web Speech API ignores SSML, so the
+// markup is compiled into a flat list of speech segments (each with its own
+// rate, pitch, volume and voice) and timed breaks that the playback queue
+// can run one by one.
+//
+// Supported: <speak>, <break>, <prosody>, <emphasis>, <say-as>, <sub>,
+// <voice>, <p>, <s> and <mark>. Errors carry a message key of the catalogs
+// ("ssml.*") with its params, and a 1-based line and column.
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  // Common HTML entities people paste in from web pages
+  nbsp: " ",
+  shy: "",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  bull: "•",
+  middot: "·",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  deg: "°",
+  plusmn: "±",
+  times: "×",
+  divide: "÷",
+  frac14: "¼",
+  frac12: "½",
+  frac34: "¾",
+  cent: "¢",
+  pound: "£",
+  euro: "€",
+  yen: "¥",
+  rupee: "₹",
+  sect: "§",
+  para: "¶",
+};
+
+const NAME = /^[A-Za-z_][\w:.-]*/;
+const ATTRIBUTE = /^([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/;
+
+const BREAK_STRENGTHS = {
+  none: 0,
+  "x-weak": 100,
+  weak: 250,
+  medium: 400,
+  strong: 700,
+  "x-strong": 1200,
+};
+
+const RATE_KEYWORDS = {
+  "x-slow": 0.5,
+  slow: 0.75,
+  medium: 1,
+  default: 1,
+  fast: 1.5,
+  "x-fast": 2,
+};
+
+const PITCH_KEYWORDS = {
+  "x-low": 0.6,
+  low: 0.8,
+  medium: 1,
+  default: 1,
+  high: 1.25,
+  "x-high": 1.5,
+};
+
+const VOLUME_KEYWORDS = {
+  silent: 0,
+  "x-soft": 0.3,
+  soft: 0.6,
+  medium: 1,
+  default: 1,
+  loud: 1.3,
+  "x-loud": 1.6,
+};
+
+const EMPHASIS_LEVELS = {
+  strong: { rate: 0.85, pitch: 1.15, volume: 1.2 },
+  moderate: { rate: 0.9, pitch: 1.1, volume: 1.1 },
+  none: { rate: 1, pitch: 1, volume: 1 },
+  reduced: { rate: 1.1, pitch: 0.95, volume: 0.8 },
+};
+
+const ELEMENTS = [
+  "speak",
+  "break",
+  "prosody",
+  "emphasis",
+  "say-as",
+  "sub",
+  "voice",
+  "p",
+  "s",
+  "mark",
+];
+
+// Map source offsets to 1-based line/column
+const createLocator = (source) => {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++;
+    }
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+};
+
+const decodeEntities = (raw, offset, fail) =>
+  raw.replace(/&([^;\s&]*);?/g, (match, name, index) => {
+    if (!match.endsWith(";")) {
+      fail("ssml.unescapedAmp", offset + index);
+      return match;
+    }
+    if (name.startsWith("#x")) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith("#")) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    if (ENTITIES[name] === undefined) {
+      fail("ssml.unknownEntity", offset + index, { name });
+      return match;
+    }
+    return ENTITIES[name];
+  });
+
+// Parse XML into a tree of { type, name, attributes, children, offset }
+// nodes. Stops at the first structural error.
+const parseXml = (source, fail) => {
+  const root = { type: "element", name: "#root", children: [], offset: 0 };
+  const stack = [root];
+  let pos = 0;
+
+  const top = () => stack[stack.length - 1];
+
+  while (pos < source.length) {
+    if (source.startsWith("<!--", pos)) {
+      const end = source.indexOf("-->", pos + 4);
+      if (end < 0) return fail("ssml.unclosedComment", pos);
+      pos = end + 3;
+    } else if (source.startsWith("<?", pos)) {
+      const end = source.indexOf("?>", pos + 2);
+      if (end < 0) return fail("ssml.unclosedInstruction", pos);
+      pos = end + 2;
+    } else if (source.startsWith("</", pos)) {
+      const match = /^<\/([A-Za-z_][\w:.-]*)\s*>/.exec(source.slice(pos));
+      if (!match) return fail("ssml.malformedClosingTag", pos);
+
+      const open = top();
+      if (open === root) {
+        return fail("ssml.unexpectedClosingTag", pos, { tag: match[1] });
+      }
+      if (open.name !== match[1]) {
+        return fail("ssml.mismatchedTag", pos, {
+          expected: open.name,
+          found: match[1],
+        });
+      }
+      open.end = pos;
+      stack.pop();
+      pos += match[0].length;
+    } else if (source[pos] === "<") {
+      const tagStart = pos;
+      const nameMatch = NAME.exec(source.slice(pos + 1));
+      if (!nameMatch) return fail("ssml.malformedTag", pos);
+
+      const element = {
+        type: "element",
+        name: nameMatch[0],
+        attributes: {},
+        children: [],
+        offset: tagStart,
+      };
+      pos += 1 + nameMatch[0].length;
+
+      let closed = false;
+      let selfClosing = false;
+      while (pos < source.length) {
+        const whitespace = /^\s*/.exec(source.slice(pos))[0];
+        pos += whitespace.length;
+
+        if (source.startsWith("/>", pos)) {
+          pos += 2;
+          closed = true;
+          selfClosing = true;
+          break;
+        }
+        if (source[pos] === ">") {
+          pos += 1;
+          closed = true;
+          break;
+        }
+
+        const attribute = ATTRIBUTE.exec(source.slice(pos));
+        if (!attribute || !whitespace) {
+          return fail("ssml.malformedAttribute", pos, { tag: element.name });
+        }
+        const [raw, name, doubleQuoted, singleQuoted] = attribute;
+        if (element.attributes[name] !== undefined) {
+          return fail("ssml.duplicateAttribute", pos, { name });
+        }
+        element.attributes[name] = decodeEntities(
+          doubleQuoted !== undefined ? doubleQuoted : singleQuoted,
+          pos,
+          fail
+        );
+        pos += raw.length;
+      }
+
+      if (!closed)
+        return fail("ssml.unclosedTag", tagStart, { tag: element.name });
+
+      top().children.push(element);
+      if (selfClosing) {
+        element.end = pos;
+      } else {
+        stack.push(element);
+      }
+    } else {
+      const next = source.indexOf("<", pos);
+      const end = next < 0 ? source.length : next;
+      top().children.push({
+        type: "text",
+        text: decodeEntities(source.slice(pos, end), pos, fail),
+        offset: pos,
+        end,
+      });
+      pos = end;
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = top();
+    return fail("ssml.unclosedElement", open.offset, { tag: open.name });
+  }
+
+  return root;
+};
+
+// "150%" is an absolute scale, "+20%" and "-20%" are relative changes
+const parsePercent = (value) => {
+  const match = /^([+-]?)(\d+(?:\.\d+)?)%$/.exec(value);
+  if (!match) return null;
+  const amount = Number(match[2]) / 100;
+  if (match[1] === "+") return 1 + amount;
+  if (match[1] === "-") return Math.max(0, 1 - amount);
+  return amount;
+};
+
+// Rate: keyword, "150%" or a plain multiplier such as "1.2"
+const parseRate = (value) => {
+  if (RATE_KEYWORDS[value] !== undefined) return RATE_KEYWORDS[value];
+  const percent = parsePercent(value);
+  if (percent !== null && percent > 0) return percent;
+  if (/^\d+(\.\d+)?$/.test(value) && Number(value) > 0) return Number(value);
+  return null;
+};
+
+// Pitch: keyword, "+10%", "-2st" or a relative "+20Hz" (against 120Hz)
+const parsePitch = (value) => {
+  if (PITCH_KEYWORDS[value] !== undefined) return PITCH_KEYWORDS[value];
+
+  const percent = parsePercent(value);
+  if (percent !== null) return percent > 0 ? Math.max(0.1, percent) : null;
+
+  const relative = /^([+-])(\d+(?:\.\d+)?)(st|Hz)$/.exec(value);
+  if (!relative) return null;
+
+  const amount = Number(relative[2]) * (relative[1] === "-" ? -1 : 1);
+  if (relative[3] === "st") return Math.pow(2, amount / 12);
+  return Math.max(0.1, 1 + amount / 120);
+};
+
+// Volume: keyword, "+6dB" or a percentage
+const parseVolume = (value) => {
+  if (VOLUME_KEYWORDS[value] !== undefined) return VOLUME_KEYWORDS[value];
+
+  const decibels = /^([+-]?\d+(?:\.\d+)?)dB$/.exec(value);
+  if (decibels) return Math.pow(10, Number(decibels[1]) / 20);
+
+  const percent = parsePercent(value);
+  if (percent !== null && percent >= 0) return percent;
+  return null;
+};
+
+// Break time: "500ms" or "1.5s"
+const parseTime = (value) => {
+  const match = /^(\d+(?:\.\d+)?)(ms|s)$/.exec(value);
+  if (!match) return null;
+  return Number(match[1]) * (match[2] === "s" ? 1000 : 1);
+};
+
+const spellOut = (text) => Array.from(text.replace(/\s+/g, "")).join(" ");
+
+const SAY_AS = {
+  characters: spellOut,
+  "spell-out": spellOut,
+  digits: (text) => spellOut(text.replace(/\D/g, "")),
+  telephone: (text) =>
+    text
+      .split(/[\s-]+/)
+      .map((group) => spellOut(group.replace(/\D/g, "")))
+      .join(", "),
+};
+
+// Walk the tree and produce segments, collecting validation errors
+const compileTree = (root, fail) => {
+  const segments = [];
+
+  // Breaks written as <break>, as opposed to the pauses around <p> and <s>
+  const written = new Set();
+
+  const pushBreak = (ms, offset, explicit = false) => {
+    let last = segments[segments.length - 1];
+    if (last && last.break !== undefined) {
+      last.break = Math.max(last.break, ms);
+    } else {
+      last = { break: ms, start: offset, end: offset };
+      segments.push(last);
+    }
+    if (explicit) written.add(last);
+  };
+
+  const pushText = (text, context, start, end) => {
+    const last = segments[segments.length - 1];
+    const normalized = text.replace(/\s+/g, " ");
+    if (!normalized.trim()) {
+      if (last && last.text !== undefined) last.text += normalized;
+      return;
+    }
+
+    const sameSettings =
+      last &&
+      last.text !== undefined &&
+      last.rate === context.rate &&
+      last.pitch === context.pitch &&
+      last.volume === context.volume &&
+      last.voiceName === context.voiceName &&
+      last.lang === context.lang;
+
+    if (sameSettings) {
+      last.text += normalized;
+      last.end = end;
+    } else {
+      segments.push({
+        text: normalized,
+        rate: context.rate,
+        pitch: context.pitch,
+        volume: context.volume,
+        voiceName: context.voiceName,
+        lang: context.lang,
+        start,
+        end,
+      });
+    }
+  };
+
+  const textContent = (element) =>
+    element.children
+      .map((child) => {
+        if (child.type === "text") return child.text;
+        fail("ssml.textOnly", child.offset, { tag: element.name });
+        return "";
+      })
+      .join("");
+
+  // Invalid values are reported as "ssml.invalid.<name>"
+  const attribute = (element, name, parse) => {
+    const value = element.attributes[name];
+    if (value === undefined) return undefined;
+    const parsed = parse(value.trim());
+    if (parsed === null) {
+      fail(`ssml.invalid.${name}`, element.offset, {
+        value,
+        tag: element.name,
+      });
+    }
+    return parsed === null ? undefined : parsed;
+  };
+
+  const visit = (node, context) => {
+    if (node.type === "text") {
+      pushText(node.text, context, node.offset, node.end);
+      return;
+    }
+
+    if (!ELEMENTS.includes(node.name)) {
+      fail("ssml.unsupportedElement", node.offset, { tag: node.name });
+      return;
+    }
+
+    const children = (childContext) =>
+      node.children.forEach((child) => visit(child, childContext));
+
+    switch (node.name) {
+      case "speak":
+        fail("ssml.nestedSpeak", node.offset);
+        return;
+
+      case "break": {
+        if (node.children.length) {
+          fail("ssml.breakNotEmpty", node.offset);
+        }
+        const time = attribute(node, "time", parseTime);
+        const strength = node.attributes.strength;
+        if (strength !== undefined && BREAK_STRENGTHS[strength] === undefined) {
+          fail("ssml.invalid.strength", node.offset, {
+            value: strength,
+            tag: "break",
+          });
+        }
+        const ms =
+          time !== undefined
+            ? time
+            : BREAK_STRENGTHS[strength] !== undefined
+              ? BREAK_STRENGTHS[strength]
+              : BREAK_STRENGTHS.medium;
+        pushBreak(ms, node.offset, true);
+        return;
+      }
+
+      case "prosody": {
+        const rate = attribute(node, "rate", parseRate);
+        const pitch = attribute(node, "pitch", parsePitch);
+        const volume = attribute(node, "volume", parseVolume);
+        children({
+          ...context,
+          rate: context.rate * (rate !== undefined ? rate : 1),
+          pitch: context.pitch * (pitch !== undefined ? pitch : 1),
+          volume: context.volume * (volume !== undefined ? volume : 1),
+        });
+        return;
+      }
+
+      case "emphasis": {
+        const level = node.attributes.level || "moderate";
+        const effect = EMPHASIS_LEVELS[level];
+        if (!effect) {
+          fail("ssml.invalid.level", node.offset, {
+            value: level,
+            tag: "emphasis",
+          });
+          return;
+        }
+        children({
+          ...context,
+          rate: context.rate * effect.rate,
+          pitch: context.pitch * effect.pitch,
+          volume: context.volume * effect.volume,
+        });
+        return;
+      }
+
+      case "say-as": {
+        const interpretAs = node.attributes["interpret-as"];
+        if (!interpretAs) {
+          fail("ssml.sayAsType", node.offset);
+          return;
+        }
+        const content = textContent(node);
+        const transform = SAY_AS[interpretAs];
+        pushText(
+          transform ? transform(content.trim()) : content,
+          context,
+          node.offset,
+          node.end
+        );
+        return;
+      }
+
+      case "sub": {
+        const alias = node.attributes.alias;
+        if (alias === undefined) {
+          fail("ssml.subAlias", node.offset);
+          return;
+        }
+        textContent(node);
+        pushText(alias, context, node.offset, node.end);
+        return;
+      }
+
+      case "voice": {
+        const name = node.attributes.name;
+        const lang = node.attributes["xml:lang"] || node.attributes.language;
+        if (!name && !lang) {
+          fail("ssml.voiceTarget", node.offset);
+          return;
+        }
+        children({
+          ...context,
+          voiceName: name || context.voiceName,
+          lang: lang || context.lang,
+        });
+        return;
+      }
+
+      case "p":
+      case "s": {
+        const pause =
+          node.name === "p" ? BREAK_STRENGTHS.strong : BREAK_STRENGTHS.medium;
+        // Text right before the element mustn't run into it ("Hi<p>para")
+        if (segments.length) pushBreak(pause, node.offset);
+        children(context);
+        pushBreak(pause, node.end);
+        return;
+      }
+
+      default:
+        // <mark> has no audible effect
+        children(context);
+    }
+  };
+
+  const speakElements = root.children.filter(
+    (child) => child.type === "element"
+  );
+  root.children.forEach((child) => {
+    if (child.type === "text" && child.text.trim()) {
+      fail("ssml.textOutside", child.offset);
+    }
+  });
+
+  if (speakElements.length !== 1 || speakElements[0].name !== "speak") {
+    fail("ssml.singleRoot", speakElements[0] ? speakElements[0].offset : 0);
+    return segments;
+  }
+
+  const rootContext = {
+    rate: 1,
+    pitch: 1,
+    volume: 1,
+    voiceName: null,
+    lang: speakElements[0].attributes["xml:lang"] || null,
+  };
+  speakElements[0].children.forEach((child) => visit(child, rootContext));
+
+  // Tidy whitespace and drop a trailing paragraph or sentence pause, which
+  // would only delay the end. A <break> after the last text is kept as a
+  // final pause.
+  const result = segments
+    .map((segment) =>
+      segment.text !== undefined
+        ? { ...segment, text: segment.text.trim() }
+        : segment
+    )
+    .filter((segment) => segment.text === undefined || segment.text);
+
+  const last = result[result.length - 1];
+  if (last && last.break !== undefined && !written.has(last)) {
+    result.pop();
+  }
+  return result;
+};
+
+// Parse and compile SSML. Returns { segments, errors }, where segments are
+// either speech ({ text, rate, pitch, volume, voiceName, lang, start, end }
+// with multipliers relative to the user's settings) or breaks ({ break }
+// in milliseconds), and errors are { key, params, line, column }.
+export const parseSsml = (source) => {
+  const locate = createLocator(source);
+  const errors = [];
+  const fail = (key, offset, params = {}) => {
+    errors.push({ key, params, ...locate(offset) });
+    return null;
+  };
+
+  const root = parseXml(source, fail);
+  if (!root || errors.length) {
+    return { segments: [], errors };
+  }
+
+  const segments = compileTree(root, fail);
+  return { segments: errors.length ? [] : segments, errors };
+};
+
+// Plain text of the compiled speech, for the offline generator and previews
+export const ssmlToText = (segments) =>
+  segments
+    .filter((segment) => segment.text !== undefined)
+    .map((segment) => segment.text)
+    .join(" ");
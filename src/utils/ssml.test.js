@@ -0,0 +1,101 @@
+import { parseSsml } from "./ssml";
+
+test("compiles prosody, emphasis and breaks into segments", () => {
+  const { segments, errors } = parseSsml(
+    '<speak>Hello <break time="1.5s"/><prosody rate="slow" pitch="+2st" volume="-6dB">there</prosody> <emphasis level="strong">friend</emphasis></speak>'
+  );
+
+  expect(errors).toEqual([]);
+  expect(segments).toHaveLength(4);
+  expect(segments[0]).toMatchObject({ text: "Hello", rate: 1, pitch: 1 });
+  expect(segments[1]).toMatchObject({ break: 1500 });
+  expect(segments[2].text).toBe("there");
+  expect(segments[2].rate).toBe(0.75);
+  expect(segments[2].pitch).toBeCloseTo(Math.pow(2, 2 / 12));
+  expect(segments[2].volume).toBeCloseTo(0.501, 3);
+  expect(segments[3]).toMatchObject({ text: "friend", rate: 0.85 });
+});
+
+test("applies say-as, sub and voice", () => {
+  const { segments } = parseSsml(
+    '<speak><say-as interpret-as="characters">API</say-as> <sub alias="World Wide Web">WWW</sub> <voice name="Lekha">नमस्ते</voice></speak>'
+  );
+
+  expect(segments.map((s) => s.text)).toEqual([
+    "A P I World Wide Web",
+    "नमस्ते",
+  ]);
+  expect(segments[1].voiceName).toBe("Lekha");
+});
+
+test("pauses before and after paragraphs and sentences", () => {
+  const { segments } = parseSsml(
+    "<speak>Hi<p>para</p><p><s>One</s><s>Two</s></p></speak>"
+  );
+
+  expect(segments).toEqual([
+    expect.objectContaining({ text: "Hi" }),
+    expect.objectContaining({ break: 700 }),
+    expect.objectContaining({ text: "para" }),
+    expect.objectContaining({ break: 700 }),
+    expect.objectContaining({ text: "One" }),
+    expect.objectContaining({ break: 400 }),
+    expect.objectContaining({ text: "Two" }),
+  ]);
+});
+
+test("decodes entities", () => {
+  const { segments } = parseSsml("<speak>Tom &amp; Jerry &#x263A;</speak>");
+  expect(segments[0].text).toBe("Tom & Jerry ☺");
+});
+
+test("decodes common HTML entities", () => {
+  const { segments, errors } = parseSsml(
+    "<speak>Tom&nbsp;&amp;&nbsp;Jerry &mdash; 25&deg;C</speak>"
+  );
+  expect(errors).toEqual([]);
+  expect(segments[0].text).toBe("Tom & Jerry — 25°C");
+});
+
+test("keeps a break after the last text as a final pause", () => {
+  const { segments } = parseSsml(
+    '<speak><p>Done.</p><break time="2s"/> </speak>'
+  );
+  expect(segments).toEqual([
+    expect.objectContaining({ text: "Done." }),
+    expect.objectContaining({ break: 2000 }),
+  ]);
+});
+
+test("reports mismatched tags with line and column", () => {
+  const { segments, errors } = parseSsml(
+    "<speak>\n  <prosody rate='fast'>Hi</emphasis>\n</speak>"
+  );
+
+  expect(segments).toEqual([]);
+  expect(errors).toEqual([
+    {
+      key: "ssml.mismatchedTag",
+      params: { expected: "prosody", found: "emphasis" },
+      line: 2,
+      column: 26,
+    },
+  ]);
+});
+
+test("reports invalid attributes and unsupported elements", () => {
+  const { errors } = parseSsml(
+    '<speak><break time="soon"/><audio src="x.mp3"/></speak>'
+  );
+
+  expect(errors.map(({ key, params }) => [key, params])).toEqual([
+    ["ssml.invalid.time", { value: "soon", tag: "break" }],
+    ["ssml.unsupportedElement", { tag: "audio" }],
+  ]);
+  expect(errors[1]).toMatchObject({ line: 1, column: 28 });
+});
+
+test("requires a speak root", () => {
+  const { errors } = parseSsml("Hello <break/>");
+  expect(errors[0].key).toBe("ssml.textOutside");
+});
@@ -0,0 +1,140 @@
+// subtitles.js
+// Caption files from recorded timings (see wordTiming.js): SRT, WebVTT and
+// a JSON file with cue and word timings.
+
+// Longest caption shown at once, as two lines of about 42 characters
+export const MAX_CUE_LENGTH = 84;
+const MAX_LINE_LENGTH = 42;
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const formatTime = (seconds, separator) => {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const secs = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(
+    ms % 1000,
+    3
+  )}`;
+};
+
+// Break a caption into lines at spaces
+const wrapLines = (text) => {
+  const lines = [];
+  let line = "";
+  text.split(/\s+/).forEach((word) => {
+    if (line && line.length + 1 + word.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.join("\n");
+};
+
+// Split cues that are too long to read at once, using the word timings
+// inside them. Cues without word timings are kept whole.
+export const buildCaptions = (timings, maxLength = MAX_CUE_LENGTH) => {
+  const captions = [];
+
+  timings.cues.forEach((cue, index) => {
+    const words = timings.words.filter((word) => word.cue === index);
+    if (cue.text.length <= maxLength || !words.length) {
+      captions.push({ text: cue.text.trim(), start: cue.start, end: cue.end });
+      return;
+    }
+
+    // Pieces run from the first word of one piece to the first of the next
+    const pieces = [];
+    words.forEach((word) => {
+      const piece = pieces[pieces.length - 1];
+      if (
+        !piece ||
+        word.charIndex + word.charLength - piece[0].charIndex > maxLength
+      ) {
+        pieces.push([word]);
+      } else {
+        piece.push(word);
+      }
+    });
+
+    pieces.forEach((piece, i) => {
+      const next = pieces[i + 1];
+      captions.push({
+        text: cue.text
+          .slice(
+            i ? piece[0].charIndex : 0,
+            next ? next[0].charIndex : undefined
+          )
+          .trim(),
+        start: i ? piece[0].start : cue.start,
+        end: next ? next[0].start : cue.end,
+      });
+    });
+  });
+
+  return captions.filter((caption) => caption.text);
+};
+
+export const formatSrt = (timings) =>
+  buildCaptions(timings)
+    .map(
+      (caption, index) =>
+        `${index + 1}\n${formatTime(caption.start, ",")} --> ${formatTime(
+          caption.end,
+          ","
+        )}\n${wrapLines(caption.text)}\n`
+    )
+    .join("\n");
+
+// WebVTT cue text is markup: "&" and "<" start entities and tags, and a
+// "-->" would read as a timing line
+const escapeVtt = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/-->/g, "--&gt;");
+
+export const formatVtt = (timings) =>
+  [
+    "WEBVTT\n",
+    ...buildCaptions(timings).map(
+      (caption) =>
+        `${formatTime(caption.start, ".")} --> ${formatTime(
+          caption.end,
+          "."
+        )}\n${escapeVtt(wrapLines(caption.text))}\n`
+    ),
+  ].join("\n");
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+export const formatTimingJson = (timings) =>
+  JSON.stringify(
+    {
+      cues: timings.cues.map((cue) => ({
+        text: cue.text,
+        start: round(cue.start),
+        end: round(cue.end),
+      })),
+      words: timings.words.map((word) => ({
+        text: word.text,
+        start: round(word.start),
+        end: round(word.end),
+        cue: word.cue,
+      })),
+    },
+    null,
+    2
+  );
+
+export const SUBTITLE_FORMATS = [
+  { id: "srt", label: "SRT", type: "application/x-subrip", format: formatSrt },
+  { id: "vtt", label: "WebVTT", type: "text/vtt", format: formatVtt },
+  {
+    id: "json",
+    label: "JSON",
+    type: "application/json",
+    format: formatTimingJson,
+  },
+];
@@ -0,0 +1,87 @@
+import {
+  buildCaptions,
+  formatSrt,
+  formatTimingJson,
+  formatVtt,
+} from "./subtitles";
+
+const TIMINGS = {
+  cues: [
+    { text: "Hello there.", start: 0.15, end: 1.2 },
+    { text: "नमस्ते।", start: 3661.5, end: 3662.25 },
+  ],
+  words: [
+    {
+      text: "Hello",
+      start: 0.15,
+      end: 0.5,
+      cue: 0,
+      charIndex: 0,
+      charLength: 5,
+    },
+    {
+      text: "there.",
+      start: 0.5,
+      end: 1.2,
+      cue: 0,
+      charIndex: 6,
+      charLength: 6,
+    },
+  ],
+};
+
+test("formats SRT", () => {
+  expect(formatSrt(TIMINGS)).toBe(
+    "1\n00:00:00,150 --> 00:00:01,200\nHello there.\n\n" +
+      "2\n01:01:01,500 --> 01:01:02,250\nनमस्ते।\n"
+  );
+});
+
+test("formats WebVTT", () => {
+  expect(formatVtt(TIMINGS)).toBe(
+    "WEBVTT\n\n00:00:00.150 --> 00:00:01.200\nHello there.\n\n" +
+      "01:01:01.500 --> 01:01:02.250\nनमस्ते।\n"
+  );
+});
+
+test("escapes markup in WebVTT cue text", () => {
+  const timings = {
+    cues: [{ text: "A & B <c> x --> y", start: 0, end: 1 }],
+    words: [],
+  };
+  expect(formatVtt(timings)).toBe(
+    "WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nA &amp; B &lt;c> x --&gt; y\n"
+  );
+});
+
+test("writes word timings as JSON", () => {
+  const data = JSON.parse(formatTimingJson(TIMINGS));
+  expect(data.cues).toHaveLength(2);
+  expect(data.words[1]).toEqual({
+    text: "there.",
+    start: 0.5,
+    end: 1.2,
+    cue: 0,
+  });
+});
+
+test("splits long cues at word timings and wraps lines", () => {
+  const text = "alpha beta gamma delta";
+  const words = ["alpha", "beta", "gamma", "delta"].map((word, i) => ({
+    text: word,
+    start: i,
+    end: i + 1,
+    cue: 0,
+    charIndex: text.indexOf(word),
+    charLength: word.length,
+  }));
+  const captions = buildCaptions(
+    { cues: [{ text, start: 0, end: 4 }], words },
+    12
+  );
+
+  expect(captions).toEqual([
+    { text: "alpha beta", start: 0, end: 2 },
+    { text: "gamma delta", start: 2, end: 4 },
+  ]);
+});
@@ -0,0 +1,145 @@
+// tags.js
+// Metadata writers for exported audio. Tags are { title, voice, language }
+// with a BCP-47 language such as "hi-IN"; empty values are left out.
+//   WAV      - RIFF LIST/INFO chunk (INAM, IART, ILNG)
+//   MP3      - ID3v2.3 tag (TIT2, TPE1, TLAN)
+//   OGG/Opus - Vorbis comment for the OpusTags header
+
+export const SOFTWARE_NAME = "Text to Speech Converter";
+
+// ID3 wants ISO 639-2 codes for TLAN
+const ISO_639_2 = {
+  ar: "ara",
+  de: "deu",
+  en: "eng",
+  es: "spa",
+  fr: "fra",
+  hi: "hin",
+  it: "ita",
+  ja: "jpn",
+  ko: "kor",
+  pt: "por",
+  ru: "rus",
+  zh: "zho",
+};
+
+const utf8 = (string) => new TextEncoder().encode(string);
+
+const ascii = (string) =>
+  Uint8Array.from(string, (char) => char.charCodeAt(0) & 0x7f);
+
+export const concat = (arrays) => {
+  const result = new Uint8Array(
+    arrays.reduce((total, array) => total + array.length, 0)
+  );
+  let offset = 0;
+  arrays.forEach((array) => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+};
+
+const uint32 = (value, littleEndian) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, littleEndian);
+  return bytes;
+};
+
+const entries = (tags, names) =>
+  Object.keys(names)
+    .filter((key) => tags[key])
+    .map((key) => [names[key], String(tags[key])]);
+
+// RIFF LIST/INFO chunk, appended after the data chunk of a WAV file
+export const createInfoChunk = (tags) => {
+  const fields = [
+    ...entries(tags, { title: "INAM", voice: "IART", language: "ILNG" }),
+    ["ISFT", SOFTWARE_NAME],
+  ];
+
+  const subchunks = fields.map(([id, value]) => {
+    const text = concat([utf8(value), new Uint8Array(1)]);
+    // Chunks are word aligned
+    const pad = new Uint8Array(text.length % 2);
+    return concat([ascii(id), uint32(text.length, true), text, pad]);
+  });
+
+  const body = concat([ascii("INFO"), ...subchunks]);
+  return concat([ascii("LIST"), uint32(body.length, true), body]);
+};
+
+// Text frames are written as UTF-16 with a BOM so Devanagari titles survive
+const id3TextFrame = (id, value) => {
+  const text = new Uint8Array(value.length * 2);
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    text[i * 2] = code & 0xff;
+    text[i * 2 + 1] = code >> 8;
+  }
+  const payload = concat([Uint8Array.of(1, 0xff, 0xfe), text]);
+  return concat([
+    ascii(id),
+    uint32(payload.length),
+    new Uint8Array(2),
+    payload,
+  ]);
+};
+
+const id3LanguageFrame = (language) => {
+  const code = ISO_639_2[language.toLowerCase().split(/[-_]/)[0]];
+  if (!code) return new Uint8Array(0);
+
+  const payload = concat([new Uint8Array(1), ascii(code)]);
+  return concat([
+    ascii("TLAN"),
+    uint32(payload.length),
+    new Uint8Array(2),
+    payload,
+  ]);
+};
+
+// ID3v2.3 tag to put in front of MP3 frames
+export const createId3Tag = (tags) => {
+  const frames = concat([
+    ...entries(tags, { title: "TIT2", voice: "TPE1" }).map(([id, value]) =>
+      id3TextFrame(id, value)
+    ),
+    tags.language ? id3LanguageFrame(tags.language) : new Uint8Array(0),
+    id3TextFrame("TSSE", SOFTWARE_NAME),
+  ]);
+
+  // The tag size is a "synchsafe" integer: 7 bits per byte
+  const size = frames.length;
+  const header = Uint8Array.of(
+    0x49, // I
+    0x44, // D
+    0x33, // 3
+    3,
+    0,
+    0,
+    (size >> 21) & 0x7f,
+    (size >> 14) & 0x7f,
+    (size >> 7) & 0x7f,
+    size & 0x7f
+  );
+
+  return concat([header, frames]);
+};
+
+// Vorbis comment block (vendor string and KEY=value pairs)
+export const createVorbisComment = (tags) => {
+  const comments = entries(tags, {
+    title: "TITLE",
+    voice: "ARTIST",
+    language: "LANGUAGE",
+  }).map(([key, value]) => utf8(`${key}=${value}`));
+  const vendor = utf8(SOFTWARE_NAME);
+
+  return concat([
+    uint32(vendor.length, true),
+    vendor,
+    uint32(comments.length, true),
+    ...comments.flatMap((comment) => [uint32(comment.length, true), comment]),
+  ]);
+};
@@ -0,0 +1,71 @@
+/**
+ * @jest-environment node
+ */
+import { createId3Tag, createInfoChunk, createVorbisComment } from "./tags";
+import { encodeWav } from "./wav";
+
+const text = (bytes, start, length) =>
+  String.fromCharCode(...bytes.subarray(start, start + length));
+
+const TAGS = { title: "नमस्ते", voice: "Lekha", language: "hi-IN" };
+
+test("writes an ID3v2.3 tag with UTF-16 text frames", () => {
+  const tag = createId3Tag(TAGS);
+
+  expect(text(tag, 0, 3)).toBe("ID3");
+  expect(tag[3]).toBe(3);
+  const size = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9];
+  expect(size).toBe(tag.length - 10);
+
+  expect(text(tag, 10, 4)).toBe("TIT2");
+  // Encoding byte, BOM and two bytes per character
+  expect(new DataView(tag.buffer).getUint32(14)).toBe(3 + 6 * 2);
+  expect([...tag.subarray(20, 23)]).toEqual([1, 0xff, 0xfe]);
+  const tlan = text(tag, 0, tag.length).indexOf("TLAN");
+  expect(text(tag, tlan + 10, 4)).toBe("\u0000hin");
+});
+
+test("writes a RIFF INFO chunk with word-aligned fields", () => {
+  const chunk = createInfoChunk({ title: "Hello", language: "en-US" });
+
+  expect(text(chunk, 0, 4)).toBe("LIST");
+  expect(new DataView(chunk.buffer).getUint32(4, true)).toBe(chunk.length - 8);
+  expect(text(chunk, 8, 8)).toBe("INFOINAM");
+  // "Hello" plus terminator is 6 bytes, already even
+  expect(new DataView(chunk.buffer).getUint32(16, true)).toBe(6);
+  expect(text(chunk, 26, 4)).toBe("ILNG");
+});
+
+test("writes Vorbis comments", () => {
+  const comment = createVorbisComment({ title: "Hi", voice: "" });
+  const view = new DataView(comment.buffer);
+  const vendorLength = view.getUint32(0, true);
+
+  expect(view.getUint32(4 + vendorLength, true)).toBe(1);
+  expect(new TextDecoder().decode(comment.subarray(12 + vendorLength))).toBe(
+    "TITLE=Hi"
+  );
+});
+
+test("encodes stereo float WAV with tags", () => {
+  const left = Float32Array.of(0, 0.5, -0.5);
+  const right = Float32Array.of(1, -1, 0.25);
+  const bytes = new Uint8Array(
+    encodeWav([left, right], 48000, { float: true, tags: TAGS })
+  );
+  const view = new DataView(bytes.buffer);
+
+  expect(text(bytes, 0, 4)).toBe("RIFF");
+  expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+  expect(view.getUint16(20, true)).toBe(3);
+  expect(view.getUint16(22, true)).toBe(2);
+  expect(view.getUint32(28, true)).toBe(48000 * 8);
+  expect(view.getUint16(34, true)).toBe(32);
+  expect(text(bytes, 38, 4)).toBe("fact");
+  expect(view.getUint32(46, true)).toBe(3);
+  expect(text(bytes, 50, 4)).toBe("data");
+  expect(view.getUint32(54, true)).toBe(24);
+  expect(view.getFloat32(58 + 4, true)).toBe(1);
+  expect(view.getFloat32(58 + 12, true)).toBe(-1);
+  expect(text(bytes, 58 + 24, 4)).toBe("LIST");
+});
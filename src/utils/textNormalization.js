@@ -0,0 +1,668 @@
+// textNormalization.js
+// Expands numbers, dates, times, currency amounts, units, ordinals and
+// common abbreviations into words before they are spoken, so voices read
+// them consistently and in the voice's language. English and Hindi are
+// supported; Hindi always uses lakh/crore, English uses them for numbers
+// written with Indian digit grouping ("1,25,000") and for en-IN voices.
+// Text for voices of other languages is returned unchanged.
+
+const EN_ONES = [
+  "zero",
+  "one",
+  "two",
+  "three",
+  "four",
+  "five",
+  "six",
+  "seven",
+  "eight",
+  "nine",
+  "ten",
+  "eleven",
+  "twelve",
+  "thirteen",
+  "fourteen",
+  "fifteen",
+  "sixteen",
+  "seventeen",
+  "eighteen",
+  "nineteen",
+];
+const EN_TENS = [
+  "",
+  "",
+  "twenty",
+  "thirty",
+  "forty",
+  "fifty",
+  "sixty",
+  "seventy",
+  "eighty",
+  "ninety",
+];
+const EN_SCALES = [
+  [1e12, "trillion"],
+  [1e9, "billion"],
+  [1e6, "million"],
+  [1e3, "thousand"],
+];
+const EN_INDIAN_SCALES = [
+  [1e7, "crore"],
+  [1e5, "lakh"],
+  [1e3, "thousand"],
+];
+
+// Hindi number names below 100 are irregular, so they are listed in full
+const HI_NUMBERS = (
+  "शून्य एक दो तीन चार पाँच छह सात आठ नौ " +
+  "दस ग्यारह बारह तेरह चौदह पंद्रह सोलह सत्रह अठारह उन्नीस " +
+  "बीस इक्कीस बाईस तेईस चौबीस पच्चीस छब्बीस सत्ताईस अट्ठाईस उनतीस " +
+  "तीस इकतीस बत्तीस तैंतीस चौंतीस पैंतीस छत्तीस सैंतीस अड़तीस उनतालीस " +
+  "चालीस इकतालीस बयालीस तैंतालीस चवालीस पैंतालीस छियालीस सैंतालीस अड़तालीस उनचास " +
+  "पचास इक्यावन बावन तिरपन चौवन पचपन छप्पन सत्तावन अट्ठावन उनसठ " +
+  "साठ इकसठ बासठ तिरसठ चौंसठ पैंसठ छियासठ सड़सठ अड़सठ उनहत्तर " +
+  "सत्तर इकहत्तर बहत्तर तिहत्तर चौहत्तर पचहत्तर छिहत्तर सतहत्तर अठहत्तर उन्यासी " +
+  "अस्सी इक्यासी बयासी तिरासी चौरासी पचासी छियासी सत्तासी अट्ठासी नवासी " +
+  "नब्बे इक्यानबे बानबे तिरानबे चौरानबे पंचानबे छियानबे सत्तानबे अट्ठानबे निन्यानबे"
+).split(" ");
+const HI_SCALES = [
+  [1e7, "करोड़"],
+  [1e5, "लाख"],
+  [1e3, "हज़ार"],
+  [100, "सौ"],
+];
+
+const EN_MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const HI_MONTHS = [
+  "जनवरी",
+  "फ़रवरी",
+  "मार्च",
+  "अप्रैल",
+  "मई",
+  "जून",
+  "जुलाई",
+  "अगस्त",
+  "सितंबर",
+  "अक्टूबर",
+  "नवंबर",
+  "दिसंबर",
+];
+
+const englishUnderThousand = (n) => {
+  const words = [];
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  if (hundreds) words.push(`${EN_ONES[hundreds]} hundred`);
+  if (rest >= 20) {
+    words.push(
+      EN_TENS[Math.floor(rest / 10)] +
+        (rest % 10 ? `-${EN_ONES[rest % 10]}` : "")
+    );
+  } else if (rest) {
+    words.push(EN_ONES[rest]);
+  }
+  return words.join(" ");
+};
+
+export const englishCardinal = (n, indian = false) => {
+  if (n === 0) return EN_ONES[0];
+  const words = [];
+  let rest = n;
+  (indian ? EN_INDIAN_SCALES : EN_SCALES).forEach(([value, name]) => {
+    if (rest >= value) {
+      words.push(
+        `${englishCardinal(Math.floor(rest / value), indian)} ${name}`
+      );
+      rest %= value;
+    }
+  });
+  if (rest) words.push(englishUnderThousand(rest));
+  return words.join(" ");
+};
+
+export const hindiCardinal = (n) => {
+  if (n < 100) return HI_NUMBERS[n];
+  const words = [];
+  let rest = n;
+  HI_SCALES.forEach(([value, name]) => {
+    if (rest >= value) {
+      words.push(`${hindiCardinal(Math.floor(rest / value))} ${name}`);
+      rest %= value;
+    }
+  });
+  if (rest) words.push(HI_NUMBERS[rest]);
+  return words.join(" ");
+};
+
+const EN_ORDINAL_ENDINGS = {
+  one: "first",
+  two: "second",
+  three: "third",
+  five: "fifth",
+  eight: "eighth",
+  nine: "ninth",
+  twelve: "twelfth",
+};
+
+export const englishOrdinal = (n) =>
+  englishCardinal(n).replace(/[a-z]+$/, (last) => {
+    if (EN_ORDINAL_ENDINGS[last]) return EN_ORDINAL_ENDINGS[last];
+    if (last.endsWith("y")) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+
+// Hindi ordinals agree with the noun: masculine, feminine or oblique
+const HI_ORDINALS = {
+  1: ["पहला", "पहली", "पहले"],
+  2: ["दूसरा", "दूसरी", "दूसरे"],
+  3: ["तीसरा", "तीसरी", "तीसरे"],
+  4: ["चौथा", "चौथी", "चौथे"],
+  6: ["छठा", "छठी", "छठे"],
+};
+const HI_ORDINAL_SUFFIXES = ["वाँ", "वीं", "वें"];
+
+export const hindiOrdinal = (n, form = 0) =>
+  HI_ORDINALS[n]
+    ? HI_ORDINALS[n][form]
+    : `${hindiCardinal(n)}${HI_ORDINAL_SUFFIXES[form]}`;
+
+const cardinal = (n, lang, indian) =>
+  lang === "hi" ? hindiCardinal(n) : englishCardinal(n, indian);
+
+const readDigits = (digits, lang) =>
+  Array.from(digits, (digit) => cardinal(Number(digit), lang)).join(" ");
+
+// A number as written: "1,25,000", "125,000", "3.5" or "007"
+const NUMBER = "\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?";
+const INDIAN_GROUPING = /^\d{1,2}(?:,\d{2})+,\d{3}$/;
+
+const parseNumber = (token) => {
+  const [integer, fraction = ""] = token.split(".");
+  return {
+    digits: integer.replace(/,/g, ""),
+    fraction,
+    indianGrouping: INDIAN_GROUPING.test(integer),
+  };
+};
+
+// Read a number token. Leading zeros and long ungrouped numbers (phone
+// numbers, IDs) are read digit by digit.
+const readNumber = (token, context) => {
+  const { lang, indian } = context;
+  const { digits, fraction, indianGrouping } = parseNumber(token);
+
+  let words;
+  if (
+    (digits.length > 1 && digits[0] === "0") ||
+    (digits.length >= 10 && !token.includes(",")) ||
+    digits.length > 15
+  ) {
+    words = readDigits(digits, lang);
+  } else {
+    words = cardinal(Number(digits), lang, indian || indianGrouping);
+  }
+  if (fraction) {
+    words += ` ${lang === "hi" ? "दशमलव" : "point"} ${readDigits(
+      fraction,
+      lang
+    )}`;
+  }
+  return words;
+};
+
+const isOne = (token) => /^0*1(\.0*)?$/.test(token);
+
+// English year names: "nineteen ninety-nine", "two thousand five",
+// "twenty twenty-five"
+const englishYear = (year) => {
+  if (year < 1100 || year > 2099 || (year >= 2000 && year < 2010)) {
+    return englishCardinal(year);
+  }
+  const century = Math.floor(year / 100);
+  const rest = year % 100;
+  if (!rest) return `${englishCardinal(century)} hundred`;
+  return `${englishCardinal(century)} ${
+    rest < 10 ? `oh ${EN_ONES[rest]}` : englishCardinal(rest)
+  }`;
+};
+
+const hindiYear = (year) =>
+  year >= 1100 && year < 2000
+    ? `${hindiCardinal(Math.floor(year / 100))} सौ${
+        year % 100 ? ` ${hindiCardinal(year % 100)}` : ""
+      }`
+    : hindiCardinal(year);
+
+const readDate = (day, month, year, context) => {
+  if (context.lang === "hi") {
+    return [hindiCardinal(day), HI_MONTHS[month - 1], year && hindiYear(year)]
+      .filter(Boolean)
+      .join(" ");
+  }
+  const yearWords = year ? ` ${englishYear(year)}` : "";
+  if (context.region === "us") {
+    return `${EN_MONTHS[month - 1]} ${englishOrdinal(day)}${
+      year ? `,${yearWords}` : ""
+    }`;
+  }
+  return `the ${englishOrdinal(day)} of ${EN_MONTHS[month - 1]}${yearWords}`;
+};
+
+const expandYear = (year) => {
+  if (year.length === 4) return Number(year);
+  const short = Number(year);
+  return short < 50 ? 2000 + short : 1900 + short;
+};
+
+const validDate = (day, month) =>
+  month >= 1 && month <= 12 && day >= 1 && day <= 31;
+
+// 12/03/2025, 12-03-2025 and 12.03.25 are day first (month first for
+// en-US voices unless the first number can't be a month); 2025-03-12 is ISO
+const replaceDates = (text, context) =>
+  text
+    .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+      validDate(Number(day), Number(month))
+        ? readDate(Number(day), Number(month), Number(year), context)
+        : match
+    )
+    .replace(
+      /\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4}|\d{2})\b/g,
+      (match, first, separator, second, year) => {
+        let day = Number(first);
+        let month = Number(second);
+        if (context.region === "us" && month <= 31 && day <= 12) {
+          [day, month] = [month, day];
+        } else if (month > 12 && day <= 12) {
+          [day, month] = [month, day];
+        }
+        return validDate(day, month)
+          ? readDate(day, month, expandYear(year), context)
+          : match;
+      }
+    );
+
+// Versions and addresses such as "v2.0.1", "1.2.3" and "192.168.1.1" are
+// read group by group. Before the dates only tokens that can't be a date
+// are read (minGroups 4, or a "v"); afterwards the rest.
+const replaceDottedNumbers = (text, context, minGroups) =>
+  text.replace(
+    /(?<![\p{L}\p{N}_.])(v?)(\d+(?:\.\d+)+)(?![\p{L}\p{N}_]|\.\d)/giu,
+    (match, version, token) => {
+      const groups = token.split(".");
+      if (!version && groups.length < minGroups) return match;
+      const hi = context.lang === "hi";
+      const words = groups
+        .map((group) => readNumber(group, context))
+        .join(hi ? " डॉट " : " dot ");
+      return version ? `${hi ? "वर्ज़न" : "version"} ${words}` : words;
+    }
+  );
+
+// English fraction names: "one half", "three quarters", "two thirds"
+const englishFraction = (numerator, denominator) => {
+  const plural = numerator !== 1;
+  const name =
+    denominator === 2
+      ? plural
+        ? "halves"
+        : "half"
+      : denominator === 4
+        ? plural
+          ? "quarters"
+          : "quarter"
+        : `${englishOrdinal(denominator)}${plural ? "s" : ""}`;
+  return `${englishCardinal(numerator)} ${name}`;
+};
+
+// Simple fractions such as "3/4"; slashed dates are read before this
+const replaceFractions = (text, context) =>
+  text.replace(
+    /(?<![\p{L}\p{N}_/.,])([1-9]\d?)\/([1-9]\d?)(?![\p{L}\p{N}_]|[/.,]\d)/gu,
+    (match, top, bottom) => {
+      const numerator = Number(top);
+      const denominator = Number(bottom);
+      if (denominator < 2) return match;
+      return context.lang === "hi"
+        ? `${hindiCardinal(numerator)} बटा ${hindiCardinal(denominator)}`
+        : englishFraction(numerator, denominator);
+    }
+  );
+
+// Hindi names the part of the day instead of AM/PM
+const hindiDayPart = (hour, period) => {
+  const h = hour % 12;
+  if (period === "a") return h < 4 ? "रात" : "सुबह";
+  if (h < 4) return "दोपहर";
+  return h < 8 ? "शाम" : "रात";
+};
+
+const readTime = (hour, minute, second, period, context) => {
+  if (context.lang === "hi") {
+    const words = [
+      period && hindiDayPart(hour, period),
+      hindiCardinal(hour),
+      minute ? `बजकर ${hindiCardinal(minute)} मिनट` : "बजे",
+      second && `और ${hindiCardinal(second)} सेकंड`,
+    ];
+    return words.filter(Boolean).join(" ");
+  }
+
+  let words = englishCardinal(hour);
+  if (minute) {
+    words += ` ${minute < 10 ? `oh ${EN_ONES[minute]}` : englishCardinal(minute)}`;
+  } else if (!period) {
+    words += hour > 12 ? " hundred" : " o'clock";
+  }
+  if (second) words += ` and ${englishCardinal(second)} seconds`;
+  if (period) words += period === "a" ? " AM" : " PM";
+  return words;
+};
+
+// "am", "a m", "a.m" or "a.m.". The last dot is only taken when the first
+// one is there, so a sentence ending in "10:30 am." keeps its stop.
+const DAY_PERIOD = "\\s?(?:([ap])\\.\\s?m\\b\\.?|([ap])\\s?m\\b)";
+
+const replaceTimes = (text, context) => {
+  const read = (hour, minute, second, dotted, plain) => {
+    const period = dotted || plain;
+    return readTime(
+      Number(hour),
+      Number(minute || 0),
+      Number(second || 0),
+      period && period.toLowerCase(),
+      context
+    );
+  };
+  return text
+    .replace(
+      new RegExp(
+        `\\b([01]?\\d|2[0-3]):([0-5]\\d)(?::([0-5]\\d))?(?:${DAY_PERIOD})?`,
+        "gi"
+      ),
+      (match, hour, minute, second, dotted, plain) =>
+        read(hour, minute, second, dotted, plain)
+    )
+    .replace(
+      new RegExp(`(?<![\\d.:])\\b(1[0-2]|0?[1-9])${DAY_PERIOD}`, "gi"),
+      (match, hour, dotted, plain) => read(hour, 0, 0, dotted, plain)
+    );
+};
+
+// Currency names: [singular, plural] for the main unit and the subunit
+const CURRENCIES = {
+  INR: {
+    en: [
+      ["rupee", "rupees"],
+      ["paisa", "paise"],
+    ],
+    hi: [
+      ["रुपया", "रुपये"],
+      ["पैसा", "पैसे"],
+    ],
+  },
+  USD: {
+    en: [
+      ["dollar", "dollars"],
+      ["cent", "cents"],
+    ],
+    hi: [
+      ["डॉलर", "डॉलर"],
+      ["सेंट", "सेंट"],
+    ],
+  },
+  EUR: {
+    en: [
+      ["euro", "euros"],
+      ["cent", "cents"],
+    ],
+    hi: [
+      ["यूरो", "यूरो"],
+      ["सेंट", "सेंट"],
+    ],
+  },
+  GBP: {
+    en: [
+      ["pound", "pounds"],
+      ["penny", "pence"],
+    ],
+    hi: [
+      ["पाउंड", "पाउंड"],
+      ["पेंस", "पेंस"],
+    ],
+  },
+};
+const CURRENCY_SYMBOLS = [
+  [/^(₹|rs\.?|inr|रु\.?)$/i, "INR"],
+  [/^(\$|usd)$/i, "USD"],
+  [/^(€|eur)$/i, "EUR"],
+  [/^(£|gbp)$/i, "GBP"],
+];
+const MAGNITUDES = {
+  lakh: ["lakh", "लाख"],
+  lakhs: ["lakh", "लाख"],
+  crore: ["crore", "करोड़"],
+  crores: ["crore", "करोड़"],
+  cr: ["crore", "करोड़"],
+  million: ["million", "मिलियन"],
+  mn: ["million", "मिलियन"],
+  billion: ["billion", "बिलियन"],
+  bn: ["billion", "बिलियन"],
+  thousand: ["thousand", "हज़ार"],
+  k: ["thousand", "हज़ार"],
+};
+
+const readAmount = (symbol, token, magnitude, context) => {
+  const code = CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(symbol))[1];
+  const [[one, many], [subOne, subMany]] = CURRENCIES[code][context.lang];
+  const { lang } = context;
+
+  // "₹3.5 crore" reads the decimal; "₹12.50" reads rupees and paise
+  if (magnitude) {
+    const scale = MAGNITUDES[magnitude.toLowerCase()][lang === "hi" ? 1 : 0];
+    return `${readNumber(token, context)} ${scale} ${many}`;
+  }
+
+  const { digits, fraction } = parseNumber(token);
+  if (fraction.length > 2) return `${readNumber(token, context)} ${many}`;
+
+  const main = `${readNumber(token.split(".")[0], context)} ${
+    Number(digits) === 1 ? one : many
+  }`;
+  const cents = Number(fraction.padEnd(2, "0"));
+  if (!cents) return main;
+  const sub = `${cardinal(cents, lang)} ${cents === 1 ? subOne : subMany}`;
+  return lang === "hi" ? `${main} ${sub}` : `${main} and ${sub}`;
+};
+
+const replaceCurrency = (text, context) =>
+  text.replace(
+    new RegExp(
+      `(₹|\\$|€|£|(?<![\\p{L}])(?:Rs\\.?|INR|USD|EUR|GBP|रु\\.?))\\s?(${NUMBER})(?:\\s?(lakhs?|crores?|cr|million|mn|billion|bn|thousand|k)(?![\\p{L}]))?(?:\\/-)?`,
+      "giu"
+    ),
+    (match, symbol, token, magnitude) =>
+      readAmount(symbol, token, magnitude, context)
+  );
+
+// Units after a number: [English singular, English plural, Hindi]
+const UNITS = [
+  ["km/h", "kilometer per hour", "kilometers per hour", "किलोमीटर प्रति घंटा"],
+  ["kmph", "kilometer per hour", "kilometers per hour", "किलोमीटर प्रति घंटा"],
+  ["kph", "kilometer per hour", "kilometers per hour", "किलोमीटर प्रति घंटा"],
+  ["mph", "mile per hour", "miles per hour", "मील प्रति घंटा"],
+  ["km", "kilometer", "kilometers", "किलोमीटर"],
+  ["cm", "centimeter", "centimeters", "सेंटीमीटर"],
+  ["mm", "millimeter", "millimeters", "मिलीमीटर"],
+  ["m", "meter", "meters", "मीटर"],
+  ["kg", "kilogram", "kilograms", "किलोग्राम"],
+  ["mg", "milligram", "milligrams", "मिलीग्राम"],
+  ["g", "gram", "grams", "ग्राम"],
+  ["ml", "milliliter", "milliliters", "मिलीलीटर"],
+  ["mL", "milliliter", "milliliters", "मिलीलीटर"],
+  ["ltr", "liter", "liters", "लीटर"],
+  ["l", "liter", "liters", "लीटर"],
+  ["L", "liter", "liters", "लीटर"],
+  ["°C", "degree Celsius", "degrees Celsius", "डिग्री सेल्सियस"],
+  ["℃", "degree Celsius", "degrees Celsius", "डिग्री सेल्सियस"],
+  ["°F", "degree Fahrenheit", "degrees Fahrenheit", "डिग्री फ़ारेनहाइट"],
+  ["%", "percent", "percent", "प्रतिशत"],
+  ["TB", "terabyte", "terabytes", "टेराबाइट"],
+  ["GB", "gigabyte", "gigabytes", "गीगाबाइट"],
+  ["MB", "megabyte", "megabytes", "मेगाबाइट"],
+  ["KB", "kilobyte", "kilobytes", "किलोबाइट"],
+  ["kB", "kilobyte", "kilobytes", "किलोबाइट"],
+  ["hrs", "hour", "hours", "घंटे"],
+  ["hr", "hour", "hours", "घंटे"],
+  ["mins", "minute", "minutes", "मिनट"],
+  ["min", "minute", "minutes", "मिनट"],
+  ["ft", "foot", "feet", "फ़ुट"],
+];
+const UNIT_PATTERN = [...UNITS]
+  .sort((a, b) => b[0].length - a[0].length)
+  .map(([unit]) => unit)
+  .join("|");
+
+const replaceUnits = (text, context) =>
+  text.replace(
+    new RegExp(
+      `(?<![\\p{L}\\p{N}.,])(${NUMBER})\\s?(${UNIT_PATTERN})(?![\\p{L}\\p{N}])`,
+      "gu"
+    ),
+    (match, token, unit) => {
+      const [, singular, plural, hindi] = UNITS.find(([u]) => u === unit);
+      const name =
+        context.lang === "hi" ? hindi : isOne(token) ? singular : plural;
+      return `${readNumber(token, context)} ${name}`;
+    }
+  );
+
+const HI_ORDINAL_FORMS = {
+  ला: 0,
+  रा: 0,
+  था: 0,
+  ठा: 0,
+  वाँ: 0,
+  वां: 0,
+  ली: 1,
+  री: 1,
+  थी: 1,
+  ठी: 1,
+  वीं: 1,
+  वी: 1,
+  ले: 2,
+  रे: 2,
+  थे: 2,
+  ठे: 2,
+  वें: 2,
+  वे: 2,
+};
+
+const replaceOrdinals = (text, context) =>
+  text
+    .replace(/\b(\d+)(st|nd|rd|th)\b/gi, (match, number) =>
+      context.lang === "hi"
+        ? hindiOrdinal(Number(number))
+        : englishOrdinal(Number(number))
+    )
+    .replace(
+      /(?<![\p{L}\p{N}])(\d+)(वाँ|वां|वीं|वें|वी|वे|ला|ली|ले|रा|री|रे|था|थी|थे|ठा|ठी|ठे)(?![\p{L}\p{M}])/gu,
+      (match, number, suffix) =>
+        context.lang === "hi"
+          ? hindiOrdinal(Number(number), HI_ORDINAL_FORMS[suffix])
+          : englishOrdinal(Number(number))
+    );
+
+// Abbreviation, English and Hindi expansions. Titles come before names,
+// so they never end a sentence.
+const ABBREVIATIONS = [
+  ["Dr", "Doctor", "डॉक्टर", true],
+  ["Mr", "Mister", "मिस्टर", true],
+  ["Mrs", "Missus", "मिसेज़", true],
+  ["Ms", "Miz", "मिस", true],
+  ["Prof", "Professor", "प्रोफ़ेसर", true],
+  ["Sr", "Senior", "सीनियर"],
+  ["Jr", "Junior", "जूनियर"],
+  ["Govt", "Government", "गवर्नमेंट"],
+  ["Ltd", "Limited", "लिमिटेड"],
+  ["Pvt", "Private", "प्राइवेट"],
+  ["approx", "approximately", "लगभग"],
+  ["vs", "versus", "बनाम"],
+  ["etc", "et cetera", "इत्यादि"],
+  ["e.g", "for example", "उदाहरण के लिए"],
+  ["i.e", "that is", "यानी"],
+  ["डॉ", "डॉक्टर", "डॉक्टर", true],
+  ["प्रो", "प्रोफ़ेसर", "प्रोफ़ेसर", true],
+];
+
+const replaceAbbreviations = (text, context) => {
+  let result = text.replace(
+    /(?<![\p{L}])no\.\s?(?=\d)/giu,
+    context.lang === "hi" ? "नंबर " : "number "
+  );
+  ABBREVIATIONS.forEach(([abbreviation, english, hindi, title]) => {
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{M}.])${abbreviation.replace(/\./g, "\\.")}\\.(\\s+\\p{Lu}|\\s*$)?`,
+      "gu"
+    );
+    const expansion = context.lang === "hi" ? hindi : english;
+    // Keep the full stop when the abbreviation ended the sentence
+    result = result.replace(pattern, (match, after) =>
+      after && !title ? `${expansion}.${after}` : `${expansion}${after || ""}`
+    );
+  });
+  return result;
+};
+
+const DEVANAGARI_DIGITS = /[\u0966-\u096F]/g;
+
+// The language rules to use for a voice language tag, or null to leave the
+// text alone. Without a tag the script of the text decides.
+const normalizationContext = (text, lang) => {
+  const [base = "", region = ""] = (lang || "").toLowerCase().split(/[-_]/);
+  if (base && base !== "en" && base !== "hi") return null;
+  return {
+    lang: base || (/[\u0900-\u097F]/.test(text) ? "hi" : "en"),
+    region,
+    indian: region === "in",
+  };
+};
+
+export const normalizeText = (text, lang) => {
+  const context = normalizationContext(text, lang);
+  if (!context) return text;
+
+  let result = text.replace(DEVANAGARI_DIGITS, (digit) =>
+    String(digit.charCodeAt(0) - 0x966)
+  );
+  result = replaceAbbreviations(result, context);
+  result = replaceDottedNumbers(result, context, 4);
+  result = replaceDates(result, context);
+  result = replaceDottedNumbers(result, context, 3);
+  result = replaceFractions(result, context);
+  result = replaceTimes(result, context);
+  result = result.replace(
+    /(^|[\s(])[-−](?=\d)/g,
+    `$1${context.lang === "hi" ? "ऋण" : "minus"} `
+  );
+  result = replaceCurrency(result, context);
+  result = replaceUnits(result, context);
+  result = replaceOrdinals(result, context);
+  return result.replace(
+    new RegExp(`(?<![\\p{L}\\p{N}_])(?:${NUMBER})(?![\\p{L}\\p{N}_])`, "gu"),
+    (token) => readNumber(token, context)
+  );
+};
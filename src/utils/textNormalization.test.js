@@ -0,0 +1,167 @@
+import {
+  englishCardinal,
+  englishOrdinal,
+  hindiCardinal,
+  hindiOrdinal,
+  normalizeText,
+} from "./textNormalization";
+import { buildPlaybackPlan } from "./playbackPlan";
+
+test("names numbers in English and Hindi", () => {
+  expect(englishCardinal(125000)).toBe("one hundred twenty-five thousand");
+  expect(englishCardinal(125000, true)).toBe("one lakh twenty-five thousand");
+  expect(englishCardinal(2500000000, true)).toBe("two hundred fifty crore");
+  expect(hindiCardinal(1001)).toBe("एक हज़ार एक");
+  expect(hindiCardinal(12345678)).toBe(
+    "एक करोड़ तेईस लाख पैंतालीस हज़ार छह सौ अठहत्तर"
+  );
+  expect(englishOrdinal(21)).toBe("twenty-first");
+  expect(englishOrdinal(40)).toBe("fortieth");
+  expect(hindiOrdinal(2, 1)).toBe("दूसरी");
+  expect(hindiOrdinal(7)).toBe("सातवाँ");
+});
+
+test("follows Indian grouping and en-IN voices", () => {
+  expect(normalizeText("₹1,25,000", "en-US")).toBe(
+    "one lakh twenty-five thousand rupees"
+  );
+  expect(normalizeText("125000", "en-US")).toBe(
+    "one hundred twenty-five thousand"
+  );
+  expect(normalizeText("125000", "en-IN")).toBe(
+    "one lakh twenty-five thousand"
+  );
+  expect(normalizeText("₹1,25,000", "hi-IN")).toBe("एक लाख पच्चीस हज़ार रुपये");
+});
+
+test("expands currency amounts", () => {
+  expect(normalizeText("Rs. 500/- only", "en-IN")).toBe(
+    "five hundred rupees only"
+  );
+  expect(normalizeText("$3.99", "en-US")).toBe(
+    "three dollars and ninety-nine cents"
+  );
+  expect(normalizeText("₹12.50", "hi-IN")).toBe("बारह रुपये पचास पैसे");
+  expect(normalizeText("₹3.5 crore", "en-IN")).toBe(
+    "three point five crore rupees"
+  );
+  expect(normalizeText("$1", "en-US")).toBe("one dollar");
+});
+
+test("reads dates in the voice's order and language", () => {
+  expect(normalizeText("12/03/2025", "en-IN")).toBe(
+    "the twelfth of March twenty twenty-five"
+  );
+  expect(normalizeText("12/03/2025", "en-US")).toBe(
+    "December third, twenty twenty-five"
+  );
+  expect(normalizeText("25/12/1999", "en-US")).toBe(
+    "December twenty-fifth, nineteen ninety-nine"
+  );
+  expect(normalizeText("12/03/2025", "hi-IN")).toBe(
+    "बारह मार्च दो हज़ार पच्चीस"
+  );
+  expect(normalizeText("2025-03-12", "en-GB")).toBe(
+    "the twelfth of March twenty twenty-five"
+  );
+});
+
+test("reads times", () => {
+  expect(normalizeText("at 10:30 am", "en-IN")).toBe("at ten thirty AM");
+  expect(normalizeText("at 9:05", "en-US")).toBe("at nine oh five");
+  expect(normalizeText("at 14:00", "en-US")).toBe("at fourteen hundred");
+  expect(normalizeText("10:30 am", "hi-IN")).toBe("सुबह दस बजकर तीस मिनट");
+  expect(normalizeText("7:00 pm", "hi-IN")).toBe("शाम सात बजे");
+  expect(normalizeText("It is 10:30 am.", "en-US")).toBe(
+    "It is ten thirty AM."
+  );
+  expect(normalizeText("Doors open at 10:30 a.m. today", "en-US")).toBe(
+    "Doors open at ten thirty AM today"
+  );
+  expect(normalizeText("Call me at 5 PM.", "en-US")).toBe(
+    "Call me at five PM."
+  );
+  expect(normalizeText("5 pm", "hi-IN")).toBe("शाम पाँच बजे");
+});
+
+test("reads units, ordinals and abbreviations", () => {
+  expect(normalizeText("3.5km", "en-US")).toBe("three point five kilometers");
+  expect(normalizeText("3.5km", "hi-IN")).toBe("तीन दशमलव पाँच किलोमीटर");
+  expect(normalizeText("1 kg, 25% and -5 °C", "en-US")).toBe(
+    "one kilogram, twenty-five percent and minus five degrees Celsius"
+  );
+  expect(normalizeText("the 21st and 3rd", "en-US")).toBe(
+    "the twenty-first and third"
+  );
+  expect(normalizeText("5वीं कक्षा", "hi-IN")).toBe("पाँचवीं कक्षा");
+  expect(normalizeText("Dr. Rao, No. 5 vs. 7, etc. Then", "en-IN")).toBe(
+    "Doctor Rao, number five versus seven, et cetera. Then"
+  );
+  expect(normalizeText("डॉ. शर्मा", "hi-IN")).toBe("डॉक्टर शर्मा");
+});
+
+test("reads addresses and versions group by group", () => {
+  expect(normalizeText("Ping 192.168.1.1 now", "en-US")).toBe(
+    "Ping one hundred ninety-two dot one hundred sixty-eight dot one dot one now"
+  );
+  expect(normalizeText("Update to v2.0.1.", "en-US")).toBe(
+    "Update to version two dot zero dot one."
+  );
+  expect(normalizeText("Release 1.2.3 and V3.5", "en-US")).toBe(
+    "Release one dot two dot three and version three dot five"
+  );
+  expect(normalizeText("10.10.10.10", "hi-IN")).toBe("दस डॉट दस डॉट दस डॉट दस");
+  // Dotted dates are still dates
+  expect(normalizeText("12.03.25", "en-IN")).toBe(
+    "the twelfth of March twenty twenty-five"
+  );
+});
+
+test("reads simple fractions", () => {
+  expect(normalizeText("3/4 cup and 1/2 spoon", "en-US")).toBe(
+    "three quarters cup and one half spoon"
+  );
+  expect(normalizeText("2/3 of 5/16", "en-US")).toBe(
+    "two thirds of five sixteenths"
+  );
+  expect(normalizeText("3/4 भाग", "hi-IN")).toBe("तीन बटा चार भाग");
+  expect(normalizeText("12/03/2025", "en-IN")).toBe(
+    "the twelfth of March twenty twenty-five"
+  );
+});
+
+test("expands no. before a number in any case", () => {
+  expect(normalizeText("room no. 5 and NO. 6", "en-US")).toBe(
+    "room number five and number six"
+  );
+  expect(normalizeText("मकान no. 12", "hi-IN")).toBe("मकान नंबर बारह");
+});
+
+test("reads long and zero-padded numbers digit by digit", () => {
+  expect(normalizeText("Call 9876543210 or 007", "en-US")).toBe(
+    "Call nine eight seven six five four three two one zero or zero zero seven"
+  );
+});
+
+test("uses the script without a voice and skips other languages", () => {
+  expect(normalizeText("२५ लोग", "")).toBe("पच्चीस लोग");
+  expect(normalizeText("25 people", "")).toBe("twenty-five people");
+  expect(normalizeText("25 personas", "es-ES")).toBe("25 personas");
+});
+
+test("normalizes the spoken text of a playback plan", () => {
+  const voice = { name: "Lekha", lang: "hi-IN" };
+  const plan = buildPlaybackPlan(
+    "कीमत ₹500 है। धन्यवाद।",
+    "text",
+    { voice, rate: 1, pitch: 1, volume: 1, normalize: true },
+    [voice]
+  );
+
+  expect(plan.chunks[0].text).toBe("कीमत ₹500 है।");
+  expect(plan.items.map((item) => [item.text, item.offset])).toEqual([
+    ["कीमत पाँच सौ रुपये है।", null],
+    ["धन्यवाद।", 14],
+  ]);
+  expect(plan.parts[0].text).toBe("कीमत पाँच सौ रुपये है। धन्यवाद।");
+});
@@ -0,0 +1,268 @@
+// voiceCatalog.js
+// Describes installed voices with separate facets instead of one guessed
+// "type": the language, script and region parsed from the voice's BCP-47
+// tag, and the provider, gender and quality tier inferred from the engine,
+// name and voice URI. The voice grid searches and filters on these facets;
+// favorite voices are pinned to the top and kept in localStorage.
+
+import { languageName } from "./languageDetection";
+import { voiceKey } from "./voiceRatings";
+
+export const FAVORITES_KEY = "tts-voice-favorites";
+
+export const PROVIDERS = [
+  { id: "google", label: "Google", color: "#4285f4" },
+  { id: "microsoft", label: "Microsoft", color: "#00a4ef" },
+  { id: "apple", label: "Apple", color: "#a2aaad" },
+  { id: "amazon", label: "Amazon", color: "#ff9900" },
+  { id: "espeak", label: "eSpeak", color: "#8d6e63" },
+  { id: "offline", label: "Offline synthesizer", color: "#607d8b" },
+  { id: "server", label: "TTS server", color: "#7e57c2" },
+  { id: "system", label: "System", color: "#ff9800" },
+];
+
+export const GENDERS = [{ id: "female" }, { id: "male" }, { id: "unknown" }];
+
+export const QUALITIES = [
+  { id: "neural" },
+  { id: "enhanced" },
+  { id: "standard" },
+  { id: "basic" },
+];
+
+// Facet and option names are the "facet.<id>" and "facet.<id>.<option>"
+// messages of the catalogs
+export const FACETS = [
+  { id: "provider", options: PROVIDERS },
+  { id: "gender", options: GENDERS },
+  { id: "quality", options: QUALITIES },
+];
+
+export const EMPTY_FILTERS = {
+  language: "all",
+  query: "",
+  provider: [],
+  gender: [],
+  quality: [],
+  favoritesOnly: false,
+};
+
+// Names of common system voices that don't state their gender
+const GENDER_NAMES = {
+  female: new Set(
+    (
+      "samantha victoria karen moira tessa fiona veena lekha kyoko yuna " +
+      "amelie anna alice paulina monica zira hazel susan heera kalpana " +
+      "swara catherine linda nora sara zuzana ioana milena melina"
+    ).split(" ")
+  ),
+  male: new Set(
+    (
+      "alex daniel fred rishi thomas diego jorge juan luca xander yuri " +
+      "maged david mark george hemant ravi madhur prabhat aaron arthur oliver"
+    ).split(" ")
+  ),
+};
+
+// Parse a BCP-47 tag ("en-US", "zh-Hant-TW", "hi_IN", "sr-Latn") into its
+// language, script and region, with the tag in canonical case
+export const parseLanguageTag = (tag) => {
+  const parts = String(tag || "")
+    .trim()
+    .split(/[-_]/)
+    .filter(Boolean);
+  const language = /^[a-z]{2,8}$/i.test(parts[0] || "")
+    ? parts.shift().toLowerCase()
+    : "";
+  // Extended language subtags ("zh-yue") are kept out of the region
+  while (/^[a-z]{3}$/i.test(parts[0] || "")) parts.shift();
+  const script = /^[a-z]{4}$/i.test(parts[0] || "")
+    ? parts[0][0].toUpperCase() + parts.shift().slice(1).toLowerCase()
+    : "";
+  const region = /^([a-z]{2}|\d{3})$/i.test(parts[0] || "")
+    ? parts.shift().toUpperCase()
+    : "";
+
+  return {
+    language,
+    script,
+    region,
+    tag: [language, script, region].filter(Boolean).join("-"),
+  };
+};
+
+export const regionName = (code, locale = "en") => {
+  if (!code) return "";
+  try {
+    return new Intl.DisplayNames([locale], { type: "region" }).of(code);
+  } catch (error) {
+    return code;
+  }
+};
+
+const words = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u);
+
+export const inferProvider = (voice) => {
+  if (voice.engine === "offline") return "offline";
+  if (voice.engine === "http") return "server";
+
+  const text =
+    `${voice.name} ${(voice.native && voice.native.voiceURI) || ""}`.toLowerCase();
+  if (text.includes("google")) return "google";
+  if (text.includes("microsoft")) return "microsoft";
+  if (text.includes("com.apple") || /\bapple\b/.test(text)) return "apple";
+  if (/\b(amazon|polly)\b/.test(text)) return "amazon";
+  if (/\bespeak\b/.test(text)) return "espeak";
+  return "system";
+};
+
+export const inferGender = (voice) => {
+  const nameWords = words(voice.name);
+  if (nameWords.some((word) => ["female", "woman"].includes(word))) {
+    return "female";
+  }
+  if (nameWords.some((word) => ["male", "man"].includes(word))) return "male";
+  const found = Object.keys(GENDER_NAMES).find((gender) =>
+    nameWords.some((word) => GENDER_NAMES[gender].has(word))
+  );
+  return found || "unknown";
+};
+
+export const inferQuality = (voice) => {
+  if (voice.engine === "offline") return "basic";
+  const text =
+    `${voice.name} ${(voice.native && voice.native.voiceURI) || ""}`.toLowerCase();
+  if (/neural|natural|wavenet|studio/.test(text)) return "neural";
+  if (/premium|enhanced/.test(text)) return "enhanced";
+  if (/compact|espeak/.test(text)) return "basic";
+  return "standard";
+};
+
+// Facets of a voice, with language and region names in `locale`. The
+// language name is empty when the tag has no language.
+export const describeVoice = (voice, locale = "en") => {
+  const { language, script, region, tag } = parseLanguageTag(voice.lang);
+  return {
+    voice,
+    key: voiceKey(voice),
+    language,
+    script,
+    region,
+    tag,
+    languageName: language ? languageName(language, locale) : "",
+    regionName: regionName(region, locale),
+    provider: inferProvider(voice),
+    gender: inferGender(voice),
+    quality: inferQuality(voice),
+  };
+};
+
+export const providerOf = (id) =>
+  PROVIDERS.find((provider) => provider.id === id) || PROVIDERS[0];
+
+// The languages of the installed voices as [{ code, name, count }] by name.
+// Codes in `extra` are listed even without voices.
+export const languageOptions = (entries, extra = [], locale = "en") => {
+  const counts = new Map(extra.filter(Boolean).map((code) => [code, 0]));
+  entries.forEach((entry) => {
+    if (!entry.language) return;
+    counts.set(entry.language, (counts.get(entry.language) || 0) + 1);
+  });
+  return [...counts]
+    .map(([code, count]) => ({
+      code,
+      name: languageName(code, locale),
+      count,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name, locale));
+};
+
+// Search terms match the name, the language and the facet options, by id,
+// English label and `label(facetId, optionId)`, the label in the UI language
+const matchesQuery = (entry, query, label) => {
+  const haystack = [
+    entry.voice.name,
+    entry.tag,
+    entry.languageName,
+    entry.regionName,
+    providerOf(entry.provider).label,
+    ...FACETS.flatMap((facet) => [
+      entry[facet.id],
+      label(facet.id, entry[facet.id]),
+    ]),
+  ]
+    .join(" ")
+    .toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+};
+
+// Entries passing every filter except the facet named in `except`, so that
+// facet counts show what picking another option would add
+const applyFilters = (entries, filters, favorites, label, except) =>
+  entries.filter(
+    (entry) =>
+      (filters.language === "all" || entry.language === filters.language) &&
+      (!filters.favoritesOnly || favorites.includes(entry.key)) &&
+      matchesQuery(entry, filters.query, label) &&
+      FACETS.every(
+        (facet) =>
+          facet.id === except ||
+          !filters[facet.id].length ||
+          filters[facet.id].includes(entry[facet.id])
+      )
+  );
+
+const noLabel = () => "";
+
+export const filterCatalog = (
+  entries,
+  filters,
+  favorites = [],
+  label = noLabel
+) => applyFilters(entries, filters, favorites, label);
+
+// Move favorite voices to the top, keeping the order otherwise
+export const pinFavorites = (voices, favorites) => [
+  ...voices.filter((voice) => favorites.includes(voiceKey(voice))),
+  ...voices.filter((voice) => !favorites.includes(voiceKey(voice))),
+];
+
+// How many voices each option of a facet would show: { optionId: count }
+export const facetCounts = (
+  entries,
+  filters,
+  favorites,
+  facetId,
+  label = noLabel
+) =>
+  applyFilters(entries, filters, favorites, label, facetId).reduce(
+    (counts, entry) => ({
+      ...counts,
+      [entry[facetId]]: (counts[entry[facetId]] || 0) + 1,
+    }),
+    {}
+  );
+
+export const loadFavorites = (storage = window.localStorage) => {
+  try {
+    const data = JSON.parse(storage.getItem(FAVORITES_KEY) || "[]");
+    return Array.isArray(data)
+      ? data.filter((key) => typeof key === "string")
+      : [];
+  } catch (error) {
+    console.error("Could not read the favorite voices:", error);
+    return [];
+  }
+};
+
+export const saveFavorites = (favorites, storage = window.localStorage) => {
+  try {
+    storage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+  } catch (error) {
+    console.error("Could not save the favorite voices:", error);
+  }
+};
@@ -0,0 +1,159 @@
+import {
+  EMPTY_FILTERS,
+  FAVORITES_KEY,
+  describeVoice,
+  facetCounts,
+  filterCatalog,
+  languageOptions,
+  loadFavorites,
+  parseLanguageTag,
+  pinFavorites,
+  saveFavorites,
+} from "./voiceCatalog";
+import { createTranslator } from "./i18n";
+
+const voices = [
+  {
+    name: "Google हिन्दी",
+    lang: "hi-IN",
+    engine: "webspeech",
+    native: { voiceURI: "Google हिन्दी" },
+  },
+  {
+    name: "Microsoft Swara Online (Natural) - Hindi (India)",
+    lang: "hi-IN",
+    engine: "webspeech",
+  },
+  {
+    name: "Samantha (Enhanced)",
+    lang: "en_us",
+    engine: "webspeech",
+    native: { voiceURI: "com.apple.voice.enhanced.en-US.Samantha" },
+  },
+  { name: "Daniel", lang: "en-GB", engine: "webspeech" },
+  { name: "Offline Hindi", lang: "hi-IN", engine: "offline" },
+];
+const catalog = voices.map((voice) => describeVoice(voice));
+
+test("parses language, script and region from BCP-47 tags", () => {
+  expect(parseLanguageTag("hi_in")).toEqual({
+    language: "hi",
+    script: "",
+    region: "IN",
+    tag: "hi-IN",
+  });
+  expect(parseLanguageTag("zh-hant-tw")).toMatchObject({
+    language: "zh",
+    script: "Hant",
+    region: "TW",
+  });
+  expect(parseLanguageTag("es-419").region).toBe("419");
+  expect(parseLanguageTag("sr-Latn")).toMatchObject({
+    script: "Latn",
+    region: "",
+  });
+  expect(parseLanguageTag("").language).toBe("");
+});
+
+test("infers provider, gender and quality as separate facets", () => {
+  // A Hindi voice is still attributed to its provider
+  expect(catalog[0]).toMatchObject({ language: "hi", provider: "google" });
+  expect(catalog[1]).toMatchObject({
+    provider: "microsoft",
+    gender: "female",
+    quality: "neural",
+  });
+  expect(catalog[2]).toMatchObject({
+    tag: "en-US",
+    provider: "apple",
+    gender: "female",
+    quality: "enhanced",
+  });
+  expect(catalog[3]).toMatchObject({
+    provider: "system",
+    gender: "male",
+    quality: "standard",
+  });
+  expect(catalog[4]).toMatchObject({ provider: "offline", quality: "basic" });
+});
+
+test("lists the languages of the installed voices", () => {
+  expect(languageOptions(catalog)).toEqual([
+    { code: "en", name: "English", count: 2 },
+    { code: "hi", name: "Hindi", count: 3 },
+  ]);
+  expect(languageOptions(catalog, ["fr"]).map((lang) => lang.code)).toEqual([
+    "en",
+    "fr",
+    "hi",
+  ]);
+  expect(languageOptions(catalog, [], "hi")[1].name).toBe("हिन्दी");
+  expect(describeVoice(voices[0], "hi").regionName).toBe("भारत");
+});
+
+test("filters by language, search terms and facets", () => {
+  const names = (filters, favorites) =>
+    filterCatalog(catalog, { ...EMPTY_FILTERS, ...filters }, favorites).map(
+      (entry) => entry.voice.name
+    );
+
+  expect(names({ language: "en" })).toEqual(["Samantha (Enhanced)", "Daniel"]);
+  expect(names({ query: "hindi microsoft" })).toEqual([
+    "Microsoft Swara Online (Natural) - Hindi (India)",
+  ]);
+  expect(names({ query: "united kingdom" })).toEqual(["Daniel"]);
+  expect(names({ query: "neural" })).toEqual([
+    "Microsoft Swara Online (Natural) - Hindi (India)",
+  ]);
+  expect(names({ provider: ["google", "offline"] })).toEqual([
+    "Google हिन्दी",
+    "Offline Hindi",
+  ]);
+  expect(
+    names({ favoritesOnly: true }, ["webspeech:Daniel", "offline:Daniel"])
+  ).toEqual(["Daniel"]);
+
+  // Facet options are found by their label in the UI language too
+  const hi = createTranslator("hi");
+  const hiLabel = (facetId, optionId) => hi(`facet.${facetId}.${optionId}`);
+  const hiNames = (query) =>
+    filterCatalog(catalog, { ...EMPTY_FILTERS, query }, [], hiLabel).map(
+      (entry) => entry.voice.name
+    );
+  expect(hiNames("न्यूरल")).toEqual([
+    "Microsoft Swara Online (Natural) - Hindi (India)",
+  ]);
+  expect(hiNames("ऑफ़लाइन")).toEqual(names({ provider: ["offline"] }));
+
+  // A facet's counts ignore its own selection but apply the others
+  const filters = { ...EMPTY_FILTERS, language: "hi", provider: ["google"] };
+  expect(facetCounts(catalog, filters, [], "provider")).toEqual({
+    google: 1,
+    microsoft: 1,
+    offline: 1,
+  });
+  expect(facetCounts(catalog, filters, [], "quality")).toEqual({
+    standard: 1,
+  });
+});
+
+test("pins favorites and keeps them in storage", () => {
+  expect(
+    pinFavorites(voices, ["webspeech:Daniel"]).map((voice) => voice.name)
+  ).toEqual([
+    "Daniel",
+    "Google हिन्दी",
+    "Microsoft Swara Online (Natural) - Hindi (India)",
+    "Samantha (Enhanced)",
+    "Offline Hindi",
+  ]);
+
+  expect(loadFavorites()).toEqual([]);
+  saveFavorites(["webspeech:Daniel"]);
+  expect(loadFavorites()).toEqual(["webspeech:Daniel"]);
+  window.localStorage.setItem(
+    FAVORITES_KEY,
+    JSON.stringify([1, "offline:Offline Hindi"])
+  );
+  expect(loadFavorites()).toEqual(["offline:Offline Hindi"]);
+});
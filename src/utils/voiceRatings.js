@@ -0,0 +1,96 @@
+// voiceRatings.js
+// Star ratings (1-5) and notes for voices, kept in localStorage so a choice
+// made by auditioning voices isn't lost, and sample sentences to audition
+// them with. Voices are keyed by engine and name, since an offline or
+// server voice may share a name with a browser voice.
+
+import { baseLanguage } from "./languageDetection";
+
+export const VOICE_RATINGS_KEY = "tts-voice-ratings";
+export const MAX_STARS = 5;
+
+export const VOICE_SORTS = [
+  { id: "default" },
+  { id: "rating" },
+  { id: "name" },
+];
+
+// A short sentence in the voice's language, English when there is none
+const SAMPLE_SENTENCES = {
+  en: "Hello! This is how I sound reading a short sentence with the number 42. How do I sound?",
+  hi: "नमस्ते! यह एक छोटे वाक्य में मेरी आवाज़ है, जिसमें 42 की संख्या भी है। कैसी लगी?",
+  es: "¡Hola! Así suena mi voz en una frase corta con el número 42. ¿Qué te parece?",
+  fr: "Bonjour ! Voici ma voix sur une phrase courte avec le nombre 42. Qu'en pensez-vous ?",
+  de: "Hallo! So klingt meine Stimme in einem kurzen Satz mit der Zahl 42. Wie gefällt sie Ihnen?",
+  it: "Ciao! Ecco la mia voce in una frase breve con il numero 42. Che ne pensi?",
+  pt: "Olá! Esta é a minha voz numa frase curta com o número 42. O que achou?",
+  ja: "こんにちは。これは数字の42を含む短い文を読んだ私の声です。いかがですか？",
+  zh: "你好！这是我朗读一个带有数字42的短句的声音。听起来怎么样？",
+  ar: "مرحبا! هذا صوتي في جملة قصيرة فيها الرقم 42. ما رأيك؟",
+  ru: "Привет! Так звучит мой голос в коротком предложении с числом 42. Как вам?",
+};
+
+export const voiceKey = (voice) =>
+  `${voice.engine || "webspeech"}:${voice.name}`;
+
+export const sampleSentence = (voice) =>
+  SAMPLE_SENTENCES[baseLanguage(voice && voice.lang)] || SAMPLE_SENTENCES.en;
+
+// Keep only well-formed entries: { stars: 0-5, notes }
+const sanitize = (ratings) =>
+  Object.fromEntries(
+    Object.entries(ratings && typeof ratings === "object" ? ratings : {})
+      .map(([key, entry]) => [
+        key,
+        {
+          stars: Math.max(
+            0,
+            Math.min(MAX_STARS, Math.round(Number(entry && entry.stars) || 0))
+          ),
+          notes: typeof (entry && entry.notes) === "string" ? entry.notes : "",
+        },
+      ])
+      .filter(([, entry]) => entry.stars || entry.notes)
+  );
+
+export const loadVoiceRatings = (storage = window.localStorage) => {
+  try {
+    return sanitize(JSON.parse(storage.getItem(VOICE_RATINGS_KEY) || "{}"));
+  } catch (error) {
+    console.error("Could not read the voice ratings:", error);
+    return {};
+  }
+};
+
+export const saveVoiceRatings = (ratings, storage = window.localStorage) => {
+  try {
+    storage.setItem(VOICE_RATINGS_KEY, JSON.stringify(ratings));
+  } catch (error) {
+    console.error("Could not save the voice ratings:", error);
+  }
+};
+
+export const ratingOf = (ratings, voice) =>
+  ratings[voiceKey(voice)] || { stars: 0, notes: "" };
+
+// Change a voice's stars or notes; entries left empty are removed
+export const rateVoice = (ratings, voice, changes) => {
+  const key = voiceKey(voice);
+  const { [key]: current, ...rest } = ratings;
+  const entry = sanitize({ [key]: { ...current, ...changes } })[key];
+  return entry ? { ...rest, [key]: entry } : rest;
+};
+
+// Sort voices for the grid. "rating" puts the best rated first and unrated
+// voices last; ties keep their order.
+export const sortVoices = (voices, ratings, sort) => {
+  if (sort === "name") {
+    return [...voices].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  if (sort === "rating") {
+    return [...voices].sort(
+      (a, b) => ratingOf(ratings, b).stars - ratingOf(ratings, a).stars
+    );
+  }
+  return voices;
+};
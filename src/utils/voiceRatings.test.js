@@ -0,0 +1,67 @@
+import {
+  VOICE_RATINGS_KEY,
+  loadVoiceRatings,
+  rateVoice,
+  ratingOf,
+  sampleSentence,
+  saveVoiceRatings,
+  sortVoices,
+  voiceKey,
+} from "./voiceRatings";
+
+const voices = [
+  { name: "Alex", lang: "en-US", engine: "webspeech" },
+  { name: "Lekha", lang: "hi-IN", engine: "webspeech" },
+  { name: "Offline Hindi", lang: "hi-IN", engine: "offline" },
+  { name: "Zoe", lang: "en-GB", engine: "http" },
+];
+
+test("rates voices by engine and name and drops empty entries", () => {
+  let ratings = rateVoice({}, voices[1], { stars: 4 });
+  ratings = rateVoice(ratings, voices[1], { notes: "Clear, a bit fast" });
+  ratings = rateVoice(ratings, voices[2], { stars: 9 });
+  expect(ratings).toEqual({
+    "webspeech:Lekha": { stars: 4, notes: "Clear, a bit fast" },
+    "offline:Offline Hindi": { stars: 5, notes: "" },
+  });
+  expect(ratingOf(ratings, voices[0])).toEqual({ stars: 0, notes: "" });
+
+  ratings = rateVoice(ratings, voices[2], { stars: 0 });
+  expect(Object.keys(ratings)).toEqual(["webspeech:Lekha"]);
+  expect(voiceKey({ name: "Old" })).toBe("webspeech:Old");
+});
+
+test("sorts voices by rating or name", () => {
+  const ratings = {
+    "http:Zoe": { stars: 5, notes: "" },
+    "webspeech:Lekha": { stars: 3, notes: "" },
+  };
+  expect(sortVoices(voices, ratings, "rating").map((v) => v.name)).toEqual([
+    "Zoe",
+    "Lekha",
+    "Alex",
+    "Offline Hindi",
+  ]);
+  expect(sortVoices(voices, ratings, "name")[0].name).toBe("Alex");
+  expect(sortVoices(voices, ratings, "default")).toBe(voices);
+});
+
+test("keeps ratings in storage", () => {
+  saveVoiceRatings({ "webspeech:Alex": { stars: 2, notes: "Robotic" } });
+  expect(loadVoiceRatings()).toEqual({
+    "webspeech:Alex": { stars: 2, notes: "Robotic" },
+  });
+
+  window.localStorage.setItem(
+    VOICE_RATINGS_KEY,
+    JSON.stringify({ a: { stars: "x" }, b: null, c: { stars: 3.4 } })
+  );
+  expect(loadVoiceRatings()).toEqual({ c: { stars: 3, notes: "" } });
+  window.localStorage.setItem(VOICE_RATINGS_KEY, "{broken");
+  expect(loadVoiceRatings()).toEqual({});
+});
+
+test("picks a sample sentence in the voice's language", () => {
+  expect(sampleSentence(voices[1])).toMatch(/^नमस्ते/);
+  expect(sampleSentence({ lang: "sw-KE" })).toMatch(/^Hello/);
+});
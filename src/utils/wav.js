@@ -0,0 +1,83 @@
+// wav.js
+// Helpers for reading and writing RIFF/WAVE files.
+
+import { createInfoChunk } from "./tags";
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+const writeString = (view, offset, string) => {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+};
+
+// Encode float samples (-1..1) as a WAV ArrayBuffer. Samples are either one
+// Float32Array (mono) or an array with one Float32Array per channel.
+// Options: float - write 32-bit float instead of 16-bit PCM; tags - title,
+// artist and language for a LIST/INFO chunk.
+export const encodeWav = (
+  samples,
+  sampleRate,
+  { float = false, tags } = {}
+) => {
+  const channels = samples instanceof Float32Array ? [samples] : samples;
+  const numChannels = channels.length;
+  const numFrames = channels[0].length;
+  const bytesPerSample = float ? 4 : 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+  const info = tags ? createInfoChunk(tags) : new Uint8Array(0);
+
+  // Non-PCM formats need the cbSize field and a fact chunk
+  const fmtSize = float ? 18 : 16;
+  const factSize = float ? 12 : 0;
+  const headerSize = 12 + 8 + fmtSize + factSize + 8;
+  const buffer = new ArrayBuffer(headerSize + dataSize + info.length);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeString(view, 8, "WAVE");
+  writeString(view, 12, "fmt ");
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  let offset = 36;
+  if (float) {
+    view.setUint16(offset, 0, true);
+    writeString(view, offset + 2, "fact");
+    view.setUint32(offset + 6, 4, true);
+    view.setUint32(offset + 10, numFrames, true);
+    offset += 14;
+  }
+
+  writeString(view, offset, "data");
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  for (let i = 0; i < numFrames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      if (float) {
+        view.setFloat32(offset, sample, true);
+      } else {
+        view.setInt16(
+          offset,
+          sample < 0 ? Math.round(sample * 32768) : Math.round(sample * 32767),
+          true
+        );
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  new Uint8Array(buffer, offset).set(info);
+
+  return buffer;
+};
@@ -0,0 +1,189 @@
+// wordTiming.js
+// Estimates which word is being spoken when the voice does not emit
+// boundary events, and records utterance and word timings for captions.
+//
+// Timings are { cues, words } in seconds from the start of the audio:
+//   cues  - [{ text, start, end }], one per spoken chunk
+//   words - [{ text, start, end, cue, charIndex, charLength }] with
+//           charIndex into the text of their cue
+
+import { segmentText } from "./segmenter";
+
+// Typical speaking speed at rate 1, in characters (including spaces) per second
+export const CHARS_PER_SECOND = 15;
+
+// Find words in text as { start, end } offsets
+export const findWords = (text) => {
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return words;
+};
+
+// Length of the word starting at charIndex, for boundary events that do not
+// report charLength
+export const wordLengthAt = (text, charIndex) => {
+  const match = /^\S+/.exec(text.slice(charIndex));
+  return match ? match[0].length : 0;
+};
+
+// Estimate the word being spoken elapsedMs into text at the given rate
+export const estimateWordAt = (text, elapsedMs, rate = 1) => {
+  const words = findWords(text);
+  if (!words.length) return null;
+
+  const position = (elapsedMs / 1000) * CHARS_PER_SECOND * rate;
+  const word = words.find((w, i) => {
+    const next = words[i + 1];
+    return !next || position < next.start;
+  });
+
+  return word;
+};
+
+// Spread the words of a chunk over its duration by character position
+const spreadWords = (text, start, end, cue) =>
+  findWords(text).map((word) => ({
+    text: text.slice(word.start, word.end),
+    start: start + ((end - start) * word.start) / text.length,
+    end: start + ((end - start) * word.end) / text.length,
+    cue,
+    charIndex: word.start,
+    charLength: word.end - word.start,
+  }));
+
+// Records timings while the speech queue plays. Times come from `now` (in
+// milliseconds) relative to start(), which should be called when the
+// recording starts. Chunks whose voice sends no word boundaries get
+// estimated word timings when they end.
+export const createTimingRecorder = (now = () => performance.now()) => {
+  let startedAt = null;
+  const cues = [];
+  const words = [];
+  let current = null;
+
+  const elapsed = () => (now() - startedAt) / 1000;
+
+  const endCurrent = () => {
+    if (!current) return;
+    const cue = cues[current.cue];
+    cue.end = elapsed();
+    if (!current.hasBoundaries) {
+      words.push(...spreadWords(cue.text, cue.start, cue.end, current.cue));
+    }
+    current = null;
+  };
+
+  return {
+    start: () => {
+      startedAt = now();
+    },
+
+    isStarted: () => startedAt !== null,
+
+    segmentStart: (text) => {
+      if (startedAt === null) return;
+      endCurrent();
+      cues.push({ text, start: elapsed(), end: elapsed() });
+      current = { cue: cues.length - 1, hasBoundaries: false };
+    },
+
+    boundary: (charIndex, charLength) => {
+      if (!current) return;
+      const cue = cues[current.cue];
+      const time = elapsed();
+      const previous = words[words.length - 1];
+      if (current.hasBoundaries && previous) previous.end = time;
+
+      current.hasBoundaries = true;
+      words.push({
+        text: cue.text.slice(charIndex, charIndex + charLength),
+        start: time,
+        end: time,
+        cue: current.cue,
+        charIndex,
+        charLength,
+      });
+    },
+
+    segmentEnd: () => {
+      if (current && current.hasBoundaries) {
+        words[words.length - 1].end = elapsed();
+      }
+      endCurrent();
+    },
+
+    finish: () => {
+      if (current && current.hasBoundaries) {
+        words[words.length - 1].end = elapsed();
+      }
+      endCurrent();
+      return { cues, words };
+    },
+  };
+};
+
+// Timings of offline synthesizer output. Words are the synthesizer's own
+// word timings ({ part, charIndex, start, end }); cues are the sentences of
+// each part, as the speech queue would have spoken them.
+export const timingsFromSynthesis = (parts, synthWords) => {
+  const cues = [];
+  const words = [];
+
+  parts.forEach((part, partIndex) => {
+    if (!part.text) return;
+    const offset = part.offset || 0;
+    const partWords = synthWords.filter((word) => word.part === partIndex);
+
+    segmentText(part.text).forEach((sentence) => {
+      const inside = partWords.filter(
+        (word) =>
+          word.charIndex - offset >= sentence.start &&
+          word.charIndex - offset < sentence.end
+      );
+      if (!inside.length) return;
+
+      const cue = cues.length;
+      cues.push({
+        text: sentence.text,
+        start: inside[0].start,
+        end: inside[inside.length - 1].end,
+      });
+      inside.forEach((word) => {
+        words.push({
+          text: word.text,
+          start: word.start,
+          end: word.end,
+          cue,
+          charIndex: word.charIndex - offset - sentence.start,
+          charLength: word.charLength,
+        });
+      });
+    });
+  });
+
+  return { cues, words };
+};
+
+// Move timings onto processed audio: audio trimmed by `offset` seconds at
+// the start and time-stretched by `speed`
+export const mapTimings = (timings, { offset = 0, speed = 1 } = {}) => {
+  const map = (time) => Math.max(0, (time - offset) / speed);
+  return {
+    cues: timings.cues.map((cue) => ({
+      ...cue,
+      start: map(cue.start),
+      end: map(cue.end),
+    })),
+    words: timings.words.map((word) => ({
+      ...word,
+      start: map(word.start),
+      end: map(word.end),
+    })),
+  };
+};
@@ -0,0 +1,131 @@
+import {
+  createTimingRecorder,
+  estimateWordAt,
+  findWords,
+  mapTimings,
+  timingsFromSynthesis,
+  wordLengthAt,
+} from "./wordTiming";
+
+test("finds words with offsets", () => {
+  expect(findWords("  one two")).toEqual([
+    { start: 2, end: 5 },
+    { start: 6, end: 9 },
+  ]);
+});
+
+test("measures the word at a boundary", () => {
+  expect(wordLengthAt("नमस्ते, आप कैसे हैं", 8)).toBe(2);
+  expect(wordLengthAt("hello", 5)).toBe(0);
+});
+
+test("estimates the current word from elapsed time", () => {
+  const text = "alpha beta gamma delta";
+
+  expect(estimateWordAt(text, 0)).toEqual({ start: 0, end: 5 });
+  expect(estimateWordAt(text, 500)).toEqual({ start: 6, end: 10 });
+  expect(estimateWordAt(text, 500, 2)).toEqual({ start: 11, end: 16 });
+  expect(estimateWordAt(text, 60000)).toEqual({ start: 17, end: 22 });
+  expect(estimateWordAt("   ", 100)).toBeNull();
+});
+
+test("records utterance and boundary timings", () => {
+  let clock = 1000;
+  const recorder = createTimingRecorder(() => clock);
+
+  recorder.start();
+  recorder.segmentStart("Hello there.");
+  recorder.boundary(0, 5);
+  clock += 400;
+  recorder.boundary(6, 6);
+  clock += 600;
+  recorder.segmentEnd();
+  recorder.segmentStart("Bye now");
+  clock += 1000;
+
+  expect(recorder.finish()).toEqual({
+    cues: [
+      { text: "Hello there.", start: 0, end: 1 },
+      { text: "Bye now", start: 1, end: 2 },
+    ],
+    words: [
+      {
+        text: "Hello",
+        start: 0,
+        end: 0.4,
+        cue: 0,
+        charIndex: 0,
+        charLength: 5,
+      },
+      {
+        text: "there.",
+        start: 0.4,
+        end: 1,
+        cue: 0,
+        charIndex: 6,
+        charLength: 6,
+      },
+      // No boundaries: spread over the utterance by character position
+      {
+        text: "Bye",
+        start: 1,
+        end: 1 + 3 / 7,
+        cue: 1,
+        charIndex: 0,
+        charLength: 3,
+      },
+      {
+        text: "now",
+        start: 1 + 4 / 7,
+        end: 2,
+        cue: 1,
+        charIndex: 4,
+        charLength: 3,
+      },
+    ],
+  });
+});
+
+test("builds cues from synthesizer word timings", () => {
+  const parts = [{ text: "One two. Three.", offset: 10 }, { silence: 500 }];
+  const words = [
+    {
+      text: "One",
+      part: 0,
+      charIndex: 10,
+      charLength: 3,
+      start: 0.1,
+      end: 0.3,
+    },
+    {
+      text: "two",
+      part: 0,
+      charIndex: 14,
+      charLength: 3,
+      start: 0.3,
+      end: 0.6,
+    },
+    {
+      text: "Three",
+      part: 0,
+      charIndex: 19,
+      charLength: 5,
+      start: 1,
+      end: 1.4,
+    },
+  ];
+  const timings = timingsFromSynthesis(parts, words);
+
+  expect(timings.cues).toEqual([
+    { text: "One two.", start: 0.1, end: 0.6 },
+    { text: "Three.", start: 1, end: 1.4 },
+  ]);
+  expect(timings.words[1]).toMatchObject({ cue: 0, charIndex: 4 });
+  expect(timings.words[2]).toMatchObject({ cue: 1, charIndex: 0 });
+
+  expect(mapTimings(timings, { offset: 0.2, speed: 2 }).cues[1]).toEqual({
+    text: "Three.",
+    start: 0.4,
+    end: 0.6,
+  });
+});
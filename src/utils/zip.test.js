@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+import { crc32, readZip, readZipText, writeZip } from "./zip";
+
+// Build a ZIP with stored (uncompressed) entries
+const storedZip = (files) => {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, contents]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(contents);
+
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+
+  const directorySize = centrals.reduce((sum, c) => sum + c.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, centrals.length, true);
+  ev.setUint16(10, centrals.length, true);
+  ev.setUint32(12, directorySize, true);
+  ev.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, end];
+  const zip = new Uint8Array(offset + directorySize + 22);
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip.buffer;
+};
+
+test("reads stored entries", async () => {
+  const entries = readZip(
+    storedZip({ mimetype: "application/epub+zip", "a/b.txt": "नमस्ते" })
+  );
+
+  expect([...entries.keys()]).toEqual(["mimetype", "a/b.txt"]);
+  expect(await readZipText(entries, "a/b.txt")).toBe("नमस्ते");
+  await expect(readZipText(entries, "missing")).rejects.toMatchObject({
+    key: "zip.missing",
+    params: { name: "missing" },
+  });
+});
+
+test("rejects files that are not ZIP archives", () => {
+  expect(() => readZip(new Uint8Array(100).buffer)).toThrow("zip.invalid");
+});
+
+test("writes archives that read back", async () => {
+  const encoder = new TextEncoder();
+  const zip = writeZip([
+    { name: "manifest.json", data: encoder.encode('{"files":[]}') },
+    { name: "नमस्ते.wav", data: new Uint8Array([1, 2, 3]) },
+  ]);
+  const entries = readZip(zip.buffer);
+
+  expect([...entries.keys()]).toEqual(["manifest.json", "नमस्ते.wav"]);
+  expect(await readZipText(entries, "manifest.json")).toBe('{"files":[]}');
+  expect(Array.from(await entries.get("नमस्ते.wav").read())).toEqual([1, 2, 3]);
+  expect(crc32(encoder.encode("123456789"))).toBe(0xcbf43926);
+});